@@ -9,6 +9,11 @@ const helmet = require('helmet');
 const orderRoutes = require("./routes/orderRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
 const documentRoutes = require("./routes/documentRoutes");
+const clauseRoutes = require("./routes/clauseRoutes");
+const attachmentRoutes = require("./routes/attachmentRoutes");
+const shipmentRoutes = require("./routes/shipmentRoutes");
+const claimRoutes = require("./routes/claimRoutes");
+const storage = require("./services/storage");
 require('dotenv').config()
 
 
@@ -33,15 +38,31 @@ app.use(cors({
   exposedHeaders: ['Content-Disposition'] // Important for downloads
 }));
 
-app.use(express.json()); 
+app.use(
+  express.json({
+    limit: '1mb', // drawn signatures are sent as data URLs
+    // Webhook signatures are computed over the body exactly as sent
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 app.use('/api', authRoutes);
 app.use('/api', adminRoutes);
 app.use('/api', productRoutes); 
 app.use("/api", orderRoutes);
 app.use("/api", documentRoutes);
+app.use("/api", clauseRoutes);
+app.use("/api", attachmentRoutes);
+app.use("/api", shipmentRoutes);
+app.use("/api", claimRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api', pdfTestRouter);
+// Files kept on local disk (STORAGE_DRIVER=local)
+if (storage.router) {
+  app.use(storage.mountPath, storage.router);
+}
 swaggerSetup(app);
 
 
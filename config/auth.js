@@ -0,0 +1,13 @@
+require('dotenv').config();
+
+// Logins open a Session. The client calls the API with a short-lived access
+// token and renews it with the session's refresh token, which changes on
+// every refresh.
+module.exports = {
+  // jsonwebtoken expiresIn for access tokens (e.g. 15m, 1h)
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // A session ends when its refresh token goes this long unused
+  refreshTokenDays: parseFloat(process.env.REFRESH_TOKEN_DAYS || '30'),
+  // Ended sessions are kept this long for the record, then deleted
+  sessionRetentionDays: parseFloat(process.env.SESSION_RETENTION_DAYS || '30'),
+};
@@ -0,0 +1,132 @@
+// Standard terms and conditions printed on sales and purchase orders.
+// They seed the ClauseTemplate table (version 1 of each clause) on first
+// start; after that admins manage the clauses through /api/admin/clauses.
+const DEFAULT_DOCUMENT_TYPES = ["sales_order", "purchase_order"];
+
+const DEFAULT_CLAUSES = [
+  {
+    key: "general_terms",
+    title: "1. General Terms",
+    content:
+      "1.1. This purchase order constitutes a legally binding agreement under Nigeria law between the Buyer, Revas Plastic Exchange (trading as 'Revas'), and the Supplier.\n",
+  },
+  {
+    key: "quality",
+    title: "2. Quality",
+    content:
+      "2.1.The material purchased must conform to the specifications outlined in this order and be of equal or superior quality to the materials depicted in photographs and/or previously inspected samples. \n" +
+      "2.2.The material must be free from any contaminants, except those specifically permitted as indicated herein.\n",
+  },
+  {
+    key: "compliance_with_en643_grade",
+    title: "3. Compliance with EN643 Grade",
+    content:
+      "3.1. This Clause 3 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper. \n" +
+      "3.2. The purchased materials must be compliant with the EN643 grade as mutually agreed upon and specified above.\n",
+  },
+  {
+    key: "prohibited_materials",
+    title: "4. Prohibited Materials",
+    content:
+      "4.1. This Clause 4 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper. \n" +
+      "4.2. The Supplier shall ensure that no materials falling within the scope of CEPI's revised EN643, which pose health, safety, or environmental hazards, are included. Such materials include but are not limited to medical waste, contaminated personal hygiene products, hazardous waste, organic waste (including foodstuffs), bitumen, toxic powders, and similar substances.\n",
+  },
+  {
+    key: "moisture_content",
+    title: "5. Moisture Content",
+    content:
+      "5.1. This Clause 5 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper.  \n" +
+      "5.2. If the average moisture content of the purchased materials exceeds 12% at the time of unloading, the Buyer shall have the right to seek reimbursement. This shall be accomplished by deducting the weight of any moisture exceeding 12% from the payable tonnage. Additionally, the Buyer reserves the right to recover any reasonable costs incurred by the Buyer, their customers, partners, or subcontractors.\n",
+  },
+  {
+    key: "inspection_rights",
+    title: "6. Inspection Rights",
+    content:
+      "6.1. The Buyer retains the right to inspect the materials at loading, or up to 72 hours prior to loading. This includes the ability to conduct moisture readings, capture photographic evidence of bales, perform gravimetric sampling, and break open bales for further examination. The Buyer may choose to delegate this task to a subcontractor.\n" +
+      "6.2. If the materials fail to meet the specified requirements, the loading process will be suspended, and all costs associated with the cancellation shall be borne by the Supplier.\n" +
+      "6.3. In the event that the materials fail to meet the specified requirements, the Buyer reserves the right to cancel or reschedule the loading. All costs related to this will be borne by the Supplier.\n",
+  },
+  {
+    key: "warranty_and_claims",
+    title: "7. Warranty and Claims",
+    content:
+      "7.1. The Buyer reserves the right to initiate a claim against the materials at any time within 90 days following the purchase should they be deemed non-compliant with the agreed-upon specifications. This claim shall be provided in writing.\n",
+  },
+  {
+    key: "packing",
+    title: "8. Packing",
+    content:
+      "8.1. The Supplier must make all reasonable efforts to fully load the designated vehicle. The pricing is based on the minimum volumes specified in the agreement. If a shipment is under-loaded by more than 1000kg, the Buyer reserves the right to proportionately reduce the payment. For instance, if a container is under-loaded by 10% beyond the 1000kg buffer, the Buyer shall be entitled to reduce the price per tonne by 10%, in addition to only paying for the loaded weight.\n",
+  },
+  {
+    key: "shipping",
+    title: "9. Shipping",
+    content:
+      "9.1. Both parties shall mutually agree upon a collection schedule subsequent to the acceptance of this purchase order.\n" +
+      "9.2. If the Supplier needs to modify any aspect of the collection schedule, they must provide the Buyer with a minimum notice period of 48 hours. Any changes made thereafter may result in additional charges.\n" +
+      "9.3. The Supplier shall cooperate with the Buyer's designated transport partner and must not unduly delay the loading process. In the event that the transportation vehicle remains on-site for more than 2 hours beyond the scheduled or actual arrival time (whichever is later), the waiting charges shall be borne by the Supplier. The Supplier shall also be liable for any additional charges incurred due to vehicle damage during the loading process.\n" +
+      "9.4. The Supplier shall provide photographs of the loading in the format specified by the Buyer.\n",
+  },
+  {
+    key: "termination_for_non_loading",
+    title: "10. Termination for Non-Loading",
+    content:
+      "10.1. If the materials are not loaded before the specified cutoff date, this agreement shall be deemed terminated. In the event that the Supplier fails to make a good-faith effort to load the materials prior to the cutoff date, the Buyer reserves the right to charge the Supplier up to 25% of the total deal value as compensation. \n" +
+      "10.2. If no cut-off date is listed, this agreement will be considered void 90 days after signature, unless both parties agree in writing to extend it.\n",
+  },
+  {
+    key: "licences",
+    title: "11. Licences",
+    content:
+      "11.1. Both parties warrant that they possess all necessary licences and legal authority required to carry out this transaction in compliance with applicable laws and regulations.\n" +
+      "11.2. The Buyer shall be responsible for providing a valid weighbridge calibration certificate prior to delivery.\n" +
+      "11.3. The Supplier shall be responsible for ensuring that all required legal documents specified by the Buyer travel with the materials. This includes but is not limited to the Annex VII.\n" +
+      "11.4. The Supplier shall be responsible for obtaining and maintaining any specific licences or permits required for the sale, delivery, or transportation of the materials.\n" +
+      "11.5. Should any licence or legal authority become invalid or revoked during the term of this agreement, both parties must promptly notify the other in writing.\n",
+  },
+  {
+    key: "payment",
+    title: "12. Payment",
+    content:
+      "12.1. The price stated in this order does not include any sales taxes, including VAT. It is the Supplier's sole responsibility to ensure the accurate calculation and payment of all applicable taxes related to this transaction.\n",
+  },
+  {
+    key: "non_solicitation",
+    title: "13. Non-solicitation",
+    content:
+      "13.1. The supplier agrees that for a period of 12 months from the date of this agreement, they shall not attempt to directly contact, solicit, or engage in any form of business communication with any of the Buyer’s customers, agents, or representatives, where they have not had a previous business relationship with these entities.\n" +
+      "13.2. The Supplier further agrees that any inquiries, proposals, offers, or communication from the parties referenced in clause 13.1 shall be directed solely to the Buyer. The Supplier shall promptly notify the Buyer of any inquiries or attempts by the parties to contact them directly.\n",
+  },
+  {
+    key: "further_terms",
+    title: "14. Further terms",
+    content:
+      "14.1. In addition to this Purchase Order, the terms on userevas.com also apply. In the event of any conflict or inconsistency between the terms of this Agreement and the Website Terms, the terms of this Agreement shall take precedence.\n",
+  },
+  {
+    key: "entire_agreement",
+    title: "15. Entire Agreement",
+    content:
+      "15.1. This Purchase Order, along with any attachments or amendments duly signed by both parties, constitutes the entire agreement between the Buyer and the Supplier and supersedes any prior discussions, understandings, or agreements, whether written or oral, relating to the subject matter herein.\n",
+  },
+  {
+    key: "governing_law_and_jurisdiction",
+    title: "16. Governing Law and Jurisdiction",
+    content:
+      "16.1. This agreement shall be governed by and construed in accordance with the laws of Nigeria. Any disputes arising out of or in connection with this agreement shall be subject to the exclusive jurisdiction of the courts of Nigeria.\n",
+  },
+  {
+    key: "severability",
+    title: "17. Severability",
+    content:
+      "17.1. If any provision of this agreement is determined to be invalid, illegal, or unenforceable, the remaining provisions shall remain in full force and effect to the extent permitted by law.\n",
+  },
+  {
+    key: "waiver",
+    title: "18. Waiver",
+    content:
+      "18.1. The failure of either party to enforce any provision of this agreement shall not be construed as a waiver of such provision or the right to enforce it in the future.",
+  },
+];
+
+module.exports = { DEFAULT_DOCUMENT_TYPES, DEFAULT_CLAUSES };
@@ -0,0 +1,13 @@
+require('dotenv').config();
+
+// Webhooks from DocuSeal (or a compatible sender) are signed with
+// HMAC-SHA256 of the raw body, sent hex-encoded in DocuSeal-Signature.
+// Events whose `timestamp` is further than toleranceSeconds from now are
+// rejected as replays.
+module.exports = {
+  webhookSecret: process.env.DOCUSEAL_WEBHOOK_SECRET || null,
+  toleranceSeconds: parseInt(
+    process.env.DOCUSEAL_WEBHOOK_TOLERANCE_SECONDS || '300',
+    10
+  ),
+};
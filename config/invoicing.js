@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+// Tax rates (percent) and payment instructions printed on invoices.
+// VAT is added to the subtotal; WHT is withheld by the buyer from it.
+module.exports = {
+  vatRate: parseFloat(process.env.INVOICE_VAT_RATE || '7.5'),
+  whtRate: parseFloat(process.env.INVOICE_WHT_RATE || '0'),
+  issuer: {
+    name: process.env.INVOICE_ISSUER_NAME || 'Revas Plastic Exchange',
+    address: process.env.INVOICE_ISSUER_ADDRESS || 'Lagos, Nigeria',
+    taxId: process.env.INVOICE_ISSUER_TAX_ID || null,
+  },
+  bank: {
+    bankName: process.env.INVOICE_BANK_NAME || null,
+    accountName: process.env.INVOICE_BANK_ACCOUNT_NAME || null,
+    accountNumber: process.env.INVOICE_BANK_ACCOUNT_NUMBER || null,
+    swiftCode: process.env.INVOICE_BANK_SWIFT || null,
+    sortCode: process.env.INVOICE_BANK_SORT_CODE || null,
+  },
+};
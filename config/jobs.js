@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+const days = (name, fallback) =>
+  parseFloat(process.env[name] || String(fallback));
+
+// Background jobs run inside the server process (see services/jobRunner).
+// Every instance may run them; a job run is claimed in the database first,
+// so it happens once per interval however many instances are up.
+module.exports = {
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  // How often the runner checks which jobs are due
+  tickSeconds: parseInt(process.env.JOBS_TICK_SECONDS || '300', 10),
+  signing: {
+    // Remind a party that has not signed this many days after being asked,
+    // and again every reminderIntervalDays until the deadline
+    reminderAfterDays: days('SIGNING_REMINDER_AFTER_DAYS', 3),
+    reminderIntervalDays: days('SIGNING_REMINDER_INTERVAL_DAYS', 2),
+    // Documents not fully signed this many days after generation expire
+    expireAfterDays: days('SIGNING_EXPIRE_AFTER_DAYS', 14),
+    // Hour (UTC) the account manager digest of stalled signatures goes out
+    digestHourUtc: parseInt(process.env.SIGNING_DIGEST_HOUR_UTC || '7', 10),
+  },
+};
@@ -0,0 +1,8 @@
+require('dotenv').config();
+
+// Minimum-margin rule applied when account managers create orders.
+// MIN_MARGIN_ENFORCEMENT is "flag" (create the order, mark it) or "block".
+module.exports = {
+  minMarginPercent: parseFloat(process.env.MIN_MARGIN_PERCENT || '0'),
+  enforcement: process.env.MIN_MARGIN_ENFORCEMENT === 'block' ? 'block' : 'flag',
+};
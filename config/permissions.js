@@ -0,0 +1,95 @@
+// The role of admin accounts (User.role); their tokens carry it too
+const ADMIN_ROLE = 'Super Admin';
+
+// Permission registry. Routes check these keys with requirePermission;
+// roles grant them through the RolePermission table.
+const PERMISSIONS = {
+  'order:create': 'Create orders and save drafts',
+  'order:update': 'Edit and delete draft orders',
+  'order:read_all': 'See every order, not only those the user is a party to',
+  'order:approve': 'Approve or reject orders awaiting approval',
+  'order:match': 'Match orders to suppliers',
+  'order:update_status': 'Move orders through their statuses',
+  'order:negotiate': 'Make and answer price offers',
+  'order:view_margins': 'See order margins and margin analytics',
+  'document:generate': 'Generate sales and purchase orders',
+  'document:regenerate': 'Regenerate a document as a new version',
+  'document:invoice': 'Issue invoices',
+  'document:read_own': 'List the documents addressed to the user as a client',
+  'document:read_signed': 'List the documents the user signed as an account manager',
+  'attachment:require': 'Set the attachments an order needs before completion',
+  'shipment:manage': 'Plan shipments and record their milestones',
+  'claim:raise': 'Raise claims on delivered orders',
+  'claim:respond': 'Respond to claims as the supplier',
+  'claim:settle': 'Propose, approve and reject claim settlements',
+  'client:manage': 'Manage assigned clients and approve new users',
+  'client:reassign': 'Move clients between account managers',
+  'account_manager:manage': 'List and create account managers',
+  'user:suspend': 'Suspend and reactivate user accounts',
+  'product:read': 'Browse registered products',
+  'product:manage': 'Create, edit and delete products for clients',
+  'clause:manage': 'Edit the contract clause library',
+  'fx:manage': 'Set FX rates',
+  'numbering:manage': 'Inspect number sequences and void issued numbers',
+  'rbac:manage': 'Manage roles, their permissions and user role assignments',
+};
+
+const ACCOUNT_MANAGER_PERMISSIONS = [
+  'order:create',
+  'order:update',
+  'order:approve',
+  'order:match',
+  'order:update_status',
+  'order:negotiate',
+  'order:view_margins',
+  'document:generate',
+  'document:regenerate',
+  'document:invoice',
+  'document:read_signed',
+  'attachment:require',
+  'shipment:manage',
+  'claim:settle',
+  'client:manage',
+  'product:read',
+  'product:manage',
+];
+
+// System roles, seeded at startup with these permissions. Users without an
+// assigned role get the one matching their account (see permissionService).
+const SYSTEM_ROLES = {
+  // Admins oversee and configure the platform; acting on an order (creating,
+  // pricing, signing) needs an account manager's side, which admins lack
+  super_admin: {
+    description: 'Platform administrator',
+    permissions: [
+      'order:read_all',
+      'order:view_margins',
+      'product:read',
+      'clause:manage',
+      'fx:manage',
+      'numbering:manage',
+      'rbac:manage',
+      'account_manager:manage',
+      'client:reassign',
+      'user:suspend',
+    ],
+  },
+  buyer_account_manager: {
+    description: 'Revas account manager on the buyer side',
+    permissions: ACCOUNT_MANAGER_PERMISSIONS,
+  },
+  supplier_account_manager: {
+    description: 'Revas account manager on the supplier side',
+    permissions: ACCOUNT_MANAGER_PERMISSIONS,
+  },
+  buyer_client: {
+    description: 'Buyer company user',
+    permissions: ['document:read_own', 'claim:raise'],
+  },
+  supplier_client: {
+    description: 'Supplier company user',
+    permissions: ['document:read_own', 'claim:respond'],
+  },
+};
+
+module.exports = { ADMIN_ROLE, PERMISSIONS, SYSTEM_ROLES };
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+// Where documents and product images are stored. STORAGE_DRIVER is one of
+// cloudinary, s3, gcs or local; without it, Cloudinary is used when it is
+// configured and the local disk otherwise, so staging and test
+// environments need no external accounts.
+const driver =
+  process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+module.exports = {
+  driver,
+  local: {
+    // Files are kept under root/public and root/private and served by the
+    // app under /files
+    root: process.env.LOCAL_STORAGE_DIR || 'storage',
+    baseUrl:
+      process.env.LOCAL_STORAGE_URL ||
+      `http://localhost:${process.env.PORT || 5000}/files`,
+    // Signs the time-limited URLs of private files
+    signingSecret:
+      process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || null,
+  },
+  s3: {
+    // Credentials come from the usual AWS_* variables. Public files are
+    // uploaded with the public-read ACL, so the bucket must allow ACLs.
+    bucket: process.env.S3_BUCKET || null,
+    region: process.env.AWS_REGION || 'us-east-1',
+    publicUrl: process.env.S3_PUBLIC_URL || null,
+  },
+  gcs: {
+    // Credentials come from GOOGLE_APPLICATION_CREDENTIALS
+    bucket: process.env.GCS_BUCKET || null,
+    publicUrl: process.env.GCS_PUBLIC_URL || null,
+  },
+};
@@ -1,104 +1,12 @@
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { Op } = require('sequelize');
 const sequelize = require('../config/database'); // Make sure this path is correct
 const { templates, sendEmail } = require("../utils/emailService");
+const { startSession } = require('../services/sessionService');
 
-// Validate Role
-exports.validateAccountManagerRole = (role) => {
-  if (!['buyer', 'supplier'].includes(role.toLowerCase())) {
-    throw new Error('Account manager role must be either "buyer" or "supplier"');
-  }
-};
-
-// Register Account Manager
-exports.registerAccountManager = async (req, res) => {
-  const transaction = await sequelize.transaction();
-  try {
-    const { firstName, lastName, email, password, role } = req.body;
-
-    // Validate input
-    if (!firstName || !lastName || !email || !password || !role) {
-      await transaction.rollback();
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-
-    // Validate role
-    try {
-      exports.validateAccountManagerRole(role);
-    } catch (error) {
-      await transaction.rollback();
-      return res.status(400).json({ error: error.message });
-    }
-
-    // Check email
-    const existingUser = await User.findOne({ where: { email }, transaction });
-    if (existingUser) {
-      await transaction.rollback();
-      return res.status(400).json({ error: 'Email already in use' });
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
-
-    // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password: hashedPassword,
-      role: role.toLowerCase(),
-      managedClient: [] // Initialize empty array
-    }, { transaction });
-
-    // Assign existing matching users
-    const matchingUsers = await User.findAll({
-      where: {
-        clientType: role.charAt(0).toUpperCase() + role.slice(1),
-        id: { [Op.ne]: user.id } // Exclude self
-      },
-      transaction
-    });
-
-    if (matchingUsers.length > 0) {
-      await user.update({
-        managedClient: matchingUsers.map(u => u.id)
-      }, { transaction });
-    }
-
-    // Generate token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    await transaction.commit();
-
-    return res.status(201).json({
-      message: 'Account Manager registered successfully',
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      },
-      token
-    });
-
-  } catch (error) {
-    await transaction.rollback();
-    console.error('Registration error:', error);
-    return res.status(500).json({
-      error: 'Registration failed',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-};
-
-// Login Account Manager - (No changes needed, already good)
+// Login Account Manager - accounts are created by admins
+// (POST /admin/account-managers)
 exports.loginAccountManager = async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -107,7 +15,15 @@ exports.loginAccountManager = async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    const user = await User.findOne({ where: { email } });
+    // Only account managers: clients log in through /login, which checks
+    // their approval
+    const user = await User.findOne({
+      where: {
+        email,
+        role: { [Op.in]: ['buyer', 'supplier'] },
+        clientType: null,
+      },
+    });
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -116,16 +32,18 @@ exports.loginAccountManager = async (req, res) => {
     if (!isPasswordValid) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    if (user.status !== 'approved') {
+      return res.status(403).json({ error: 'Account not approved' });
+    }
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
 
-    const token = jwt.sign(
-      { id: user.id, role: user.role, managedClient: user.managedClient },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const tokens = await startSession(user, req);
 
     return res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         firstName: user.firstName,
@@ -1,14 +1,309 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, Order } = require('../models');
+const sequelize = require('../config/database');
+const { ADMIN_ROLE } = require('../config/permissions');
+const { TERMINAL_STATUSES } = require('../services/orderStateMachine');
+const { templates, sendEmail } = require('../utils/emailService');
+const {
+  startSession,
+  revokeUserSessions,
+} = require('../services/sessionService');
+
+const ACCOUNT_MANAGER_ROLES = ['buyer', 'supplier'];
+
+const PUBLIC_USER_ATTRIBUTES = {
+  exclude: ['password', 'resetToken', 'resetTokenExpiry', 'managedClient'],
+};
+
+// The account manager side serving a client type ('Buyer' -> 'buyer')
+const managerRoleFor = (clientType) => (clientType || '').toLowerCase();
 
 // Admin Login
-const loginAdmin =  (req, res) => {
-  const { email, password } = req.body;
-  if (email === 'hello@adminrevas.com' && password === '@Adminrevas1') {
-    const token = jwt.sign({ email, role: 'Super Admin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
-    return res.status(200).json({ token });
+const loginAdmin = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    // Admins have no client type: sign-ups always get one, so the admin
+    // role name alone is not enough
+    const admin = await User.findOne({
+      where: { email, role: ADMIN_ROLE, clientType: null },
+    });
+    if (!admin || !(await bcrypt.compare(password, admin.password))) {
+      return res.status(401).json({ error: 'Invalid admin credentials' });
+    }
+    if (admin.status !== 'approved') {
+      return res.status(403).json({ error: 'Account not approved' });
+    }
+    if (admin.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    await admin.update({ lastLogin: new Date() });
+
+    return res.status(200).json({
+      ...(await startSession(admin, req)),
+      user: {
+        id: admin.id,
+        firstName: admin.firstName,
+        lastName: admin.lastName,
+        email: admin.email,
+        role: admin.role,
+      },
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    return res.status(500).json({ error: 'Login failed' });
+  }
+};
+
+// ================== ACCOUNT MANAGERS ================== //
+const getAccountManagers = async (req, res) => {
+  try {
+    const { role } = req.query;
+    if (role && !ACCOUNT_MANAGER_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'role must be buyer or supplier' });
+    }
+
+    const managers = await User.findAll({
+      where: {
+        role: role || { [Op.in]: ACCOUNT_MANAGER_ROLES },
+        clientType: null,
+      },
+      attributes: { exclude: ['password', 'resetToken', 'resetTokenExpiry'] },
+      order: [['createdAt', 'ASC']],
+    });
+
+    return res.status(200).json({
+      accountManagers: managers.map((manager) => {
+        const { managedClient, ...rest } = manager.toJSON();
+        return { ...rest, clientCount: (managedClient || []).length };
+      }),
+    });
+  } catch (error) {
+    console.error('Error fetching account managers:', error);
+    return res.status(500).json({ error: 'Failed to fetch account managers' });
+  }
+};
+
+// Creates the account with a temporary password that is emailed to the
+// manager; they are asked to change it on first login
+const createAccountManager = async (req, res) => {
+  try {
+    const { firstName, lastName, email, role } = req.body;
+    if (!firstName || !lastName || !email || !role) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+    if (!ACCOUNT_MANAGER_ROLES.includes(role.toLowerCase())) {
+      return res.status(400).json({
+        error: 'Account manager role must be either "buyer" or "supplier"',
+      });
+    }
+    if (await User.findOne({ where: { email } })) {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+
+    const temporaryPassword = crypto.randomBytes(8).toString('hex');
+    const manager = await User.create({
+      firstName,
+      lastName,
+      email,
+      password: await bcrypt.hash(temporaryPassword, 12),
+      role: role.toLowerCase(),
+      status: 'approved',
+      approvedAt: new Date(),
+      managedClient: [],
+    });
+
+    try {
+      const mail = templates.accountManagerCreated(manager, temporaryPassword);
+      await sendEmail(manager.email, mail.subject, mail.text);
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+
+    return res.status(201).json({
+      message: 'Account manager created',
+      accountManager: {
+        id: manager.id,
+        firstName: manager.firstName,
+        lastName: manager.lastName,
+        email: manager.email,
+        role: manager.role,
+      },
+    });
+  } catch (error) {
+    console.error('Error creating account manager:', error);
+    return res.status(500).json({ error: 'Failed to create account manager' });
+  }
+};
+
+// ================== REASSIGN CLIENT ================== //
+// Moves a client to another account manager of the same side. Open orders
+// follow the client unless moveOpenOrders is false, so the new manager can
+// see them; finished orders stay with the manager who handled them.
+const reassignClient = async (req, res) => {
+  let transaction;
+  try {
+    const { clientId } = req.params;
+    const { accountManagerId, moveOpenOrders = true } = req.body;
+    if (!accountManagerId) {
+      return res.status(400).json({ error: 'accountManagerId is required' });
+    }
+
+    transaction = await sequelize.transaction();
+    const client = await User.findOne({
+      where: { id: clientId, clientType: { [Op.in]: ['Buyer', 'Supplier'] } },
+      transaction,
+    });
+    if (!client) {
+      await transaction.rollback();
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const side = managerRoleFor(client.clientType);
+    const target = await User.findOne({
+      where: { id: accountManagerId, role: side, clientType: null },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!target) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: `Account manager not found, or not a ${side} account manager`,
+      });
+    }
+    if (target.suspendedAt) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: 'Cannot assign clients to a suspended account manager',
+      });
+    }
+
+    const previous = await User.findAll({
+      where: {
+        role: side,
+        clientType: null,
+        managedClient: { [Op.contains]: [client.id] },
+        id: { [Op.ne]: target.id },
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    for (const manager of previous) {
+      await manager.update(
+        {
+          managedClient: manager.managedClient.filter((id) => id !== client.id),
+        },
+        { transaction }
+      );
+    }
+    const managed = target.managedClient || [];
+    if (!managed.includes(client.id)) {
+      await target.update(
+        { managedClient: [...managed, client.id] },
+        { transaction }
+      );
+    }
+
+    let movedOrders = 0;
+    if (moveOpenOrders) {
+      [movedOrders] = await Order.update(
+        { [`${side}AccountManagerId`]: target.id },
+        {
+          where: {
+            [`${side}Id`]: client.id,
+            status: { [Op.notIn]: TERMINAL_STATUSES },
+          },
+          transaction,
+        }
+      );
+    }
+
+    await transaction.commit();
+    return res.status(200).json({
+      message: 'Client reassigned',
+      clientId: client.id,
+      accountManagerId: target.id,
+      previousAccountManagerIds: previous.map((manager) => manager.id),
+      movedOrders,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error('Error reassigning client:', error);
+    return res.status(500).json({ error: 'Failed to reassign client' });
   }
-  res.status(401).json({ error: 'Invalid admin credentials' });
 };
 
-module.exports = {loginAdmin};
\ No newline at end of file
+// ================== SUSPEND USER ================== //
+const suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+
+    const user = await User.findByPk(userId, {
+      attributes: PUBLIC_USER_ATTRIBUTES,
+    });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.suspendedAt) {
+      return res.status(409).json({ error: 'User is already suspended' });
+    }
+
+    await user.update({
+      suspendedAt: new Date(),
+      suspendedById: req.user.id,
+      suspensionReason: reason || null,
+    });
+    await revokeUserSessions(user.id, 'suspended');
+
+    try {
+      const mail = templates.accountSuspended(user, reason);
+      await sendEmail(user.email, mail.subject, mail.text);
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+
+    return res.status(200).json({ message: 'User suspended', user });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    return res.status(500).json({ error: 'Failed to suspend user' });
+  }
+};
+
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId, {
+      attributes: PUBLIC_USER_ATTRIBUTES,
+    });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.suspendedAt) {
+      return res.status(409).json({ error: 'User is not suspended' });
+    }
+
+    await user.update({
+      suspendedAt: null,
+      suspendedById: null,
+      suspensionReason: null,
+    });
+    return res.status(200).json({ message: 'User reactivated', user });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    return res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+};
+
+module.exports = {
+  loginAdmin,
+  getAccountManagers,
+  createAccountManager,
+  reassignClient,
+  suspendUser,
+  reactivateUser,
+};
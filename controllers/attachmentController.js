@@ -0,0 +1,243 @@
+const { OrderAttachment, User, Notification } = require("../models");
+const storage = require("../services/storage");
+const {
+  ATTACHMENT_CATEGORIES,
+  ATTACHABLE_STATUSES,
+  checkAttachmentFile,
+  checkRequiredCategories,
+  getMissingAttachments,
+  storeAttachments,
+} = require("../services/attachmentService");
+const { TERMINAL_STATUSES } = require("../services/orderStateMachine");
+const { findVisibleOrder } = require("../services/orderAccessService");
+
+const partiesOf = (order) => [
+  order.buyerId,
+  order.supplierId,
+  order.buyerAccountManagerId,
+  order.supplierAccountManagerId,
+];
+
+const isAccountManagerOf = (order, userId) =>
+  [order.buyerAccountManagerId, order.supplierAccountManagerId].includes(
+    userId
+  );
+
+/**
+ * The order, or sends 404 and returns null when it does not exist or the
+ * user cannot see it
+ */
+async function findAccessibleOrder(req, res) {
+  const order = await findVisibleOrder(req.user, req.params.id);
+  if (!order) {
+    res.status(404).json({ error: "Order not found" });
+    return null;
+  }
+  return order;
+}
+
+const describeAttachment = (attachment) => ({
+  id: attachment.id,
+  category: attachment.category,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  sha256: attachment.sha256,
+  description: attachment.description,
+  claimId: attachment.claimId,
+  uploadedBy: attachment.uploadedBy
+    ? {
+        id: attachment.uploadedBy.id,
+        name: `${attachment.uploadedBy.firstName} ${attachment.uploadedBy.lastName}`,
+      }
+    : attachment.uploadedById,
+  uploadedAt: attachment.createdAt,
+  downloadUrl: `/api/orders/${attachment.orderId}/attachments/${attachment.id}/download`,
+});
+
+// ================== UPLOAD ATTACHMENTS ================== //
+exports.uploadAttachments = async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    if (!ATTACHABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        error: `Attachments can only be added while the order is ${ATTACHABLE_STATUSES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+
+    // Every file is checked before any is stored
+    const { category, description } = req.body;
+    const errors = [
+      ...new Set(
+        files.map((file) => checkAttachmentFile(category, file)).filter(Boolean)
+      ),
+    ];
+    if (errors.length) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const attachments = await storeAttachments(order, files, {
+      category,
+      description,
+      uploadedById: req.user.id,
+    });
+
+    const label = ATTACHMENT_CATEGORIES[category].label;
+    await Notification.bulkCreate(
+      [...new Set(partiesOf(order))]
+        .filter((userId) => userId && userId !== req.user.id)
+        .map((userId) => ({
+          userId,
+          orderId: order.id,
+          message: `${files.length} ${label.toLowerCase()} file${
+            files.length === 1 ? "" : "s"
+          } added to the order`,
+          type: "document_uploaded",
+          metadata: {
+            category,
+            attachmentIds: attachments.map((attachment) => attachment.id),
+          },
+        }))
+    );
+
+    res.status(201).json({
+      message: `${attachments.length} attachment${
+        attachments.length === 1 ? "" : "s"
+      } uploaded`,
+      attachments: attachments.map(describeAttachment),
+      missingRequired: await getMissingAttachments(order),
+    });
+  } catch (error) {
+    console.error("Error uploading attachments:", error);
+    res.status(500).json({ error: "Failed to upload attachments" });
+  }
+};
+
+// ================== LIST ATTACHMENTS ================== //
+exports.getAttachments = async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    const where = { orderId: order.id };
+    if (req.query.category) where.category = req.query.category;
+
+    const attachments = await OrderAttachment.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: "uploadedBy",
+          attributes: ["id", "firstName", "lastName"],
+        },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      orderId: order.id,
+      requiredAttachments: order.requiredAttachments || [],
+      missingRequired: await getMissingAttachments(order),
+      attachments: attachments.map(describeAttachment),
+    });
+  } catch (error) {
+    console.error("Error fetching attachments:", error);
+    res.status(500).json({ error: "Failed to fetch attachments" });
+  }
+};
+
+// ================== DOWNLOAD ATTACHMENT ================== //
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+
+    const attachment = await OrderAttachment.findOne({
+      where: { id: req.params.attachmentId, orderId: order.id },
+    });
+    if (!attachment) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    const file = await storage.getStream(attachment.fileRef, {
+      isPrivate: true,
+    });
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Disposition": `attachment; filename="${attachment.fileName.replace(
+        /[^\w.-]/g,
+        "_"
+      )}"`,
+      "Cache-Control": "private, no-store",
+    });
+    file.on("error", (error) => {
+      console.error("Attachment stream error:", {
+        attachmentId: attachment.id,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+    file.pipe(res);
+  } catch (error) {
+    console.error("Error downloading attachment:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to download attachment" });
+    }
+  }
+};
+
+// ================== SET REQUIRED ATTACHMENTS ================== //
+exports.setRequiredAttachments = async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req, res);
+    if (!order) return;
+    if (!isAccountManagerOf(order, req.user.id)) {
+      return res.status(403).json({
+        error: "Only the order's account managers can set required attachments",
+      });
+    }
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        error: `Order is already ${order.status}`,
+      });
+    }
+
+    const { categories } = req.body;
+    const categoryError = checkRequiredCategories(categories);
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
+    }
+
+    await order.update({ requiredAttachments: [...new Set(categories)] });
+
+    res.json({
+      message: "Required attachments updated",
+      requiredAttachments: order.requiredAttachments,
+      missingRequired: await getMissingAttachments(order),
+    });
+  } catch (error) {
+    console.error("Error setting required attachments:", error);
+    res.status(500).json({ error: "Failed to set required attachments" });
+  }
+};
+
+// ================== ATTACHMENT CATEGORIES ================== //
+exports.getAttachmentCategories = (req, res) => {
+  res.json(
+    Object.entries(ATTACHMENT_CATEGORIES).map(([category, rule]) => ({
+      category,
+      label: rule.label,
+      mimeTypes: rule.mimeTypes,
+      maxBytes: rule.maxBytes,
+    }))
+  );
+};
@@ -1,10 +1,19 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const crypto = require("crypto");
 const { Op } = require("sequelize");
 const sequelize = require("../config/database");
 const { templates, sendEmail } = require("../utils/emailService");
+const {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../services/sessionService");
+const { ADMIN_ROLE } = require("../config/permissions");
+
+// Roles that belong to accounts an admin creates
+const RESERVED_ROLES = [ADMIN_ROLE.toLowerCase(), "buyer", "supplier"];
 
 const register = async (req, res) => {
   const {
@@ -30,15 +39,20 @@ const register = async (req, res) => {
       return res.status(400).json({ error: "Email already exists" });
     }
 
-    // FIXED: Correct clientType validation logic
-    if (!['buyer', 'supplier'].includes(role.toLowerCase()) && !clientType) {
-      return res.status(400).json({ error: "Client type is required for users" });
+    // Only clients sign up here: account managers and admins are created
+    // by an admin, so their roles cannot be taken at registration
+    if (!["Buyer", "Supplier"].includes(clientType)) {
+      return res
+        .status(400)
+        .json({ error: "Client type must be either Buyer or Supplier" });
     }
-
-    if (['buyer', 'supplier'].includes(role.toLowerCase()) && clientType) {
-      return res.status(400).json({ 
-        error: "Account Managers should not have a client type" 
-      });
+    if (typeof role !== "string" || !role.trim()) {
+      return res.status(400).json({ error: "Role is required" });
+    }
+    if (RESERVED_ROLES.includes(role.trim().toLowerCase())) {
+      return res
+        .status(400)
+        .json({ error: "This role cannot be chosen at registration" });
     }
 
     // Hash the password
@@ -58,7 +72,7 @@ const register = async (req, res) => {
       email,
       password: hashedPassword,
       role,
-      clientType: ['buyer', 'supplier'].includes(role.toLowerCase()) ? null : clientType,
+      clientType,
       whatsappNumber,
       status: 'pending'
     });
@@ -156,6 +170,9 @@ const login = async (req, res) => {
     if (!isPasswordValid) {
       return res.status(401).json({ error: "Invalid password" });
     }
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: "Account suspended" });
+    }
     // Check if user is approved
     if (user.status !== "approved") {
       return res.status(403).json({
@@ -170,13 +187,7 @@ const login = async (req, res) => {
     // Check if first login (password never changed)
     const isFirstLogin = !user.passwordChangedAt;
 
-    const token = jwt.sign(
-      { id: user.id, clientType: user.clientType, role: user.role },
-      process.env.JWT_SECRET,
-      {
-        expiresIn: "24h",
-      }
-    );
+    const tokens = await startSession(user, req);
 
     res.status(200).json({
       message: "Login successful",
@@ -190,7 +201,7 @@ const login = async (req, res) => {
         hasRegisteredProduct: user.hasRegisteredProduct,
         requiresPasswordChange: isFirstLogin,
       },
-      token,
+      ...tokens,
     });
 
     //update Last login
@@ -313,6 +324,7 @@ const resetPassword = async (req, res) => {
     user.resetTokenExpiry = null;
     user.resetCodeExpiry = null;
     await user.save();
+    await revokeUserSessions(user.id, "password_changed");
 
     res.status(200).json({ message: "Password reset successful" });
   } catch (error) {
@@ -337,12 +349,17 @@ const updatePassword = async (req, res) => {
       return res.status(400).json({ error: "New password must be different" });
     }
 
-    // Update password (model hook will set passwordChangedAt)
+    // Update password (model hook will set passwordChangedAt). That ends
+    // every session, this one included, so the caller gets a fresh one.
     await user.update({
       password: await bcrypt.hash(newPassword, 12),
     });
+    await revokeUserSessions(user.id, "password_changed");
 
-    res.json({ message: "Password updated successfully" });
+    res.json({
+      message: "Password updated successfully",
+      ...(await startSession(user, req)),
+    });
   } catch (error) {
     res.status(500).json({ error: "Password update failed" });
   }
@@ -364,16 +381,62 @@ const setInitialPassword = async (req, res) => {
     await user.update({
       password: await bcrypt.hash(newPassword, 12),
     });
+    await revokeUserSessions(user.id, "password_changed");
 
-    res.json({ message: "Password set successfully" });
+    res.json({
+      message: "Password set successfully",
+      ...(await startSession(user, req)),
+    });
   } catch (error) {
     res.status(500).json({ error: "Password setup failed" });
   }
 };
 
+// ================== SESSIONS ================== //
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const result = await refreshSession(refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, "logout");
+    res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ error: "Logout failed" });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const sessionsEnded = await revokeUserSessions(req.user.id, "logout_all");
+    res.status(200).json({ message: "Logged out everywhere", sessionsEnded });
+  } catch (error) {
+    console.error("Error logging out of all sessions:", error);
+    res.status(500).json({ error: "Logout failed" });
+  }
+};
+
 module.exports = {
   register,
   login,
+  refreshAccessToken,
+  logout,
+  logoutAll,
   forgotPassword,
   resetPassword,
   updatePassword,
@@ -0,0 +1,745 @@
+const sequelize = require("../config/database");
+const {
+  Order,
+  OrderLine,
+  Claim,
+  Document,
+  OrderAttachment,
+  User,
+  Notification,
+} = require("../models");
+const storage = require("../services/storage");
+const {
+  checkAttachmentFile,
+  storeAttachments,
+} = require("../services/attachmentService");
+const {
+  CLAIM_CATEGORIES,
+  CLAIMABLE_STATUSES,
+  OPEN_CLAIM_STATUSES,
+  parseDeduction,
+  remainingDeductible,
+  refreshClaimDeduction,
+  settlementApproverId,
+} = require("../services/claimService");
+const {
+  canSeeOrder,
+  findVisibleOrder,
+} = require("../services/orderAccessService");
+const DocumentController = require("./documentController");
+
+const partiesOf = (order) => [
+  order.buyerId,
+  order.supplierId,
+  order.buyerAccountManagerId,
+  order.supplierAccountManagerId,
+];
+
+const isAccountManagerOf = (order, userId) =>
+  [order.buyerAccountManagerId, order.supplierAccountManagerId].includes(
+    userId
+  );
+
+const userAttributes = ["id", "firstName", "lastName"];
+
+const claimIncludes = [
+  { model: User, as: "raisedBy", attributes: userAttributes },
+  { model: User, as: "respondedBy", attributes: userAttributes },
+  { model: User, as: "proposedBy", attributes: userAttributes },
+  { model: User, as: "closedBy", attributes: userAttributes },
+  {
+    model: OrderAttachment,
+    as: "evidence",
+    attributes: [
+      "id",
+      "category",
+      "fileName",
+      "mimeType",
+      "size",
+      "uploadedById",
+      "createdAt",
+    ],
+  },
+];
+
+/**
+ * Tell every party of the order except the one who acted
+ */
+function notifyClaimParties(order, actorId, message, type, metadata, options) {
+  return Notification.bulkCreate(
+    [...new Set(partiesOf(order))]
+      .filter((userId) => userId && userId !== actorId)
+      .map((userId) => ({
+        userId,
+        orderId: order.id,
+        message,
+        type,
+        triggeredById: actorId,
+        metadata,
+      })),
+    options
+  );
+}
+
+/**
+ * Check the uploaded evidence files. Returns an error message, or null.
+ */
+function checkEvidence(files, category) {
+  const errors = files
+    .map((file) => checkAttachmentFile(category, file))
+    .filter(Boolean);
+  return errors.length ? errors[0] : null;
+}
+
+/**
+ * The claim (locked in `transaction`) and its order, or sends 404 and
+ * returns null when the claim does not exist or the user cannot see its
+ * order
+ */
+async function findClaim(req, res, transaction) {
+  const claim = await Claim.findByPk(req.params.claimId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+  });
+  const order =
+    claim &&
+    (await Order.findByPk(claim.orderId, {
+      include: [{ model: OrderLine, as: "lines" }],
+      transaction,
+    }));
+  if (!claim || !(await canSeeOrder(req.user, order))) {
+    res.status(404).json({ error: "Claim not found" });
+    return null;
+  }
+  return { claim, order };
+}
+
+// ================== RAISE CLAIM ================== //
+exports.raiseClaim = async (req, res) => {
+  let evidence = [];
+  let transaction;
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id, {
+      include: [{ model: OrderLine, as: "lines" }],
+    });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    if (req.user.id !== order.buyerId) {
+      return res.status(403).json({
+        error: "Only the order's buyer can raise a claim",
+      });
+    }
+    if (!CLAIMABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        error: `Claims can only be raised while the order is ${CLAIMABLE_STATUSES.join(
+          " or "
+        )}`,
+      });
+    }
+
+    const { category, description } = req.body;
+    if (!CLAIM_CATEGORIES[category]) {
+      return res.status(400).json({
+        error: `category must be one of ${Object.keys(CLAIM_CATEGORIES).join(
+          ", "
+        )}`,
+      });
+    }
+    if (!description || !String(description).trim()) {
+      return res.status(400).json({ error: "description is required" });
+    }
+    const requestedDeduction = parseDeduction(req.body.requestedDeduction);
+    if (!requestedDeduction) {
+      return res.status(400).json({
+        error: "requestedDeduction must be a positive amount",
+      });
+    }
+    const deductible = remainingDeductible(order);
+    if (requestedDeduction > deductible) {
+      return res.status(400).json({
+        error: `requestedDeduction cannot exceed the ${deductible} ${order.priceCurrency} left on the order`,
+      });
+    }
+
+    const files = req.files || [];
+    const evidenceCategory =
+      req.body.evidenceCategory || CLAIM_CATEGORIES[category].evidenceCategory;
+    const evidenceError = checkEvidence(files, evidenceCategory);
+    if (evidenceError) return res.status(400).json({ error: evidenceError });
+
+    transaction = await sequelize.transaction();
+    const claim = await Claim.create(
+      {
+        orderId: order.id,
+        category,
+        description,
+        requestedDeduction,
+        raisedById: req.user.id,
+      },
+      { transaction }
+    );
+    if (files.length) {
+      evidence = await storeAttachments(order, files, {
+        category: evidenceCategory,
+        description: `Evidence for ${CLAIM_CATEGORIES[
+          category
+        ].label.toLowerCase()} claim`,
+        uploadedById: req.user.id,
+        claimId: claim.id,
+        transaction,
+      });
+    }
+
+    await notifyClaimParties(
+      order,
+      req.user.id,
+      `${CLAIM_CATEGORIES[category].label} claim raised for ${requestedDeduction} ${order.priceCurrency}`,
+      "claim_raised",
+      { claimId: claim.id, category, requestedDeduction },
+      { transaction }
+    );
+    await transaction.commit();
+
+    res.status(201).json({
+      message: "Claim raised",
+      claim,
+      evidence: evidence.map((attachment) => ({
+        id: attachment.id,
+        category: attachment.category,
+        fileName: attachment.fileName,
+        downloadUrl: `/api/orders/${order.id}/attachments/${attachment.id}/download`,
+      })),
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    // Evidence recorded in the rolled back transaction is gone
+    await Promise.all(
+      evidence.map(({ fileRef }) =>
+        storage.delete(fileRef, { isPrivate: true }).catch(() => {})
+      )
+    );
+    console.error("Error raising claim:", error);
+    res.status(500).json({ error: "Failed to raise claim" });
+  }
+};
+
+// ================== LIST ORDER CLAIMS ================== //
+exports.getOrderClaims = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const claims = await Claim.findAll({
+      where: { orderId: order.id },
+      include: claimIncludes,
+      order: [["createdAt", "DESC"]],
+    });
+
+    res.json({
+      orderId: order.id,
+      currency: order.priceCurrency,
+      claimDeduction: Number(order.claimDeduction) || 0,
+      openClaims: claims.filter((claim) =>
+        OPEN_CLAIM_STATUSES.includes(claim.status)
+      ).length,
+      claims,
+    });
+  } catch (error) {
+    console.error("Error fetching claims:", error);
+    res.status(500).json({ error: "Failed to fetch claims" });
+  }
+};
+
+// ================== GET CLAIM ================== //
+exports.getClaim = async (req, res) => {
+  try {
+    const found = await findClaim(req, res);
+    if (!found) return;
+
+    const claim = await Claim.findByPk(found.claim.id, {
+      include: claimIncludes,
+    });
+    res.json({
+      claim,
+      currency: found.order.priceCurrency,
+      approverId:
+        claim.status === "settlement_proposed"
+          ? settlementApproverId(found.order, claim.proposedById)
+          : null,
+    });
+  } catch (error) {
+    console.error("Error fetching claim:", error);
+    res.status(500).json({ error: "Failed to fetch claim" });
+  }
+};
+
+// ================== ADD EVIDENCE ================== //
+exports.addClaimEvidence = async (req, res) => {
+  try {
+    const found = await findClaim(req, res);
+    if (!found) return;
+    const { claim, order } = found;
+
+    if (!OPEN_CLAIM_STATUSES.includes(claim.status)) {
+      return res
+        .status(400)
+        .json({ error: `Claim is already ${claim.status}` });
+    }
+
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+    const category =
+      req.body.category || CLAIM_CATEGORIES[claim.category].evidenceCategory;
+    const evidenceError = checkEvidence(files, category);
+    if (evidenceError) return res.status(400).json({ error: evidenceError });
+
+    const evidence = await storeAttachments(order, files, {
+      category,
+      description: req.body.description,
+      uploadedById: req.user.id,
+      claimId: claim.id,
+    });
+
+    await notifyClaimParties(
+      order,
+      req.user.id,
+      `${files.length} evidence file${
+        files.length === 1 ? "" : "s"
+      } added to a ${CLAIM_CATEGORIES[
+        claim.category
+      ].label.toLowerCase()} claim`,
+      "claim_updated",
+      {
+        claimId: claim.id,
+        attachmentIds: evidence.map((attachment) => attachment.id),
+      }
+    );
+
+    res.status(201).json({
+      message: "Evidence added",
+      evidence: evidence.map((attachment) => ({
+        id: attachment.id,
+        category: attachment.category,
+        fileName: attachment.fileName,
+        downloadUrl: `/api/orders/${order.id}/attachments/${attachment.id}/download`,
+      })),
+    });
+  } catch (error) {
+    console.error("Error adding claim evidence:", error);
+    res.status(500).json({ error: "Failed to add claim evidence" });
+  }
+};
+
+// ================== SUPPLIER RESPONSE ================== //
+exports.respondToClaim = async (req, res) => {
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const found = await findClaim(req, res, transaction);
+    if (!found) return await transaction.rollback();
+    const { claim, order } = found;
+
+    if (req.user.id !== order.supplierId) {
+      await transaction.rollback();
+      return res.status(403).json({
+        error: "Only the order's supplier can respond to a claim",
+      });
+    }
+    if (claim.status !== "open") {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: `Claim has already been ${claim.status}`,
+      });
+    }
+
+    const { decision, note } = req.body;
+    if (!["accepted", "disputed"].includes(decision)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: "decision must be accepted or disputed",
+      });
+    }
+    // A dispute may come with a smaller counter-offer, or none at all
+    let offeredDeduction = Number(claim.requestedDeduction);
+    if (decision === "disputed") {
+      offeredDeduction =
+        req.body.offeredDeduction === undefined
+          ? null
+          : parseDeduction(req.body.offeredDeduction);
+      if (req.body.offeredDeduction !== undefined && !offeredDeduction) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: "offeredDeduction must be a positive amount",
+        });
+      }
+      if (!note || !String(note).trim()) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: "A note explaining the dispute is required",
+        });
+      }
+    }
+
+    await claim.update(
+      {
+        status: "responded",
+        supplierDecision: decision,
+        supplierOfferedDeduction: offeredDeduction,
+        supplierNote: note || null,
+        respondedById: req.user.id,
+        respondedAt: new Date(),
+      },
+      { transaction }
+    );
+
+    await notifyClaimParties(
+      order,
+      req.user.id,
+      decision === "accepted"
+        ? `Supplier accepted the ${CLAIM_CATEGORIES[
+            claim.category
+          ].label.toLowerCase()} claim`
+        : `Supplier disputed the ${CLAIM_CATEGORIES[
+            claim.category
+          ].label.toLowerCase()} claim${
+            offeredDeduction
+              ? ` and offered ${offeredDeduction} ${order.priceCurrency}`
+              : ""
+          }`,
+      "claim_updated",
+      { claimId: claim.id, decision, offeredDeduction },
+      { transaction }
+    );
+    await transaction.commit();
+
+    res.json({ message: `Claim ${decision}`, claim });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error responding to claim:", error);
+    res.status(500).json({ error: "Failed to respond to claim" });
+  }
+};
+
+// ================== PROPOSE SETTLEMENT ================== //
+exports.proposeSettlement = async (req, res) => {
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const found = await findClaim(req, res, transaction);
+    if (!found) return await transaction.rollback();
+    const { claim, order } = found;
+
+    if (!isAccountManagerOf(order, req.user.id)) {
+      await transaction.rollback();
+      return res.status(403).json({
+        error: "Only the order's account managers can settle a claim",
+      });
+    }
+    // The supplier has its say first; a proposal can be revised
+    if (!["responded", "settlement_proposed"].includes(claim.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error:
+          claim.status === "open"
+            ? "The supplier has not responded to this claim yet"
+            : `Claim is already ${claim.status}`,
+      });
+    }
+
+    const deduction = parseDeduction(req.body.deduction);
+    if (!deduction) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: "deduction must be a positive amount",
+      });
+    }
+    const deductible = remainingDeductible(order);
+    if (deduction > deductible) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: `deduction cannot exceed the ${deductible} ${order.priceCurrency} left on the order`,
+      });
+    }
+
+    await claim.update(
+      {
+        status: "settlement_proposed",
+        proposedDeduction: deduction,
+        settlementNote: req.body.note || null,
+        proposedById: req.user.id,
+        proposedAt: new Date(),
+      },
+      { transaction }
+    );
+
+    const approverId = settlementApproverId(order, req.user.id);
+    await notifyClaimParties(
+      order,
+      req.user.id,
+      `Settlement of ${deduction} ${
+        order.priceCurrency
+      } proposed for a ${CLAIM_CATEGORIES[
+        claim.category
+      ].label.toLowerCase()} claim`,
+      "claim_updated",
+      { claimId: claim.id, proposedDeduction: deduction, approverId },
+      { transaction }
+    );
+    await transaction.commit();
+
+    res.json({
+      message: "Settlement proposed",
+      claim,
+      approverId,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error proposing claim settlement:", error);
+    res.status(500).json({ error: "Failed to propose settlement" });
+  }
+};
+
+// ================== APPROVE SETTLEMENT ================== //
+exports.approveSettlement = async (req, res) => {
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const found = await findClaim(req, res, transaction);
+    if (!found) return await transaction.rollback();
+    const { claim, order } = found;
+
+    if (claim.status !== "settlement_proposed") {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: "Claim has no settlement awaiting approval",
+      });
+    }
+    const approverId = settlementApproverId(order, claim.proposedById);
+    if (req.user.id !== approverId) {
+      await transaction.rollback();
+      return res.status(403).json({
+        error:
+          "The settlement must be approved by the other account manager of the order",
+      });
+    }
+    // Another claim may have settled since this one was proposed
+    const { claimDeduction } = await Order.findByPk(order.id, {
+      attributes: ["id", "claimDeduction"],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    order.claimDeduction = claimDeduction;
+    if (Number(claim.proposedDeduction) > remainingDeductible(order)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        error: `The proposed deduction exceeds the ${remainingDeductible(
+          order
+        )} ${order.priceCurrency} left on the order`,
+      });
+    }
+
+    await claim.update(
+      {
+        status: "settled",
+        agreedDeduction: claim.proposedDeduction,
+        closedById: req.user.id,
+        closedAt: new Date(),
+      },
+      { transaction }
+    );
+    await refreshClaimDeduction(order, transaction);
+
+    await notifyClaimParties(
+      order,
+      req.user.id,
+      `${CLAIM_CATEGORIES[claim.category].label} claim settled: ${
+        claim.agreedDeduction
+      } ${order.priceCurrency} deducted from the invoice`,
+      "claim_updated",
+      {
+        claimId: claim.id,
+        agreedDeduction: claim.agreedDeduction,
+        claimDeduction: order.claimDeduction,
+      },
+      { transaction }
+    );
+    await transaction.commit();
+
+    // The invoice is reissued with the deduction; account managers can
+    // retry through POST /claims/:claimId/invoice if this fails
+    let reissued = null;
+    try {
+      reissued = await DocumentController.reissueInvoice(
+        order,
+        req.user.id,
+        `claim deduction of ${claim.agreedDeduction} ${order.priceCurrency}`
+      );
+    } catch (error) {
+      console.error("Invoice reissue after claim settlement failed:", {
+        error: error.message,
+        claimId: claim.id,
+        orderId: order.id,
+      });
+    }
+
+    res.json({
+      message: "Claim settled",
+      claim,
+      claimDeduction: Number(order.claimDeduction),
+      invoice: reissued
+        ? {
+            documentId: reissued.document.id,
+            invoiceNumber: reissued.document.invoiceNumber,
+            amountPayable: reissued.invoice.amountPayable,
+            supersededInvoiceNumber: reissued.previous.invoiceNumber,
+          }
+        : null,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error approving claim settlement:", error);
+    res.status(500).json({ error: "Failed to approve settlement" });
+  }
+};
+
+// ================== REISSUE INVOICE ================== //
+exports.reissueClaimInvoice = async (req, res) => {
+  try {
+    const found = await findClaim(req, res);
+    if (!found) return;
+    const { claim, order } = found;
+
+    if (!isAccountManagerOf(order, req.user.id)) {
+      return res.status(403).json({
+        error: "Only the order's account managers can reissue the invoice",
+      });
+    }
+    if (claim.status !== "settled") {
+      return res.status(400).json({ error: "Claim is not settled" });
+    }
+
+    const current = await Document.findOne({
+      where: { orderId: order.id, type: "invoice", supersededById: null },
+    });
+    if (!current) {
+      return res.status(400).json({
+        error:
+          "The order has not been invoiced yet; its invoice will include the deduction",
+      });
+    }
+    // Nothing to do when the current invoice already carries the deduction
+    if (
+      Number((current.metadata || {}).claimDeduction || 0) ===
+      Number(order.claimDeduction)
+    ) {
+      return res.json({
+        message: "Invoice already includes the claim deductions",
+        invoice: {
+          documentId: current.id,
+          invoiceNumber: current.invoiceNumber,
+          amountPayable: (current.metadata || {}).amountPayable,
+        },
+      });
+    }
+
+    const reissued = await DocumentController.reissueInvoice(
+      order,
+      req.user.id,
+      `claim deduction of ${claim.agreedDeduction} ${order.priceCurrency}`
+    );
+
+    res.status(201).json({
+      message: `Invoice reissued as ${reissued.document.invoiceNumber}`,
+      invoice: {
+        documentId: reissued.document.id,
+        invoiceNumber: reissued.document.invoiceNumber,
+        amountPayable: reissued.invoice.amountPayable,
+        supersededInvoiceNumber: reissued.previous.invoiceNumber,
+      },
+    });
+  } catch (error) {
+    console.error("Error reissuing invoice for claim:", error);
+    res.status(500).json({ error: "Failed to reissue invoice" });
+  }
+};
+
+// ================== REJECT / WITHDRAW CLAIM ================== //
+const closeClaim = (status) => async (req, res) => {
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const found = await findClaim(req, res, transaction);
+    if (!found) return await transaction.rollback();
+    const { claim, order } = found;
+
+    const allowed =
+      status === "rejected"
+        ? isAccountManagerOf(order, req.user.id)
+        : req.user.id === order.buyerId;
+    if (!allowed) {
+      await transaction.rollback();
+      return res.status(403).json({
+        error:
+          status === "rejected"
+            ? "Only the order's account managers can reject a claim"
+            : "Only the order's buyer can withdraw a claim",
+      });
+    }
+    if (!OPEN_CLAIM_STATUSES.includes(claim.status)) {
+      await transaction.rollback();
+      return res
+        .status(400)
+        .json({ error: `Claim is already ${claim.status}` });
+    }
+
+    const { reason } = req.body;
+    if (status === "rejected" && !(reason && String(reason).trim())) {
+      await transaction.rollback();
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    await claim.update(
+      {
+        status,
+        closedById: req.user.id,
+        closedAt: new Date(),
+        closingReason: reason || null,
+      },
+      { transaction }
+    );
+
+    await notifyClaimParties(
+      order,
+      req.user.id,
+      `${CLAIM_CATEGORIES[claim.category].label} claim ${status}${
+        reason ? `: ${reason}` : ""
+      }`,
+      "claim_updated",
+      { claimId: claim.id, status, reason: reason || null },
+      { transaction }
+    );
+    await transaction.commit();
+
+    res.json({ message: `Claim ${status}`, claim });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error(`Error closing claim as ${status}:`, error);
+    res.status(500).json({ error: "Failed to update claim" });
+  }
+};
+
+exports.rejectClaim = closeClaim("rejected");
+exports.withdrawClaim = closeClaim("withdrawn");
+
+// ================== CLAIM CATEGORIES ================== //
+exports.getClaimCategories = (req, res) => {
+  res.json(
+    Object.entries(CLAIM_CATEGORIES).map(([category, rule]) => ({
+      category,
+      label: rule.label,
+      evidenceCategory: rule.evidenceCategory,
+    }))
+  );
+};
@@ -0,0 +1,184 @@
+const { Op } = require("sequelize");
+const { ClauseTemplate } = require("../models");
+const sequelize = require("../config/database");
+const { validateClause } = require("../services/clauseService");
+
+const CLAUSE_FIELDS = ["title", "content", "documentTypes", "position"];
+
+const pickClauseFields = (body) =>
+  CLAUSE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+// ================== LIST CLAUSES ================== //
+exports.getClauses = async (req, res) => {
+  try {
+    const { documentType, includeHistory } = req.query;
+
+    const where = includeHistory === "true" ? {} : { isCurrent: true };
+    if (documentType) {
+      where.documentTypes = { [Op.contains]: [documentType] };
+    }
+
+    const clauses = await ClauseTemplate.findAll({
+      where,
+      order: [
+        ["position", "ASC"],
+        ["key", "ASC"],
+        ["version", "DESC"],
+      ],
+    });
+
+    res.status(200).json({ clauses });
+  } catch (error) {
+    console.error("Error fetching clauses:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch clauses",
+    });
+  }
+};
+
+// ================== CLAUSE VERSIONS ================== //
+exports.getClauseVersions = async (req, res) => {
+  try {
+    const versions = await ClauseTemplate.findAll({
+      where: { key: req.params.key },
+      order: [["version", "DESC"]],
+    });
+    if (!versions.length) {
+      return res.status(404).json({ message: "Clause not found" });
+    }
+
+    res.status(200).json({ key: req.params.key, versions });
+  } catch (error) {
+    console.error("Error fetching clause versions:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch clause versions",
+    });
+  }
+};
+
+// ================== CREATE CLAUSE ================== //
+exports.createClause = async (req, res) => {
+  try {
+    const fields = { key: req.body.key, ...pickClauseFields(req.body) };
+    const errors = validateClause(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid clause", errors });
+    }
+
+    const existing = await ClauseTemplate.findOne({
+      where: { key: fields.key },
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: `Clause ${fields.key} already exists; update it to add a new version`,
+      });
+    }
+
+    const clause = await ClauseTemplate.create({
+      ...fields,
+      version: 1,
+      isCurrent: true,
+      createdBy: req.user.email || req.user.id,
+    });
+
+    res.status(201).json({ message: "Clause created", clause });
+  } catch (error) {
+    console.error("Error creating clause:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to create clause",
+    });
+  }
+};
+
+// ================== UPDATE CLAUSE (NEW VERSION) ================== //
+exports.updateClause = async (req, res) => {
+  let transaction;
+  try {
+    const fields = pickClauseFields(req.body);
+    const errors = validateClause(fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid clause", errors });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ message: "Nothing to update" });
+    }
+
+    transaction = await sequelize.transaction();
+
+    const latest = await ClauseTemplate.findOne({
+      where: { key: req.params.key },
+      order: [["version", "DESC"]],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!latest) {
+      await transaction.rollback();
+      return res.status(404).json({ message: "Clause not found" });
+    }
+
+    // Earlier versions stay untouched so old documents can be reproduced
+    await ClauseTemplate.update(
+      { isCurrent: false },
+      { where: { key: latest.key, isCurrent: true }, transaction }
+    );
+    const clause = await ClauseTemplate.create(
+      {
+        key: latest.key,
+        version: latest.version + 1,
+        title: latest.title,
+        content: latest.content,
+        documentTypes: latest.documentTypes,
+        position: latest.position,
+        ...fields,
+        isCurrent: true,
+        createdBy: req.user.email || req.user.id,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    res.status(200).json({
+      message: `Clause ${clause.key} updated to version ${clause.version}`,
+      clause,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error updating clause:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to update clause",
+    });
+  }
+};
+
+// ================== RETIRE CLAUSE ================== //
+exports.retireClause = async (req, res) => {
+  try {
+    const [updated] = await ClauseTemplate.update(
+      { isCurrent: false },
+      { where: { key: req.params.key, isCurrent: true } }
+    );
+    if (!updated) {
+      return res
+        .status(404)
+        .json({ message: "No current version of this clause" });
+    }
+
+    res.status(200).json({
+      message: `Clause ${req.params.key} will no longer be printed on new documents`,
+    });
+  } catch (error) {
+    console.error("Error retiring clause:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to retire clause",
+    });
+  }
+};
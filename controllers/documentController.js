@@ -1,96 +1,213 @@
-const { PDFDocument, rgb, StandardFonts } = require("pdf-lib");
+const { PDFDocument, rgb } = require("pdf-lib");
 const { v4: uuidv4 } = require("uuid");
-const { Order, Document, Notification, User } = require("../models");
-const cloudinary = require("cloudinary").v2;
+const {
+  Order,
+  OrderLine,
+  Document,
+  Notification,
+  User,
+  SigningRequest,
+  DocumentDownload,
+  IssuedNumber,
+} = require("../models");
 const path = require("path");
 const fs = require("fs");
 const dotenv = require("dotenv");
 const logoPath = path.join(__dirname, "../assets/revas-logo.png");
 const { generateInvoiceNumber } = require("../utils/invoiceGenerator");
+const { getOrderLines } = require("../services/orderLineService");
+const { convert } = require("../services/fxService");
+const { computeInvoice } = require("../services/invoiceService");
+const { issuer, bank } = require("../config/invoicing");
+const { PdfLayout } = require("../utils/pdfLayout");
+const { embedUnicodeFont } = require("../utils/pdfFonts");
+const {
+  getClauseSet,
+  clauseVersionsOf,
+  getClausesByVersions,
+} = require("../services/clauseService");
+const {
+  checkTransition,
+  transitionOrder,
+} = require("../services/orderStateMachine");
+const {
+  canSeeOrder,
+  findVisibleOrder,
+} = require("../services/orderAccessService");
+const { hasPermission } = require("../services/permissionService");
 const crypto = require("crypto");
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
 const axios = require("axios");
 const { Op } = require("sequelize");
+const sequelize = require("../config/database");
+const {
+  linkDocument,
+  voidNumber,
+} = require("../services/numberSequenceService");
+const storage = require("../services/storage");
+const {
+  parseSignature,
+  stampSignature,
+} = require("../services/signatureService");
+const {
+  sha256,
+  addFileVersion,
+  findDocumentByHash,
+  appendCertificate,
+} = require("../services/documentIntegrityService");
 
 dotenv.config();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-function drawWrappedText(page, text, x, y, maxWidth, lineHeight, options) {
-  const words = String(text).split(" ");
-  let currentLine = "";
-  let currentY = y;
-
-  for (const word of words) {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    const testWidth = options.font.widthOfTextAtSize(testLine, options.size);
-
-    if (testWidth > maxWidth && currentLine) {
-      page.drawText(currentLine, { ...options, x, y: currentY });
-      currentY -= lineHeight;
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
-  }
+// Invoices are issued once the signed order is being fulfilled
+const INVOICEABLE_STATUSES = ["processing", "completed"];
+
+// Documents both parties of an order sign before it moves to processing
+const ORDER_DOCUMENT_TYPES = ["sales_order", "purchase_order"];
+
+// Order documents can be corrected until every party has signed
+const REGENERATABLE_ORDER_STATUSES = ["matched", "document_phase"];
 
-  if (currentLine) {
-    page.drawText(currentLine, { ...options, x, y: currentY });
+// Height of the box a signature is stamped into
+const SIGNATURE_FIELD_HEIGHT = 45;
+
+// Time-limited URL for a privately stored PDF
+const privateFileUrl = (key, expiresIn = 3600) =>
+  storage.getSignedUrl(key, { expiresIn, isPrivate: true });
+
+async function addLogoToPDF(pdfDoc) {
+  try {
+    const logoBytes = fs.readFileSync(logoPath);
+    return await pdfDoc.embedPng(logoBytes);
+  } catch (error) {
+    console.error("Logo not found. Using text fallback:", error.message);
+    return null;
   }
-  return currentY; // Return final Y position
 }
-function getClauses(page, heading, fontBold, fontNormal, clauses) {
-  page.drawText(heading, {
-    x: 32,
-    y: 740,
-    size: 40,
-    color: rgb(0, 0, 0),
-    font: fontBold,
+
+/**
+ * Embed fonts and logo and set up a flowing layout with the running
+ * header (from page 2) and the page-numbered footer used by all
+ * generated documents.
+ */
+async function createDocumentLayout({ title, documentNumber, date }) {
+  const pdfDoc = await PDFDocument.create();
+
+  // Order data (names, addresses, products) is not limited to Latin-1
+  const regularFont = await embedUnicodeFont(pdfDoc);
+  const boldFont = await embedUnicodeFont(pdfDoc, "bold");
+  const grey = rgb(0.3, 0.3, 0.3);
+
+  const logoImage = await addLogoToPDF(pdfDoc);
+  const layout = new PdfLayout(pdfDoc, {
+    font: regularFont,
+    // Page 1 opens with the title block; later pages get a running header
+    header: (page, { pageNumber }) => {
+      if (pageNumber === 1) return;
+      page.drawText(`${title}  ${documentNumber}`, {
+        x: 32,
+        y: 770,
+        size: 9,
+        font: boldFont,
+        color: grey,
+      });
+      page.drawText(date, {
+        x: 520,
+        y: 770,
+        size: 9,
+        font: regularFont,
+        color: grey,
+      });
+      page.drawLine({
+        start: { x: 32, y: 764 },
+        end: { x: 578, y: 764 },
+        thickness: 0.5,
+        color: rgb(0.5, 0.5, 0.5),
+      });
+    },
+    footer: (page, { pageNumber, pageCount }) => {
+      if (logoImage) {
+        page.drawImage(logoImage, {
+          x: 32,
+          y: 10,
+          width: 87.64, // Logo width in points (1/72 inch)
+          height: 24, // Logo height
+        });
+      } else {
+        page.drawText("REVAS", { x: 32, y: 10, size: 24 }); // Fallback text
+      }
+      const pageLabel = `Page ${pageNumber} of ${pageCount}`;
+      page.drawText(pageLabel, {
+        x: 306 - regularFont.widthOfTextAtSize(pageLabel, 9) / 2,
+        y: 14,
+        size: 9,
+        font: regularFont,
+        color: grey,
+      });
+      page.drawText("www.revas.com", {
+        x: 450,
+        y: 10,
+        size: 10,
+        font: boldFont,
+      });
+    },
   });
-  // Initialize Y position
-  let currentY = 710;
-
-  clauses.forEach((clause) => {
-    // Draw Clause Title (bold)
-    page.drawText(clause.title, {
-      x: 32,
-      y: currentY,
-      size: 10,
-      font: fontBold,
-    });
-    currentY -= 15;
-
-    // Split content by newlines to preserve intentional line breaks
-    const paragraphs = clause.content.split("\n");
-
-    paragraphs.forEach((paragraph) => {
-      currentY =
-        drawWrappedText(
-          page,
-          paragraph,
-          32, // Indent content
-          currentY,
-          550, // Max width
-          15, // Line height
-          {
-            font: fontNormal,
-            size: 10,
-            color: rgb(0, 0, 0),
-          }
-        ) - 15; // Small space between paragraphs
-    });
+  layout.addPage();
 
-    // Extra space after each clause
-    currentY -= 5;
+  return { pdfDoc, layout, regularFont, boldFont, grey };
+}
+
+// Document types each client receives: the buyer's carry the buyer price,
+// the supplier's the supplier price, so neither sees the other's
+const CLIENT_DOCUMENT_TYPES = {
+  buyerId: ["sales_order", "invoice"],
+  supplierId: ["purchase_order"],
+};
+
+/**
+ * Whether the user can see a document. The order's account managers and
+ * holders of order:read_all see all of an order's documents; its buyer and
+ * supplier only their own types. `order` defaults to `document.order`.
+ */
+async function canSeeDocument(document, user, order = document.order) {
+  if (!user?.id || !order) return false;
+  if (
+    [order.buyerAccountManagerId, order.supplierAccountManagerId].includes(
+      user.id
+    )
+  ) {
+    return true;
+  }
+  if (await hasPermission(user, "order:read_all")) return true;
+  return Object.entries(CLIENT_DOCUMENT_TYPES).some(
+    ([field, types]) =>
+      order[field] === user.id && types.includes(document.type)
+  );
+}
+
+/**
+ * Whether the user generated too many documents for the order lately;
+ * generation and regeneration are refused for a while to prevent spam.
+ */
+async function generatingTooOften(orderId, userId, options = {}) {
+  const recentAttempts = await Document.count({
+    where: {
+      orderId,
+      generatedById: userId,
+      createdAt: {
+        [Op.gt]: new Date(Date.now() - 5 * 60 * 1000), // Last 5 minutes
+      },
+    },
+    transaction: options.transaction,
   });
+  return recentAttempts > 3;
 }
 
+const TOO_MANY_ATTEMPTS = {
+  error: "Too many attempts",
+  message: "Please wait before generating again",
+};
+
 class DocumentController {
   /**
    * Generate sales order PDF
@@ -98,9 +215,10 @@ class DocumentController {
   static async generateOrderDocument(req, res) {
     const { id } = req.params;
     const { user } = req;
+    let transaction;
     try {
       // 1. Find order with relationships
-      const order = await Order.findByPk(id, {
+      const order = await findVisibleOrder(user, id, {
         include: [
           { model: User, as: "buyer" },
           { model: User, as: "supplier" },
@@ -108,6 +226,7 @@ class DocumentController {
             model: Document,
             as: "documents", // Make sure this matches your association
           },
+          { model: OrderLine, as: "lines" },
         ],
       });
 
@@ -135,11 +254,18 @@ class DocumentController {
       const docType = isSalesOrder ? "sales_order" : "purchase_order";
 
       // 4. Check for existing document (more robust check)
-      const existingDoc = order.documents?.find((doc) => doc.type === docType);
+      const existingDoc = order.documents?.find(
+        (doc) => doc.type === docType && !doc.supersededById
+      );
 
       if (existingDoc) {
         return res.json({
-          message: `${docType.replace("_", " ")} already exists`,
+          message: `${docType.replace(
+            "_",
+            " "
+          )} already exists - regenerate it through POST /documents/${
+            existingDoc.id
+          }/regenerate to correct it`,
           document: {
             id: existingDoc.id,
             url: existingDoc.fileUrl,
@@ -151,35 +277,70 @@ class DocumentController {
         });
       }
 
-      // 5. Generate new document if none exists
-      const invoiceNumber = await generateInvoiceNumber(order, docType);
-      const pdfBuffer = await DocumentController.generateOrderPDF(
-        { ...order.get(), invoiceNumber },
-        docType,
-        user.id
-      );
+      if (await generatingTooOften(order.id, user.id)) {
+        return res.status(429).json(TOO_MANY_ATTEMPTS);
+      }
+
+      // 5. Generate new document if none exists. The number is issued in
+      // the same transaction as the document record, so a failed
+      // generation gives it back instead of leaving a gap in the series.
+      transaction = await sequelize.transaction();
+      const invoiceNumber = await generateInvoiceNumber(order, docType, {
+        transaction,
+        issuedById: user.id,
+      });
+      const clauses = await getClauseSet(docType);
+      const { pdfBytes, signatureFields } =
+        await DocumentController.generateOrderPDF(
+          { ...order.get(), invoiceNumber },
+          docType,
+          user.id,
+          clauses
+        );
 
       const filename = `${docType}_${order.id}_${uuidv4()}.pdf`;
       const uploadResult = await DocumentController.uploadToStorage(
-        pdfBuffer,
+        pdfBytes,
         filename,
         false
       );
 
-      const docUrl =
-        typeof uploadResult === "object" ? uploadResult.url : uploadResult;
+      const docUrl = uploadResult.url;
 
       // 6. Create document record
-      const documentRecord = await Document.create({
-        orderId: id,
-        type: docType,
-        fileUrl: docUrl,
-        status: "generated",
-        generatedById: user.id,
-        buyerId: order.buyerId,
-        supplierId: order.supplierId,
-        invoiceNumber,
-      });
+      const documentRecord = await Document.create(
+        {
+          orderId: id,
+          type: docType,
+          fileUrl: docUrl,
+          fileRef: uploadResult.key,
+          status: "pending_signatures",
+          generatedById: user.id,
+          buyerId: order.buyerId,
+          supplierId: order.supplierId,
+          invoiceNumber,
+          clauseVersions: clauseVersionsOf(clauses),
+          metadata: { signatureFields },
+          fileHash: sha256(pdfBytes),
+          fileVersions: addFileVersion([], "generated", pdfBytes),
+        },
+        { transaction }
+      );
+      await linkDocument(invoiceNumber, documentRecord.id, { transaction });
+
+      // Both Revas (this account manager) and the counterparty sign
+      await SigningRequest.bulkCreate(
+        [
+          { documentId: documentRecord.id, userId: user.id, party: "revas" },
+          {
+            documentId: documentRecord.id,
+            userId: isSalesOrder ? order.buyerId : order.supplierId,
+            party: isSalesOrder ? "buyer" : "supplier",
+          },
+        ],
+        { transaction }
+      );
+      await transaction.commit();
 
       // 7. Check if both documents exist
       const documentsComplete = await DocumentController.checkDocumentsComplete(
@@ -187,13 +348,17 @@ class DocumentController {
       );
 
       if (documentsComplete) {
-        await order.update({
-          invoiceNumber,
-          status: "document_phase",
-          docUrl,
-          documentType: docType,
-          documentGeneratedAt: new Date(),
-          documentId: documentRecord.id,
+        await transitionOrder(order, "document_phase", {
+          actorId: user.id,
+          system: true,
+          reason: "Sales and purchase orders generated",
+          changes: {
+            invoiceNumber,
+            docUrl,
+            documentType: docType,
+            documentGeneratedAt: new Date(),
+            documentId: documentRecord.id,
+          },
         });
 
         // Notifications
@@ -234,6 +399,7 @@ class DocumentController {
         isExisting: false,
       });
     } catch (error) {
+      if (transaction && !transaction.finished) await transaction.rollback();
       console.error("Document generation error:", {
         error: error.message,
         orderId: id,
@@ -246,9 +412,14 @@ class DocumentController {
       });
     }
   }
+  // Whether the order has a current, unexpired sales and purchase order
   static async checkDocumentsComplete(orderId) {
     const documents = await Document.findAll({
-      where: { orderId },
+      where: {
+        orderId,
+        supersededById: null,
+        status: { [Op.ne]: "expired" },
+      },
       attributes: ["type"],
     });
 
@@ -260,299 +431,346 @@ class DocumentController {
     return hasSalesOrder && hasPurchaseOrder;
   }
   /**
-   * Generate PDF document
+   * Regenerate an order document from the current order data as a new
+   * version. The old version keeps its file and history but is
+   * superseded: its number is voided, its signatures revoked and the
+   * signers asked to sign the new version.
    */
-  static async generateOrderPDF(order, type, userId) {
-    // At the start of the method to prevent spam
-    const recentAttempts = await Document.count({
-      where: {
-        orderId: order.id,
-        generatedById: userId,
-        createdAt: {
-          [Op.gt]: new Date(Date.now() - 5 * 60 * 1000), // Last 5 minutes
-        },
-      },
-    });
-
-    if (recentAttempts > 3) {
-      return res.status(429).json({
-        error: "Too many attempts",
-        message: "Please wait before generating again",
-      });
-    }
+  static async regenerateDocument(req, res) {
+    const { documentId } = req.params;
+    const { user } = req;
+    let transaction;
     try {
-      const pdfDoc = await PDFDocument.create();
-      const page1 = pdfDoc.addPage([612, 792]); // A4 (portrait)
-      const page2 = pdfDoc.addPage([612, 792]); // A4 (portrait)
-      const page3 = pdfDoc.addPage([612, 792]); // A4 (portrait)
-      const page4 = pdfDoc.addPage([612, 792]); // A4 (portrait)
-
-      // Load fonts
-      const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-      page1.drawText(
-        type === "sales_order" ? "SALES ORDER" : "PURCHASE ORDER",
-        {
-          x: 32,
-          y: 720,
-          size: 45,
-          color: rgb(0, 0, 0),
-          font: helveticaBold,
-        }
-      );
-
-      const InvoiceInfo = ["Invoice Number", order.invoiceNumber || order.id];
-      InvoiceInfo.forEach((line, i) => {
-        page1.drawText(line, {
-          x: 32,
-          y: 680 - i * 15,
-          size: i === 0 ? 14 : 13,
-          font: i === 0 ? helveticaBold : helvetica,
-        });
+      // Locked so nobody signs the old version while it is replaced
+      transaction = await sequelize.transaction();
+      const previous = await Document.findByPk(documentId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
       });
-      let newDate = new Date().toLocaleDateString();
-      const DocDate = ["Document Date", newDate];
-      DocDate.forEach((line, i) => {
-        page1.drawText(line, {
-          x: 468,
-          y: 680 - i * 15,
-          size: i === 0 ? 14 : 13,
-          font: i === 0 ? helveticaBold : helvetica,
+      if (!previous) {
+        await transaction.rollback();
+        return res.status(404).json({ error: "Document not found" });
+      }
+      if (!ORDER_DOCUMENT_TYPES.includes(previous.type)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: "Only sales and purchase orders can be regenerated",
         });
-      });
+      }
+      if (previous.supersededById) {
+        await transaction.rollback();
+        return res.status(409).json({
+          error: "Document has already been superseded",
+          supersededById: previous.supersededById,
+        });
+      }
 
-      const lineOne = 640;
-      page1.drawLine({
-        start: { x: 32, y: lineOne },
-        end: { x: 578, y: lineOne },
-        thickness: 0.5,
-        color: rgb(0.5, 0.5, 0.5), // Gray color
+      const order = await Order.findByPk(previous.orderId, {
+        include: [
+          { model: User, as: "buyer" },
+          { model: User, as: "supplier" },
+          { model: OrderLine, as: "lines" },
+        ],
+        transaction,
       });
+      if (!(await canSeeOrder(user, order))) {
+        await transaction.rollback();
+        return res.status(404).json({ error: "Document not found" });
+      }
+      const isSalesOrder = previous.type === "sales_order";
+      const managerId = isSalesOrder
+        ? order.buyerAccountManagerId
+        : order.supplierAccountManagerId;
+      if (managerId !== user.id) {
+        await transaction.rollback();
+        return res.status(403).json({
+          error: `Only the order's ${
+            isSalesOrder ? "buyer" : "supplier"
+          } account manager can regenerate this document`,
+        });
+      }
+      if (!REGENERATABLE_ORDER_STATUSES.includes(order.status)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: `Documents cannot be regenerated once the order is ${order.status}`,
+        });
+      }
 
-      // Buyer/Supplier Data with wrapped names and addresses
-      const parties = {
-        buyer: {
-          name: order.buyerName,
-          address: order.buyerLocation,
-        },
-        supplier: {
-          name: order.supplierName,
-          address: order.supplierLocation,
-        },
-        collection: "Port Apapa in Nigeria [NGAPP]",
-      };
+      if (await generatingTooOften(order.id, user.id, { transaction })) {
+        await transaction.rollback();
+        return res.status(429).json(TOO_MANY_ATTEMPTS);
+      }
 
-      // Column setup
-      const columns = [
-        { x: 32, width: 200, title: "Buyer" },
-        { x: 232, width: 200, title: "Supplier" },
-        { x: 432, width: 100, title: "Collection Location" },
-      ];
+      const previousSigners = await SigningRequest.findAll({
+        where: { documentId: previous.id },
+        attributes: ["userId"],
+        transaction,
+      });
 
-      // Draw section headers
-      columns.forEach((col) => {
-        page1.drawText(col.title, {
-          x: col.x,
-          y: 620,
-          size: 14,
-          font: helveticaBold,
-        });
+      // The new version gets its own number; the old one is voided below
+      const invoiceNumber = await generateInvoiceNumber(order, previous.type, {
+        transaction,
+        issuedById: user.id,
       });
+      const clauses = await getClauseSet(previous.type);
+      const { pdfBytes, signatureFields } =
+        await DocumentController.generateOrderPDF(
+          { ...order.get(), invoiceNumber },
+          previous.type,
+          user.id,
+          clauses
+        );
+      const uploadResult = await DocumentController.uploadToStorage(
+        pdfBytes,
+        `${previous.type}_${order.id}_${uuidv4()}.pdf`,
+        false
+      );
 
-      // Draw wrapped content for each column
-      let buyerY = 590;
-      let supplierY = 590;
+      const document = await Document.create(
+        {
+          orderId: order.id,
+          type: previous.type,
+          fileUrl: uploadResult.url,
+          fileRef: uploadResult.key,
+          status: "pending_signatures",
+          generatedById: user.id,
+          buyerId: order.buyerId,
+          supplierId: order.supplierId,
+          invoiceNumber,
+          version: previous.version + 1,
+          clauseVersions: clauseVersionsOf(clauses),
+          metadata: { signatureFields },
+          fileHash: sha256(pdfBytes),
+          fileVersions: addFileVersion([], "generated", pdfBytes),
+        },
+        { transaction }
+      );
+      await linkDocument(invoiceNumber, document.id, { transaction });
 
-      // Buyer Column
-      buyerY = drawWrappedText(
-        page1,
-        parties.buyer.name,
-        columns[0].x,
-        buyerY,
-        columns[0].width,
-        15,
+      await previous.update(
         {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
-        }
+          status: "superseded",
+          supersededById: document.id,
+          supersededAt: new Date(),
+        },
+        { transaction }
       );
-      buyerY = drawWrappedText(
-        page1,
-        parties.buyer.address,
-        columns[0].x,
-        buyerY - 20,
-        columns[0].width,
-        15,
+      await SigningRequest.update(
+        { status: "revoked" },
         {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
+          where: { documentId: previous.id, status: ["pending", "completed"] },
+          transaction,
         }
       );
 
-      // Supplier Column
-      supplierY = drawWrappedText(
-        page1,
-        parties.supplier.name,
-        columns[1].x,
-        supplierY,
-        columns[1].width,
-        15,
-        {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
-        }
+      // Numbers issued before the series were tracked have no record
+      const previousNumberIssued =
+        previous.invoiceNumber &&
+        (await IssuedNumber.count({
+          where: { number: previous.invoiceNumber },
+          transaction,
+        }));
+      if (previousNumberIssued) {
+        await voidNumber(previous.invoiceNumber, {
+          reason: `Superseded by ${invoiceNumber} (version ${document.version})`,
+          voidedBy: user.id,
+          transaction,
+        });
+      }
+
+      const counterpartyId = isSalesOrder ? order.buyerId : order.supplierId;
+      await SigningRequest.bulkCreate(
+        [
+          { documentId: document.id, userId: user.id, party: "revas" },
+          {
+            documentId: document.id,
+            userId: counterpartyId,
+            party: isSalesOrder ? "buyer" : "supplier",
+          },
+        ],
+        { transaction }
       );
-      supplierY = drawWrappedText(
-        page1,
-        parties.supplier.address,
-        columns[1].x,
-        supplierY - 20,
-        columns[1].width,
-        15,
-        {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
-        }
+      await transaction.commit();
+
+      // An order sent back to matched by an expired document resumes
+      // signing once both of its documents are current again
+      if (
+        order.status === "matched" &&
+        (await DocumentController.checkDocumentsComplete(order.id))
+      ) {
+        await transitionOrder(order, "document_phase", {
+          actorId: user.id,
+          system: true,
+          reason: "Sales and purchase orders regenerated",
+          metadata: { documentId: document.id },
+        });
+      }
+
+      const docLabel = previous.type.replace("_", " ");
+      const signerIds = new Set([
+        ...previousSigners.map((signer) => signer.userId),
+        counterpartyId,
+      ]);
+      signerIds.delete(user.id);
+      await Notification.bulkCreate(
+        [...signerIds].map((userId) => ({
+          userId,
+          orderId: order.id,
+          message: `${docLabel} corrected and reissued as ${invoiceNumber} - please sign the new version`,
+          type: "signature_required",
+          metadata: {
+            docType: previous.type,
+            documentId: document.id,
+            documentUrl: uploadResult.url,
+            supersededDocumentId: previous.id,
+          },
+        }))
       );
 
-      // Collection Column (single line)
-      page1.drawText(parties.collection, {
-        x: columns[2].x,
-        y: 590,
-        size: 10,
-        font: helvetica,
+      res.status(201).json({
+        message: `${docLabel} regenerated as version ${document.version}`,
+        document: {
+          id: document.id,
+          version: document.version,
+          type: document.type,
+          invoiceNumber,
+          url: uploadResult.url,
+          status: document.status,
+        },
+        supersededDocumentId: previous.id,
+        voidedNumber: previousNumberIssued ? previous.invoiceNumber : null,
       });
-
-      // Divider Line
-      page1.drawLine({
-        start: { x: 32, y: 530 },
-        end: { x: 578, y: 530 },
-        thickness: 0.5,
-        color: rgb(0.5, 0.5, 0.5), // Gray color
+    } catch (error) {
+      if (transaction && !transaction.finished) await transaction.rollback();
+      console.error("Document regeneration error:", {
+        error: error.message,
+        documentId,
+        userId: user?.id,
       });
-      // Transportation Method and payment Terms data Data with wrapped names and addresses
-      const terms = {
-        transport: {
-          name: "Container",
-        },
-        incoTerm: {
-          name: order.shippingType,
-        },
-        payTerm: {
-          name: `${order.paymentTerms}% due immediately. Remainder due 0 days after collection from supplier`,
-        },
-      };
+      res.status(500).json({
+        error: "Failed to regenerate document",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
 
-      // Column setup
-      const termColumns = [
-        { x: 32, width: 200, title: "Transport Method" },
-        { x: 232, width: 200, title: "Inco Terms" },
-        { x: 432, width: 200, title: "Payment Terms" },
-      ];
+  /**
+   * Generate PDF document
+   * `clauses` defaults to the current clause set for the document type;
+   * pass a recorded set to reproduce an earlier document.
+   * Returns { pdfBytes, signatureFields }, the fields keyed by signing party.
+   */
+  static async generateOrderPDF(order, type, userId, clauses) {
+    try {
+      if (!clauses) {
+        clauses = await getClauseSet(type);
+      }
 
-      // Draw section headers
-      termColumns.forEach((col) => {
-        page1.drawText(col.title, {
-          x: col.x,
-          y: 510,
-          size: 14,
-          font: helveticaBold,
-        });
-      });
+      const isSalesOrder = type === "sales_order";
+      const title = isSalesOrder ? "SALES ORDER" : "PURCHASE ORDER";
+      const documentNumber = order.invoiceNumber || order.id;
+      const newDate = new Date().toLocaleDateString();
 
-      // Draw wrapped content for each column
-      let transportY = 490;
-      let incoTermY = 490;
-      let paymentTermY = 490;
+      const { pdfDoc, layout, regularFont, boldFont, grey } =
+        await createDocumentLayout({ title, documentNumber, date: newDate });
 
-      // Buyer Column
-      transportY = drawWrappedText(
-        page1,
-        terms.transport.name,
-        columns[0].x,
-        transportY,
-        columns[0].width,
-        15,
-        {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
-        }
-      );
+      //========================== ORDER PAGE ======================================
+      layout.text({
+        text: title,
+        font: boldFont,
+        size: 45,
+        lineHeight: 56,
+      });
 
-      // Supplier Column
-      incoTermY = drawWrappedText(
-        page1,
-        terms.incoTerm.name,
-        columns[1].x,
-        incoTermY,
-        columns[1].width,
-        15,
+      layout.columns([
         {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
-        }
-      );
-
-      // Payment Term Column (single line)
-      incoTermY = drawWrappedText(
-        page1,
-        terms.payTerm.name,
-        columns[2].x,
-        paymentTermY,
-        columns[2].width,
-        15,
+          x: 32,
+          width: 300,
+          runs: [
+            { text: "Invoice Number", font: boldFont, size: 14 },
+            { text: documentNumber, size: 13 },
+          ],
+        },
         {
-          font: helvetica,
-          size: 10,
-          color: rgb(0, 0, 0),
-        }
-      );
-
-      // Divider Line
-      page1.drawLine({
-        start: { x: 32, y: 420 },
-        end: { x: 578, y: 420 },
-        thickness: 0.5,
-        color: rgb(0.5, 0.5, 0.5), // Gray color
-      });
+          x: 468,
+          width: 110,
+          runs: [
+            { text: "Document Date", font: boldFont, size: 14 },
+            { text: newDate, size: 13 },
+          ],
+        },
+      ]);
+      layout.divider();
 
-      // Table Headers
-      const headers = [
-        "Description",
-        "Quantity",
-        "Format",
-        "Unit Price",
-        "Amount",
-      ];
-      headers.forEach((text, i) => {
-        page1.drawText(text, {
-          x: 32 + i * 120,
-          y: 400,
-          size: 10,
-          font: helveticaBold,
-        });
+      // Buyer/Supplier Data with wrapped names and addresses
+      const sectionTitle = (text) => ({
+        text,
+        font: boldFont,
+        size: 14,
+        lineHeight: 25,
       });
+      layout.columns([
+        {
+          x: 32,
+          width: 190,
+          runs: [
+            sectionTitle("Buyer"),
+            { text: order.buyerName, lineHeight: 20 },
+            { text: order.buyerLocation },
+          ],
+        },
+        {
+          x: 232,
+          width: 190,
+          runs: [
+            sectionTitle("Supplier"),
+            { text: order.supplierName, lineHeight: 20 },
+            { text: order.supplierLocation },
+          ],
+        },
+        {
+          x: 432,
+          width: 146,
+          runs: [
+            sectionTitle("Collection Location"),
+            { text: "Port Apapa in Nigeria [NGAPP]" },
+          ],
+        },
+      ]);
+      layout.divider();
 
-      // Table Rows
-      const items = [
+      // Transportation Method and payment Terms
+      const incoTerm = order.shippingType;
+      layout.columns([
         {
-          desc: order.product,
-          qty: order.capacity, // Changed to number
-          unit: "MT", // Added separate unit field
-          format: "Baled",
-          unitPrice: order.pricePerTonne, // Changed to number (without $/MT)
+          x: 32,
+          width: 190,
+          runs: [sectionTitle("Transport Method"), { text: "Container" }],
         },
-      ];
+        {
+          x: 232,
+          width: 190,
+          runs: [sectionTitle("Inco Terms"), { text: incoTerm }],
+        },
+        {
+          x: 432,
+          width: 146,
+          runs: [
+            sectionTitle("Payment Terms"),
+            {
+              text: `${order.paymentTerms}% due immediately. Remainder due 0 days after collection from supplier`,
+            },
+          ],
+        },
+      ]);
+      layout.divider();
+
+      // Sales orders are priced in the buyer's currency, purchase orders
+      // in the supplier's
+      const documentCurrency =
+        (isSalesOrder ? order.priceCurrency : order.supplierCurrency) || "USD";
 
-      // Calculate amounts and total
-      let grandTotal = 0;
       const currencyValue = (value) => {
         const formattedAmount = value.toLocaleString("en-US", {
           minimumFractionDigits: 2,
@@ -561,574 +779,1365 @@ class DocumentController {
 
         return formattedAmount;
       };
-      const processedItems = items.map((item) => {
-        const amount = item.qty * item.unitPrice;
-        grandTotal += amount;
+      const currencyPrefix = (currency) =>
+        currency === "USD" ? "USD $" : `${currency} `;
+      const formatAmount = (value, currency = documentCurrency) =>
+        `${currencyPrefix(currency)}${currencyValue(value)}`;
 
-        const unitPriceValue = `${item.unitPrice}/${item.unit}`;
-        return {
-          ...item,
-          qtyDisplay: `${item.qty}${item.unit}`, // e.g. "22MT"
-          priceDisplay: `$${currencyValue(unitPriceValue)}`, // e.g. "$700.00/MT"
-          amountDisplay: `USD $${currencyValue(amount)}`, // e.g. "USD $15,400.00"
-        };
+      // Table Rows (one per order line)
+      let grandTotal = 0;
+      let totalQty = 0;
+      const rows = getOrderLines(order).map((line) => {
+        const unitPrice = isSalesOrder
+          ? line.pricePerTonne
+          : line.supplierPrice;
+        const amount = line.tonnage * unitPrice;
+        grandTotal += amount;
+        totalQty += line.tonnage;
+
+        const hasMoisture =
+          line.moistureTolerance !== null &&
+          line.moistureTolerance !== undefined;
+        return [
+          [
+            { text: line.grade },
+            hasMoisture
+              ? {
+                  text: `Max moisture ${line.moistureTolerance}%`,
+                  size: 8,
+                  lineHeight: 12,
+                  color: grey,
+                }
+              : null,
+          ],
+          `${line.tonnage}MT`, // e.g. "22MT"
+          "Baled",
+          {
+            text: `${
+              documentCurrency === "USD" ? "$" : `${documentCurrency} `
+            }${currencyValue(unitPrice)}/MT`, // e.g. "$700.00/MT"
+            wrap: false,
+          },
+          { text: formatAmount(amount), wrap: false }, // e.g. "USD $15,400.00"
+        ];
       });
 
-      // Draw item rows
-      processedItems.forEach((item, rowIndex) => {
-        const yPos = 380 - rowIndex * 50;
-
-        // Description (wrapped)
-        drawWrappedText(page1, item.desc, 32, yPos, 100, 15, {
-          font: helvetica,
-          size: 10,
+      // Totals, and converted totals in the order's other currencies at the
+      // rates snapshotted when the order was created
+      const totals = [
+        { label: "Delivery", value: incoTerm, bold: true },
+        {
+          label: isSalesOrder ? "Subtotal:" : "Total (excl. VAT):",
+          value: formatAmount(grandTotal),
+          quantity: rows.length > 1 ? `${totalQty}MT` : null,
+          bold: true,
+        },
+      ];
+      if (isSalesOrder) {
+        totals.push({
+          label: "Amount due (50%):",
+          value: formatAmount(0.5 * grandTotal),
+          bold: true,
+        });
+      }
+      [
+        ...new Set([
+          order.priceCurrency,
+          order.supplierCurrency,
+          order.shippingCurrency,
+        ]),
+      ]
+        .filter((currency) => currency && currency !== documentCurrency)
+        .forEach((currency) => {
+          let rate;
+          try {
+            rate = convert(1, documentCurrency, currency, order.fxSnapshot);
+          } catch (error) {
+            return; // no snapshot rate for this currency
+          }
+          const rateDate = String(order.fxSnapshot.takenAt).slice(0, 10);
+          totals.push({
+            label: `Equivalent (${currency}):`,
+            value: formatAmount(grandTotal * rate, currency),
+            note: `1 ${documentCurrency} = ${currencyValue(
+              rate
+            )} ${currency} (rate of ${rateDate})`,
+          });
         });
 
-        // Other columns
-        page1.drawText(item.qtyDisplay, {
+      const totalColumns = (row) => [
+        {
           x: 152,
-          y: yPos,
-          size: 10,
-          font: helvetica,
-        });
-        page1.drawText(item.format, {
-          x: 272,
-          y: yPos,
-          size: 10,
-          font: helvetica,
-        });
-        page1.drawText(item.priceDisplay, {
+          width: 110,
+          runs: row.quantity ? [{ text: row.quantity, font: boldFont }] : [],
+        },
+        {
           x: 392,
-          y: yPos,
-          size: 10,
-          font: helvetica,
-        });
-        page1.drawText(item.amountDisplay, {
+          width: 115,
+          runs: [
+            { text: row.label, font: row.bold ? boldFont : regularFont },
+            row.note
+              ? { text: row.note, size: 7, lineHeight: 10, color: grey }
+              : null,
+          ],
+        },
+        {
           x: 512,
-          y: yPos,
-          size: 10,
-          font: helvetica,
-        });
+          width: 80,
+          runs: [
+            {
+              text: row.value,
+              font: row.bold ? boldFont : regularFont,
+              wrap: false,
+            },
+          ],
+        },
+      ];
+      const totalsHeight = totals.reduce(
+        (height, row) =>
+          height +
+          Math.max(
+            ...totalColumns(row).map((column) =>
+              layout.measure(column.runs, column.width)
+            )
+          ) +
+          5,
+        0
+      );
+
+      layout.table({
+        columns: [
+          { header: "Description", x: 32, width: 110 },
+          { header: "Quantity", x: 152, width: 110 },
+          { header: "Format", x: 272, width: 110 },
+          { header: "Unit Price", x: 392, width: 115 },
+          { header: "Amount", x: 512, width: 80 },
+        ],
+        rows,
+        headerRun: { font: boldFont },
+        rowGap: 10,
+        // The last line item never gets separated from the totals
+        keepWithLast: totalsHeight,
       });
+      totals.forEach((row) => layout.columns(totalColumns(row), { gap: 5 }));
 
-      // Draw Delivery Total
-      const deliveryY = 390 - processedItems.length * 20 - 50; // 30pt below last item
-      page1.drawText("Delivery", {
-        x: 392,
-        y: deliveryY,
-        size: 10,
-        font: helveticaBold,
+      // Signature Fields
+      const buyer = await User.findByPk(order.buyerId, {
+        attributes: ["id", "firstName", "lastName", "role"],
       });
-      page1.drawText(`${terms.incoTerm.name}`, {
-        x: 512,
-        y: deliveryY,
-        size: 10,
-        font: helveticaBold,
+      const supplier = await User.findByPk(order.supplierId, {
+        attributes: ["id", "firstName", "lastName", "role"],
       });
+      const counterparty = isSalesOrder ? buyer : supplier;
+      const userName = `${counterparty.firstName} ${counterparty.lastName}`;
+      const userRole = counterparty.role;
 
-      // Draw Delivery Total
-      const totalY = 380 - processedItems.length * 30 - 50; // 30pt below last item
-      page1.drawText(
-        type === "sales_order" ? "Subtotal:" : "Total (excl. VAT):",
-        {
-          x: 392,
-          y: totalY,
-          size: 10,
-          font: helveticaBold,
-        }
-      );
-      page1.drawText(`USD $${currencyValue(grandTotal)}`, {
-        x: 512,
-        y: totalY,
-        size: 10,
-        font: helveticaBold,
+      // Revas signs through the account manager generating the document
+      const accountManager = await User.findByPk(userId, {
+        attributes: ["id", "firstName", "lastName", "role"],
+      });
+      const revasName = accountManager
+        ? `${accountManager.firstName} ${accountManager.lastName}`
+        : "Ololade Adeniyi";
+      const revasTitle = accountManager
+        ? "Account Manager"
+        : "Operations Manager";
+
+      const signatureRun = (text) => ({
+        text,
+        font: boldFont,
+        lineHeight: 20,
       });
+      const signatureFields = {};
+      layout.keepTogether(140 + SIGNATURE_FIELD_HEIGHT, () => {
+        layout.moveDown(10);
+        layout.divider({ gap: 10 });
+        layout.columns([
+          {
+            x: 32,
+            width: 300,
+            runs: [
+              signatureRun(`Name: ${revasName}`),
+              signatureRun(`Title: ${revasTitle}`),
+              signatureRun(`Date: ${newDate}`),
+              { text: "", lineHeight: 10 },
+              signatureRun("Signature"),
+            ],
+          },
+          {
+            x: 400,
+            width: 178,
+            runs: [
+              signatureRun(`Name: ${userName}`),
+              signatureRun(`Title: ${userRole}`),
+              signatureRun(`Date: ${newDate}`),
+              { text: "", lineHeight: 10 },
+              signatureRun("Signature"),
+            ],
+          },
+        ]);
 
-      // Draw Delivery Amount Due
-      if (type === "sales_order") {
-        const subTotalY = 370 - processedItems.length * 40 - 50; // 30pt below last item
-        page1.drawText("Amount due (50%):", {
-          x: 392,
-          y: subTotalY,
-          size: 10,
-          font: helveticaBold,
+        // Where each party's signature is stamped when they sign
+        signatureFields.revas = layout.field({
+          x: 32,
+          width: 178,
+          height: SIGNATURE_FIELD_HEIGHT,
         });
-        const amountDue = 0.5 * grandTotal;
-        page1.drawText(`USD $${currencyValue(amountDue)}`, {
-          x: 512,
-          y: subTotalY,
-          size: 10,
-          font: helveticaBold,
+        signatureFields[isSalesOrder ? "buyer" : "supplier"] = layout.field({
+          x: 400,
+          width: 178,
+          height: SIGNATURE_FIELD_HEIGHT,
+        });
+        layout.moveDown(SIGNATURE_FIELD_HEIGHT);
+      });
+
+      //========================== TERMS PAGES ======================================
+      // As many pages as the document type's clause set needs
+      layout.addPage();
+      layout.text({
+        text: "Terms and Conditions",
+        font: boldFont,
+        size: 40,
+        lineHeight: 55,
+      });
+
+      clauses.forEach((clause) => {
+        // Keep each clause title with at least two lines of its text
+        layout.ensureSpace(45);
+        layout.text({ text: clause.title, font: boldFont });
+
+        // Split content by newlines to preserve intentional line breaks
+        clause.content.split("\n").forEach((paragraph) => {
+          if (paragraph) {
+            layout.text({ text: paragraph }, { width: 550 });
+          } else {
+            layout.moveDown(15);
+          }
         });
+
+        // Extra space after each clause
+        layout.moveDown(5);
+      });
+
+      layout.finalize();
+      return { pdfBytes: await pdfDoc.save(), signatureFields };
+    } catch (error) {
+      console.error("PDF generation failed:", {
+        error: error.message,
+        stack: error.stack,
+        orderId: order?.id,
+      });
+      throw new Error("Failed to generate document");
+    }
+  }
+
+  /**
+   * Issue the invoice for an order that has reached processing
+   */
+  static async generateInvoice(req, res) {
+    const { id } = req.params;
+    const { user } = req;
+    try {
+      const order = await findVisibleOrder(user, id, {
+        include: [{ model: OrderLine, as: "lines" }],
+      });
+
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
       }
 
-      //Footer
-      async function addLogoToPDF(pdfDoc) {
-        try {
-          const logoBytes = fs.readFileSync(logoPath);
-          const logoImage = await pdfDoc.embedPng(logoBytes); // For PNG
-          // const logoImage = await pdfDoc.embedJpg(logoBytes); // For JPG
-          return logoImage;
-        } catch (error) {
-          console.error("Logo not found. Using text fallback:", error.message);
-          return null;
-        }
+      // Only the order's account managers issue invoices
+      if (
+        user.clientType ||
+        ![order.buyerAccountManagerId, order.supplierAccountManagerId].includes(
+          user.id
+        )
+      ) {
+        return res.status(403).json({
+          message: "Access denied: not an account manager on this order",
+        });
       }
 
-      // Usage
-      const logoImage = await addLogoToPDF(pdfDoc);
-      function Logo(page, logoImage) {
-        if (logoImage) {
-          page.drawImage(logoImage, {
-            x: 32,
-            y: 10, // Adjust position as needed
-            width: 87.64, // Logo width in points (1/72 inch)
-            height: 24, // Logo height
-          });
-          page.drawImage(logoImage, {
-            x: 32,
-            y: 10, // Adjust position as needed
-            width: 87.64, // Logo width in points (1/72 inch)
-            height: 24, // Logo height
-          });
-        } else {
-          page.drawText("REVAS", { x: 450, y: 10, size: 24 }); // Fallback text
-        }
-        page.drawText("www.revas.com", {
-          x: 450,
-          y: 10,
-          size: 10,
-          font: helveticaBold,
+      if (!INVOICEABLE_STATUSES.includes(order.status)) {
+        return res.status(400).json({
+          message: "Order must be in 'processing' status to be invoiced",
         });
       }
-      Logo(page1, logoImage);
 
-      //==========================TERMS PAGE (1) ======================================
-      // Terms Page 2 (unchanged)
-      const heading = "Terms and Conditions";
-      // Clauses (exact text from original)
-      const clauses = [
-        {
-          title: "1. General Terms",
-          content:
-            "1.1. This purchase order constitutes a legally binding agreement under Nigeria law between the Buyer, Revas Plastic Exchange (trading as 'Revas'), and the Supplier.\n",
-        },
-        {
-          title: "2. Quality",
-          content:
-            "2.1.The material purchased must conform to the specifications outlined in this order and be of equal or superior quality to the materials depicted in photographs and/or previously inspected samples. \n" +
-            "2.2.The material must be free from any contaminants, except those specifically permitted as indicated herein.\n",
-        },
-        {
-          title: "3. Compliance with EN643 Grade",
-          content:
-            "3.1. This Clause 3 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper. \n" +
-            "3.2. The purchased materials must be compliant with the EN643 grade as mutually agreed upon and specified above.\n",
-        },
-        {
-          title: "4. Prohibited Materials",
-          content:
-            "4.1. This Clause 4 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper. \n" +
-            "4.2. The Supplier shall ensure that no materials falling within the scope of CEPI's revised EN643, which pose health, safety, or environmental hazards, are included. Such materials include but are not limited to medical waste, contaminated personal hygiene products, hazardous waste, organic waste (including foodstuffs), bitumen, toxic powders, and similar substances.\n",
-        },
-        {
-          title: "5. Moisture Content",
-          content:
-            "5.1. This Clause 5 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper.  \n" +
-            "5.2. If the average moisture content of the purchased materials exceeds 12% at the time of unloading, the Buyer shall have the right to seek reimbursement. This shall be accomplished by deducting the weight of any moisture exceeding 12% from the payable tonnage. Additionally, the Buyer reserves the right to recover any reasonable costs incurred by the Buyer, their customers, partners, or subcontractors.\n",
+      const { document, invoice, isExisting } =
+        await DocumentController.issueInvoice(order, user.id);
+
+      res.status(isExisting ? 200 : 201).json({
+        message: isExisting
+          ? "Invoice already exists"
+          : "Invoice generated successfully",
+        document: {
+          id: document.id,
+          url: document.fileUrl,
+          type: document.type,
+          status: document.status,
+          invoiceNumber: document.invoiceNumber,
+          dueDate: document.dueDate,
+          generatedAt: document.createdAt,
         },
+        invoice,
+        isExisting,
+      });
+    } catch (error) {
+      console.error("Invoice generation error:", {
+        error: error.message,
+        orderId: id,
+        userId: user?.id,
+      });
+      res.status(500).json({
+        error: "Failed to generate invoice",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+
+  /**
+   * Generate, upload and record an order's invoice, and notify the buyer.
+   * An order only ever has one current invoice: an existing one is
+   * returned as is.
+   */
+  static async issueInvoice(order, userId) {
+    // Issue the number and record the invoice together, so the INV series
+    // has no gaps even when generation fails half-way. The order row is
+    // locked first so concurrent requests cannot both find no invoice.
+    const transaction = await sequelize.transaction();
+    let document;
+    let invoice;
+    try {
+      await Order.findByPk(order.id, {
+        attributes: ["id"],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      const existing = await Document.findOne({
+        where: { orderId: order.id, type: "invoice", supersededById: null },
+        transaction,
+      });
+      if (existing) {
+        await transaction.commit();
+        return {
+          document: existing,
+          invoice: existing.metadata,
+          isExisting: true,
+        };
+      }
+
+      invoice = computeInvoice(order);
+      document = await DocumentController.recordInvoice(
+        order,
+        invoice,
+        userId,
+        { transaction }
+      );
+      await transaction.commit();
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+
+    await Notification.create({
+      userId: order.buyerId,
+      orderId: order.id,
+      message: `Invoice ${
+        document.invoiceNumber
+      } issued - payment due ${invoice.dueDate.toLocaleDateString()}`,
+      type: "document_generated",
+      metadata: {
+        docType: "invoice",
+        documentUrl: document.fileUrl,
+        documentId: document.id,
+        invoiceNumber: document.invoiceNumber,
+        amountPayable: invoice.amountPayable,
+        currency: invoice.currency,
+      },
+    });
+
+    return { document, invoice, isExisting: false };
+  }
+
+  /**
+   * Replace an order's invoice after its amounts changed (a settled
+   * claim). The new version keeps the original issue and due dates; the
+   * old one is superseded and its number voided. Returns null when the
+   * order has not been invoiced yet - its invoice will include the change.
+   */
+  static async reissueInvoice(order, userId, reason) {
+    const transaction = await sequelize.transaction();
+    try {
+      const previous = await Document.findOne({
+        where: { orderId: order.id, type: "invoice", supersededById: null },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!previous) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const issueDate =
+        previous.metadata && previous.metadata.issueDate
+          ? new Date(previous.metadata.issueDate)
+          : previous.createdAt;
+      const invoice = computeInvoice(order, { issueDate });
+      const document = await DocumentController.recordInvoice(
+        order,
+        invoice,
+        userId,
+        { transaction, version: previous.version + 1 }
+      );
+
+      await previous.update(
         {
-          title: "6. Inspection Rights",
-          content:
-            "6.1. The Buyer retains the right to inspect the materials at loading, or up to 72 hours prior to loading. This includes the ability to conduct moisture readings, capture photographic evidence of bales, perform gravimetric sampling, and break open bales for further examination. The Buyer may choose to delegate this task to a subcontractor.\n" +
-            "6.2. If the materials fail to meet the specified requirements, the loading process will be suspended, and all costs associated with the cancellation shall be borne by the Supplier.\n" +
-            "6.3. In the event that the materials fail to meet the specified requirements, the Buyer reserves the right to cancel or reschedule the loading. All costs related to this will be borne by the Supplier.\n",
+          status: "superseded",
+          supersededById: document.id,
+          supersededAt: new Date(),
         },
-        {
-          title: "7. Warranty and Claims",
-          content:
-            "7.1. The Buyer reserves the right to initiate a claim against the materials at any time within 90 days following the purchase should they be deemed non-compliant with the agreed-upon specifications. This claim shall be provided in writing.\n",
+        { transaction }
+      );
+
+      // Numbers issued before the series were tracked have no record
+      const previousNumberIssued =
+        previous.invoiceNumber &&
+        (await IssuedNumber.count({
+          where: { number: previous.invoiceNumber },
+          transaction,
+        }));
+      if (previousNumberIssued) {
+        await voidNumber(previous.invoiceNumber, {
+          reason: `Superseded by ${document.invoiceNumber} (version ${document.version}): ${reason}`,
+          voidedBy: userId,
+          transaction,
+        });
+      }
+      await transaction.commit();
+
+      await Notification.create({
+        userId: order.buyerId,
+        orderId: order.id,
+        message: `Invoice ${previous.invoiceNumber} replaced by ${document.invoiceNumber} - ${reason}`,
+        type: "document_generated",
+        metadata: {
+          docType: "invoice",
+          documentUrl: document.fileUrl,
+          documentId: document.id,
+          invoiceNumber: document.invoiceNumber,
+          supersededDocumentId: previous.id,
+          amountPayable: invoice.amountPayable,
+          currency: invoice.currency,
         },
-      ];
+      });
 
-      getClauses(page2, heading, helveticaBold, helvetica, clauses);
+      return { document, invoice, previous };
+    } catch (error) {
+      if (transaction && !transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
 
-      // Usage
-      const logoImage2 = await addLogoToPDF(pdfDoc);
+  /**
+   * Number, render, upload and record an invoice within `transaction`
+   */
+  static async recordInvoice(
+    order,
+    invoice,
+    userId,
+    { transaction, version = 1 }
+  ) {
+    const invoiceNumber = await generateInvoiceNumber(order, "invoice", {
+      transaction,
+      issuedById: userId,
+    });
+    const pdfBuffer = await DocumentController.generateInvoicePDF(
+      order,
+      invoice,
+      invoiceNumber
+    );
 
-      Logo(page2, logoImage2);
+    const filename = `invoice_${order.id}_${uuidv4()}.pdf`;
+    const uploadResult = await DocumentController.uploadToStorage(
+      pdfBuffer,
+      filename,
+      false
+    );
 
-      //==========================TERMS PAGE (2) ======================================
-      // Terms Page 2 (unchanged)
+    const document = await Document.create(
+      {
+        orderId: order.id,
+        type: "invoice",
+        fileUrl: uploadResult.url,
+        fileRef: uploadResult.key,
+        status: "generated",
+        generatedById: userId,
+        buyerId: order.buyerId,
+        supplierId: order.supplierId,
+        invoiceNumber,
+        version,
+        dueDate: invoice.dueDate,
+        metadata: invoice,
+        fileHash: sha256(pdfBuffer),
+        fileVersions: addFileVersion([], "generated", pdfBuffer),
+      },
+      { transaction }
+    );
+    await linkDocument(invoiceNumber, document.id, { transaction });
+    return document;
+  }
 
-      // Clauses (exact text from original)
-      const clauses3 = [
+  /**
+   * Invoice PDF: parties, line totals, VAT/WHT, due date and
+   * payment instructions
+   */
+  static async generateInvoicePDF(order, invoice, invoiceNumber) {
+    try {
+      const issueDate = invoice.issueDate.toLocaleDateString();
+      const dueDate = invoice.dueDate.toLocaleDateString();
+
+      const { pdfDoc, layout, regularFont, boldFont, grey } =
+        await createDocumentLayout({
+          title: "INVOICE",
+          documentNumber: invoiceNumber,
+          date: issueDate,
+        });
+
+      const { currency } = invoice;
+      const currencyValue = (value) =>
+        Number(value).toLocaleString("en-US", {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2,
+        });
+      const formatAmount = (value) =>
+        `${currency === "USD" ? "USD $" : `${currency} `}${currencyValue(
+          value
+        )}`;
+
+      layout.text({
+        text: "INVOICE",
+        font: boldFont,
+        size: 45,
+        lineHeight: 56,
+      });
+
+      layout.columns([
         {
-          title: "8. Packing",
-          content:
-            "8.1. The Supplier must make all reasonable efforts to fully load the designated vehicle. The pricing is based on the minimum volumes specified in the agreement. If a shipment is under-loaded by more than 1000kg, the Buyer reserves the right to proportionately reduce the payment. For instance, if a container is under-loaded by 10% beyond the 1000kg buffer, the Buyer shall be entitled to reduce the price per tonne by 10%, in addition to only paying for the loaded weight.\n",
+          x: 32,
+          width: 190,
+          runs: [
+            { text: "Invoice Number", font: boldFont, size: 14 },
+            { text: invoiceNumber, size: 13 },
+          ],
         },
         {
-          title: "9. Shipping",
-          content:
-            "9.1. Both parties shall mutually agree upon a collection schedule subsequent to the acceptance of this purchase order.\n" +
-            "9.2. If the Supplier needs to modify any aspect of the collection schedule, they must provide the Buyer with a minimum notice period of 48 hours. Any changes made thereafter may result in additional charges.\n" +
-            "9.3. The Supplier shall cooperate with the Buyer's designated transport partner and must not unduly delay the loading process. In the event that the transportation vehicle remains on-site for more than 2 hours beyond the scheduled or actual arrival time (whichever is later), the waiting charges shall be borne by the Supplier. The Supplier shall also be liable for any additional charges incurred due to vehicle damage during the loading process.\n" +
-            "9.4. The Supplier shall provide photographs of the loading in the format specified by the Buyer.\n",
+          x: 232,
+          width: 190,
+          runs: [
+            { text: "Issue Date", font: boldFont, size: 14 },
+            { text: issueDate, size: 13 },
+          ],
         },
         {
-          title: "10. Termination for Non-Loading",
-          content:
-            "10.1. If the materials are not loaded before the specified cutoff date, this agreement shall be deemed terminated. In the event that the Supplier fails to make a good-faith effort to load the materials prior to the cutoff date, the Buyer reserves the right to charge the Supplier up to 25% of the total deal value as compensation. \n" +
-            "10.2. If no cut-off date is listed, this agreement will be considered void 90 days after signature, unless both parties agree in writing to extend it.\n",
+          x: 432,
+          width: 146,
+          runs: [
+            { text: "Due Date", font: boldFont, size: 14 },
+            { text: dueDate, size: 13 },
+          ],
         },
+      ]);
+      layout.divider();
+
+      const sectionTitle = (text) => ({
+        text,
+        font: boldFont,
+        size: 14,
+        lineHeight: 25,
+      });
+      layout.columns([
         {
-          title: "11. Licences",
-          content:
-            "11.1. Both parties warrant that they possess all necessary licences and legal authority required to carry out this transaction in compliance with applicable laws and regulations.\n" +
-            "11.2. The Buyer shall be responsible for providing a valid weighbridge calibration certificate prior to delivery.\n" +
-            "11.3. The Supplier shall be responsible for ensuring that all required legal documents specified by the Buyer travel with the materials. This includes but is not limited to the Annex VII.\n" +
-            "11.4. The Supplier shall be responsible for obtaining and maintaining any specific licences or permits required for the sale, delivery, or transportation of the materials.\n" +
-            "11.5. Should any licence or legal authority become invalid or revoked during the term of this agreement, both parties must promptly notify the other in writing.\n",
+          x: 32,
+          width: 190,
+          runs: [
+            sectionTitle("Bill To"),
+            { text: order.buyerName, lineHeight: 20 },
+            { text: order.buyerLocation },
+          ],
         },
         {
-          title: "12. Payment",
-          content:
-            "12.1. The price stated in this order does not include any sales taxes, including VAT. It is the Supplier's sole responsibility to ensure the accurate calculation and payment of all applicable taxes related to this transaction.\n",
+          x: 232,
+          width: 190,
+          runs: [
+            sectionTitle("From"),
+            { text: issuer.name, lineHeight: 20 },
+            { text: issuer.address },
+            issuer.taxId ? { text: `Tax ID: ${issuer.taxId}` } : null,
+          ],
         },
-      ];
-
-      getClauses(page3, heading, helveticaBold, helvetica, clauses3);
-
-      // Usage
+        {
+          x: 432,
+          width: 146,
+          runs: [
+            sectionTitle("Payment Terms"),
+            {
+              text: `Net ${invoice.paymentTermsDays} days`,
+            },
+            { text: `Order ${order.invoiceNumber || order.id}`, color: grey },
+          ],
+        },
+      ]);
+      layout.divider();
 
-      const logoImage3 = await addLogoToPDF(pdfDoc);
-      Logo(page3, logoImage3);
+      const rows = invoice.lines.map((line) => [
+        line.grade,
+        `${line.tonnage}MT`,
+        { text: `${formatAmount(line.pricePerTonne)}/MT`, wrap: false },
+        { text: formatAmount(line.lineTotal), wrap: false },
+      ]);
 
-      //==========================SIGNING PAGE (3) ======================================
-      const clauses4 = [
+      const totals = [
         {
-          title: "13. Non-solicitation",
-          content:
-            "13.1. The supplier agrees that for a period of 12 months from the date of this agreement, they shall not attempt to directly contact, solicit, or engage in any form of business communication with any of the Buyer’s customers, agents, or representatives, where they have not had a previous business relationship with these entities.\n" +
-            "13.2. The Supplier further agrees that any inquiries, proposals, offers, or communication from the parties referenced in clause 13.1 shall be directed solely to the Buyer. The Supplier shall promptly notify the Buyer of any inquiries or attempts by the parties to contact them directly.\n",
+          label: "Subtotal:",
+          value: formatAmount(invoice.subtotal),
+          quantity: `${invoice.tonnage}MT`,
         },
+        ...(invoice.claimDeduction
+          ? [
+              {
+                label: "Less claims:",
+                value: `-${formatAmount(invoice.claimDeduction)}`,
+              },
+            ]
+          : []),
         {
-          title: "14. Further terms",
-          content:
-            "14.1. In addition to this Purchase Order, the terms on userevas.com also apply. In the event of any conflict or inconsistency between the terms of this Agreement and the Website Terms, the terms of this Agreement shall take precedence.\n",
+          label: `VAT (${invoice.vatRate}%):`,
+          value: formatAmount(invoice.vatAmount),
         },
+        { label: "Total:", value: formatAmount(invoice.total), bold: true },
+      ];
+      if (invoice.whtAmount) {
+        totals.push(
+          {
+            label: `Less WHT (${invoice.whtRate}%):`,
+            value: `-${formatAmount(invoice.whtAmount)}`,
+          },
+          {
+            label: "Amount Payable:",
+            value: formatAmount(invoice.amountPayable),
+            bold: true,
+          }
+        );
+      }
+      const totalColumns = (row) => [
         {
-          title: "15. Entire Agreement",
-          content:
-            "15.1. This Purchase Order, along with any attachments or amendments duly signed by both parties, constitutes the entire agreement between the Buyer and the Supplier and supersedes any prior discussions, understandings, or agreements, whether written or oral, relating to the subject matter herein.\n",
+          x: 152,
+          width: 110,
+          runs: row.quantity ? [{ text: row.quantity, font: boldFont }] : [],
         },
         {
-          title: "16. Governing Law and Jurisdiction",
-          content:
-            "16.1. This agreement shall be governed by and construed in accordance with the laws of Nigeria. Any disputes arising out of or in connection with this agreement shall be subject to the exclusive jurisdiction of the courts of Nigeria.\n",
+          x: 352,
+          width: 150,
+          runs: [{ text: row.label, font: row.bold ? boldFont : regularFont }],
         },
         {
-          title: "17. Severability",
-          content:
-            "17.1. If any provision of this agreement is determined to be invalid, illegal, or unenforceable, the remaining provisions shall remain in full force and effect to the extent permitted by law.\n",
+          x: 482,
+          width: 96,
+          runs: [
+            {
+              text: row.value,
+              font: row.bold ? boldFont : regularFont,
+              wrap: false,
+            },
+          ],
         },
+      ];
+      const totalsHeight = totals.length * (layout.defaults.lineHeight + 5);
+
+      layout.table({
+        columns: [
+          { header: "Description", x: 32, width: 110 },
+          { header: "Quantity", x: 152, width: 110 },
+          { header: "Unit Price", x: 352, width: 125 },
+          { header: "Amount", x: 482, width: 96 },
+        ],
+        rows,
+        headerRun: { font: boldFont },
+        rowGap: 10,
+        keepWithLast: totalsHeight,
+      });
+      totals.forEach((row) => layout.columns(totalColumns(row), { gap: 5 }));
+
+      // Payment instructions
+      const bankDetails = [
+        ["Bank", bank.bankName],
+        ["Account Name", bank.accountName],
+        ["Account Number", bank.accountNumber],
+        ["SWIFT", bank.swiftCode],
+        ["Sort Code", bank.sortCode],
+      ].filter(([, value]) => value);
+      const paymentRuns = [
+        sectionTitle("Payment Instructions"),
         {
-          title: "18. Waiver",
-          content:
-            "18.1. The failure of either party to enforce any provision of this agreement shall not be construed as a waiver of such provision or the right to enforce it in the future.",
+          text: `Please pay ${formatAmount(
+            invoice.amountPayable
+          )} by ${dueDate}, quoting ${invoiceNumber} as the payment reference.`,
+          lineHeight: 20,
         },
+        ...bankDetails.map(([label, value]) => ({
+          text: `${label}: ${value}`,
+        })),
       ];
-
-      // Divider Line
-      let divSize3 = 240;
-      page1.drawLine({
-        start: { x: 32, y: divSize3 },
-        end: { x: 578, y: divSize3 },
-        thickness: 0.5,
-        color: rgb(0.5, 0.5, 0.5), // Gray color
+      layout.keepTogether(layout.measure(paymentRuns) + 30, () => {
+        layout.divider({ gap: 15 });
+        paymentRuns.forEach((run) => layout.text(run));
       });
 
-      getClauses(page4, heading, helveticaBold, helvetica, clauses4);
-      // Signature Fields (centered at bottom)
-      const sigY = 240;
-      /* page4.drawText("Revas Plastic Exchange", { x: 32, y: sigY, size: 12, font: helveticaBold }); */
-      page1.drawText("Name: Ololade Adeniyi", {
-        x: 32,
-        y: sigY - 20,
-        size: 10,
-        font: helveticaBold,
-      });
-      page1.drawText("Title: Operations Manager", {
-        x: 32,
-        y: sigY - 40,
-        size: 10,
-        font: helveticaBold,
+      layout.finalize();
+      return await pdfDoc.save();
+    } catch (error) {
+      console.error("Invoice PDF generation failed:", {
+        error: error.message,
+        stack: error.stack,
+        orderId: order?.id,
       });
-      page1.drawText(`Date: ${newDate}`, {
-        x: 32,
-        y: sigY - 60,
-        size: 10,
-        font: helveticaBold,
+      throw new Error("Failed to generate invoice");
+    }
+  }
+
+  /**
+   * Store a PDF. Returns its storage key, and its URL unless private.
+   */
+  static async uploadToStorage(buffer, filename, isPrivate = false) {
+    try {
+      return await storage.put(filename, Buffer.from(buffer), {
+        contentType: "application/pdf",
+        isPrivate,
       });
+    } catch (error) {
+      console.error("Upload error:", error);
+      throw new Error("Failed to upload document");
+    }
+  }
 
-      const buyer = await User.findByPk(order.buyerId, {
-        attributes: ["id", "firstName", "lastName", "role"],
+  /**
+   * Stream of the current PDF of a document: the copy with the
+   * signatures collected so far, or the generated one before anyone has
+   * signed
+   */
+  static async openDocumentFile(document) {
+    if (document.signedFileRef) {
+      return storage.getStream(document.signedFileRef, { isPrivate: true });
+    }
+    if (document.fileRef) {
+      return storage.getStream(document.fileRef);
+    }
+    // Documents stored before their storage key was recorded
+    const response = await axios.get(document.fileUrl, {
+      responseType: "stream",
+    });
+    return response.data;
+  }
+
+  /**
+   * Current PDF of a document: the copy with the signatures collected so
+   * far, or the generated one before anyone has signed
+   */
+  static async fetchDocumentPdf(document) {
+    const chunks = [];
+    for await (const chunk of await DocumentController.openDocumentFile(
+      document
+    )) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Store a signed copy of a document privately.
+   * Returns its storage id and a URL valid for 7 days.
+   */
+  static async storeSignedCopy(document, pdfBytes) {
+    const uploadResult = await DocumentController.uploadToStorage(
+      Buffer.from(pdfBytes),
+      `signed_docs/${document.id}_${Date.now()}.pdf`,
+      true
+    );
+    return {
+      signedFileRef: uploadResult.key,
+      signedUrl: await privateFileUrl(uploadResult.key, 604800),
+    };
+  }
+
+  /**
+   * Sign a document in the app with a drawn or typed signature
+   */
+  static async signDocument(req, res) {
+    const { documentId } = req.params;
+    const { user } = req;
+    let transaction;
+    try {
+      let signature;
+      try {
+        signature = parseSignature(req.body);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // The document row stays locked while the PDF is stamped, so two
+      // parties signing at once cannot overwrite each other's signature
+      transaction = await sequelize.transaction();
+      const document = await Document.findByPk(documentId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
       });
-      const supplier = await User.findByPk(order.supplierId, {
-        attributes: ["id", "firstName", "lastName", "role"],
+      if (
+        !document ||
+        !(await canSeeDocument(
+          document,
+          user,
+          await Order.findByPk(document.orderId, { transaction })
+        ))
+      ) {
+        await transaction.rollback();
+        return res.status(404).json({ error: "Document not found" });
+      }
+
+      const requests = await SigningRequest.findAll({
+        where: { documentId },
+        include: [
+          {
+            model: User,
+            as: "user",
+            attributes: ["id", "firstName", "lastName", "email"],
+          },
+        ],
+        transaction,
       });
-      let userName =
-        type === "sales_order"
-          ? buyer.firstName + " " + buyer.lastName
-          : supplier.firstName + " " + supplier.lastName;
-      let userRole = type === "sales_order" ? buyer.role : supplier.role;
-      //Users Signature (buyer/supplier)
-      page1.drawText(`Name: ${userName}`, {
-        x: 400,
-        y: sigY - 20,
-        size: 10,
-        font: helveticaBold,
+      const signingRequest = requests.find(
+        (request) => request.userId === user.id
+      );
+      if (!signingRequest) {
+        await transaction.rollback();
+        return res.status(403).json({
+          error: "You are not a signatory of this document",
+        });
+      }
+      if (signingRequest.status !== "pending") {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: `Signing request is already ${signingRequest.status}`,
+        });
+      }
+
+      const field = document.metadata?.signatureFields?.[signingRequest.party];
+      if (!field) {
+        await transaction.rollback();
+        return res.status(400).json({
+          error: "Document has no signature field for you",
+        });
+      }
+
+      const signer = signingRequest.user;
+      const signedAt = new Date();
+      const stampedPdf = await stampSignature(
+        await DocumentController.fetchDocumentPdf(document),
+        field,
+        signature,
+        { signerName: `${signer.firstName} ${signer.lastName}`, signedAt }
+      );
+
+      await signingRequest.update(
+        {
+          status: "completed",
+          completedAt: signedAt,
+          signatureType: signature.type,
+          signatureData: signature.data,
+          ipAddress: req.ip,
+          userAgent: (req.get("user-agent") || "").slice(0, 255),
+        },
+        { transaction }
+      );
+
+      const isFullySigned = requests.every(
+        (request) => request.status === "completed"
+      );
+      const counterpartySigned = requests.some(
+        (request) => request.party !== "revas" && request.status === "completed"
+      );
+
+      // Every stored PDF is hashed; the last signature adds the certificate
+      let fileVersions = addFileVersion(
+        document.fileVersions,
+        "signed",
+        stampedPdf,
+        { party: signingRequest.party }
+      );
+      let signedPdf = stampedPdf;
+      if (isFullySigned) {
+        signedPdf = await appendCertificate(stampedPdf, {
+          document,
+          signingRequests: requests,
+          fileVersions,
+        });
+        fileVersions = addFileVersion(fileVersions, "certified", signedPdf);
+      }
+
+      const { signedFileRef, signedUrl } =
+        await DocumentController.storeSignedCopy(document, signedPdf);
+
+      const updates = {
+        status: isFullySigned ? "fully_signed" : "partially_signed",
+        signedFileRef,
+        signingUrl: signedUrl,
+        signedFileHash: sha256(signedPdf),
+        fileVersions,
+      };
+      if (signingRequest.party === "buyer") {
+        updates.signedByBuyerAt = signedAt;
+        updates.signedById = user.id;
+      } else if (signingRequest.party === "supplier") {
+        updates.signedBySupplierAt = signedAt;
+        updates.signedById = user.id;
+      }
+      // Signed copy of the counterparty, with every signature so far
+      if (counterpartySigned) {
+        updates[
+          document.type === "purchase_order"
+            ? "supplierSignedUrl"
+            : "buyerSignedUrl"
+        ] = signedUrl;
+      }
+      await document.update(updates, { transaction });
+
+      await transaction.commit();
+
+      const order = await Order.findByPk(document.orderId, {
+        include: [{ model: OrderLine, as: "lines" }],
       });
-      page1.drawText(`Title: ${userRole}`, {
-        x: 400,
-        y: sigY - 40,
-        size: 10,
-        font: helveticaBold,
+      const docLabel = document.type.replace("_", " ");
+      let orderProcessing = false;
+
+      if (isFullySigned) {
+        await Notification.bulkCreate(
+          requests.map((request) => ({
+            userId: request.userId,
+            orderId: document.orderId,
+            message: `${docLabel} fully signed`,
+            type: "document_fully_signed",
+            metadata: { documentId, docType: document.type },
+          }))
+        );
+        orderProcessing = await DocumentController.completeOrderSigning(
+          order,
+          user.id
+        );
+      } else {
+        // Remind whoever still has to sign
+        await Notification.bulkCreate(
+          requests
+            .filter((request) => request.status === "pending")
+            .map((request) => ({
+              userId: request.userId,
+              orderId: document.orderId,
+              message: `${docLabel} signed by ${signer.firstName} ${signer.lastName} - your signature is now required`,
+              type: "signature_required",
+              metadata: { documentId, docType: document.type },
+            }))
+        );
+      }
+
+      res.json({
+        success: true,
+        signedUrl,
+        status: updates.status,
+        orderStatus: order.status,
+        message: orderProcessing
+          ? "Document fully signed - order moved to processing"
+          : isFullySigned
+          ? "Document fully signed"
+          : "Document signed successfully - waiting for other party",
       });
-      page1.drawText(`Date: ${newDate}`, {
-        x: 400,
-        y: sigY - 60,
-        size: 10,
-        font: helveticaBold,
+    } catch (error) {
+      if (transaction && !transaction.finished) await transaction.rollback();
+      console.error("Signing error:", {
+        message: error.message,
+        documentId,
+        userId: user?.id,
+        stack: error.stack,
       });
-      page1.drawText("Signature", {
-        x: 400,
-        y: sigY - 90,
-        size: 10,
-        font: helveticaBold,
+      res.status(500).json({
+        error: "Signing failed",
+        details:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
       });
+    }
+  }
+
+  /**
+   * Move an order to processing once both of its order documents are
+   * fully signed, and issue the invoice. Returns whether it moved.
+   */
+  static async completeOrderSigning(order, actorId) {
+    const documents = await Document.findAll({
+      where: {
+        orderId: order.id,
+        type: ORDER_DOCUMENT_TYPES,
+        supersededById: null,
+      },
+      attributes: ["type", "status"],
+    });
+    const allSigned = ORDER_DOCUMENT_TYPES.every((type) =>
+      documents.some(
+        (doc) => doc.type === type && doc.status === "fully_signed"
+      )
+    );
+    if (!allSigned) return false;
 
-      const logoImage4 = await addLogoToPDF(pdfDoc);
-      Logo(page4, logoImage4);
+    // An order on hold stays there; signing does not resume it
+    const transitionError = await checkTransition(order, "processing", {
+      actorId,
+      system: true,
+    });
+    if (transitionError) return false;
 
-      return await pdfDoc.save();
+    await transitionOrder(order, "processing", {
+      actorId,
+      system: true,
+      reason: "All parties signed",
+    });
+
+    await Notification.bulkCreate(
+      [order.buyerId, order.supplierId].map((userId) => ({
+        userId,
+        orderId: order.id,
+        message: "All documents signed - order is now processing",
+        type: "order_processing",
+      }))
+    );
+
+    // Invoice the buyer straight away; account managers can retry
+    // through POST /documents/orders/:id/invoice if this fails
+    try {
+      await DocumentController.issueInvoice(
+        order,
+        order.buyerAccountManagerId || actorId
+      );
     } catch (error) {
-      console.error("PDF generation failed:", {
+      console.error("Automatic invoice failed:", {
         error: error.message,
-        stack: error.stack,
-        orderId: order?.id,
+        orderId: order.id,
       });
-      throw new Error("Failed to generate document");
     }
+    return true;
   }
 
   /**
-   * Upload to Cloudinary Storage
+   * Check an uploaded PDF against the hashes of every file we stored
    */
-  static async uploadToStorage(buffer, filename, isPrivate = false) {
-    return new Promise((resolve, reject) => {
-      cloudinary.uploader
-        .upload_stream(
-          {
-            resource_type: "raw",
-            public_id: filename.replace(".pdf", ""),
-            format: "pdf",
-            type: isPrivate ? "private" : "upload",
-            invalidate: true,
-            transformation: [{ flags: "attachment" }],
-          },
-          (error, result) => {
-            if (error) {
-              console.error("Upload error:", error);
-              reject(new Error("Failed to upload document"));
-            } else {
-              const pdfUrl = cloudinary.url(result.public_id, {
-                resource_type: "raw",
-                secure: true,
-                sign_url: isPrivate,
-                expires_at: isPrivate
-                  ? Math.floor(Date.now() / 1000) + 3600
-                  : undefined,
-              });
-              resolve({ url: pdfUrl, public_id: result.public_id });
-            }
-          }
-        )
-        .end(buffer);
-    });
-  }
-
-  // Upload signed document (for client users)
-  static async uploadSignedDocument(req, res) {
-    const { orderId } = req.params;
-    const { user } = req;
+  static async verifyDocument(req, res) {
     try {
       if (!req.file) {
         return res.status(400).json({ error: "No file uploaded" });
       }
 
-      // Get order with associated documents
-      const order = await Order.findByPk(orderId, {
+      const hash = sha256(req.file.buffer);
+      const match = await findDocumentByHash(hash);
+      if (!match) {
+        return res.json({
+          verified: false,
+          sha256: hash,
+          message: "The file does not match any document issued by Revas",
+        });
+      }
+
+      const { document, fileVersion } = match;
+      const latest = document.fileVersions[document.fileVersions.length - 1];
+      res.json({
+        verified: true,
+        sha256: hash,
+        document: {
+          id: document.id,
+          orderId: document.orderId,
+          type: document.type,
+          invoiceNumber: document.invoiceNumber,
+          status: document.status,
+          documentVersion: document.version,
+          supersededById: document.supersededById,
+        },
+        version: fileVersion.version,
+        kind: fileVersion.kind,
+        recordedAt: fileVersion.createdAt,
+        isLatest: fileVersion.version === latest.version,
+        latestVersion: latest.version,
+      });
+    } catch (error) {
+      console.error("Document verification error:", error);
+      res.status(500).json({ error: "Failed to verify document" });
+    }
+  }
+
+  /**
+   * Who has to sign a document and who already has
+   */
+  static async getSigningRequests(req, res) {
+    try {
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
+      });
+      if (!document || !(await canSeeDocument(document, req.user))) {
+        return res.status(404).json({ error: "Document not found" });
+      }
+
+      const requests = await SigningRequest.findAll({
+        where: { documentId: document.id },
+        attributes: { exclude: ["signatureData"] },
         include: [
           {
-            model: Document,
-            as: "documents",
-            where: {
-              type: ["sales_order", "purchase_order"],
-            },
-            required: false,
+            model: User,
+            as: "user",
+            attributes: ["id", "firstName", "lastName"],
           },
         ],
+        order: [["initiatedAt", "ASC"]],
       });
 
-      if (!order) {
-        return res.status(404).json({ error: "Order not found" });
-      }
+      res.json({
+        documentId: document.id,
+        status: document.status,
+        signingRequests: requests,
+      });
+    } catch (error) {
+      console.error("Error fetching signing requests:", error);
+      res.status(500).json({ error: "Failed to fetch signing requests" });
+    }
+  }
 
-      // Verify user authorization
-      if (![order.buyerId, order.supplierId].includes(user.id)) {
-        return res.status(403).json({ error: "Not authorized" });
-      }
+  /**
+   * Signing state of one document: every required signer, who has signed
+   * and who is outstanding
+   */
+  static async describeSigning(document) {
+    const requests = await SigningRequest.findAll({
+      where: { documentId: document.id },
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "firstName", "lastName"],
+        },
+      ],
+      order: [["initiatedAt", "ASC"]],
+    });
 
-      // Find document matching user's role
-      const documentToSign = order.documents.find(
-        (doc) =>
-          (user.clientType === "Buyer" && doc.type === "sales_order") ||
-          (user.clientType === "Supplier" && doc.type === "purchase_order")
-      );
+    const signers = requests.map((request) => ({
+      signingRequestId: request.id,
+      party: request.party,
+      userId: request.userId,
+      name: request.user
+        ? `${request.user.firstName} ${request.user.lastName}`
+        : null,
+      status: request.status,
+      viewedAt: request.viewedAt,
+      signedAt: request.completedAt,
+    }));
+
+    return {
+      documentId: document.id,
+      type: document.type,
+      invoiceNumber: document.invoiceNumber,
+      version: document.version,
+      supersededById: document.supersededById,
+      status: document.status,
+      signedByBuyer: !!document.signedByBuyerAt,
+      signedBySupplier: !!document.signedBySupplierAt,
+      signers,
+      signed: signers.filter((signer) => signer.status === "completed"),
+      outstanding: signers.filter((signer) => signer.status === "pending"),
+    };
+  }
 
-      if (!documentToSign) {
-        return res.status(404).json({
-          error: "No document available for you to sign",
-        });
+  /**
+   * Signing status of a document
+   */
+  static async getDocumentStatus(req, res) {
+    try {
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
+      });
+      if (!document || !(await canSeeDocument(document, req.user))) {
+        return res.status(404).json({ error: "Document not found" });
       }
 
-      const filename = `signed_docs/${orderId}_${Date.now()}`;
+      res.json(await DocumentController.describeSigning(document));
+    } catch (error) {
+      console.error("Error fetching document status:", error);
+      res.status(500).json({ error: "Failed to get status" });
+    }
+  }
 
-      // Upload with private access
-      const uploadResult = await new Promise((resolve, reject) => {
-        cloudinary.uploader
-          .upload_stream(
-            {
-              resource_type: "raw",
-              public_id: filename,
-              format: "pdf",
-              type: "private",
-              invalidate: true,
-            },
-            (error, result) => {
-              if (error) {
-                console.error("Upload error:", error);
-                reject(new Error("Failed to upload document"));
-              } else {
-                const signedUrl = cloudinary.url(result.public_id, {
-                  resource_type: "raw",
-                  secure: true,
-                  sign_url: true,
-                  expires_at: Math.floor(Date.now() / 1000) + 604800,
-                  type: "private",
-                  transformation: [{ flags: "attachment" }],
-                });
-                resolve({
-                  url: signedUrl,
-                  public_id: result.public_id,
-                });
-              }
-            }
-          )
-          .end(req.file.buffer);
+  /**
+   * Fresh URL for a document: the latest signed copy (private, valid for
+   * 7 days) or the generated PDF before anyone has signed
+   */
+  static async getDocumentUrl(req, res) {
+    try {
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
       });
+      if (!document || !(await canSeeDocument(document, req.user))) {
+        return res.status(404).json({ error: "Document not found" });
+      }
 
-      // Update document signing status
-      const isBuyer = user.clientType === "Buyer";
-      const updateData = {
-        [isBuyer ? "signedByBuyerAt" : "signedBySupplierAt"]: new Date(),
-        uploadedAt: new Date(),
-        [isBuyer ? "buyerSignedUrl" : "supplierSignedUrl"]: uploadResult.url,
-        status: "partially_signed",
-      };
-
-      await documentToSign.update(updateData);
-
-      // Get fresh copy of the document to check current state
-      const updatedDoc = await Document.findByPk(documentToSign.id);
+      if (!document.signedFileRef) {
+        return res.json({
+          documentId: document.id,
+          url: document.fileUrl,
+          signed: false,
+        });
+      }
 
-      // Check if both parties have signed
-      const isFullySigned =
-        updatedDoc.signedByBuyerAt && updatedDoc.signedBySupplierAt;
+      const expiresIn = 604800; // 7 days
+      // Not stored: signingUrl stays the link signing handed out
+      const url = await privateFileUrl(document.signedFileRef, expiresIn);
 
-      if (isFullySigned) {
-        await updatedDoc.update({ status: "fully_signed" });
-        await order.update({ status: "processing" });
+      res.json({
+        documentId: document.id,
+        url,
+        signed: true,
+        expiresAt: new Date(Date.now() + expiresIn * 1000),
+      });
+    } catch (error) {
+      console.error("Error regenerating document URL:", error);
+      res.status(500).json({ error: "Failed to regenerate URL" });
+    }
+  }
 
-        // Notify both parties
-        await Notification.bulkCreate([
-          {
-            userId: order.buyerId,
-            orderId,
-            message: "Document fully signed - order is now processing",
-            type: "document_fully_signed",
-          },
-          {
-            userId: order.supplierId,
-            orderId,
-            message: "Document fully signed - order is now processing",
-            type: "document_fully_signed",
-          },
-        ]);
-      } else {
-        // Notify the other party
-        const otherPartyId = isBuyer ? order.supplierId : order.buyerId;
-        await Notification.create({
-          userId: otherPartyId,
-          orderId,
-          message: `${user.clientType} has signed - your signature is now required`,
-          type: "signature_required",
-        });
+  /**
+   * Every version of a document, oldest first
+   */
+  static async getDocumentVersions(req, res) {
+    try {
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
+      });
+      if (!document || !(await canSeeDocument(document, req.user))) {
+        return res.status(404).json({ error: "Document not found" });
       }
 
+      // An order has one document of each type, regenerated in place
+      const versions = await Document.findAll({
+        where: { orderId: document.orderId, type: document.type },
+        order: [["version", "ASC"]],
+      });
+
       res.json({
-        success: true,
-        signedUrl: uploadResult.url,
-        status: isFullySigned ? "fully_signed" : "partially_signed",
-        orderStatus: isFullySigned ? "processing" : order.status,
-        message: isFullySigned
-          ? "Document fully signed - order moved to processing"
-          : "Document signed successfully - waiting for other party",
+        orderId: document.orderId,
+        type: document.type,
+        currentDocumentId: versions.find((doc) => !doc.supersededById)?.id,
+        versions: versions.map((doc) => ({
+          id: doc.id,
+          version: doc.version,
+          invoiceNumber: doc.invoiceNumber,
+          status: doc.status,
+          fileUrl: doc.fileUrl,
+          fileHash: doc.fileHash,
+          generatedById: doc.generatedById,
+          generatedAt: doc.createdAt,
+          supersededById: doc.supersededById,
+          supersededAt: doc.supersededAt,
+        })),
       });
     } catch (error) {
-      console.error("Upload error:", {
-        message: error.message,
-        orderId,
-        userId: user?.id,
-        stack: error.stack,
+      console.error("Error fetching document versions:", error);
+      res.status(500).json({ error: "Failed to fetch document versions" });
+    }
+  }
+
+  /**
+   * Signing summary of all of an order's documents
+   */
+  static async getOrderSigningSummary(req, res) {
+    try {
+      const { user } = req;
+      const order = await findVisibleOrder(user, req.params.orderId, {
+        include: [{ model: Document, as: "documents" }],
       });
-      res.status(500).json({
-        error: "Upload failed",
-        details:
-          process.env.NODE_ENV === "development" ? error.message : undefined,
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      const current = order.documents.filter(
+        (doc) => ORDER_DOCUMENT_TYPES.includes(doc.type) && !doc.supersededById
+      );
+      const described = await Promise.all(
+        current.map((doc) => DocumentController.describeSigning(doc))
+      );
+      // Progress covers every document; details only the caller's own
+      const visible = await Promise.all(
+        current.map((doc) => canSeeDocument(doc, user, order))
+      );
+      const documents = described.filter((doc, index) => visible[index]);
+
+      res.json({
+        orderId: order.id,
+        orderStatus: order.status,
+        allSigned: ORDER_DOCUMENT_TYPES.every((type) =>
+          described.some(
+            (doc) => doc.type === type && doc.status === "fully_signed"
+          )
+        ),
+        missingDocuments: ORDER_DOCUMENT_TYPES.filter(
+          (type) => !described.some((doc) => doc.type === type)
+        ),
+        documents,
+        outstanding: documents.flatMap((doc) =>
+          doc.outstanding.map((signer) => ({
+            ...signer,
+            documentId: doc.documentId,
+            type: doc.type,
+          }))
+        ),
       });
+    } catch (error) {
+      console.error("Error fetching order signing summary:", error);
+      res.status(500).json({ error: "Failed to get signing summary" });
     }
   }
 
+  /**
+   * The caller's own document of an order, for the order-addressed
+   * endpoints: the sales order for the buyer side, the purchase order
+   * for the supplier side
+   */
+  static async findOwnOrderDocument(orderId, user) {
+    const isSupplierSide =
+      user.clientType === "Supplier" ||
+      (!user.clientType && user.role === "supplier");
+    return Document.findOne({
+      where: {
+        orderId,
+        type: isSupplierSide ? "purchase_order" : "sales_order",
+        supersededById: null,
+      },
+      include: [{ model: Order, as: "order" }],
+    });
+  }
+
+  // Deprecated: use GET /documents/:documentId/status
   static async getSigningStatus(req, res) {
     try {
-      const { orderId } = req.params;
-      const document = await Document.findOne({
-        where: { orderId },
-        attributes: ["status", "signedByBuyerAt", "signedBySupplierAt"],
-      });
-
-      if (!document) {
+      const document = await DocumentController.findOwnOrderDocument(
+        req.params.orderId,
+        req.user
+      );
+      if (!document || !(await canSeeDocument(document, req.user))) {
         return res.status(404).json({ error: "Document not found" });
       }
 
-      res.json({
-        status: document.status,
-        signedByBuyer: !!document.signedByBuyerAt,
-        signedBySupplier: !!document.signedBySupplierAt,
-      });
+      res.json(await DocumentController.describeSigning(document));
     } catch (error) {
       res.status(500).json({ error: "Failed to get status" });
     }
@@ -1138,26 +2147,25 @@ class DocumentController {
     try {
       const { user } = req;
 
-      // 1. Validate user role and clientType
-      if (!["Supplier", "Buyer"].includes(user.clientType)) {
-        return res.status(403).json({
-          error: "Access denied",
-          message: "Only Supplier or Buyer clients can access documents",
-        });
-      }
-
-      // 2. Determine document parameters
+      // 1. Determine document parameters
+      // Buyers also receive the order invoices
       const docType =
-        user.clientType === "Supplier" ? "purchase_order" : "sales_order";
+        user.clientType === "Supplier"
+          ? ["purchase_order"]
+          : ["sales_order", "invoice"];
 
       const userField =
         user.clientType === "Supplier" ? "supplierId" : "buyerId";
 
-      // 3. Fetch documents with optimized query
+      // 2. Fetch documents with optimized query
+      // Superseded versions only on request
+      const includeSuperseded = req.query.includeSuperseded === "true";
+
       const documents = await Document.findAll({
         where: {
           [userField]: user.id,
           type: docType,
+          ...(!includeSuperseded && { supersededById: null }),
         },
         include: [
           {
@@ -1174,25 +2182,32 @@ class DocumentController {
         limit: 100, // Prevent over-fetching
       });
 
-      // 4. Transform response
+      // 3. Transform response
       const response = documents.map((doc) => ({
         id: doc.id,
         orderId: doc.order.id,
         type: doc.type,
         fileUrl: doc.fileUrl,
         status: doc.status,
+        version: doc.version,
+        supersededById: doc.supersededById,
         orderStatus: doc.order.status,
         generatedAt: doc.createdAt,
-        requiresSignature: !doc.signedById,
-        downloadUrl: `${req.protocol}://${req.get("host")}/documents/${
+        requiresSignature:
+          doc.type !== "invoice" && !doc.signedById && !doc.supersededById,
+        ...(doc.type === "invoice" && {
+          invoiceNumber: doc.invoiceNumber,
+          dueDate: doc.dueDate,
+        }),
+        downloadUrl: `${req.protocol}://${req.get("host")}/api/documents/${
           doc.id
         }/download`,
       }));
 
-      // 5. Add helpful headers
+      // 4. Add helpful headers
       res.set({
         "X-Total-Count": documents.length,
-        "X-Filtered-By": `${userField}=${user.id}, type=${docType}`,
+        "X-Filtered-By": `${userField}=${user.id}, type=${docType.join(",")}`,
       });
 
       res.json(response);
@@ -1212,29 +2227,139 @@ class DocumentController {
       });
     }
   }
-  static async regenerateSignedUrl(req, res) {
+  /**
+   * Stream the current PDF of a document and log the download
+   */
+  static async downloadDocument(req, res) {
+    const { user } = req;
     try {
-      const { orderId } = req.params;
-      const document = await Document.findOne({ where: { orderId } });
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
+      });
+      if (!document || !(await canSeeDocument(document, user))) {
+        return res.status(404).json({ error: "Document not found" });
+      }
 
-      if (!document) {
+      const file = await DocumentController.openDocumentFile(document);
+
+      await DocumentDownload.create({
+        documentId: document.id,
+        userId: user.id,
+        userAgent: req.get("User-Agent")?.slice(0, 255) || null,
+        ipAddress: req.ip,
+      });
+
+      // Let whoever generated the document know it was picked up
+      if (document.generatedById && document.generatedById !== user.id) {
+        await Notification.create({
+          userId: document.generatedById,
+          orderId: document.orderId,
+          message: `${[document.type.replace("_", " "), document.invoiceNumber]
+            .filter(Boolean)
+            .join(" ")} was downloaded`,
+          type: "document_downloaded",
+          metadata: {
+            documentId: document.id,
+            docType: document.type,
+            downloadedById: user.id,
+          },
+        });
+      }
+
+      const filename = `${document.type}_${
+        document.invoiceNumber || document.id
+      }.pdf`.replace(/[^\w.-]/g, "_");
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "private, no-store",
+      });
+
+      file.on("error", (error) => {
+        console.error("Document stream error:", {
+          documentId: document.id,
+          error: error.message,
+        });
+        res.destroy(error);
+      });
+      file.pipe(res);
+    } catch (error) {
+      console.error("Document download error:", {
+        documentId: req.params.documentId,
+        userId: user?.id,
+        error: error.message,
+      });
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to download document" });
+      }
+    }
+  }
+
+  /**
+   * Download history of a document, for the order's account managers
+   */
+  static async getDocumentDownloads(req, res) {
+    try {
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
+      });
+      if (!document || !(await canSeeDocument(document, req.user))) {
         return res.status(404).json({ error: "Document not found" });
       }
+      if (
+        ![
+          document.order?.buyerAccountManagerId,
+          document.order?.supplierAccountManagerId,
+        ].includes(req.user.id)
+      ) {
+        return res.status(403).json({
+          error: "Only the order's account managers can view downloads",
+        });
+      }
+
+      const downloads = await DocumentDownload.findAll({
+        where: { documentId: document.id },
+        include: [
+          {
+            model: User,
+            as: "user",
+            attributes: ["id", "firstName", "lastName", "email", "clientType"],
+          },
+        ],
+        order: [["downloadedAt", "DESC"]],
+      });
 
-      const publicId = document.signingUrl
-        .split("/")
-        .slice(-1)[0]
-        .replace(".pdf", "");
-      const newUrl = cloudinary.url(publicId, {
-        resource_type: "raw",
-        secure: true,
-        sign_url: true,
-        expires_at: Math.floor(Date.now() / 1000) + 604800, // 7 days
-        type: "private",
+      res.json({
+        documentId: document.id,
+        type: document.type,
+        totalDownloads: downloads.length,
+        downloads: downloads.map((download) => ({
+          id: download.id,
+          downloadedAt: download.downloadedAt,
+          user: download.user,
+          ipAddress: download.ipAddress,
+          userAgent: download.userAgent,
+        })),
       });
+    } catch (error) {
+      console.error("Error fetching document downloads:", error);
+      res.status(500).json({ error: "Failed to fetch downloads" });
+    }
+  }
+
+  // Deprecated: use GET /documents/:documentId/url
+  static async regenerateSignedUrl(req, res) {
+    try {
+      const document = await DocumentController.findOwnOrderDocument(
+        req.params.orderId,
+        req.user
+      );
+      if (!document) {
+        return res.status(404).json({ error: "Document not found" });
+      }
 
-      await document.update({ signingUrl: newUrl });
-      res.json({ url: newUrl });
+      req.params.documentId = document.id;
+      return DocumentController.getDocumentUrl(req, res);
     } catch (error) {
       res.status(500).json({ error: "Failed to regenerate URL" });
     }
@@ -1249,14 +2374,6 @@ class DocumentController {
   static async getSignedDocuments(req, res) {
     const { user } = req;
     try {
-      // Validate user is an account manager
-      if (!["buyer", "supplier"].includes(user.role)) {
-        return res.status(403).json({
-          error: "Access denied",
-          message: "Only account managers can access this endpoint",
-        });
-      }
-
       console.log(
         `Fetching documents for ${user.role} account manager (ID: ${user.id})`
       );
@@ -1369,6 +2486,37 @@ class DocumentController {
       });
     }
   }
+
+  /**
+   * Clause wording a document was generated with
+   */
+  static async getDocumentClauses(req, res) {
+    try {
+      const document = await Document.findByPk(req.params.documentId, {
+        include: [{ model: Order, as: "order" }],
+      });
+      if (!document || !(await canSeeDocument(document, req.user))) {
+        return res.status(404).json({ error: "Document not found" });
+      }
+
+      const clauses = await getClausesByVersions(document.clauseVersions || []);
+
+      res.json({
+        documentId: document.id,
+        type: document.type,
+        clauseVersions: document.clauseVersions || [],
+        clauses: clauses.map(({ key, version, title, content }) => ({
+          key,
+          version,
+          title,
+          content,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching document clauses:", error);
+      res.status(500).json({ error: "Failed to fetch document clauses" });
+    }
+  }
 }
 
 module.exports = DocumentController;
@@ -0,0 +1,311 @@
+const axios = require("axios");
+const {
+  Document,
+  SigningRequest,
+  User,
+  Order,
+  OrderLine,
+  Notification,
+} = require("../models");
+const DocumentController = require("./documentController");
+const { webhookSecret } = require("../config/docuseal");
+const {
+  sha256,
+  addFileVersion,
+  appendCertificate,
+} = require("../services/documentIntegrityService");
+const {
+  HANDLED_EVENTS,
+  verifySignature,
+  checkTimestamp,
+  recordDelivery,
+  submissionIdOf,
+  submittersOf,
+} = require("../services/docusealWebhookService");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sameEmail = (a, b) =>
+  !!a &&
+  !!b &&
+  String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Document an event is about: by the DocuSeal submission id, or by a
+ * submitter whose external_id is one of our SigningRequest ids.
+ */
+async function findEventDocument(event) {
+  const submissionId = submissionIdOf(event);
+  if (submissionId) {
+    const document = await Document.findOne({
+      where: { externalSubmissionId: submissionId },
+    });
+    if (document) return document;
+  }
+
+  const requestIds = submittersOf(event)
+    .map((submitter) => submitter.external_id)
+    .filter((id) => UUID_PATTERN.test(String(id || "")));
+  if (!requestIds.length) return null;
+
+  const request = await SigningRequest.findOne({ where: { id: requestIds } });
+  if (!request) return null;
+
+  const document = await Document.findByPk(request.documentId);
+  if (document && submissionId && !document.externalSubmissionId) {
+    await document.update({ externalSubmissionId: submissionId });
+  }
+  return document;
+}
+
+/**
+ * The document's signing requests, each with the DocuSeal submitter it
+ * corresponds to (by external_id, then by email).
+ */
+async function matchSubmitters(document, event) {
+  const requests = await SigningRequest.findAll({
+    where: { documentId: document.id },
+    include: [
+      {
+        model: User,
+        as: "user",
+        attributes: ["id", "email", "firstName", "lastName"],
+      },
+    ],
+  });
+  const submitters = submittersOf(event);
+
+  return requests.map((request) => ({
+    request,
+    submitter: submitters.find(
+      (submitter) =>
+        submitter.external_id === request.id ||
+        sameEmail(submitter.email, request.user?.email)
+    ),
+  }));
+}
+
+const notifySignatories = (requests, document, message, type) =>
+  Notification.bulkCreate(
+    requests.map(({ request }) => ({
+      userId: request.userId,
+      orderId: document.orderId,
+      message,
+      type,
+      metadata: { documentId: document.id, docType: document.type },
+    }))
+  );
+
+const docLabel = (document) => document.type.replace("_", " ");
+
+// ================== EVENT HANDLERS ================== //
+// Each returns a short description of what it changed, kept on the
+// WebhookEvent record.
+
+async function handleSubmissionCompleted(document, event) {
+  if (document.status === "fully_signed") {
+    return "ignored: document already fully signed";
+  }
+  const data = event.data || {};
+  const matched = await matchSubmitters(document, event);
+  const completedAt = new Date(data.completed_at || event.timestamp);
+
+  // Only signing requests matched to a submitter of this submission are
+  // completed; the document is fully signed once none is left
+  const updates = {};
+  for (const { request, submitter } of matched) {
+    if (!submitter) continue;
+    const signedAt = submitter.completed_at
+      ? new Date(submitter.completed_at)
+      : completedAt;
+    if (request.status === "pending") {
+      await request.update({
+        status: "completed",
+        completedAt: signedAt,
+        ipAddress: submitter.ip || null,
+        userAgent: submitter.ua ? String(submitter.ua).slice(0, 255) : null,
+      });
+    }
+    if (request.party === "buyer") {
+      updates.signedByBuyerAt = request.completedAt || signedAt;
+      updates.signedById = request.userId;
+    } else if (request.party === "supplier") {
+      updates.signedBySupplierAt = request.completedAt || signedAt;
+      updates.signedById = request.userId;
+    }
+  }
+
+  const outstanding = matched.filter(
+    ({ request }) => request.status !== "completed"
+  );
+  if (!matched.length || outstanding.length) {
+    await document.update(updates);
+    return `recorded ${matched.length - outstanding.length} of ${
+      matched.length
+    } signatures; document not fully signed`;
+  }
+  updates.status = "fully_signed";
+
+  // Keep our own hashed and certified copy of the signed PDF: DocuSeal
+  // links expire
+  const signedPdfUrl = (data.documents || [])[0]?.url;
+  if (signedPdfUrl) {
+    const response = await axios.get(signedPdfUrl, {
+      responseType: "arraybuffer",
+    });
+    let fileVersions = addFileVersion(
+      document.fileVersions,
+      "signed",
+      response.data,
+      { source: "docuseal" }
+    );
+    const signedPdf = await appendCertificate(response.data, {
+      document,
+      signingRequests: matched.map(({ request }) => request),
+      fileVersions,
+    });
+    fileVersions = addFileVersion(fileVersions, "certified", signedPdf);
+
+    const { signedFileRef, signedUrl } =
+      await DocumentController.storeSignedCopy(document, signedPdf);
+    updates.fileVersions = fileVersions;
+    updates.signedFileHash = sha256(signedPdf);
+    updates.signedFileRef = signedFileRef;
+    updates.signingUrl = signedUrl;
+    updates[
+      document.type === "purchase_order"
+        ? "supplierSignedUrl"
+        : "buyerSignedUrl"
+    ] = signedUrl;
+  }
+  await document.update(updates);
+
+  await notifySignatories(
+    matched,
+    document,
+    `${docLabel(document)} fully signed`,
+    "document_fully_signed"
+  );
+
+  const order = await Order.findByPk(document.orderId, {
+    include: [{ model: OrderLine, as: "lines" }],
+  });
+  const orderProcessing = order
+    ? await DocumentController.completeOrderSigning(order, null)
+    : false;
+
+  return orderProcessing
+    ? "document fully signed, order moved to processing"
+    : "document fully signed";
+}
+
+async function handleSubmissionExpired(document, event) {
+  if (document.status === "fully_signed") {
+    return "ignored: document already fully signed";
+  }
+  const matched = await matchSubmitters(document, event);
+
+  for (const { request } of matched) {
+    if (request.status === "pending") {
+      await request.update({ status: "expired" });
+    }
+  }
+  await document.update({ status: "expired" });
+
+  await notifySignatories(
+    matched,
+    document,
+    `${docLabel(document)} expired before everyone signed`,
+    "document_expired"
+  );
+  return "document expired";
+}
+
+async function handleFormViewed(document, event) {
+  const matched = await matchSubmitters(document, event);
+  const viewer = matched.find(({ submitter }) => submitter);
+  if (!viewer) return "ignored: submitter is not a signatory";
+  if (viewer.request.viewedAt) return "ignored: already viewed";
+
+  const submitter = viewer.submitter;
+  await viewer.request.update({
+    viewedAt: new Date(submitter.opened_at || event.timestamp),
+  });
+
+  const name = viewer.request.user
+    ? `${viewer.request.user.firstName} ${viewer.request.user.lastName}`
+    : submitter.email;
+  await notifySignatories(
+    matched.filter(({ request }) => request.id !== viewer.request.id),
+    document,
+    `${name} opened the ${docLabel(document)}`,
+    "document_viewed"
+  );
+  return "signer viewed document";
+}
+
+const HANDLERS = {
+  submission_completed: handleSubmissionCompleted,
+  submission_expired: handleSubmissionExpired,
+  form_viewed: handleFormViewed,
+};
+
+// ================== DOCUSEAL WEBHOOK ================== //
+exports.handleDocuSealWebhook = async (req, res) => {
+  let delivery;
+  try {
+    if (!webhookSecret) {
+      console.error("DOCUSEAL_WEBHOOK_SECRET is not configured");
+      return res.status(503).json({ error: "Webhook receiver not configured" });
+    }
+    if (!verifySignature(req.rawBody, req.get("DocuSeal-Signature"))) {
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    const event = req.body || {};
+    const timestampError = checkTimestamp(event.timestamp);
+    if (timestampError) {
+      return res.status(400).json({ error: timestampError });
+    }
+
+    delivery = await recordDelivery(req.rawBody, event);
+    if (!delivery) {
+      return res.status(409).json({ error: "Event already received" });
+    }
+
+    if (!HANDLED_EVENTS.includes(event.event_type)) {
+      await delivery.update({ outcome: "ignored: unhandled event type" });
+      return res.json({ received: true, outcome: delivery.outcome });
+    }
+
+    const document = await findEventDocument(event);
+    if (!document) {
+      await delivery.update({ outcome: "ignored: no matching document" });
+      return res.json({ received: true, outcome: delivery.outcome });
+    }
+
+    // Events for a version that has since been regenerated, or that
+    // expired, change nothing
+    let outcome;
+    if (document.supersededById) {
+      outcome = "ignored: document superseded";
+    } else if (document.status === "expired") {
+      outcome = "ignored: document expired";
+    } else {
+      outcome = await HANDLERS[event.event_type](document, event);
+    }
+    await delivery.update({ documentId: document.id, outcome });
+
+    res.json({ received: true, documentId: document.id, outcome });
+  } catch (error) {
+    // Forget the delivery so the sender's retry is processed
+    if (delivery) await delivery.destroy().catch(() => {});
+    console.error("DocuSeal webhook error:", {
+      error: error.message,
+      eventType: req.body?.event_type,
+      stack: error.stack,
+    });
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+};
@@ -0,0 +1,93 @@
+const { FxRate } = require("../models");
+const {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  getRatesInForce,
+} = require("../services/fxService");
+
+// ================== CURRENT RATES ================== //
+exports.getFxRates = async (req, res) => {
+  try {
+    const rates = await getRatesInForce();
+
+    res.status(200).json({
+      base: BASE_CURRENCY,
+      supportedCurrencies: SUPPORTED_CURRENCIES,
+      rates,
+    });
+  } catch (error) {
+    console.error("Error fetching FX rates:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch FX rates",
+    });
+  }
+};
+
+// ================== RATE HISTORY ================== //
+exports.getFxRateHistory = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    if (!currency || currency === BASE_CURRENCY) {
+      return res.status(400).json({ message: "Unsupported currency" });
+    }
+
+    const history = await FxRate.findAll({
+      where: { currency },
+      order: [["effectiveFrom", "DESC"]],
+    });
+
+    res.status(200).json({ base: BASE_CURRENCY, currency, history });
+  } catch (error) {
+    console.error("Error fetching FX rate history:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch FX rate history",
+    });
+  }
+};
+
+// ================== SET RATE (ADMIN) ================== //
+exports.setFxRate = async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    if (!currency || currency === BASE_CURRENCY) {
+      return res.status(400).json({
+        message: `Currency must be one of ${SUPPORTED_CURRENCIES.filter(
+          (code) => code !== BASE_CURRENCY
+        ).join(", ")}`,
+      });
+    }
+
+    const ratePerUsd = Number(req.body.ratePerUsd);
+    if (!Number.isFinite(ratePerUsd) || ratePerUsd <= 0) {
+      return res.status(400).json({
+        message: "ratePerUsd must be a positive number",
+      });
+    }
+
+    const effectiveFrom = req.body.effectiveFrom
+      ? new Date(req.body.effectiveFrom)
+      : new Date();
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      return res.status(400).json({ message: "Invalid effectiveFrom date" });
+    }
+
+    // Rates are never overwritten: orders keep the snapshot they were priced at
+    const rate = await FxRate.create({
+      currency,
+      ratePerUsd,
+      effectiveFrom,
+      updatedBy: req.user.email || req.user.id,
+    });
+
+    res.status(201).json({ message: `${currency} rate updated`, rate });
+  } catch (error) {
+    console.error("Error setting FX rate:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to set FX rate",
+    });
+  }
+};
@@ -0,0 +1,192 @@
+const { Op } = require("sequelize");
+const { OrderLine, Product, User, Notification } = require("../models");
+const sequelize = require("../config/database");
+const { suggestSuppliers } = require("../services/matchingService");
+const { orderFieldsFromLines } = require("../services/orderLineService");
+const { transitionOrder } = require("../services/orderStateMachine");
+const { findVisibleOrder } = require("../services/orderAccessService");
+const {
+  computeOrderMargin,
+  checkMinimumMargin,
+} = require("../services/marginService");
+const { BASE_CURRENCY, missingRates } = require("../services/fxService");
+
+// Suppliers can only be (re)matched before the order is approved
+const MATCHABLE_STATUSES = ["pending_approval", "not_matched"];
+
+const isOrderAccountManager = (order, userId) =>
+  [order.buyerAccountManagerId, order.supplierAccountManagerId].includes(
+    userId
+  );
+
+// ================== MATCH SUGGESTIONS ================== //
+exports.getMatchSuggestions = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id, {
+      include: [{ model: OrderLine, as: "lines" }],
+    });
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    if (!isOrderAccountManager(order, req.user.id)) {
+      return res.status(403).json({
+        message: "Only the order's account managers can view match suggestions",
+      });
+    }
+
+    const { grade, tonnage, location, targetPrice } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    const { request, suggestions } = await suggestSuppliers(order, {
+      limit,
+      overrides: {
+        grades: grade ? String(grade).split(",") : undefined,
+        tonnage,
+        location,
+        targetPrice,
+      },
+    });
+
+    res.status(200).json({
+      orderId: order.id,
+      request,
+      suggestions,
+    });
+  } catch (error) {
+    console.error("Error fetching match suggestions:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch match suggestions",
+    });
+  }
+};
+
+// ================== ACCEPT SUGGESTION ================== //
+exports.acceptMatchSuggestion = async (req, res) => {
+  let transaction;
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id, {
+      include: [{ model: OrderLine, as: "lines" }],
+    });
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    if (!isOrderAccountManager(order, req.user.id)) {
+      return res.status(403).json({
+        message: "Only the order's account managers can accept a suggestion",
+      });
+    }
+
+    if (!MATCHABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        message: `The supplier cannot be changed once the order is ${order.status}`,
+      });
+    }
+
+    const product = await Product.findByPk(req.params.productId, {
+      include: [
+        {
+          model: User,
+          where: { clientType: "Supplier" },
+          attributes: ["id", "firstName", "lastName", "email"],
+        },
+      ],
+    });
+    if (!product) {
+      return res.status(404).json({ message: "Supplier listing not found" });
+    }
+
+    const supplierAccountManager = await User.findOne({
+      where: {
+        managedClient: { [Op.contains]: [product.userId] },
+        role: "supplier",
+      },
+      attributes: ["id", "firstName", "lastName", "email"],
+    });
+    if (!supplierAccountManager) {
+      return res.status(400).json({
+        message: "supplier account manager not found",
+      });
+    }
+
+    // Supplier costs are converted at the rates snapshotted on the order
+    const supplierCurrency = product.priceCurrency || BASE_CURRENCY;
+    const snapshotRates = (order.fxSnapshot && order.fxSnapshot.rates) || {
+      [BASE_CURRENCY]: 1,
+    };
+    if (
+      supplierCurrency !== order.priceCurrency &&
+      missingRates(snapshotRates, [supplierCurrency, order.priceCurrency])
+        .length
+    ) {
+      return res.status(400).json({
+        message: `No FX rate for ${supplierCurrency} was in force when this order was created`,
+      });
+    }
+
+    transaction = await sequelize.transaction();
+
+    // Every line is now sourced from this supplier at its listed price
+    const supplierPrice = Math.round(product.price);
+    await Promise.all(
+      order.lines.map((line) =>
+        line.update({ supplierPrice }, { transaction })
+      )
+    );
+    const lineFields = order.lines.length
+      ? orderFieldsFromLines(
+          order.lines.map((line) => line.get({ plain: true }))
+        )
+      : { supplierPrice };
+
+    const changes = {
+      supplierId: product.userId,
+      supplierName: product.companyName,
+      supplierLocation: product.location,
+      supplierPrice: lineFields.supplierPrice,
+      supplierCurrency,
+      supplierAccountManagerId: supplierAccountManager.id,
+    };
+    const margin = computeOrderMargin({
+      ...order.get({ plain: true }),
+      ...changes,
+    });
+    changes.marginFlagged = !!checkMinimumMargin(margin);
+
+    if (order.status === "not_matched") {
+      await transitionOrder(order, "pending_approval", {
+        actorId: req.user.id,
+        reason: `Supplier ${product.companyName} selected from match suggestions`,
+        metadata: { productId: product.id },
+        changes,
+        transaction,
+      });
+    } else {
+      await order.update(changes, { transaction });
+    }
+
+    await Notification.create(
+      {
+        userId: supplierAccountManager.id,
+        orderId: order.id,
+        message: `${product.companyName} was matched to an order and awaits your approval`,
+        type: "supplier_assigned",
+        triggeredById: req.user.id,
+        metadata: { productId: product.id, supplierId: product.userId },
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    res.status(200).json({
+      message: "Supplier assigned to order",
+      order: order.toJSON(),
+      margin,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error accepting match suggestion:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to accept match suggestion",
+    });
+  }
+};
@@ -0,0 +1,292 @@
+const {
+  Order,
+  OrderLine,
+  PriceProposal,
+  Notification,
+  User,
+} = require("../models");
+const sequelize = require("../config/database");
+const {
+  NEGOTIABLE_STATUSES,
+  getOpenProposal,
+  getCounterpartManagerId,
+  checkPriceRange,
+  applyAcceptedProposal,
+} = require("../services/negotiationService");
+const { findVisibleOrder } = require("../services/orderAccessService");
+
+const proposalIncludes = [
+  {
+    model: User,
+    as: "proposedBy",
+    attributes: ["id", "firstName", "lastName", "role"],
+  },
+  {
+    model: User,
+    as: "respondedBy",
+    attributes: ["id", "firstName", "lastName", "role"],
+    required: false,
+  },
+  {
+    model: OrderLine,
+    as: "line",
+    attributes: ["id", "grade", "tonnage"],
+    required: false,
+  },
+];
+
+// ================== LIST PROPOSALS ================== //
+exports.getProposals = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const proposals = await PriceProposal.findAll({
+      where: { orderId: order.id },
+      include: proposalIncludes,
+      order: [["version", "ASC"]],
+    });
+
+    res.status(200).json({
+      orderId: order.id,
+      negotiatePrice: order.negotiatePrice,
+      priceRange: order.priceRange,
+      currentPrice: order.pricePerTonne,
+      isOpen: proposals.some((proposal) => proposal.status === "pending"),
+      proposals,
+    });
+  } catch (error) {
+    console.error("Error fetching price proposals:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch price proposals",
+    });
+  }
+};
+
+// ================== OFFER / COUNTER-OFFER ================== //
+exports.submitProposal = async (req, res) => {
+  let transaction;
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id, {
+      include: [{ model: OrderLine, as: "lines" }],
+    });
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const counterpartId = getCounterpartManagerId(order, req.user.id);
+    if (!counterpartId) {
+      return res.status(403).json({
+        message: "Only the order's account managers can negotiate its price",
+      });
+    }
+
+    if (!order.negotiatePrice) {
+      return res.status(400).json({
+        message: "Price negotiation is not enabled for this order",
+      });
+    }
+
+    if (!NEGOTIABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        message: `Price cannot be negotiated once the order is ${order.status}`,
+      });
+    }
+
+    const pricePerTonne = Number(req.body.pricePerTonne);
+    if (!Number.isInteger(pricePerTonne) || pricePerTonne <= 0) {
+      return res.status(400).json({
+        message: "pricePerTonne must be a positive whole number",
+      });
+    }
+
+    // Offers on multi-line orders must say which line they price
+    const { lineId = null, message } = req.body;
+    const line = lineId
+      ? order.lines.find((orderLine) => orderLine.id === lineId)
+      : null;
+    if (lineId && !line) {
+      return res.status(400).json({ message: "Order line not found" });
+    }
+    if (!lineId && order.lines.length > 1) {
+      return res.status(400).json({
+        message: "lineId is required for orders with multiple lines",
+      });
+    }
+
+    transaction = await sequelize.transaction();
+
+    // Offers on one order are made one at a time, so two cannot both
+    // supersede the same open proposal
+    await Order.findByPk(order.id, {
+      attributes: ["id"],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    const openProposal = await getOpenProposal(order.id, transaction);
+    if (openProposal && openProposal.orderLineId !== lineId) {
+      await transaction.rollback();
+      return res.status(409).json({
+        message: "Another offer on this order is awaiting a response",
+        proposalId: openProposal.id,
+      });
+    }
+
+    // The range is anchored on the price in force when negotiation opened
+    const previous = await PriceProposal.findOne({
+      where: { orderId: order.id, orderLineId: lineId },
+      order: [["version", "DESC"]],
+      transaction,
+    });
+    const basePrice = previous
+      ? previous.basePrice
+      : (line || order).pricePerTonne;
+
+    const rangeError = checkPriceRange(order, basePrice, pricePerTonne);
+    if (rangeError) {
+      await transaction.rollback();
+      return res.status(400).json({ message: rangeError });
+    }
+
+    const latestVersion = await PriceProposal.max("version", {
+      where: { orderId: order.id },
+      transaction,
+    });
+
+    if (openProposal) {
+      await openProposal.update({ status: "superseded" }, { transaction });
+    }
+
+    const isCounter =
+      !!openProposal && openProposal.proposedById !== req.user.id;
+    const proposal = await PriceProposal.create(
+      {
+        orderId: order.id,
+        orderLineId: lineId,
+        version: (latestVersion || 0) + 1,
+        parentId: openProposal ? openProposal.id : null,
+        kind: isCounter ? "counter_offer" : "offer",
+        pricePerTonne,
+        basePrice,
+        message,
+        proposedById: req.user.id,
+      },
+      { transaction }
+    );
+
+    await Notification.create(
+      {
+        userId: counterpartId,
+        orderId: order.id,
+        message: `${isCounter ? "Counter-offer" : "Price offer"} of ${pricePerTonne} ${order.priceCurrency} per tonne awaiting your response`,
+        type: "price_proposed",
+        triggeredById: req.user.id,
+        metadata: {
+          proposalId: proposal.id,
+          version: proposal.version,
+          pricePerTonne,
+          lineId,
+        },
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    res.status(201).json({
+      message: `${isCounter ? "Counter-offer" : "Offer"} submitted`,
+      proposal,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error submitting price proposal:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to submit price proposal",
+    });
+  }
+};
+
+// ================== ACCEPT / REJECT ================== //
+const respondToProposal = (decision) => async (req, res) => {
+  let transaction;
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    transaction = await sequelize.transaction();
+
+    const proposal = await PriceProposal.findOne({
+      where: { id: req.params.proposalId, orderId: order.id },
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!proposal) {
+      await transaction.rollback();
+      return res.status(404).json({ message: "Price proposal not found" });
+    }
+
+    if (proposal.status !== "pending") {
+      await transaction.rollback();
+      return res.status(400).json({
+        message: `This proposal has already been ${proposal.status}`,
+      });
+    }
+
+    // Only the counterpart of whoever proposed can respond
+    if (getCounterpartManagerId(order, proposal.proposedById) !== req.user.id) {
+      await transaction.rollback();
+      return res.status(403).json({
+        message: "Only the counterpart account manager can respond to this offer",
+      });
+    }
+
+    await proposal.update(
+      {
+        status: decision,
+        respondedById: req.user.id,
+        respondedAt: new Date(),
+        responseReason: req.body.reason,
+      },
+      { transaction }
+    );
+
+    if (decision === "accepted") {
+      await applyAcceptedProposal(order, proposal, transaction);
+    }
+
+    await Notification.create(
+      {
+        userId: proposal.proposedById,
+        orderId: order.id,
+        message: `Your offer of ${proposal.pricePerTonne} ${order.priceCurrency} per tonne was ${decision}`,
+        type: decision === "accepted" ? "price_accepted" : "price_rejected",
+        triggeredById: req.user.id,
+        metadata: {
+          proposalId: proposal.id,
+          version: proposal.version,
+          reason: req.body.reason,
+        },
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+
+    res.status(200).json({
+      message: `Offer ${decision}`,
+      proposal,
+      order: decision === "accepted" ? order.toJSON() : undefined,
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error responding to price proposal:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to respond to price proposal",
+    });
+  }
+};
+
+exports.acceptProposal = respondToProposal("accepted");
+exports.rejectProposal = respondToProposal("rejected");
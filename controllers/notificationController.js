@@ -1,23 +1,33 @@
 const Notification = require("../models/Notification");
 const { Op } = require("sequelize");
+const { visibleOrdersWhere } = require("../services/orderAccessService");
+
+/**
+ * Notifications of the logged-in user, leaving out those about orders
+ * they can no longer see (e.g. after a client moved to another manager)
+ */
+async function ownNotificationsWhere(user) {
+  const where = { userId: user.id || null };
+  const visible = await visibleOrdersWhere(user, "order");
+  if (visible) where[Op.or] = [{ orderId: null }, visible];
+  return where;
+}
+
+const orderInclude = {
+  association: "order",
+  attributes: ["id"],
+  required: false,
+};
 
 /**
  * @route GET /notifications
- * @description Get all notifications for a user (with pagination & filters)
+ * @description Get the logged-in user's notifications (with pagination & filters)
  */
 exports.getUserNotifications = async (req, res) => {
   try {
-    const { userId, isRead, type, page = 1, limit = 10 } = req.query;
-
-    // Validate userId format (UUID)
-    if (!userId || !/^[0-9a-f-]{36}$/.test(userId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Valid userId (UUID) is required",
-      });
-    }
+    const { isRead, type, page = 1, limit = 10 } = req.query;
 
-    const where = { userId };
+    const where = await ownNotificationsWhere(req.user);
     if (isRead) where.isRead = isRead === "true";
     if (type) where.type = type;
 
@@ -32,11 +42,7 @@ exports.getUserNotifications = async (req, res) => {
           attributes: ["id", "email"],
           required: false,
         },
-        {
-          association: "order",
-          attributes: ["id"],
-          required: false,
-        },
+        orderInclude,
       ],
       logging: console.log, // 👈 Debug SQL
     });
@@ -66,9 +72,10 @@ exports.markAsRead = async (req, res) => {
     // Add ownership verification (in markAsRead/delete)
     const notification = await Notification.findOne({
       where: {
+        ...(await ownNotificationsWhere(req.user)), // Ensure user owns the notification
         id: req.params.id,
-        userId: req.user.id, // Ensure user owns the notification
       },
+      include: [orderInclude],
     });
     if (!notification) {
       return res
@@ -97,13 +104,11 @@ exports.markAsRead = async (req, res) => {
  */
 exports.markAllAsRead = async (req, res) => {
   try {
-    const { userId } = req.body;
-
     // Return count of updated notifications
     const [affectedCount] = await Notification.update(
       { isRead: true },
       {
-        where: { userId, isRead: false },
+        where: { userId: req.user.id, isRead: false },
         returning: true, // For PostgreSQL
       }
     );
@@ -123,7 +128,13 @@ exports.markAllAsRead = async (req, res) => {
  */
 exports.deleteNotification = async (req, res) => {
   try {
-    const notification = await Notification.findByPk(req.params.id);
+    const notification = await Notification.findOne({
+      where: {
+        ...(await ownNotificationsWhere(req.user)),
+        id: req.params.id,
+      },
+      include: [orderInclude],
+    });
     if (!notification) {
       return res
         .status(404)
@@ -0,0 +1,105 @@
+const { fn, col } = require("sequelize");
+const { NumberSequence, IssuedNumber } = require("../models");
+const {
+  voidNumber,
+  getSequenceAudit,
+} = require("../services/numberSequenceService");
+
+// ================== LIST SEQUENCES ================== //
+exports.getNumberSequences = async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.prefix) where.prefix = String(req.query.prefix).toUpperCase();
+    if (req.query.period) where.period = String(req.query.period);
+
+    const sequences = await NumberSequence.findAll({
+      where,
+      order: [
+        ["prefix", "ASC"],
+        ["period", "DESC"],
+        ["entity", "ASC"],
+      ],
+    });
+
+    const counts = await IssuedNumber.findAll({
+      attributes: ["sequenceId", "status", [fn("COUNT", col("id")), "count"]],
+      group: ["sequenceId", "status"],
+      raw: true,
+    });
+    const countOf = (sequenceId, status) =>
+      Number(
+        (
+          counts.find(
+            (row) => row.sequenceId === sequenceId && row.status === status
+          ) || {}
+        ).count
+      ) || 0;
+
+    res.status(200).json({
+      sequences: sequences.map((sequence) => ({
+        ...sequence.get(),
+        issuedCount: countOf(sequence.id, "issued"),
+        voidedCount: countOf(sequence.id, "voided"),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching number sequences:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch number sequences",
+    });
+  }
+};
+
+// ================== SEQUENCE AUDIT ================== //
+exports.getNumberSequenceAudit = async (req, res) => {
+  try {
+    const audit = await getSequenceAudit(req.params.id);
+    if (!audit) {
+      return res.status(404).json({ message: "Number sequence not found" });
+    }
+
+    res.status(200).json(audit);
+  } catch (error) {
+    console.error("Error fetching number sequence audit:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch number sequence audit",
+    });
+  }
+};
+
+// ================== VOID NUMBER (ADMIN) ================== //
+exports.voidIssuedNumber = async (req, res) => {
+  try {
+    const reason = req.body.reason && String(req.body.reason).trim();
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ message: "A reason is required to void a number" });
+    }
+
+    const existing = await IssuedNumber.findOne({
+      where: { number: req.params.number },
+    });
+    if (!existing) {
+      return res.status(404).json({ message: "Number not found" });
+    }
+    if (existing.status === "voided") {
+      return res.status(400).json({ message: "Number is already voided" });
+    }
+
+    const issued = await voidNumber(req.params.number, {
+      reason,
+      voidedBy: req.user.email || req.user.id,
+    });
+
+    res.status(200).json({ message: `${issued.number} voided`, issued });
+  } catch (error) {
+    console.error("Error voiding number:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to void number",
+    });
+  }
+};
@@ -1,30 +1,126 @@
-const { Order, Notification, User } = require("../models");
+const {
+  Order,
+  Notification,
+  User,
+  OrderLine,
+  OrderStatusHistory,
+} = require("../models");
 const { Op } = require("sequelize");
 const sequelize = require("../config/database");
 const Document = require("../models/Document");
+const {
+  parseOrderLines,
+  validateOrderLines,
+  getOrderLines,
+  summarizeOrderLines,
+  orderFieldsFromLines,
+  replaceOrderLines,
+} = require("../services/orderLineService");
+const {
+  checkTransition,
+  transitionOrder,
+  recordInitialStatus,
+  getAvailableTransitions,
+  TERMINAL_STATUSES,
+} = require("../services/orderStateMachine");
+const {
+  computeOrderMargin,
+  checkMinimumMargin,
+  groupMargins,
+} = require("../services/marginService");
+const { hasPermission } = require("../services/permissionService");
+const {
+  findVisibleOrder,
+  scopeToVisibleOrders,
+  withoutCounterpartyPricing,
+} = require("../services/orderAccessService");
+const {
+  BASE_CURRENCY,
+  parseOrderCurrencies,
+  takeSnapshot,
+  missingRates,
+} = require("../services/fxService");
+
+/**
+ * Currencies of an order being saved (sent values over `current` ones,
+ * USD otherwise) and a snapshot of the FX rates in force. `error` is set
+ * when one of the currencies has no rate.
+ */
+const snapshotOrderCurrencies = async (body, current = {}) => {
+  const currencies = {
+    priceCurrency: current.priceCurrency || BASE_CURRENCY,
+    supplierCurrency: current.supplierCurrency || BASE_CURRENCY,
+    shippingCurrency: current.shippingCurrency || BASE_CURRENCY,
+    ...parseOrderCurrencies(body),
+  };
+  const fxSnapshot = await takeSnapshot();
+  const missing = missingRates(fxSnapshot.rates, Object.values(currencies));
+
+  return {
+    currencies,
+    fxSnapshot,
+    error: missing.length
+      ? `No FX rate has been set for ${missing.join(", ")}`
+      : null,
+  };
+};
+
+// Fields a draft edit may change; status, approvals, account managers and
+// the like only change through their own endpoints
+const DRAFT_FIELDS = [
+  "buyerName",
+  "buyerLocation",
+  "buyerId",
+  "supplierName",
+  "supplierLocation",
+  "supplierId",
+  "product",
+  "capacity",
+  "pricePerTonne",
+  "supplierPrice",
+  "shippingType",
+  "shippingCost",
+  "paymentTerms",
+  "negotiatePrice",
+  "priceRange",
+];
+
+// Flat fields the order lines are built from when none are sent
+const LINE_FIELDS = ["product", "capacity", "pricePerTonne", "supplierPrice"];
+
+const pickDraftFields = (source) =>
+  Object.fromEntries(
+    DRAFT_FIELDS.filter((field) => source[field] !== undefined).map(
+      (field) => [field, source[field]]
+    )
+  );
 
 // ================== CREATE ORDERS  ================== //
 exports.createOrder = async (req, res) => {
   try {
-    // Authorization check
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      return res.status(403).json({
-        message: "Access denied: Only account managers can create orders",
-      });
+    // Line items replace the flat product/capacity/price fields when sent
+    let lines;
+    let pricing;
+    try {
+      lines = parseOrderLines(req.body);
+      pricing = await snapshotOrderCurrencies(req.body);
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
     }
 
     // Validate required fields
     const requiredFields = [
       "buyerName",
-      "product",
-      "capacity",
-      "pricePerTonne",
+      ...(lines ? [] : ["product", "capacity", "pricePerTonne"]),
       "buyerId",
       "supplierId",
       "shippingType",
       "paymentTerms",
       "supplierName",
-      "supplierPrice",
+      ...(lines ? [] : ["supplierPrice"]),
       "shippingCost",
       "negotiatePrice",
     ];
@@ -36,6 +132,29 @@ exports.createOrder = async (req, res) => {
       });
     }
 
+    if (!lines) {
+      lines = getOrderLines(req.body);
+    }
+    const lineErrors = validateOrderLines(lines);
+    if (lineErrors.length > 0) {
+      return res.status(400).json({
+        message: "Invalid order lines",
+        errors: lineErrors,
+      });
+    }
+
+    // Minimum-margin rule
+    const margin = computeOrderMargin({
+      lines,
+      shippingCost: req.body.shippingCost,
+      ...pricing.currencies,
+      fxSnapshot: pricing.fxSnapshot,
+    });
+    const marginCheck = checkMinimumMargin(margin);
+    if (marginCheck && marginCheck.blocked) {
+      return res.status(400).json({ message: marginCheck.message, margin });
+    }
+
     // Get account manager details
     const accountManager = await User.findByPk(req.user.id, {
       attributes: ["id", "firstName", "lastName", "email"],
@@ -61,8 +180,13 @@ exports.createOrder = async (req, res) => {
     }
 
     // Create order with both account managers
+    const { lines: _lines, ...orderFields } = req.body;
     const orderData = {
-      ...req.body,
+      ...orderFields,
+      ...orderFieldsFromLines(lines),
+      ...pricing.currencies,
+      fxSnapshot: pricing.fxSnapshot,
+      marginFlagged: !!marginCheck,
       createdById: req.user.id,
       savedStatus: "confirmed",
       status: "pending_approval",
@@ -74,7 +198,21 @@ exports.createOrder = async (req, res) => {
           : counterpartAccountManager.id,
     };
 
-    const order = await Order.create(orderData);
+    const transaction = await sequelize.transaction();
+    let order;
+    let orderLines;
+    try {
+      order = await Order.create(orderData, { transaction });
+      orderLines = await replaceOrderLines(order.id, lines, transaction);
+      await recordInitialStatus(order, { actorId: req.user.id, transaction });
+      await transaction.commit();
+    } catch (createError) {
+      await transaction.rollback();
+      throw createError;
+    }
+    const lineSummary = summarizeOrderLines(
+      orderLines.map((line) => line.get({ plain: true }))
+    );
 
     // Get all users involved (buyer, supplier)
     const [buyer, supplier] = await Promise.all([
@@ -138,6 +276,9 @@ exports.createOrder = async (req, res) => {
       message: "Order created successfully",
       order: {
         ...order.toJSON(),
+        lines: lineSummary.lines,
+        totals: lineSummary.totals,
+        margin,
         buyerAccountManager: {
           id: orderData.buyerAccountManagerId,
           fullName:
@@ -157,6 +298,7 @@ exports.createOrder = async (req, res) => {
               : null,
         },
       },
+      marginWarning: marginCheck ? marginCheck.message : undefined,
       notifications: {
         sentTo: [
           counterpartAccountManager.email,
@@ -180,7 +322,7 @@ exports.createOrder = async (req, res) => {
 exports.approveOrder = async (req, res) => {
   try {
     // Find order with relationships
-    const order = await Order.findByPk(req.params.id, {
+    const order = await findVisibleOrder(req.user, req.params.id, {
       include: [
         { model: User, as: "buyerAccountManager" },
         { model: User, as: "supplierAccountManager" },
@@ -198,11 +340,23 @@ exports.approveOrder = async (req, res) => {
       });
     }
 
+    const transitionError = await checkTransition(order, "matched", {
+      actorId: req.user.id,
+      system: true,
+    });
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
     // Update order status and set approver
-    await order.update({
-      status: "matched",
-      matchedById: req.user.id,
-      approvedAt: new Date(),
+    await transitionOrder(order, "matched", {
+      actorId: req.user.id,
+      system: true,
+      reason: "Order approved",
+      changes: {
+        matchedById: req.user.id,
+        approvedAt: new Date(),
+      },
     });
 
     // Notify relevant parties
@@ -233,15 +387,8 @@ exports.approveOrder = async (req, res) => {
 // ================== UPDATE STATUS ORDERS  ================== //
 exports.updateOrderStatus = async (req, res) => {
   try {
-    // Authorization check
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      return res.status(403).json({
-        message: "Access denied: Only account managers can update status",
-      });
-    }
-
     // Find order with all related users
-    const order = await Order.findByPk(req.params.id, {
+    const order = await findVisibleOrder(req.user, req.params.id, {
       include: [
         { model: User, as: "buyer", attributes: ["id"] },
         { model: User, as: "supplier", attributes: ["id"] },
@@ -261,40 +408,24 @@ exports.updateOrderStatus = async (req, res) => {
     if (!order) return res.status(404).json({ message: "Order not found" });
 
     // Validate status transition
-    const validTransitions = {
-      pending_approval: ["matched"],
-      matched: ["document_phase"],
-      document_phase: ["processing"],
-      processing: ["completed"],
-    };
-
-    if (!validTransitions[order.status]?.includes(req.body.status)) {
-      return res.status(400).json({
-        message: `Invalid status transition from ${order.status}`,
-      });
-    }
-
-    if (req.body.status === "matched") {
-      return res.status(400).json({
-        message: `Your order is awaiting approval`,
-      });
-    }
-    if (req.body.status === "document_phase") {
+    const { status: newStatus, reason } = req.body;
+    const transitionError = await checkTransition(order, newStatus, {
+      actorId: req.user.id,
+      reason,
+    });
+    if (transitionError) {
       return res.status(400).json({
-        message: `Order documents has not been generated`,
+        message: transitionError,
+        allowedTransitions: await getAvailableTransitions(order),
       });
     }
 
     const oldStatus = order.status;
-    await order.update({
-      status: req.body.status,
-      matchedById: req.body.matchedById,
-    });
 
     // Include matchedBy details in the response
     const matchedByUser =
-      req.body.status === "matched"
-        ? await User.findByPk(req.user.id, {
+      newStatus === "matched" && order.matchedById
+        ? await User.findByPk(order.matchedById, {
             attributes: ["id", "firstName", "lastName", "email"],
           })
         : null;
@@ -324,20 +455,27 @@ exports.updateOrderStatus = async (req, res) => {
         role: "supplier",
       });
 
-    // Create notifications in transaction
+    // Update status and create notifications in transaction
     const transaction = await sequelize.transaction();
     try {
+      await transitionOrder(order, newStatus, {
+        actorId: req.user.id,
+        reason,
+        transaction,
+      });
+
       await Promise.all(
         notificationRecipients.map((recipient) =>
           Notification.create(
             {
               userId: recipient.userId,
               orderId: order.id,
-              message: `Order status changed from ${oldStatus} to ${req.body.status}`,
+              message: `Order status changed from ${oldStatus} to ${newStatus}`,
               type: "status_changed",
               metadata: {
                 oldStatus,
-                newStatus: req.body.status,
+                newStatus,
+                reason,
                 changedBy: req.user.id,
                 recipientRole: recipient.role,
               },
@@ -350,7 +488,7 @@ exports.updateOrderStatus = async (req, res) => {
       await transaction.commit();
     } catch (notificationError) {
       await transaction.rollback();
-      console.error("Failed to create notifications:", notificationError);
+      console.error("Failed to update status:", notificationError);
       throw notificationError;
     }
 
@@ -381,10 +519,57 @@ exports.updateOrderStatus = async (req, res) => {
     });
   }
 };
+// ================== ORDER STATUS HISTORY ================== //
+exports.getOrderStatusHistory = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    const history = await OrderStatusHistory.findAll({
+      where: { orderId: order.id },
+      include: [
+        {
+          model: User,
+          as: "actor",
+          attributes: ["id", "firstName", "lastName", "email"],
+          required: false,
+        },
+      ],
+      order: [["changedAt", "ASC"]],
+    });
+
+    res.status(200).json({
+      orderId: order.id,
+      currentStatus: order.status,
+      allowedTransitions: await getAvailableTransitions(order),
+      history: history.map((entry) => ({
+        id: entry.id,
+        fromStatus: entry.fromStatus,
+        toStatus: entry.toStatus,
+        reason: entry.reason,
+        metadata: entry.metadata,
+        changedAt: entry.changedAt,
+        actor: entry.actor
+          ? {
+              id: entry.actor.id,
+              name: `${entry.actor.firstName} ${entry.actor.lastName}`,
+              email: entry.actor.email,
+            }
+          : null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching order history:", error);
+    res.status(500).json({
+      error: error.message,
+      details: "Failed to fetch order history",
+    });
+  }
+};
+
 // ================== GET ORDERS (DASHBOARD) ================== //
 exports.getDashboardOrders = async (req, res) => {
   try {
-    const { role, clientType, id } = req.user;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
@@ -414,20 +599,8 @@ exports.getDashboardOrders = async (req, res) => {
       };
     }
 
-    // Access control logic
-    if (role.toLowerCase().includes("account manager")) {
-      if (role.toLowerCase().includes("buyer")) {
-        whereClause.buyerAccountManagerId = id;
-      } else {
-        whereClause.supplierAccountManagerId = id;
-      }
-    } else {
-      if (clientType === "Buyer") {
-        whereClause.buyerId = id;
-      } else if (clientType === "Supplier") {
-        whereClause.supplierId = id;
-      }
-    }
+    // Access control: only the orders the user can see
+    whereClause = await scopeToVisibleOrders(req.user, whereClause);
 
     // Get total count and orders in parallel
     const [totalOrders, orders] = await Promise.all([
@@ -467,12 +640,18 @@ exports.getDashboardOrders = async (req, res) => {
             attributes: ["id", "status"],
             required: false,
           },
+          {
+            model: OrderLine,
+            as: "lines",
+            separate: true,
+            order: [["position", "ASC"]],
+          },
           {
             model: Notification,
             as: "notifications",
             attributes: ["id", "type", "message", "createdAt"],
             where: {
-              userId: id, // Only show notifications relevant to current user
+              userId: req.user.id, // Only show notifications relevant to current user
             },
             required: false,
           },
@@ -489,20 +668,27 @@ exports.getDashboardOrders = async (req, res) => {
 
     const totalPages = Math.ceil(totalOrders / limit);
 
-    const formattedOrders = orders.map((order) => ({
-      ...order.toJSON(),
-      matchedBy: order.matchedBy
-        ? {
-            id: order.matchedBy.id,
-            name: `${order.matchedBy.firstName} ${order.matchedBy.lastName}`,
-            email: order.matchedBy.email,
-          }
-        : null,
-      documents: {
-        id: order.documents.id,
-        status: order.documents.status,
-      },
-    }));
+    const showMargins = await hasPermission(req.user, "order:view_margins");
+    const formattedOrders = await Promise.all(
+      orders.map((order) =>
+        withoutCounterpartyPricing(req.user, {
+          ...order.toJSON(),
+          ...summarizeOrderLines(getOrderLines(order)),
+          margin: showMargins ? computeOrderMargin(order) : undefined,
+          matchedBy: order.matchedBy
+            ? {
+                id: order.matchedBy.id,
+                name: `${order.matchedBy.firstName} ${order.matchedBy.lastName}`,
+                email: order.matchedBy.email,
+              }
+            : null,
+          documents: {
+            id: order.documents.id,
+            status: order.documents.status,
+          },
+        })
+      )
+    );
 
     // Enhanced response format
     res.status(200).json({
@@ -561,18 +747,51 @@ exports.getDashboardOrders = async (req, res) => {
 // ✅ Save Order as Draft (Only buyers & suppliers)
 exports.saveOrderDraft = async (req, res) => {
   try {
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      return res.status(403).json({
-        message:
-          "Access denied: Only buyers and suppliers can save orders as drafts.",
-      });
+    let lines;
+    let pricing;
+    try {
+      lines = parseOrderLines(req.body);
+      pricing = await snapshotOrderCurrencies(req.body);
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
+    }
+    if (lines) {
+      const lineErrors = validateOrderLines(lines);
+      if (lineErrors.length > 0) {
+        return res.status(400).json({
+          message: "Invalid order lines",
+          errors: lineErrors,
+        });
+      }
+    }
+    const { lines: _lines, ...orderFields } = req.body;
+
+    const transaction = await sequelize.transaction();
+    let order;
+    try {
+      order = await Order.create(
+        {
+          ...orderFields,
+          ...(lines ? orderFieldsFromLines(lines) : {}),
+          ...pricing.currencies,
+          fxSnapshot: pricing.fxSnapshot,
+          savedStatus: "draft",
+          createdById: req.user.id,
+        },
+        { transaction }
+      );
+      if (lines) {
+        await replaceOrderLines(order.id, lines, transaction);
+      }
+      await transaction.commit();
+    } catch (createError) {
+      await transaction.rollback();
+      throw createError;
     }
 
-    const order = await Order.create({
-      ...req.body,
-      savedStatus: "draft",
-      userId: req.user.id,
-    });
     res.status(201).json({ message: "Order saved as draft", order });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -582,13 +801,7 @@ exports.saveOrderDraft = async (req, res) => {
 // ✅ Update Order (Only buyers & suppliers, and only their own "draft" orders)
 exports.updateOrder = async (req, res) => {
   try {
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      return res.status(403).json({
-        message: "Access denied: Only buyers and suppliers can update orders.",
-      });
-    }
-
-    const order = await Order.findByPk(req.params.id);
+    const order = await findVisibleOrder(req.user, req.params.id);
     if (!order) return res.status(404).json({ message: "Order not found" });
 
     // Ensure only the creator can edit & order status is 'draft'
@@ -603,8 +816,75 @@ exports.updateOrder = async (req, res) => {
         .json({ message: "Only draft orders can be edited." });
     }
 
-    await order.update(req.body);
-    res.status(200).json({ message: "Order updated successfully", order });
+    // Drafts are repriced at the rates in force when last edited
+    let lines;
+    let pricing;
+    try {
+      lines = parseOrderLines(req.body);
+      pricing = await snapshotOrderCurrencies(req.body, order);
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
+    }
+
+    const orderFields = pickDraftFields(req.body);
+
+    // Flat product/capacity/price edits replace the lines, as on creation.
+    // A draft still missing some of them has no lines to keep in step.
+    if (!lines && LINE_FIELDS.some((field) => field in orderFields)) {
+      const flat = {
+        ...pickDraftFields(order.get({ plain: true })),
+        ...orderFields,
+      };
+      if (LINE_FIELDS.every((field) => flat[field] != null)) {
+        lines = getOrderLines(flat);
+      }
+    }
+    if (lines) {
+      const lineErrors = validateOrderLines(lines);
+      if (lineErrors.length > 0) {
+        return res.status(400).json({
+          message: "Invalid order lines",
+          errors: lineErrors,
+        });
+      }
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      await order.update(
+        {
+          ...orderFields,
+          ...(lines ? orderFieldsFromLines(lines) : {}),
+          ...pricing.currencies,
+          fxSnapshot: pricing.fxSnapshot,
+        },
+        { transaction }
+      );
+      if (lines) {
+        await replaceOrderLines(order.id, lines, transaction);
+      }
+      await transaction.commit();
+    } catch (updateError) {
+      await transaction.rollback();
+      throw updateError;
+    }
+
+    await order.reload({
+      include: [{ model: OrderLine, as: "lines" }],
+    });
+    res.status(200).json({
+      message: "Order updated successfully",
+      order: {
+        ...order.toJSON(),
+        ...summarizeOrderLines(getOrderLines(order)),
+        margin: (await hasPermission(req.user, "order:view_margins"))
+          ? computeOrderMargin(order)
+          : undefined,
+      },
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -613,17 +893,11 @@ exports.updateOrder = async (req, res) => {
 // ✅ Delete Order (Only buyers & suppliers, and only their own orders)
 exports.deleteOrder = async (req, res) => {
   try {
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      return res.status(403).json({
-        message: "Access denied: Only buyers and suppliers can delete orders.",
-      });
-    }
-
-    const order = await Order.findByPk(req.params.id);
+    const order = await findVisibleOrder(req.user, req.params.id);
     if (!order) return res.status(404).json({ message: "Order not found" });
 
     // Ensure only the creator can delete
-    if (order.userId !== req.user.id) {
+    if (order.createdById !== req.user.id) {
       return res.status(403).json({
         message: "Access denied: You can only delete your own orders.",
       });
@@ -639,18 +913,9 @@ exports.deleteOrder = async (req, res) => {
 // ✅ Get All Saved (Draft) Orders (Only for the order owner)
 exports.getAllSavedOrders = async (req, res) => {
   try {
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      return res.status(403).json({
-        message:
-          "Access denied: Only buyers and suppliers can view saved orders.",
-      });
-    }
-
+    // Only the drafts the logged-in user can see
     const orders = await Order.findAll({
-      where: {
-        savedStatus: "draft",
-        /* userId: req.user.id, */ // Only show drafts belonging to the logged-in user
-      },
+      where: await scopeToVisibleOrders(req.user, { savedStatus: "draft" }),
     });
 
     res.status(200).json(orders);
@@ -659,13 +924,23 @@ exports.getAllSavedOrders = async (req, res) => {
   }
 };
 
-// ✅ Get Single Order (Accessible to all users)
+// ✅ Get Single Order (Only users who can see the order)
 exports.getOrderById = async (req, res) => {
   try {
-    const order = await Order.findByPk(req.params.id);
+    const order = await findVisibleOrder(req.user, req.params.id, {
+      include: [{ model: OrderLine, as: "lines" }],
+    });
     if (!order) return res.status(404).json({ message: "Order not found" });
 
-    res.status(200).json(order);
+    res.status(200).json(
+      await withoutCounterpartyPricing(req.user, {
+        ...order.toJSON(),
+        ...summarizeOrderLines(getOrderLines(order)),
+        margin: (await hasPermission(req.user, "order:view_margins"))
+          ? computeOrderMargin(order)
+          : undefined,
+      })
+    );
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -699,7 +974,7 @@ exports.searchOrders = async (req, res) => {
     }
 
     const orders = await Order.findAll({
-      where: whereClause,
+      where: await scopeToVisibleOrders(req.user, whereClause),
       include: [
         {
           model: User,
@@ -715,32 +990,15 @@ exports.searchOrders = async (req, res) => {
       order: [["createdAt", "DESC"]],
     });
 
-    res.status(200).json(orders);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-};
-
-//Price update
-exports.updateOrderPrice = async (req, res) => {
-  try {
-    const order = await Order.findByPk(req.params.id);
-    if (!order) return res.status(404).json({ message: "Order not found" });
-
-    if (order.savedStatus !== "confirmed") {
-      return res
-        .status(400)
-        .json({ message: "Only confirmed orders can be updated" });
-    }
-
-    const { pricePerTonne } = req.body;
-
-    await order.update({
-      pricePerTonne,
-      updatedAt: new Date(),
-    });
-
-    res.status(200).json(order);
+    res
+      .status(200)
+      .json(
+        await Promise.all(
+          orders.map((order) =>
+            withoutCounterpartyPricing(req.user, order.toJSON())
+          )
+        )
+      );
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -749,16 +1007,19 @@ exports.updateOrderPrice = async (req, res) => {
 //Get Order Analytics
 exports.getOrderAnalytics = async (req, res) => {
   try {
-    const totalOrders = await Order.count();
+    // Counts cover only the orders the user can see
+    const totalOrders = await Order.count({
+      where: await scopeToVisibleOrders(req.user),
+    });
     const pendingOrders = await Order.count({
-      where: {
-        status: { [Op.ne]: "completed" },
-      },
+      where: await scopeToVisibleOrders(req.user, {
+        status: { [Op.notIn]: TERMINAL_STATUSES },
+      }),
     });
     const completedOrders = await Order.count({
-      where: {
+      where: await scopeToVisibleOrders(req.user, {
         status: "completed",
-      },
+      }),
     });
 
     res.status(200).json({
@@ -770,3 +1031,48 @@ exports.getOrderAnalytics = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// ================== MARGIN ANALYTICS ================== //
+exports.getMarginAnalytics = async (req, res) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+    const whereClause = {
+      savedStatus: "confirmed",
+      status: status || { [Op.notIn]: ["cancelled", "rejected"] },
+    };
+    if (startDate && endDate) {
+      whereClause.createdAt = {
+        [Op.between]: [new Date(startDate), new Date(endDate)],
+      };
+    }
+
+    const orders = await Order.findAll({
+      where: await scopeToVisibleOrders(req.user, whereClause),
+      include: [
+        { model: OrderLine, as: "lines", separate: true },
+        {
+          model: User,
+          as: "buyerAccountManager",
+          attributes: ["id", "firstName", "lastName"],
+        },
+        {
+          model: User,
+          as: "supplierAccountManager",
+          attributes: ["id", "firstName", "lastName"],
+        },
+      ],
+    });
+
+    res.status(200).json({
+      filters: {
+        status: status || "all except cancelled/rejected",
+        dateRange: startDate && endDate ? `${startDate} to ${endDate}` : "all",
+      },
+      flaggedOrders: orders.filter((order) => order.marginFlagged).length,
+      ...groupMargins(orders),
+    });
+  } catch (error) {
+    console.error("Error fetching margin analytics:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
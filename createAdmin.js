@@ -0,0 +1,70 @@
+// Creates the first admin account.
+//
+//   npm run admin:create -- <email> <firstName> <lastName>
+//
+// Reads the password from ADMIN_PASSWORD, or prompts for it. Refuses to run
+// once an admin exists. No route creates admins, so further ones have to be
+// added to the database by hand.
+const readline = require('readline');
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+const sequelize = require('./config/database');
+const { User } = require('./models');
+const { ADMIN_ROLE } = require('./config/permissions');
+const { ensureSystemRoles } = require('./services/permissionService');
+
+const prompt = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+
+async function main() {
+  const [email, firstName = 'Admin', lastName = 'Revas'] =
+    process.argv.slice(2);
+  if (!email) {
+    throw new Error(
+      'Usage: npm run admin:create -- <email> [firstName] [lastName]'
+    );
+  }
+
+  await sequelize.sync();
+  await ensureSystemRoles();
+
+  if (await User.findOne({ where: { role: ADMIN_ROLE, clientType: null } })) {
+    throw new Error('An admin already exists');
+  }
+  if (await User.findOne({ where: { email } })) {
+    throw new Error(`${email} is already in use`);
+  }
+
+  const password = process.env.ADMIN_PASSWORD || (await prompt('Password: '));
+  if (password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  const admin = await User.create({
+    firstName,
+    lastName,
+    email,
+    password: await bcrypt.hash(password, 12),
+    role: ADMIN_ROLE,
+    status: 'approved',
+    approvedAt: new Date(),
+    passwordChangedAt: new Date(),
+  });
+  console.log(`Admin ${admin.email} created (${admin.id})`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
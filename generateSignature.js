@@ -1,10 +1,47 @@
+// Fake DocuSeal sender for testing POST /api/documents/webhook locally.
+//
+//   node generateSignature.js <event_type> <submission_id> [submitter_email] [--send]
+//
+// Prints a signed curl command, or posts the event straight to the local
+// server with --send. Uses DOCUSEAL_WEBHOOK_SECRET from .env.
 const crypto = require('crypto');
+const http = require('http');
+require('dotenv').config();
+
+const secret = process.env.DOCUSEAL_WEBHOOK_SECRET;
+if (!secret) {
+  console.error('Set DOCUSEAL_WEBHOOK_SECRET in .env first');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2).filter((arg) => arg !== '--send');
+const send = process.argv.includes('--send');
+const [eventType = 'submission_completed', submissionId = '123', email] = args;
+
+const submitter = {
+  id: 1,
+  submission_id: submissionId,
+  email: email || 'signer@example.com',
+  opened_at: new Date().toISOString(),
+  completed_at: new Date().toISOString(),
+  ip: '127.0.0.1',
+  ua: 'generateSignature.js',
+};
+
+const data =
+  eventType === 'form_viewed'
+    ? submitter
+    : {
+        id: submissionId,
+        completed_at: new Date().toISOString(),
+        submitters: email ? [submitter] : [],
+        documents: [],
+      };
 
-// Use the same secret from your .env/Docker config
-const secret = 'o/HJCyCqTWk/BUepAQQJ0ahFxbeVLncyNfKLR+6wvu0='; // Replace with your actual DOCUSEAL_WEBHOOK_SECRET
 const payload = JSON.stringify({
-  event_type: "submission_completed",
-  data: { submission: { id: "123" } }
+  event_type: eventType,
+  timestamp: new Date().toISOString(),
+  data,
 });
 
 const signature = crypto
@@ -12,8 +49,41 @@ const signature = crypto
   .update(payload)
   .digest('hex');
 
-console.log('Test Signature:', signature);
-console.log('Test Command:', `curl -X POST "http://localhost:5000/api/documents/webhook" \\
+const port = process.env.PORT || 5000;
+
+function printCommand() {
+  console.log('Test Signature:', signature);
+  console.log('Test Command:', `curl -X POST "http://localhost:${port}/api/documents/webhook" \\
   -H "Content-Type: application/json" \\
   -H "DocuSeal-Signature: ${signature}" \\
-  -d '${payload}'`);
\ No newline at end of file
+  -d '${payload}'`);
+}
+
+function sendEvent() {
+  const req = http.request(
+    {
+      host: 'localhost',
+      port,
+      path: '/api/documents/webhook',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'DocuSeal-Signature': signature,
+      },
+    },
+    (res) => {
+      let body = '';
+      res.on('data', (chunk) => (body += chunk));
+      res.on('end', () => console.log(res.statusCode, body));
+    }
+  );
+  req.on('error', (error) => console.error('Request failed:', error.message));
+  req.end(payload);
+}
+
+if (send) {
+  sendEvent();
+} else {
+  printCommand();
+}
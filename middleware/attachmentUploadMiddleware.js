@@ -0,0 +1,21 @@
+const multer = require("multer");
+const { MAX_ATTACHMENT_BYTES } = require("../services/attachmentService");
+
+// Files are checked against their category's rules in the controller,
+// once the category field has been read
+const MAX_FILES_PER_UPLOAD = 10;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_FILES_PER_UPLOAD },
+});
+
+/**
+ * Up to 10 files in the `files` field. Multer errors (too large, too
+ * many) are answered with 400 instead of reaching the error handler.
+ */
+const uploadAttachmentFiles = (req, res, next) =>
+  upload.array("files", MAX_FILES_PER_UPLOAD)(req, res, (error) =>
+    error ? res.status(400).json({ error: error.message }) : next()
+  );
+
+module.exports = uploadAttachmentFiles;
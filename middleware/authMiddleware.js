@@ -1,28 +1,84 @@
 const jwt = require('jsonwebtoken');
+const { User, Session } = require('../models');
+const { getPermissions } = require('../services/permissionService');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // Expired access tokens are renewed with POST /refresh-token
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ error: 'Token expired' });
+    }
+    return res.status(400).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // A token is only good while its account exists and is not suspended,
+    // its session is open, and the password has not changed since it was
+    // issued
+    const [account, session] = await Promise.all([
+      decoded.id
+        ? User.findByPk(decoded.id, {
+            attributes: ['id', 'suspendedAt', 'passwordChangedAt'],
+          })
+        : null,
+      decoded.sid
+        ? Session.findByPk(decoded.sid, {
+            attributes: ['id', 'userId', 'revokedAt'],
+          })
+        : null,
+    ]);
+    if (!account) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+    if (account.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+    if (!session || session.userId !== account.id || session.revokedAt) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+    if (
+      account.passwordChangedAt &&
+      decoded.iat < Math.floor(account.passwordChangedAt.getTime() / 1000)
+    ) {
+      return res
+        .status(401)
+        .json({ error: 'Password changed, please log in again' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(400).json({ error: 'Invalid token' });
+    console.error('Authentication failed:', error);
+    res.status(500).json({ error: 'Failed to authenticate' });
   }
 };
 
- function authenticateRole(roles) {
-  return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Access denied' });
+// Allow the request only when the user's role grants every permission
+// (keys from config/permissions). The granted set is left on req.permissions.
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      const granted = await getPermissions(req.user);
+      const missing = permissions.filter((permission) => !granted.has(permission));
+      if (missing.length) {
+        return res.status(403).json({ error: 'Access denied', missingPermissions: missing });
+      }
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('Permission check failed:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
     }
-    next();
   };
-} 
+}
 
-module.exports = { authMiddleware, authenticateRole   }; 
\ No newline at end of file
+module.exports = { authMiddleware, requirePermission };
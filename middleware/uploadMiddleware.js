@@ -1,16 +1,21 @@
 const multer = require("multer");
-const { CloudinaryStorage } = require("multer-storage-cloudinary");
-const cloudinary = require("../config/cloudinary");
 
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: "products", // Folder name in Cloudinary
-    format: async (req, file) => "png", // Convert all images to PNG
-    public_id: (req, file) => Date.now() + "-" + file.originalname,
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+
+// Product images are kept in memory and handed to the storage service
+// by the controller
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only PNG, JPEG, WebP or GIF images are allowed"), false);
+    }
   },
 });
 
-const upload = multer({ storage });
-
 module.exports = upload;
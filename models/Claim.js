@@ -0,0 +1,105 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// A buyer's quality or quantity claim against an order. Amounts are in the
+// order's buyer currency. The agreed deduction of a settled claim comes off
+// the order's invoice (see services/claimService).
+const Claim = sequelize.define("Claim", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: "Orders", key: "id" },
+  },
+  category: {
+    type: DataTypes.ENUM("moisture", "contamination", "short_weight"),
+    allowNull: false,
+  },
+  description: { type: DataTypes.TEXT, allowNull: false },
+  requestedDeduction: { type: DataTypes.DECIMAL(12, 2), allowNull: false },
+  status: {
+    type: DataTypes.ENUM(
+      "open", // Raised, awaiting the supplier
+      "responded", // Supplier accepted or disputed it
+      "settlement_proposed", // An account manager proposed a deduction
+      "settled",
+      "rejected",
+      "withdrawn"
+    ),
+    allowNull: false,
+    defaultValue: "open",
+  },
+  raisedById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: "Users", key: "id" },
+  },
+
+  supplierDecision: {
+    type: DataTypes.ENUM("accepted", "disputed"),
+    allowNull: true,
+  },
+  supplierOfferedDeduction: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+  },
+  supplierNote: { type: DataTypes.TEXT, allowNull: true },
+  respondedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: "Users", key: "id" },
+  },
+  respondedAt: { type: DataTypes.DATE, allowNull: true },
+
+  proposedDeduction: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    comment:
+      "Deduction proposed by one account manager, for the other to approve",
+  },
+  settlementNote: { type: DataTypes.TEXT, allowNull: true },
+  proposedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: "Users", key: "id" },
+  },
+  proposedAt: { type: DataTypes.DATE, allowNull: true },
+
+  agreedDeduction: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+  closedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: "Users", key: "id" },
+  },
+  closedAt: { type: DataTypes.DATE, allowNull: true },
+  closingReason: { type: DataTypes.TEXT, allowNull: true },
+});
+
+Claim.associate = (models) => {
+  Claim.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+    onDelete: "CASCADE",
+  });
+  Claim.belongsTo(models.User, { foreignKey: "raisedById", as: "raisedBy" });
+  Claim.belongsTo(models.User, {
+    foreignKey: "respondedById",
+    as: "respondedBy",
+  });
+  Claim.belongsTo(models.User, {
+    foreignKey: "proposedById",
+    as: "proposedBy",
+  });
+  Claim.belongsTo(models.User, { foreignKey: "closedById", as: "closedBy" });
+  Claim.hasMany(models.OrderAttachment, {
+    foreignKey: "claimId",
+    as: "evidence",
+  });
+};
+
+module.exports = Claim;
@@ -0,0 +1,61 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Contract clauses printed on generated documents. Editing a clause adds a
+// new version instead of changing the old one, so documents can always be
+// reproduced with the exact wording they were generated with.
+const ClauseTemplate = sequelize.define(
+  "ClauseTemplate",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Stable identifier shared by all versions of a clause",
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    documentTypes: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: [],
+      comment: "Document types (sales_order, purchase_order...) printing it",
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    isCurrent: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Latest version of a clause that is still in use",
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["key", "version"] }],
+  }
+);
+
+module.exports = ClauseTemplate;
@@ -12,16 +12,59 @@ const Document = sequelize.define("Document", {
     type: DataTypes.ENUM(
       "sales_order", // Generated by buyer AM
       "purchase_order", // Generated by supplier AM
-      "contract" // Signed agreement
+      "contract", // Signed agreement
+      "invoice" // Issued to the buyer once the order is processing
     ),
     allowNull: false,
   },
+  invoiceNumber: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "Document number from its type's series (SO/PO/INV)",
+  },
+  dueDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "Payment due date (invoices)",
+  },
   fileUrl: {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  fileRef: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "Storage key of the generated PDF",
+  },
   buyerSignedUrl: DataTypes.STRING,
   supplierSignedUrl: DataTypes.STRING,
+  fileHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: "SHA-256 of the generated PDF",
+  },
+  signedFileHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: "SHA-256 of the latest signed PDF",
+  },
+  fileVersions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment:
+      "Every PDF stored for the document: [{ version, kind, sha256, createdAt, party }]",
+  },
+  signedFileRef: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "Storage key of the PDF with the signatures collected so far",
+  },
+  externalSubmissionId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "DocuSeal submission the document was sent out for signing as",
+  },
   signingUrl: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -33,7 +76,8 @@ const Document = sequelize.define("Document", {
       "pending_signatures",
       "partially_signed",
       "fully_signed",
-      "expired"
+      "expired",
+      "superseded" // Replaced by a regenerated version
     ),
     index: true, // Add this
     defaultValue: "draft",
@@ -47,7 +91,27 @@ const Document = sequelize.define("Document", {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: "Increases each time the document is regenerated",
+  },
+  supersededById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: "Version that replaced this one; null for the current version",
+  },
+  supersededAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   metadata: { type: DataTypes.JSON },
+  clauseVersions: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: "Clause templates printed on the document: [{ id, key, version }]",
+  },
 });
 
 Document.associate = (models) => {
@@ -76,6 +140,21 @@ Document.associate = (models) => {
       foreignKey: 'supplierId',
       as: 'supplier'
     });
+
+  Document.hasMany(models.SigningRequest, {
+    foreignKey: "documentId",
+    as: "signingRequests",
+  });
+
+  Document.belongsTo(models.Document, {
+    foreignKey: "supersededById",
+    as: "supersededBy",
+  });
+
+  Document.hasMany(models.DocumentDownload, {
+    foreignKey: "documentId",
+    as: "downloads",
+  });
 };
 
 module.exports = Document;
@@ -0,0 +1,39 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// One row per rate change; the latest row per currency is the rate in force.
+// Rates are quoted against USD: 1 USD = ratePerUsd units of `currency`.
+const FxRate = sequelize.define(
+  "FxRate",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+    },
+    ratePerUsd: {
+      type: DataTypes.DECIMAL(18, 6),
+      allowNull: false,
+    },
+    effectiveFrom: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updatedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Email of the admin who set the rate",
+    },
+  },
+  {
+    indexes: [{ fields: ["currency", "effectiveFrom"] }],
+  }
+);
+
+module.exports = FxRate;
@@ -0,0 +1,77 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Every number handed out by a NumberSequence. Numbers are never deleted or
+// reused: a number that is no longer valid is voided with a reason, so each
+// value of a series can be accounted for.
+const IssuedNumber = sequelize.define(
+  "IssuedNumber",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    sequenceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "NumberSequences", key: "id" },
+    },
+    number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    value: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("issued", "voided"),
+      allowNull: false,
+      defaultValue: "issued",
+    },
+    documentType: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    issuedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    voidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    voidedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Email or id of whoever voided the number",
+    },
+    voidReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["sequenceId", "value"] }],
+  }
+);
+
+IssuedNumber.associate = (models) => {
+  IssuedNumber.belongsTo(models.NumberSequence, {
+    foreignKey: "sequenceId",
+    as: "sequence",
+  });
+};
+
+module.exports = IssuedNumber;
@@ -0,0 +1,31 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Last run of each background job. A server instance claims a run by
+// moving lastStartedAt forward, so jobs run once however many instances
+// are up.
+const JobRun = sequelize.define("JobRun", {
+  name: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+  },
+  lastStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  lastFinishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  lastStatus: {
+    type: DataTypes.ENUM("running", "succeeded", "failed"),
+    allowNull: true,
+  },
+  lastResult: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: "Counts reported by the job, or the error message",
+  },
+});
+
+module.exports = JobRun;
@@ -33,6 +33,17 @@ const Notification = sequelize.define('Notification', {
       'document_uploaded',      // Final completion
       'document_fully_signed',      // Final completion
       'signature_required',      // Final completion
+      'price_proposed',      // Offer or counter-offer awaiting response
+      'price_accepted',
+      'price_rejected',
+      'supplier_assigned',      // Supplier picked from match suggestions
+      'document_viewed',      // A signer opened a document sent for signing
+      'document_expired',      // Signing window closed before everyone signed
+      'signature_reminder',      // A signer has not signed yet
+      'signing_digest',      // Daily list of stalled signatures for an account manager
+      'shipment_updated',      // A shipment was planned or reached a milestone
+      'claim_raised',      // Buyer raised a quality or quantity claim
+      'claim_updated',      // Claim responded to, settled, rejected or withdrawn
 
       'error',
     ),
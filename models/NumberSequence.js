@@ -0,0 +1,56 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Counter behind each document number series, e.g. SO-0925-BUY-001 is value 1
+// of prefix "SO", period "0925", entity "BUY". Rows are locked while a number
+// is issued so concurrent generations never get the same value.
+const NumberSequence = sequelize.define(
+  "NumberSequence",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    prefix: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Series prefix: SO, PO or INV",
+    },
+    period: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Period the series restarts on (MMYY or YYYY)",
+    },
+    entity: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: "",
+      comment: "Party the series belongs to, empty when shared",
+    },
+    lastValue: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    startValue: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Last value issued before the series was tracked here",
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["prefix", "period", "entity"] }],
+  }
+);
+
+NumberSequence.associate = (models) => {
+  NumberSequence.hasMany(models.IssuedNumber, {
+    foreignKey: "sequenceId",
+    as: "numbers",
+  });
+};
+
+module.exports = NumberSequence;
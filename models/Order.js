@@ -18,14 +18,47 @@ const Order = sequelize.define("Order", {
   },
   capacity: { type: DataTypes.INTEGER, allowNull: false },
   pricePerTonne: { type: DataTypes.INTEGER, allowNull: false },
+  priceCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: "USD",
+    comment: "Currency of pricePerTonne (and of each line's buyer price)",
+  },
   paymentTerms: { type: DataTypes.INTEGER, allowNull: false },
   shippingType: { type: DataTypes.STRING, allowNull: false },
   supplierName: { type: DataTypes.STRING, allowNull: false },
   supplierLocation: { type: DataTypes.STRING, allowNull: false },
   supplierPrice: { type: DataTypes.INTEGER, allowNull: false },
+  supplierCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: "USD",
+    comment: "Currency of supplierPrice (and of each line's supplier price)",
+  },
   shippingCost: { type: DataTypes.INTEGER, allowNull: false },
+  shippingCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: "USD",
+  },
+  fxSnapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: "FX rates in force when the order was created",
+  },
   negotiatePrice: { type: DataTypes.BOOLEAN, allowNull: true },
   priceRange: { type: DataTypes.INTEGER, allowNull: true },
+  marginFlagged: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: "Set when the order was created below the minimum margin",
+  },
+  claimDeduction: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: "Total agreed deduction of settled claims, in priceCurrency",
+  },
 
   // Status Tracking
   savedStatus: {
@@ -40,7 +73,10 @@ const Order = sequelize.define("Order", {
       "matched",
       "document_phase",
       "processing",
-      "completed"
+      "completed",
+      "on_hold",
+      "cancelled",
+      "rejected"
     ),
     defaultValue: "pending_approval",
     allowNull: false,
@@ -53,6 +89,12 @@ const Order = sequelize.define("Order", {
   // Document Management
   docUrl: { type: DataTypes.STRING },
   documentGeneratedAt: { type: DataTypes.DATE },
+  requiredAttachments: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: "Attachment categories that must be uploaded before completion",
+  },
 
   // Signatures
   buyerSigned: {
@@ -137,6 +179,41 @@ Order.associate = (models) => {
     foreignKey: "orderId",
     as: "documents",
   });
+
+  Order.hasMany(models.OrderAttachment, {
+    foreignKey: "orderId",
+    as: "attachments",
+  });
+
+  Order.hasMany(models.OrderStatusHistory, {
+    foreignKey: "orderId",
+    as: "statusHistory",
+    onDelete: "CASCADE",
+  });
+
+  Order.hasMany(models.PriceProposal, {
+    foreignKey: "orderId",
+    as: "priceProposals",
+    onDelete: "CASCADE",
+  });
+
+  Order.hasMany(models.OrderLine, {
+    foreignKey: "orderId",
+    as: "lines",
+    onDelete: "CASCADE",
+  });
+
+  Order.hasMany(models.Claim, {
+    foreignKey: "orderId",
+    as: "claims",
+    onDelete: "CASCADE",
+  });
+
+  Order.hasMany(models.Shipment, {
+    foreignKey: "orderId",
+    as: "shipments",
+    onDelete: "CASCADE",
+  });
 };
 
 module.exports = Order;
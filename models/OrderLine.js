@@ -0,0 +1,40 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const OrderLine = sequelize.define("OrderLine", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: "Orders", key: "id" },
+  },
+  grade: { type: DataTypes.STRING, allowNull: false }, // e.g. "EN643 1.05 OCC"
+  tonnage: { type: DataTypes.INTEGER, allowNull: false },
+  pricePerTonne: { type: DataTypes.INTEGER, allowNull: false },
+  supplierPrice: { type: DataTypes.INTEGER, allowNull: false },
+  moistureTolerance: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: "Maximum moisture content accepted for this line, in percent",
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+});
+
+OrderLine.associate = (models) => {
+  OrderLine.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+    onDelete: "CASCADE",
+  });
+};
+
+module.exports = OrderLine;
@@ -0,0 +1,54 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const OrderStatusHistory = sequelize.define(
+  "OrderStatusHistory",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "Orders", key: "id" },
+    },
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: true, // null for the initial status of a new order
+    },
+    toStatus: { type: DataTypes.STRING, allowNull: false },
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: true, // null when the system moved the order
+      references: { model: "Users", key: "id" },
+    },
+    reason: { type: DataTypes.TEXT, allowNull: true },
+    metadata: { type: DataTypes.JSONB, allowNull: true },
+    changedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "OrderStatusHistory",
+    updatedAt: false,
+  }
+);
+
+OrderStatusHistory.associate = (models) => {
+  OrderStatusHistory.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+    onDelete: "CASCADE",
+  });
+  OrderStatusHistory.belongsTo(models.User, {
+    foreignKey: "actorId",
+    as: "actor",
+  });
+};
+
+module.exports = OrderStatusHistory;
@@ -0,0 +1,83 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+const PriceProposal = sequelize.define(
+  "PriceProposal",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "Orders", key: "id" },
+    },
+    orderLineId: {
+      type: DataTypes.UUID,
+      allowNull: true, // null when the offer is for the whole order
+      references: { model: "OrderLines", key: "id" },
+    },
+    version: { type: DataTypes.INTEGER, allowNull: false },
+    parentId: {
+      type: DataTypes.UUID,
+      allowNull: true, // the offer this one counters
+    },
+    kind: {
+      type: DataTypes.ENUM("offer", "counter_offer"),
+      allowNull: false,
+      defaultValue: "offer",
+    },
+    pricePerTonne: { type: DataTypes.INTEGER, allowNull: false },
+    basePrice: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Price in force when the negotiation opened; priceRange applies around it",
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "accepted", "rejected", "superseded"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    message: { type: DataTypes.TEXT, allowNull: true },
+    responseReason: { type: DataTypes.TEXT, allowNull: true },
+    proposedById: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "Users", key: "id" },
+    },
+    respondedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: "Users", key: "id" },
+    },
+    respondedAt: { type: DataTypes.DATE, allowNull: true },
+  },
+  {
+    indexes: [{ unique: true, fields: ["orderId", "version"] }],
+  }
+);
+
+PriceProposal.associate = (models) => {
+  PriceProposal.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+    onDelete: "CASCADE",
+  });
+  PriceProposal.belongsTo(models.OrderLine, {
+    foreignKey: "orderLineId",
+    as: "line",
+  });
+  PriceProposal.belongsTo(models.User, {
+    foreignKey: "proposedById",
+    as: "proposedBy",
+  });
+  PriceProposal.belongsTo(models.User, {
+    foreignKey: "respondedById",
+    as: "respondedBy",
+  });
+};
+
+module.exports = PriceProposal;
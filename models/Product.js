@@ -16,6 +16,11 @@ const Product = sequelize.define('Product', {
   },
   capacity: { type: DataTypes.INTEGER, allowNull: false },
   price: { type: DataTypes.FLOAT, allowNull: false },
+  priceCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
   location: { type: DataTypes.STRING, allowNull: false },
   imageUrl: { 
     type: DataTypes.STRING, 
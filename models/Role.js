@@ -0,0 +1,36 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// A named set of permissions (see config/permissions). System roles are
+// seeded at startup and cannot be deleted.
+const Role = sequelize.define("Role", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    validate: { is: /^[a-z][a-z0-9_]*$/ },
+  },
+  description: { type: DataTypes.STRING, allowNull: true },
+  isSystem: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+});
+
+Role.associate = (models) => {
+  Role.hasMany(models.RolePermission, {
+    foreignKey: "roleId",
+    as: "permissions",
+    onDelete: "CASCADE",
+  });
+  Role.hasMany(models.User, { foreignKey: "roleId", as: "users" });
+};
+
+module.exports = Role;
@@ -0,0 +1,40 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// A permission of a role. Revoked system defaults are kept with
+// granted = false, so seeding does not grant them again.
+const RolePermission = sequelize.define(
+  "RolePermission",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    roleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "Roles", key: "id" },
+    },
+    permission: { type: DataTypes.STRING, allowNull: false },
+    granted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["roleId", "permission"] }],
+  }
+);
+
+RolePermission.associate = (models) => {
+  RolePermission.belongsTo(models.Role, {
+    foreignKey: "roleId",
+    as: "role",
+    onDelete: "CASCADE",
+  });
+};
+
+module.exports = RolePermission;
@@ -0,0 +1,73 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// A login. Only hashes of refresh tokens are stored; each refresh replaces
+// the hash, and the previous one is kept to notice a stolen token being
+// replayed.
+const Session = sequelize.define(
+  "Session",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "Users", key: "id" },
+      onDelete: "CASCADE",
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: "SHA-256 of the current refresh token",
+    },
+    previousTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: "SHA-256 of the refresh token this one replaced",
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedReason: {
+      type: DataTypes.ENUM(
+        "logout",
+        "logout_all",
+        "password_changed",
+        "suspended",
+        "token_reuse"
+      ),
+      allowNull: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ fields: ["userId"] }, { fields: ["previousTokenHash"] }],
+  }
+);
+
+Session.associate = (models) => {
+  Session.belongsTo(models.User, { foreignKey: "userId", as: "user" });
+};
+
+module.exports = Session;
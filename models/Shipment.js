@@ -0,0 +1,92 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// One load of a processing order: a container booking, a truck, a wagon.
+// Its status follows the milestones recorded as ShipmentEvents.
+const Shipment = sequelize.define("Shipment", {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: { model: "Orders", key: "id" },
+  },
+  mode: {
+    type: DataTypes.ENUM("sea", "road", "rail", "air"),
+    allowNull: false,
+    defaultValue: "sea",
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "Booking or waybill number",
+  },
+  carrier: { type: DataTypes.STRING, allowNull: true },
+  containerNumbers: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+  },
+  vesselName: { type: DataTypes.STRING, allowNull: true },
+  voyageNumber: { type: DataTypes.STRING, allowNull: true },
+  truckNumber: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: "Vehicle registration for road shipments",
+  },
+  portOfLoading: { type: DataTypes.STRING, allowNull: true },
+  portOfDischarge: { type: DataTypes.STRING, allowNull: true },
+  etd: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "Estimated time of departure",
+  },
+  eta: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "Estimated time of arrival",
+  },
+  tonnageLoaded: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  status: {
+    type: DataTypes.ENUM(
+      "planned",
+      "loaded",
+      "departed",
+      "arrived",
+      "delivered",
+      "cancelled"
+    ),
+    allowNull: false,
+    defaultValue: "planned",
+  },
+  deliveredAt: { type: DataTypes.DATE, allowNull: true },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: "Users", key: "id" },
+  },
+});
+
+Shipment.associate = (models) => {
+  Shipment.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+    onDelete: "CASCADE",
+  });
+
+  Shipment.hasMany(models.ShipmentEvent, {
+    foreignKey: "shipmentId",
+    as: "events",
+    onDelete: "CASCADE",
+  });
+};
+
+module.exports = Shipment;
@@ -0,0 +1,60 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// A milestone of a shipment, as it happened. Milestones only move forward
+// (see services/shipmentService).
+const ShipmentEvent = sequelize.define(
+  "ShipmentEvent",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    shipmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: "Shipments", key: "id" },
+    },
+    milestone: {
+      type: DataTypes.ENUM(
+        "loaded",
+        "departed",
+        "arrived",
+        "delivered",
+        "cancelled"
+      ),
+      allowNull: false,
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    location: { type: DataTypes.STRING, allowNull: true },
+    note: { type: DataTypes.TEXT, allowNull: true },
+    recordedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: "Users", key: "id" },
+    },
+  },
+  {
+    updatedAt: false,
+  }
+);
+
+ShipmentEvent.associate = (models) => {
+  ShipmentEvent.belongsTo(models.Shipment, {
+    foreignKey: "shipmentId",
+    as: "shipment",
+  });
+
+  ShipmentEvent.belongsTo(models.User, {
+    foreignKey: "recordedById",
+    as: "recordedBy",
+  });
+};
+
+module.exports = ShipmentEvent;
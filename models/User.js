@@ -32,7 +32,7 @@ const User = sequelize.define("User", {
     type: DataTypes.STRING,
     allowNull: false,
     comment:
-      "For users: any job title. For account managers: buyer or supplier only.",
+      "For users: any job title. For account managers: buyer or supplier only. For admins: Super Admin.",
   },
   clientType: {
     type: DataTypes.ENUM("Buyer", "Supplier"),
@@ -107,6 +107,30 @@ const User = sequelize.define("User", {
       key: "id",
     },
   },
+  suspendedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: "Set while the account is suspended; suspended users cannot log in",
+  },
+  suspendedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: "Users",
+      key: "id",
+    },
+  },
+  suspensionReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  roleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: "Roles", key: "id" },
+    comment:
+      "Assigned access role; when null the user gets the system role of their account type",
+  },
 });
 // In your User model definition
 User.beforeUpdate(async (user, options) => {
@@ -161,6 +185,13 @@ User.associate = (models) => {
     as: "matchedOrders",
     foreignKey: "matchedById",
   });
+
+  User.belongsTo(models.Role, { foreignKey: "roleId", as: "accessRole" });
+  User.hasMany(models.Session, {
+    foreignKey: "userId",
+    as: "sessions",
+    onDelete: "CASCADE",
+  });
 };
 
 module.exports = User;
@@ -0,0 +1,49 @@
+const { DataTypes } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Webhook deliveries already received, keyed by a hash of the raw body, so a
+// replayed delivery is rejected even inside the timestamp tolerance.
+const WebhookEvent = sequelize.define(
+  "WebhookEvent",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: "docuseal",
+    },
+    payloadHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: "SHA-256 of the raw request body",
+    },
+    eventType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    eventTimestamp: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    documentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    outcome: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "What the event changed, or why it was ignored",
+    },
+  },
+  {
+    indexes: [{ fields: ["provider", "eventType"] }],
+  }
+);
+
+module.exports = WebhookEvent;
@@ -0,0 +1,75 @@
+// models/documents/OrderAttachment.js
+const { DataTypes } = require('sequelize');
+const sequelize = require('../../config/database');
+
+// Supporting files collected while an order is fulfilled: bills of lading,
+// weighbridge tickets, inspection reports, loading photos. Stored privately
+// (see services/attachmentService for the categories and their file rules).
+const OrderAttachment = sequelize.define('OrderAttachment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  category: {
+    type: DataTypes.ENUM(
+      'bill_of_lading',
+      'weighbridge_ticket',
+      'inspection_report',
+      'moisture_report',
+      'loading_photo',
+      'other'
+    ),
+    allowNull: false
+  },
+  fileRef: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Storage key of the file'
+  },
+  fileName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  sha256: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  claimId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: { model: 'Claims', key: 'id' },
+    comment: 'Set when the file is evidence for a claim'
+  }
+}, {
+  indexes: [{ fields: ['orderId', 'category'] }]
+});
+
+OrderAttachment.associate = (models) => {
+  OrderAttachment.belongsTo(models.Order, {
+    foreignKey: 'orderId',
+    as: 'order'
+  });
+  OrderAttachment.belongsTo(models.User, {
+    foreignKey: 'uploadedById',
+    as: 'uploadedBy'
+  });
+  OrderAttachment.belongsTo(models.Claim, {
+    foreignKey: 'claimId',
+    as: 'claim'
+  });
+};
+
+module.exports = OrderAttachment;
@@ -1,13 +1,19 @@
-// models/Document.js
+// models/documents/SigningRequest.js
 const { DataTypes } = require('sequelize');
 const sequelize = require('../../config/database');
 
+// One per party that has to sign a document: the Revas account manager and
+// the buyer (sales order) or supplier (purchase order).
 const SigningRequest = sequelize.define('SigningRequest', {
   id: {
     type: DataTypes.UUID,
     defaultValue: DataTypes.UUIDV4,
     primaryKey: true
   },
+  party: {
+    type: DataTypes.ENUM('revas', 'buyer', 'supplier'),
+    allowNull: false
+  },
   status: {
     type: DataTypes.ENUM('pending', 'completed', 'expired', 'revoked'),
     defaultValue: 'pending'
@@ -17,8 +23,21 @@ const SigningRequest = sequelize.define('SigningRequest', {
     allowNull: false,
     defaultValue: DataTypes.NOW
   },
+  viewedAt: DataTypes.DATE, // First opened by the signer (DocuSeal form_viewed)
+  lastReminderAt: DataTypes.DATE, // Last signing reminder sent to the signer
+  reminderCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   completedAt: DataTypes.DATE,
-  signatureData: DataTypes.TEXT // Store signature image/coordinates
+  signatureType: {
+    type: DataTypes.ENUM('drawn', 'typed'),
+    allowNull: true
+  },
+  signatureData: DataTypes.TEXT, // Drawn image as a data URL, or the typed name
+  ipAddress: DataTypes.STRING,
+  userAgent: DataTypes.STRING
 });
 
 SigningRequest.associate = (models) => {
@@ -32,4 +51,4 @@ SigningRequest.associate = (models) => {
   });
 };
 
-module.exports = SigningRequest;
\ No newline at end of file
+module.exports = SigningRequest;
@@ -11,12 +11,15 @@ const sequelize = new Sequelize(process.env.DB_URL, {
 const db = {};
 
 // Read all model files and import them correctly
-fs.readdirSync(__dirname)
-  .filter((file) => file !== 'index.js' && file.endsWith('.js'))
-  .forEach((file) => {
-    const model = require(path.join(__dirname, file));
-    db[model.name] = model;
-  });
+// (document-related models live in ./documents)
+[__dirname, path.join(__dirname, 'documents')].forEach((dir) => {
+  fs.readdirSync(dir)
+    .filter((file) => file !== 'index.js' && file.endsWith('.js'))
+    .forEach((file) => {
+      const model = require(path.join(dir, file));
+      db[model.name] = model;
+    });
+});
 
 // Associate models if they have an associate function
 Object.keys(db).forEach((modelName) => {
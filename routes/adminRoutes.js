@@ -1,5 +1,35 @@
 const express = require('express');
-const  {loginAdmin}  = require('../controllers/adminController');
+const {
+  loginAdmin,
+  getAccountManagers,
+  createAccountManager,
+  reassignClient,
+  suspendUser,
+  reactivateUser,
+} = require('../controllers/adminController');
+const {
+  getFxRates,
+  getFxRateHistory,
+  setFxRate,
+} = require('../controllers/fxRateController');
+const {
+  getNumberSequences,
+  getNumberSequenceAudit,
+  voidIssuedNumber,
+} = require('../controllers/numberSequenceController');
+const {
+  getPermissionRegistry,
+  getRoles,
+  createRole,
+  setRolePermissions,
+  deleteRole,
+  assignUserRole,
+  getUserPermissions,
+} = require('../controllers/roleController');
+const {
+  authMiddleware,
+  requirePermission,
+} = require('../middleware/authMiddleware');
 
 
 const router = express.Router();
@@ -16,7 +46,8 @@ const router = express.Router();
  * /admin:
  *   post:
  *     summary: Login an Admin
- *     tags: [Admin] 
+ *     description: Admin accounts are users with the Super Admin role; create the first one with `npm run admin:create`.
+ *     tags: [Admin]
  *     requestBody:
  *       required: true
  *       content:
@@ -26,20 +57,627 @@ const router = express.Router();
  *             properties:
  *               email:
  *                 type: string
- *                 example: hello@adminrevas.com
+ *                 example: admin@example.com
  *               password:
  *                 type: string
- *                 example: "@Adminrevas1"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, with an access token and a refresh token (see /refresh-token)
+ *       400:
+ *         description: Email or password missing
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account suspended
  *       500:
  *         description: Internal server error
  */
 
 router.post('/admin', loginAdmin);
 
+/**
+ * @swagger
+ * /admin/account-managers:
+ *   get:
+ *     summary: List account managers (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, supplier]
+ *     responses:
+ *       200:
+ *         description: Account managers with the number of clients each manages
+ *       403:
+ *         description: Missing the account_manager:manage permission
+ *   post:
+ *     summary: Create an account manager (Admin only)
+ *     description: A temporary password is generated and emailed to the new account manager.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [firstName, lastName, email, role]
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [buyer, supplier]
+ *     responses:
+ *       201:
+ *         description: Account manager created
+ *       400:
+ *         description: Missing fields or invalid role
+ *       403:
+ *         description: Missing the account_manager:manage permission
+ *       409:
+ *         description: Email already in use
+ */
+router.get(
+  '/admin/account-managers',
+  authMiddleware,
+  requirePermission('account_manager:manage'),
+  getAccountManagers
+);
+router.post(
+  '/admin/account-managers',
+  authMiddleware,
+  requirePermission('account_manager:manage'),
+  createAccountManager
+);
+
+/**
+ * @swagger
+ * /admin/clients/{clientId}/account-manager:
+ *   put:
+ *     summary: Move a client to another account manager (Admin only)
+ *     description: The account manager must serve the client's side. Open orders move with the client unless moveOpenOrders is false.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [accountManagerId]
+ *             properties:
+ *               accountManagerId:
+ *                 type: string
+ *                 format: uuid
+ *               moveOpenOrders:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Client reassigned, with the number of open orders moved
+ *       400:
+ *         description: Missing, wrong-side or suspended account manager
+ *       403:
+ *         description: Missing the client:reassign permission
+ *       404:
+ *         description: Client not found
+ */
+router.put(
+  '/admin/clients/:clientId/account-manager',
+  authMiddleware,
+  requirePermission('client:reassign'),
+  reassignClient
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user (Admin only)
+ *     description: Suspended users cannot log in and their existing tokens stop working.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Attempt to suspend yourself
+ *       403:
+ *         description: Missing the user:suspend permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User already suspended
+ */
+router.post(
+  '/admin/users/:userId/suspend',
+  authMiddleware,
+  requirePermission('user:suspend'),
+  suspendUser
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/reactivate:
+ *   post:
+ *     summary: Lift a user's suspension (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       403:
+ *         description: Missing the user:suspend permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is not suspended
+ */
+router.post(
+  '/admin/users/:userId/reactivate',
+  authMiddleware,
+  requirePermission('user:suspend'),
+  reactivateUser
+);
+
+/**
+ * @swagger
+ * /fx-rates:
+ *   get:
+ *     summary: FX rates currently in force
+ *     description: Rates are quoted against USD (1 USD = rate units of the currency).
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current rates
+ *         content:
+ *           application/json:
+ *             example:
+ *               base: USD
+ *               supportedCurrencies: [USD, NGN, EUR, GBP]
+ *               rates: { USD: 1, NGN: 1550, EUR: 0.92 }
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/fx-rates', authMiddleware, getFxRates);
+
+/**
+ * @swagger
+ * /fx-rates/{currency}/history:
+ *   get:
+ *     summary: Rate history for a currency
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: NGN
+ *     responses:
+ *       200:
+ *         description: Rates, newest first
+ *       400:
+ *         description: Unsupported currency
+ */
+router.get('/fx-rates/:currency/history', authMiddleware, getFxRateHistory);
+
+/**
+ * @swagger
+ * /admin/fx-rates/{currency}:
+ *   put:
+ *     summary: Set the FX rate for a currency (Admin only)
+ *     description: Adds a new rate; existing orders keep the rates snapshotted when they were created.
+ *     tags: [FX Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [NGN, EUR, GBP]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ratePerUsd]
+ *             properties:
+ *               ratePerUsd:
+ *                 type: number
+ *                 example: 1550
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Rate recorded
+ *       400:
+ *         description: Invalid currency or rate
+ *       403:
+ *         description: Admins only
+ */
+router.put(
+  '/admin/fx-rates/:currency',
+  authMiddleware,
+  requirePermission('fx:manage'),
+  setFxRate
+);
+
+/**
+ * @swagger
+ * /admin/number-sequences:
+ *   get:
+ *     summary: List document number sequences (Admin only)
+ *     description: One sequence per prefix (SO, PO, INV), period and entity, with counts of issued and voided numbers.
+ *     tags: [Number Sequences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: prefix
+ *         schema:
+ *           type: string
+ *           enum: [SO, PO, INV]
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           example: "2025"
+ *     responses:
+ *       200:
+ *         description: Number sequences
+ *       403:
+ *         description: Admins only
+ */
+router.get(
+  '/admin/number-sequences',
+  authMiddleware,
+  requirePermission('numbering:manage'),
+  getNumberSequences
+);
+
+/**
+ * @swagger
+ * /admin/number-sequences/{id}/audit:
+ *   get:
+ *     summary: Audit a number sequence (Admin only)
+ *     description: Every number issued in the sequence with its status, document and void reason. `gaps` lists values with no record and is empty for a complete series.
+ *     tags: [Number Sequences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Sequence audit
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Sequence not found
+ */
+router.get(
+  '/admin/number-sequences/:id/audit',
+  authMiddleware,
+  requirePermission('numbering:manage'),
+  getNumberSequenceAudit
+);
+
+/**
+ * @swagger
+ * /admin/issued-numbers/{number}/void:
+ *   post:
+ *     summary: Void an issued document number (Admin only)
+ *     description: The number stays in the audit with the reason and is never reused.
+ *     tags: [Number Sequences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: number
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: INV-2025-0007
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number voided
+ *       400:
+ *         description: Missing reason or already voided
+ *       403:
+ *         description: Admins only
+ *       404:
+ *         description: Number not found
+ */
+router.post(
+  '/admin/issued-numbers/:number/void',
+  authMiddleware,
+  requirePermission('numbering:manage'),
+  voidIssuedNumber
+);
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: List the permission registry (Admin only)
+ *     description: Every permission key a role can grant, with what it allows
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission keys and descriptions
+ *       403:
+ *         description: Missing the rbac:manage permission
+ */
+router.get(
+  '/admin/permissions',
+  authMiddleware,
+  requirePermission('rbac:manage'),
+  getPermissionRegistry
+);
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: List roles and their permissions (Admin only)
+ *     description: System roles first. Users without an assigned role get the system role of their account type.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles
+ *       403:
+ *         description: Missing the rbac:manage permission
+ *   post:
+ *     summary: Create a role (Admin only)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: finance_viewer
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["order:read_all", "order:view_margins"]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid name or unknown permissions
+ *       403:
+ *         description: Missing the rbac:manage permission
+ *       409:
+ *         description: A role with this name exists
+ */
+router.get('/admin/roles', authMiddleware, requirePermission('rbac:manage'), getRoles);
+router.post('/admin/roles', authMiddleware, requirePermission('rbac:manage'), createRole);
+
+/**
+ * @swagger
+ * /admin/roles/{roleId}/permissions:
+ *   put:
+ *     summary: Replace a role's permissions (Admin only)
+ *     description: Permissions left out are revoked, including the defaults of system roles, which stay revoked across restarts.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role permissions updated
+ *       400:
+ *         description: Unknown permissions, or rbac:manage left out for super_admin
+ *       403:
+ *         description: Missing the rbac:manage permission
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  '/admin/roles/:roleId/permissions',
+  authMiddleware,
+  requirePermission('rbac:manage'),
+  setRolePermissions
+);
+
+/**
+ * @swagger
+ * /admin/roles/{roleId}:
+ *   delete:
+ *     summary: Delete a role (Admin only)
+ *     description: System roles and roles still assigned to users cannot be deleted
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: System role, or assigned to users
+ *       403:
+ *         description: Missing the rbac:manage permission
+ *       404:
+ *         description: Role not found
+ */
+router.delete(
+  '/admin/roles/:roleId',
+  authMiddleware,
+  requirePermission('rbac:manage'),
+  deleteRole
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role:
+ *   put:
+ *     summary: Assign a role to a user (Admin only)
+ *     description: A null roleId returns the user to the system role of their account type
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roleId]
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Role assigned, with the user's effective permissions
+ *       400:
+ *         description: Missing or unknown role
+ *       403:
+ *         description: Missing the rbac:manage permission
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  '/admin/users/:userId/role',
+  authMiddleware,
+  requirePermission('rbac:manage'),
+  assignUserRole
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/permissions:
+ *   get:
+ *     summary: Get a user's effective role and permissions (Admin only)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Effective role and permissions
+ *       403:
+ *         description: Missing the rbac:manage permission
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/admin/users/:userId/permissions',
+  authMiddleware,
+  requirePermission('rbac:manage'),
+  getUserPermissions
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,242 @@
+const express = require("express");
+const {
+  uploadAttachments,
+  getAttachments,
+  downloadAttachment,
+  setRequiredAttachments,
+  getAttachmentCategories,
+} = require("../controllers/attachmentController");
+const {
+  authMiddleware,
+  requirePermission,
+} = require("../middleware/authMiddleware");
+const uploadAttachmentFiles = require("../middleware/attachmentUploadMiddleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attachments
+ *   description: Supporting files of an order (bills of lading, weighbridge tickets, inspection reports, loading photos)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrderAttachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         category:
+ *           type: string
+ *           enum: [bill_of_lading, weighbridge_ticket, inspection_report, moisture_report, loading_photo, other]
+ *         fileName:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: integer
+ *         sha256:
+ *           type: string
+ *         description:
+ *           type: string
+ *         claimId:
+ *           type: string
+ *           description: Set when the file is evidence for a claim
+ *         uploadedBy:
+ *           type: object
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ *         downloadUrl:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /attachments/categories:
+ *   get:
+ *     summary: Get attachment categories
+ *     description: Each category with the file types and size it accepts
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attachment categories
+ */
+router.get("/attachments/categories", authMiddleware, getAttachmentCategories);
+
+/**
+ * @swagger
+ * /orders/{id}/attachments:
+ *   post:
+ *     summary: Upload attachments to an order
+ *     description: >
+ *       Uploads up to 10 files of one category. Every file must match the category's
+ *       file types and size limit. Open to the order's parties and account managers while
+ *       the order is in document phase, processing or on hold.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [category, files]
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [bill_of_lading, weighbridge_ticket, inspection_report, moisture_report, loading_photo, other]
+ *               description:
+ *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Attachments uploaded
+ *       400:
+ *         description: No files, unknown category, a file breaks the category's rules, or the order is not accepting attachments
+ *       404:
+ *         description: Order not found, or not visible to the user
+ *   get:
+ *     summary: Get an order's attachments
+ *     description: Newest first, with the categories required before completion and those still missing
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 requiredAttachments:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 missingRequired:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 attachments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderAttachment'
+ *       404:
+ *         description: Order not found, or not visible to the user
+ */
+router.post(
+  "/orders/:id/attachments",
+  authMiddleware,
+  uploadAttachmentFiles,
+  uploadAttachments
+);
+router.get("/orders/:id/attachments", authMiddleware, getAttachments);
+
+/**
+ * @swagger
+ * /orders/{id}/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an attachment
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *       404:
+ *         description: Order or attachment not found, or not visible to the user
+ */
+router.get(
+  "/orders/:id/attachments/:attachmentId/download",
+  authMiddleware,
+  downloadAttachment
+);
+
+/**
+ * @swagger
+ * /orders/{id}/required-attachments:
+ *   put:
+ *     summary: Set the attachments required before completion
+ *     description: The order cannot move to completed until it has at least one file of each required category. Account managers of the order only.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [categories]
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [bill_of_lading, weighbridge_ticket]
+ *     responses:
+ *       200:
+ *         description: Required attachments updated
+ *       400:
+ *         description: Unknown categories
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Order not found
+ */
+router.put(
+  "/orders/:id/required-attachments",
+  authMiddleware,
+  requirePermission("attachment:require"),
+  setRequiredAttachments
+);
+
+module.exports = router;
@@ -2,15 +2,16 @@ const express = require("express");
 const {
   register,
   login,
+  refreshAccessToken,
+  logout,
+  logoutAll,
   forgotPassword,
   resetPassword,
   updatePassword,
   setInitialPassword,
 } = require("../controllers/authController");
 const {
-  registerAccountManager,
   loginAccountManager,
-  validateAccountManagerRole,
   getManagedClients,
   assignClients,
   removeClient,
@@ -21,7 +22,7 @@ const {
 } = require("../controllers/accountManagerController");
 const {
   authMiddleware,
-  authenticateRole,
+  requirePermission,
 } = require("../middleware/authMiddleware");
 
 const router = express.Router();
@@ -38,56 +39,6 @@ const router = express.Router();
  *     description: Authentication endpoints for both users and account managers
  */
 
-/**
- * @swagger
- * /account-managers/register:
- *   post:
- *     summary: Register as Account Manager
- *     tags: [Account Managers]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               firstName:
- *                 type: string
- *                 example: Prince
- *               lastName:
- *                 type: string
- *                 example: Iyke
- *               email:
- *                 type: string
- *                 example: onye4holiness@gmail.com
- *               password:
- *                 type: string
- *                 example: "@iamExony2024"
- *               confirmPassword:
- *                 type: string
- *                 example: "@iamExony2024"
- *               role:
- *                 type: string
- *                 enum: [buyer, supplier]
- *                 example: buyer
- *     responses:
- *       201:
- *         description: Account Manager registered successfully
- *       400:
- *         description: Bad request (e.g., passwords do not match, email already exists, invalid role)
- *       500:
- *         description: Internal server error
- */
-router.post("/account-managers/register", async (req, res) => {
-  try {
-    const { role } = req.body;
-    validateAccountManagerRole(role);
-    await registerAccountManager(req, res);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
-  }
-});
-
 /**
  * @swagger
  * /account-managers/login:
@@ -145,7 +96,7 @@ router.post("/account-managers/login", loginAccountManager);
 router.get(
   "/account-managers/clients",
   authMiddleware,
-  authenticateRole(["buyer", "supplier"]),
+  requirePermission("client:manage"),
   getManagedClients
 );
 
@@ -188,7 +139,7 @@ router.get(
 router.post(
   "/account-managers/clients",
   authMiddleware,
-  authenticateRole(["buyer", "supplier"]),
+  requirePermission("client:manage"),
   assignClients
 );
 
@@ -223,7 +174,7 @@ router.post(
 router.delete(
   "/account-managers/clients/:clientId",
   authMiddleware,
-  authenticateRole(["buyer", "supplier"]),
+  requirePermission("client:manage"),
   removeClient
 );
 
@@ -259,6 +210,7 @@ router.delete(
  *               role:
  *                 type: string
  *                 example: Manager
+ *                 description: Job title; "Super Admin", "buyer" and "supplier" are reserved
  *               clientType:
  *                 type: string
  *                 enum: [Buyer, Supplier]
@@ -271,7 +223,7 @@ router.delete(
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Bad request (e.g., passwords do not match, email already exists)
+ *         description: Bad request (e.g., passwords do not match, email already exists, missing client type, reserved role)
  *       500:
  *         description: Internal server error
  */
@@ -298,14 +250,75 @@ router.post("/register", register);
  *                 example: "@iamExony2024"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access token (token) and a refresh token to renew it with /refresh-token.
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account pending approval or suspended
  *       500:
  *         description: Internal server error
  */
 router.post("/login", login);
 
+/**
+ * @swagger
+ * /refresh-token:
+ *   post:
+ *     summary: Renew an access token
+ *     description: Returns a new access token and a new refresh token; the refresh token sent is no longer valid. Sending an already used refresh token ends its session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token, refreshToken and expiresIn
+ *       400:
+ *         description: refreshToken missing
+ *       401:
+ *         description: Invalid refresh token, ended session or unavailable account
+ */
+router.post("/refresh-token", refreshAccessToken);
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: End the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out; the session's tokens no longer work
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/logout", authMiddleware, logout);
+
+/**
+ * @swagger
+ * /logout-all:
+ *   post:
+ *     summary: End every session of the user, on all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out everywhere, with the number of sessions ended
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/logout-all", authMiddleware, logoutAll);
+
 // Password Reset (for both users and account managers)
 /**
  * @swagger
@@ -368,7 +381,7 @@ router.post("/forgot-password", forgotPassword);
  *                 example: newpassword123
  *     responses:
  *       200:
- *         description: Password reset successful
+ *         description: Password reset successful; existing sessions are ended
  *       400:
  *         description: Invalid or expired token/code or passwords don't match
  *       500:
@@ -402,7 +415,7 @@ router.post("/reset-password", resetPassword);
  *                 example: newpassword123
  *     responses:
  *       200:
- *         description: Password updated successfully
+ *         description: Password updated successfully. Every session is ended and a new token and refreshToken are returned.
  *       401:
  *         description: Invalid current password
  *       400:
@@ -435,7 +448,7 @@ router.post("/update-password", authMiddleware, updatePassword);
  *                 example: newpassword123
  *     responses:
  *       200:
- *         description: Password set successfully
+ *         description: Password set successfully. Every session is ended and a new token and refreshToken are returned.
  *       400:
  *         description: Password already changed
  */
@@ -455,7 +468,7 @@ router.post("/initial-password", authMiddleware, setInitialPassword);
  */
 router.get('/account-managers/pending-users', 
   authMiddleware, 
-  authenticateRole(['buyer', 'supplier']),
+  requirePermission('client:manage'),
   getPendingUsers
 );
 
@@ -482,7 +495,7 @@ router.get('/account-managers/pending-users',
  */
 router.get('/account-managers/users/:userId', 
   authMiddleware, 
-  authenticateRole(['buyer', 'supplier']),
+  requirePermission('client:manage'),
   getUserDetails
 );
 
@@ -509,7 +522,7 @@ router.get('/account-managers/users/:userId',
  */
 router.patch('/account-managers/users/:userId/approve', 
   authMiddleware, 
-  authenticateRole(['buyer', 'supplier']),
+  requirePermission('client:manage'),
   approveUser
 );
 
@@ -548,7 +561,7 @@ router.patch('/account-managers/users/:userId/approve',
  */
 router.patch('/account-managers/users/:userId/reject', 
   authMiddleware, 
-  authenticateRole(['buyer', 'supplier']),
+  requirePermission('client:manage'),
   rejectUser
 );
 
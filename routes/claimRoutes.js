@@ -0,0 +1,493 @@
+const express = require("express");
+const {
+  raiseClaim,
+  getOrderClaims,
+  getClaim,
+  addClaimEvidence,
+  respondToClaim,
+  proposeSettlement,
+  approveSettlement,
+  reissueClaimInvoice,
+  rejectClaim,
+  withdrawClaim,
+  getClaimCategories,
+} = require("../controllers/claimController");
+const {
+  authMiddleware,
+  requirePermission,
+} = require("../middleware/authMiddleware");
+const uploadAttachmentFiles = require("../middleware/attachmentUploadMiddleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Claims
+ *   description: >
+ *     Quality and quantity claims on delivered goods. The buyer raises a claim with evidence
+ *     and a requested deduction, the supplier accepts or disputes it, one account manager
+ *     proposes a settlement and the other approves it. The agreed deduction comes off the
+ *     order's invoice and its margin.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Claim:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         orderId:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [moisture, contamination, short_weight]
+ *         description:
+ *           type: string
+ *         requestedDeduction:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [open, responded, settlement_proposed, settled, rejected, withdrawn]
+ *         supplierDecision:
+ *           type: string
+ *           enum: [accepted, disputed]
+ *         supplierOfferedDeduction:
+ *           type: number
+ *         supplierNote:
+ *           type: string
+ *         proposedDeduction:
+ *           type: number
+ *         settlementNote:
+ *           type: string
+ *         agreedDeduction:
+ *           type: number
+ *         closingReason:
+ *           type: string
+ *         evidence:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderAttachment'
+ */
+
+/**
+ * @swagger
+ * /claims/categories:
+ *   get:
+ *     summary: Get claim categories
+ *     description: Each category with the attachment category its evidence is filed under by default
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Claim categories
+ */
+router.get("/claims/categories", authMiddleware, getClaimCategories);
+
+/**
+ * @swagger
+ * /orders/{id}/claims:
+ *   post:
+ *     summary: Raise a claim
+ *     description: The order's buyer only, while the order is processing or completed. Evidence files are optional here and can be added later.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [category, description, requestedDeduction]
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [moisture, contamination, short_weight]
+ *               description:
+ *                 type: string
+ *               requestedDeduction:
+ *                 type: number
+ *                 description: In the order's buyer currency
+ *               evidenceCategory:
+ *                 type: string
+ *                 description: Attachment category of the files, the claim category's default if omitted
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Claim raised
+ *       400:
+ *         description: Invalid claim or evidence, a deduction above what is left on the order, or the order is not delivered
+ *       403:
+ *         description: Not the order's buyer
+ *       404:
+ *         description: Order not found
+ *   get:
+ *     summary: Get an order's claims
+ *     description: Newest first, with the total deduction settled so far
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Claims
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 currency:
+ *                   type: string
+ *                 claimDeduction:
+ *                   type: number
+ *                 openClaims:
+ *                   type: integer
+ *                 claims:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Claim'
+ *       404:
+ *         description: Order not found, or not visible to the user
+ */
+router.post(
+  "/orders/:id/claims",
+  authMiddleware,
+  requirePermission("claim:raise"),
+  uploadAttachmentFiles,
+  raiseClaim
+);
+router.get("/orders/:id/claims", authMiddleware, getOrderClaims);
+
+/**
+ * @swagger
+ * /claims/{claimId}:
+ *   get:
+ *     summary: Get a claim
+ *     description: The claim with its evidence, and the account manager expected to approve a proposed settlement
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The claim
+ *       404:
+ *         description: Claim not found, or not visible to the user
+ */
+router.get("/claims/:claimId", authMiddleware, getClaim);
+
+/**
+ * @swagger
+ * /claims/{claimId}/evidence:
+ *   post:
+ *     summary: Add evidence to a claim
+ *     description: Any party of the order, until the claim is closed. Files are downloaded through the order's attachments.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 description: Attachment category, the claim category's default if omitted
+ *               description:
+ *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Evidence added
+ *       400:
+ *         description: No files, a file breaks its category's rules, or the claim is closed
+ *       404:
+ *         description: Claim not found, or not visible to the user
+ */
+router.post(
+  "/claims/:claimId/evidence",
+  authMiddleware,
+  uploadAttachmentFiles,
+  addClaimEvidence
+);
+
+/**
+ * @swagger
+ * /claims/{claimId}/response:
+ *   post:
+ *     summary: Respond to a claim
+ *     description: The order's supplier accepts the claim or disputes it, optionally offering a smaller deduction
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accepted, disputed]
+ *               offeredDeduction:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *                 description: Required when disputing
+ *     responses:
+ *       200:
+ *         description: Response recorded
+ *       400:
+ *         description: Invalid response, or the claim is not open
+ *       403:
+ *         description: Not the order's supplier
+ *       404:
+ *         description: Claim not found
+ */
+router.post(
+  "/claims/:claimId/response",
+  authMiddleware,
+  requirePermission("claim:respond"),
+  respondToClaim
+);
+
+/**
+ * @swagger
+ * /claims/{claimId}/settlement:
+ *   post:
+ *     summary: Propose a settlement
+ *     description: An account manager of the order proposes the deduction, after the supplier has responded. A new proposal replaces the previous one.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [deduction]
+ *             properties:
+ *               deduction:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Settlement proposed
+ *       400:
+ *         description: Invalid deduction, or the claim is not awaiting settlement
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Claim not found
+ */
+router.post(
+  "/claims/:claimId/settlement",
+  authMiddleware,
+  requirePermission("claim:settle"),
+  proposeSettlement
+);
+
+/**
+ * @swagger
+ * /claims/{claimId}/settlement/approve:
+ *   post:
+ *     summary: Approve a proposed settlement
+ *     description: >
+ *       The other account manager of the order settles the claim. The deduction is added to the
+ *       order's claim deduction and, when the order is already invoiced, the invoice is reissued
+ *       with it.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Claim settled
+ *       400:
+ *         description: No settlement awaiting approval, or the deduction exceeds what is left on the order
+ *       403:
+ *         description: Not the approving account manager
+ *       404:
+ *         description: Claim not found
+ */
+router.post(
+  "/claims/:claimId/settlement/approve",
+  authMiddleware,
+  requirePermission("claim:settle"),
+  approveSettlement
+);
+
+/**
+ * @swagger
+ * /claims/{claimId}/invoice:
+ *   post:
+ *     summary: Reissue the invoice for a settled claim
+ *     description: Retries the invoice reissue when it failed during settlement. Account managers of the order only.
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The current invoice already includes the deductions
+ *       201:
+ *         description: Invoice reissued
+ *       400:
+ *         description: Claim not settled, or the order has not been invoiced
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Claim not found
+ */
+router.post(
+  "/claims/:claimId/invoice",
+  authMiddleware,
+  requirePermission("claim:settle"),
+  reissueClaimInvoice
+);
+
+/**
+ * @swagger
+ * /claims/{claimId}/reject:
+ *   post:
+ *     summary: Reject a claim
+ *     description: An account manager of the order closes the claim without a deduction
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim rejected
+ *       400:
+ *         description: No reason, or the claim is already closed
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Claim not found
+ */
+router.post(
+  "/claims/:claimId/reject",
+  authMiddleware,
+  requirePermission("claim:settle"),
+  rejectClaim
+);
+
+/**
+ * @swagger
+ * /claims/{claimId}/withdraw:
+ *   post:
+ *     summary: Withdraw a claim
+ *     description: The order's buyer withdraws a claim that is not closed yet
+ *     tags: [Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim withdrawn
+ *       400:
+ *         description: Claim is already closed
+ *       403:
+ *         description: Not the order's buyer
+ *       404:
+ *         description: Claim not found
+ */
+router.post("/claims/:claimId/withdraw", authMiddleware, withdrawClaim);
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require("express");
+const {
+  getClauses,
+  getClauseVersions,
+  createClause,
+  updateClause,
+  retireClause,
+} = require("../controllers/clauseController");
+const {
+  authMiddleware,
+  requirePermission,
+} = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Clauses
+ *   description: Contract clause library printed on generated documents (Admin only)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClauseTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         key:
+ *           type: string
+ *           example: moisture_content
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         title:
+ *           type: string
+ *           example: "5. Moisture Content"
+ *         content:
+ *           type: string
+ *           description: Paragraphs separated by newlines
+ *         documentTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [sales_order, purchase_order, contract]
+ *         position:
+ *           type: integer
+ *           description: Print order within a document
+ *         isCurrent:
+ *           type: boolean
+ *         createdBy:
+ *           type: string
+ *     ClauseInput:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Only when creating; lowercase letters, digits and _
+ *         title:
+ *           type: string
+ *         content:
+ *           type: string
+ *         documentTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         position:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /admin/clauses:
+ *   get:
+ *     summary: List clauses
+ *     tags: [Clauses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           enum: [sales_order, purchase_order, contract]
+ *         description: Only clauses printed on this document type
+ *       - in: query
+ *         name: includeHistory
+ *         schema:
+ *           type: boolean
+ *         description: Include superseded and retired versions
+ *     responses:
+ *       200:
+ *         description: Clauses in print order
+ *       403:
+ *         description: Admins only
+ *   post:
+ *     summary: Create a clause (version 1)
+ *     tags: [Clauses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClauseInput'
+ *     responses:
+ *       201:
+ *         description: Clause created
+ *       400:
+ *         description: Invalid clause
+ *       409:
+ *         description: A clause with this key already exists
+ */
+router.get(
+  "/admin/clauses",
+  authMiddleware,
+  requirePermission("clause:manage"),
+  getClauses
+);
+router.post(
+  "/admin/clauses",
+  authMiddleware,
+  requirePermission("clause:manage"),
+  createClause
+);
+
+/**
+ * @swagger
+ * /admin/clauses/{key}:
+ *   get:
+ *     summary: All versions of a clause
+ *     tags: [Clauses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions, newest first
+ *       404:
+ *         description: Clause not found
+ *   put:
+ *     summary: Update a clause
+ *     description: Adds a new version; documents already generated keep the version they were printed with.
+ *     tags: [Clauses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClauseInput'
+ *     responses:
+ *       200:
+ *         description: New version created
+ *       400:
+ *         description: Invalid clause
+ *       404:
+ *         description: Clause not found
+ *   delete:
+ *     summary: Retire a clause
+ *     description: Stops printing the clause on new documents; its versions are kept.
+ *     tags: [Clauses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clause retired
+ *       404:
+ *         description: No current version of this clause
+ */
+router.get(
+  "/admin/clauses/:key",
+  authMiddleware,
+  requirePermission("clause:manage"),
+  getClauseVersions
+);
+router.put(
+  "/admin/clauses/:key",
+  authMiddleware,
+  requirePermission("clause:manage"),
+  updateClause
+);
+router.delete(
+  "/admin/clauses/:key",
+  authMiddleware,
+  requirePermission("clause:manage"),
+  retireClause
+);
+
+module.exports = router;
@@ -1,17 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const documentController = require('../controllers/documentController');
-const { authMiddleware, authenticateRole } = require('../middleware/authMiddleware');
-const multer = require('multer');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
 const jwt = require('jsonwebtoken');
+const { handleDocuSealWebhook } = require('../controllers/documentWebhookController');
+const multer = require('multer');
 
-
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({ 
-  storage: storage,
+// PDFs uploaded for verification are only hashed, never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype === 'application/pdf') {
@@ -41,18 +40,59 @@ const upload = multer({
  *           format: uuid
  *         type:
  *           type: string
- *           enum: [sales_order, purchase_order, contract]
+ *           enum: [sales_order, purchase_order, contract, invoice]
  *         status:
  *           type: string
  *           enum: [draft, generated, pending_signatures, partially_signed, fully_signed, expired]
  *         fileUrl:
  *           type: string
  *           format: url
+ *         fileHash:
+ *           type: string
+ *           description: SHA-256 of the generated PDF
+ *         signedFileHash:
+ *           type: string
+ *           description: SHA-256 of the latest signed PDF
+ *         fileVersions:
+ *           type: array
+ *           description: Every PDF stored for the document, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               kind:
+ *                 type: string
+ *                 enum: [generated, signed, certified]
+ *               sha256:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *         invoiceNumber:
+ *           type: string
+ *           description: Number from the document type's series (SO/PO/INV)
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *           description: Payment due date (invoices)
  *         signedFileRef:
  *           type: string
  *         signingUrl:
  *           type: string
  *           format: url
+ *         clauseVersions:
+ *           type: array
+ *           description: Clause templates printed on the document
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               key:
+ *                 type: string
+ *               version:
+ *                 type: integer
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -119,25 +159,154 @@ const upload = multer({
  */
 router.post('/documents/orders/:id',
   authMiddleware,
-  authenticateRole(['buyer', 'supplier']),
+  requirePermission('document:generate'),
   documentController.generateOrderDocument
 );
+
 /**
  * @swagger
- * /documents/orders/{orderId}/upload:
+ * /documents/orders/{id}/invoice:
  *   post:
- *     summary: Upload signed document (Client)
- *     description: Upload a signed version of the document (for clients only)
+ *     summary: Generate order invoice
+ *     description: |
+ *       Issues the buyer's invoice for an order in processing (or completed):
+ *       line totals, VAT and WHT, a due date `paymentTerms` days after issue
+ *       and bank details for payment. Invoices are numbered INV-YYYY-NNNN.
+ *       Signing both order documents issues the invoice automatically; an
+ *       order only ever has one, which is returned if it already exists.
+ *       Only the order's account managers can call this.
  *     tags: [Documents]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: orderId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Order ID
+ *     responses:
+ *       201:
+ *         description: Invoice generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *                 invoice:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     dueDate:
+ *                       type: string
+ *                       format: date-time
+ *                     subtotal:
+ *                       type: number
+ *                     vatRate:
+ *                       type: number
+ *                     vatAmount:
+ *                       type: number
+ *                     whtRate:
+ *                       type: number
+ *                     whtAmount:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                     amountPayable:
+ *                       type: number
+ *                 isExisting:
+ *                   type: boolean
+ *       200:
+ *         description: Invoice already exists
+ *       400:
+ *         description: Order is not in processing
+ *       403:
+ *         description: Not an account manager on this order
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/documents/orders/:id/invoice',
+  authMiddleware,
+  requirePermission('document:invoice'),
+  documentController.generateInvoice
+);
+/**
+ * @swagger
+ * /documents/webhook:
+ *   post:
+ *     summary: DocuSeal signing webhook
+ *     description: |
+ *       Receives DocuSeal (or compatible) signing events. The raw body must be
+ *       signed with HMAC-SHA256 under DOCUSEAL_WEBHOOK_SECRET, hex-encoded in
+ *       the DocuSeal-Signature header. Events with a `timestamp` outside the
+ *       allowed window, and bodies already received, are rejected.
+ *
+ *       The document is found by its DocuSeal submission id, or by a submitter
+ *       `external_id` set to one of its signing request ids. Handled events:
+ *       - `submission_completed`: all signing requests completed, document
+ *         fully signed and the signed PDF stored; the order moves to
+ *         processing once both order documents are signed
+ *       - `submission_expired`: pending signing requests and the document expire
+ *       - `form_viewed`: the signer's request records when it was opened
+ *
+ *       Parties are notified of each change. `node generateSignature.js`
+ *       sends signed test events to a local server.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: header
+ *         name: DocuSeal-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [event_type, timestamp, data]
+ *             properties:
+ *               event_type:
+ *                 type: string
+ *                 enum: [submission_completed, submission_expired, form_viewed]
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Event received (the outcome says what changed or why it was ignored)
+ *       400:
+ *         description: Missing or stale timestamp
+ *       401:
+ *         description: Invalid signature
+ *       409:
+ *         description: Event already received
+ *       503:
+ *         description: Webhook secret not configured
+ */
+router.post('/documents/webhook', handleDocuSealWebhook);
+
+/**
+ * @swagger
+ * /documents/verify:
+ *   post:
+ *     summary: Verify a PDF against issued documents
+ *     description: |
+ *       Hashes the uploaded PDF (SHA-256) and looks it up among every file
+ *       stored for a document: the generated PDF, each signed copy and the
+ *       certified copy with the signature certificate. Reports the matching
+ *       document and which version the file is.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -145,12 +314,86 @@ router.post('/documents/orders/:id',
  *           schema:
  *             type: object
  *             properties:
- *               signedDocument:
+ *               document:
  *                 type: string
  *                 format: binary
  *     responses:
  *       200:
- *         description: Document uploaded successfully
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 verified:
+ *                   type: boolean
+ *                 sha256:
+ *                   type: string
+ *                 document:
+ *                   type: object
+ *                 version:
+ *                   type: integer
+ *                 kind:
+ *                   type: string
+ *                   enum: [generated, signed, certified]
+ *                 recordedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 isLatest:
+ *                   type: boolean
+ *                 latestVersion:
+ *                   type: integer
+ *       400:
+ *         description: No file uploaded
+ *       500:
+ *         description: Server error
+ */
+router.post('/documents/verify',
+  authMiddleware,
+  upload.single('document'),
+  documentController.verifyDocument
+);
+
+/**
+ * @swagger
+ * /documents/{documentId}/sign:
+ *   post:
+ *     summary: Sign a document
+ *     description: |
+ *       Signs a sales or purchase order in the app. Each document has one
+ *       signing request per party: the Revas account manager who generated it
+ *       and the buyer (sales order) or supplier (purchase order). The
+ *       signature is stamped onto the PDF at the party's signature field, with
+ *       the signer's IP address and user agent recorded. The document moves
+ *       from pending_signatures to partially_signed to fully_signed; once both
+ *       order documents are fully signed the order moves to processing.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [signatureType, signature]
+ *             properties:
+ *               signatureType:
+ *                 type: string
+ *                 enum: [drawn, typed]
+ *               signature:
+ *                 type: string
+ *                 description: PNG or JPEG data URL (drawn, under 500KB) or the signer's name (typed)
+ *                 example: "Ada Obi"
+ *     responses:
+ *       200:
+ *         description: Document signed
  *         content:
  *           application/json:
  *             schema:
@@ -158,35 +401,161 @@ router.post('/documents/orders/:id',
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: true
  *                 signedUrl:
  *                   type: string
  *                   format: url
- *                   example: "https://cloudinary.com/signed_document.pdf"
+ *                 status:
+ *                   type: string
+ *                   enum: [partially_signed, fully_signed]
+ *                 orderStatus:
+ *                   type: string
  *       400:
- *         description: Invalid file format or no file uploaded
+ *         description: Invalid signature, or already signed
  *       403:
- *         description: Forbidden (not authorized for this order)
+ *         description: Not a signatory of this document
  *       404:
- *         description: Order not found
+ *         description: Document not found
  *       500:
  *         description: Internal server error
  */
-router.post('/documents/orders/:orderId/upload',
+router.post('/documents/:documentId/sign',
+  authMiddleware,
+  documentController.signDocument
+);
+
+/**
+ * @swagger
+ * /documents/{documentId}/signing-requests:
+ *   get:
+ *     summary: Get a document's signing requests
+ *     description: One request per signing party with its status, signing time, IP address and user agent
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signing requests
+ *       404:
+ *         description: Document not found, or not visible to the user
+ */
+router.get('/documents/:documentId/signing-requests',
+  authMiddleware,
+  documentController.getSigningRequests
+);
+/**
+ * @swagger
+ * /documents/{documentId}/regenerate:
+ *   post:
+ *     summary: Regenerate a sales or purchase order
+ *     description: >
+ *       Creates a new version of the document from the current order data, with a new document number.
+ *       The old version is superseded: its number is voided, its signatures are revoked and the signers
+ *       are asked to sign the new version. Only the account manager of the document's side can regenerate it,
+ *       while the order is matched or in document phase.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: New version created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 document:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     version:
+ *                       type: integer
+ *                     type:
+ *                       type: string
+ *                     invoiceNumber:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                 supersededDocumentId:
+ *                   type: string
+ *                 voidedNumber:
+ *                   type: string
+ *       400:
+ *         description: Not an order document, or the order is past the signing phase
+ *       403:
+ *         description: Not the account manager of the document's side
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: Document has already been superseded
+ *       429:
+ *         description: Too many documents generated for the order in the last 5 minutes
+ */
+router.post('/documents/:documentId/regenerate',
+  authMiddleware,
+  requirePermission('document:regenerate'),
+  documentController.regenerateDocument
+);
+
+/**
+ * @swagger
+ * /documents/{documentId}/versions:
+ *   get:
+ *     summary: Get every version of a document
+ *     description: All versions of the order's document of the same type, oldest first
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Version history
+ *       404:
+ *         description: Document not found, or not visible to the user
+ */
+router.get('/documents/:documentId/versions',
   authMiddleware,
-  upload.single('signedDocument'),
-  documentController.uploadSignedDocument
+  documentController.getDocumentVersions
 );
+
 // Client Documents Endpoint
 /**
  * @swagger
  * /documents/client:
  *   get:
  *     summary: Get documents requiring client signature
- *     description: Returns all documents that need to be signed by the authenticated client (Buyer/Supplier)
+ *     description: Returns all documents that need to be signed by the authenticated client (Buyer/Supplier). Only the current version of a regenerated document is listed unless includeSuperseded is set.
  *     tags: [Documents]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeSuperseded
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list versions replaced by a regenerated document
  *     responses:
  *       200:
  *         description: List of documents requiring signature
@@ -197,20 +566,108 @@ router.post('/documents/orders/:orderId/upload',
  *               items:
  *                 $ref: '#/components/schemas/ClientDocument'
  *       403:
- *         description: Forbidden (account managers cannot access this endpoint)
+ *         description: Forbidden (missing the document:read_own permission)
  *       500:
  *         description: Server error
  */
 router.get('/documents/client',
   authMiddleware,
+  requirePermission('document:read_own'),
   documentController.getClientDocuments
 );
 /**
  * @swagger
- * /documents/:orderId/regenerate-url:
+ * /documents/{documentId}/download:
+ *   get:
+ *     summary: Download a document
+ *     description: Streams the current PDF of the document (the signed copy once anyone has signed). Open to the order's parties and account managers; every download is logged and the account manager who generated the document is notified.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Document not found, or not visible to the user
+ */
+router.get('/documents/:documentId/download',
+  authMiddleware,
+  documentController.downloadDocument
+);
+
+/**
+ * @swagger
+ * /documents/{documentId}/downloads:
+ *   get:
+ *     summary: Get a document's download history
+ *     description: Who downloaded the document, when and from where. Account managers of the order only.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Download history, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 documentId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 totalDownloads:
+ *                   type: integer
+ *                 downloads:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       downloadedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       user:
+ *                         type: object
+ *                       ipAddress:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Document not found
+ */
+router.get('/documents/:documentId/downloads',
+  authMiddleware,
+  documentController.getDocumentDownloads
+);
+
+/**
+ * @swagger
+ * /documents/{orderId}/regenerate-url:
  *   get:
  *     summary: Re-generate document URL (PDF)
- *     description: Re-generate URL
+ *     deprecated: true
+ *     description: Fresh URL for the caller's own document of the order (sales order on the buyer side, purchase order on the supplier side). Use /documents/{documentId}/url instead.
  *     tags: [Documents]
  *     security:
  *       - bearerAuth: []
@@ -229,23 +686,199 @@ router.get('/documents/client',
  *             schema:
  *               type: string
  *               format: binary
- *       403:
- *         description: Forbidden (not authorized for this order)
  *       404:
- *         description: Document not found
+ *         description: Document not found, or not visible to the user
  *       500:
  *         description: Internal server error
  */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DocumentSigningStatus:
+ *       type: object
+ *       properties:
+ *         documentId:
+ *           type: string
+ *         type:
+ *           type: string
+ *         invoiceNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *         signedByBuyer:
+ *           type: boolean
+ *         signedBySupplier:
+ *           type: boolean
+ *         signers:
+ *           type: array
+ *           description: Everyone who has to sign the document
+ *           items:
+ *             $ref: '#/components/schemas/DocumentSigner'
+ *         signed:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DocumentSigner'
+ *         outstanding:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DocumentSigner'
+ *     DocumentSigner:
+ *       type: object
+ *       properties:
+ *         signingRequestId:
+ *           type: string
+ *         party:
+ *           type: string
+ *           enum: [revas, buyer, supplier]
+ *         userId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, completed, expired, revoked]
+ *         viewedAt:
+ *           type: string
+ *           format: date-time
+ *         signedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /documents/{documentId}/status:
+ *   get:
+ *     summary: Get a document's signing status
+ *     description: Required signers of the document, who has signed and who is outstanding
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signing status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentSigningStatus'
+ *       404:
+ *         description: Document not found, or not visible to the user
+ */
+router.get('/documents/:documentId/status',
+  authMiddleware,
+  documentController.getDocumentStatus
+);
+
+/**
+ * @swagger
+ * /documents/{documentId}/url:
+ *   get:
+ *     summary: Get a fresh document URL
+ *     description: URL of the latest signed copy (private, valid for 7 days), or of the generated PDF before anyone has signed
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 documentId:
+ *                   type: string
+ *                 url:
+ *                   type: string
+ *                   format: url
+ *                 signed:
+ *                   type: boolean
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Document not found, or not visible to the user
+ */
+router.get('/documents/:documentId/url',
+  authMiddleware,
+  documentController.getDocumentUrl
+);
+
+/**
+ * @swagger
+ * /documents/orders/{orderId}/signing-summary:
+ *   get:
+ *     summary: Get an order's signing summary
+ *     description: Each sales and purchase order of the order with its required signers, who has signed and who is outstanding
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signing summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 orderStatus:
+ *                   type: string
+ *                 allSigned:
+ *                   type: boolean
+ *                 missingDocuments:
+ *                   type: array
+ *                   description: Order document types not generated yet
+ *                   items:
+ *                     type: string
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentSigningStatus'
+ *                 outstanding:
+ *                   type: array
+ *                   description: Signatures still missing, across documents
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentSigner'
+ *       404:
+ *         description: Order not found, or not visible to the user
+ */
+router.get('/documents/orders/:orderId/signing-summary',
+  authMiddleware,
+  documentController.getOrderSigningSummary
+);
+
 router.get('/documents/:orderId/regenerate-url',
   authMiddleware,
   documentController.regenerateSignedUrl
 );
 /**
  * @swagger
- * /documents/:orderId/document-status:
+ * /documents/{orderId}/document-status:
  *   get:
  *     summary: Get signed document status
- *     description: Get signed document status
+ *     deprecated: true
+ *     description: Signing status of the caller's own document of the order (sales order on the buyer side, purchase order on the supplier side). Use /documents/{documentId}/status instead.
  *     tags: [Documents]
  *     security:
  *       - bearerAuth: []
@@ -264,10 +897,8 @@ router.get('/documents/:orderId/regenerate-url',
  *             schema:
  *               type: string
  *               format: binary
- *       403:
- *         description: Forbidden (not authorized for this order)
  *       404:
- *         description: Document not found
+ *         description: Document not found, or not visible to the user
  *       500:
  *         description: Internal server error
  */
@@ -276,6 +907,32 @@ router.get('/documents/:orderId/document-status',
   documentController.getSigningStatus
 );
 
+/**
+ * @swagger
+ * /documents/{documentId}/clauses:
+ *   get:
+ *     summary: Clauses a document was generated with
+ *     description: Returns the exact clause versions printed on the document, so it can be reproduced
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clause versions and their wording, in print order
+ *       404:
+ *         description: Document not found, or not visible to the user
+ */
+router.get('/documents/:documentId/clauses',
+  authMiddleware,
+  documentController.getDocumentClauses
+);
+
 /**
  * @swagger
  * /documents/signed:
@@ -320,6 +977,7 @@ router.get('/documents/:orderId/document-status',
  */
 router.get('/documents/signed',
   authMiddleware,
+  requirePermission('document:read_signed'),
   documentController.getSignedDocuments
 );
 
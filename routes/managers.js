@@ -1,7 +1,7 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
-const { authMiddleware, authenticateRole } = require('../middleware/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
 
 router.post('/register', (req, res) => {
   const { firstName, lastName, email, password, confirmPassword, role } = req.body;
@@ -19,7 +19,7 @@ router.post('/login', (req, res) => {
   }
 });
 
-router.get('/dashboard', authMiddleware, authenticateRole(['buyer_manager', 'supplier_manager']), (req, res) => {
+router.get('/dashboard', authMiddleware, requirePermission('client:manage'), (req, res) => {
   res.send('Account Manager Dashboard');
 });
 
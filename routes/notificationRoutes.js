@@ -14,17 +14,13 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  * @swagger
  * /notifications:
  *   get:
- *     summary: Get paginated notifications for a user
+ *     summary: Get the logged-in user's notifications, paginated
+ *     description: Notifications about orders the user can no longer see are left out
  *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: userId
- *         schema:
- *           type: string
- *           format: uuid
- *         required: true
- *         description: ID of the user to fetch notifications for
- *       - in: query
  *         name: isRead
  *         schema:
  *           type: boolean
@@ -68,7 +64,7 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  *                 totalPages:
  *                   type: integer
  */
-router.get('/', notificationController.getUserNotifications);
+router.get('/', authMiddleware, notificationController.getUserNotifications);
 
 /**
  * @swagger
@@ -76,6 +72,8 @@ router.get('/', notificationController.getUserNotifications);
  *   patch:
  *     summary: Mark a notification as read
  *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -96,6 +94,8 @@ router.get('/', notificationController.getUserNotifications);
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       404:
+ *         description: Notification not found, or about an order the user cannot see
  */
 router.patch('/:id/mark-read', authMiddleware, notificationController.markAsRead);
 
@@ -103,20 +103,10 @@ router.patch('/:id/mark-read', authMiddleware, notificationController.markAsRead
  * @swagger
  * /notifications/mark-all-read:
  *   patch:
- *     summary: Mark all user notifications as read
+ *     summary: Mark all of the logged-in user's notifications as read
  *     tags: [Notifications]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               userId:
- *                 type: string
- *                 format: uuid
- *             required:
- *               - userId
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: All notifications marked as read
@@ -138,6 +128,8 @@ router.patch('/mark-all-read', authMiddleware, notificationController.markAllAsR
  *   delete:
  *     summary: Delete a notification
  *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -158,6 +150,8 @@ router.patch('/mark-all-read', authMiddleware, notificationController.markAllAsR
  *                   type: boolean
  *                 message:
  *                   type: string
+ *       404:
+ *         description: Notification not found, or about an order the user cannot see
  */
 router.delete('/:id', authMiddleware, notificationController.deleteNotification);
 
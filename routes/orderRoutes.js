@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { authMiddleware, authenticateRole } = require('../middleware/authMiddleware');
+const negotiationController = require('../controllers/negotiationController');
+const matchingController = require('../controllers/matchingController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
 const parseArrays = require("../middleware/arrayParserMiddleware");
 
 
@@ -30,12 +32,21 @@ const parseArrays = require("../middleware/arrayParserMiddleware");
  *         product:
  *           type: string
  *           example:  "PET"
+ *         lines:
+ *           type: array
+ *           description: Line items. When sent, product, capacity, pricePerTonne and supplierPrice are derived from them.
+ *           items:
+ *             $ref: '#/components/schemas/OrderLine'
  *         capacity:
  *           type: integer
  *           example: 3000
  *         pricePerTonne:
  *           type: integer
  *           example: 400
+ *         priceCurrency:
+ *           type: string
+ *           enum: [USD, NGN, EUR, GBP]
+ *           default: USD
  *         shippingType:
  *           type: string
  *           example: "FOB"
@@ -48,9 +59,25 @@ const parseArrays = require("../middleware/arrayParserMiddleware");
  *         supplierPrice:
  *           type: integer
  *           example: 2000
+ *         supplierCurrency:
+ *           type: string
+ *           enum: [USD, NGN, EUR, GBP]
+ *           default: USD
  *         shippingCost:
  *           type: integer
  *           example: 100
+ *         shippingCurrency:
+ *           type: string
+ *           enum: [USD, NGN, EUR, GBP]
+ *           default: USD
+ *         fxSnapshot:
+ *           type: object
+ *           readOnly: true
+ *           description: FX rates in force when the order was created
+ *           example:
+ *             base: USD
+ *             takenAt: "2025-01-15T10:00:00.000Z"
+ *             rates: { USD: 1, NGN: 1550, EUR: 0.92 }
  *         negotiatePrice:
  *           type: boolean
  *           example: true
@@ -60,6 +87,26 @@ const parseArrays = require("../middleware/arrayParserMiddleware");
  *         savedStatus:
  *           type: string
  *           example: "confirmed"
+ *     OrderLine:
+ *       type: object
+ *       properties:
+ *         grade:
+ *           type: string
+ *           example: "EN643 1.05 OCC"
+ *         tonnage:
+ *           type: integer
+ *           example: 200
+ *         pricePerTonne:
+ *           type: integer
+ *           description: In the order's priceCurrency
+ *           example: 310
+ *         supplierPrice:
+ *           type: integer
+ *           description: In the order's supplierCurrency
+ *           example: 250
+ *         moistureTolerance:
+ *           type: number
+ *           example: 12
  */
 
 /**
@@ -88,7 +135,7 @@ const parseArrays = require("../middleware/arrayParserMiddleware");
  */
 router.post('/orders/:id/approve', 
   authMiddleware, 
-  authenticateRole(['buyer', 'supplier']),
+  requirePermission('order:approve'),
   orderController.approveOrder
 );
 
@@ -115,13 +162,17 @@ router.post('/orders/:id/approve',
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [matched, document_phase, processing, completed]
- *                 example: "matched"
+ *                 enum: [pending_approval, not_matched, matched, document_phase, processing, completed, on_hold, cancelled, rejected]
+ *                 example: "processing"
+ *               reason:
+ *                 type: string
+ *                 description: Required for rollbacks, holds, cancellations and rejections
+ *                 example: "Purchase order has the wrong supplier address"
  *     responses:
  *       200:
  *         description: Order status updated
  *       400:
- *         description: Invalid status transition
+ *         description: Invalid status transition or missing reason
  *       403:
  *         description: Forbidden - Account manager access required
  *       404:
@@ -129,15 +180,125 @@ router.post('/orders/:id/approve',
  */
  router.patch('/orders/:id/status', 
     authMiddleware, 
-    authenticateRole(['buyer', 'supplier']),
+    requirePermission('order:update_status'),
     orderController.updateOrderStatus
   ); 
+
+/**
+ * @swagger
+ * /orders/{id}/match-suggestions:
+ *   get:
+ *     summary: Rank supplier listings for an order (Account Managers only)
+ *     description: Scores supplier products by grade overlap, remaining capacity, price spread against the buyer price and distance to the buyer. Query parameters override the order's own request.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Comma-separated grades
+ *       - in: query
+ *         name: tonnage
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetPrice
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Ranked suggestions with per-criterion scores
+ *       403:
+ *         description: Not an account manager on this order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/orders/:id/match-suggestions',
+  authMiddleware,
+  requirePermission('order:match'),
+  matchingController.getMatchSuggestions
+);
+
+/**
+ * @swagger
+ * /orders/{id}/match-suggestions/{productId}/accept:
+ *   post:
+ *     summary: Accept a match suggestion and fill in the order's supplier
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier fields and supplier account manager updated
+ *       400:
+ *         description: Order already approved or supplier has no account manager
+ *       404:
+ *         description: Order or supplier listing not found
+ */
+router.post('/orders/:id/match-suggestions/:productId/accept',
+  authMiddleware,
+  requirePermission('order:match'),
+  matchingController.acceptMatchSuggestion
+);
+
+/**
+ * @swagger
+ * /orders/{id}/history:
+ *   get:
+ *     summary: Get the status timeline of an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status transitions with actor, reason and timestamp
+ *       404:
+ *         description: Order not found, or not visible to the user
+ */
+router.get('/orders/:id/history',
+  authMiddleware,
+  orderController.getOrderStatusHistory
+);
   
   /**
    * @swagger
    * /orders/dashboard:
    *   get:
    *     summary: Get orders for dashboard view
+   *     description: Only the orders the user is a party to, or every order with the order:read_all permission
    *     tags: [Orders]
    *     security:
    *       - bearerAuth: []
@@ -174,7 +335,7 @@ router.post('/orders/:id/approve',
  *       400:
  *         description: Bad request
  */
-router.post('/create-order', authMiddleware, authenticateRole(['buyer', 'supplier']), parseArrays, orderController.createOrder);
+router.post('/create-order', authMiddleware, requirePermission('order:create'), parseArrays, orderController.createOrder);
 
 
 /**
@@ -195,7 +356,7 @@ router.post('/create-order', authMiddleware, authenticateRole(['buyer', 'supplie
  *       400:
  *         description: Bad request
  */
-router.post('/save-order', authMiddleware, authenticateRole(['buyer', 'supplier']), parseArrays, orderController.saveOrderDraft);
+router.post('/save-order', authMiddleware, requirePermission('order:create'), parseArrays, orderController.saveOrderDraft);
 
 /**
  * @swagger
@@ -203,6 +364,8 @@ router.post('/save-order', authMiddleware, authenticateRole(['buyer', 'supplier'
  *   get:
  *     summary: Get an order by ID
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -211,23 +374,26 @@ router.post('/save-order', authMiddleware, authenticateRole(['buyer', 'supplier'
  *           type: string
  *     responses:
  *       200:
- *         description: Order retrieved successfully
+ *         description: Order retrieved successfully. Without order:view_margins, a party only gets its own side's prices (buyer or supplier).
  *       404:
- *         description: Order not found
+ *         description: Order not found, or not visible to the user
  */
-router.get('/single-orders/:id', orderController.getOrderById);
+router.get('/single-orders/:id', authMiddleware, orderController.getOrderById);
 
 /**
  * @swagger
  * /saved-orders:
  *   get:
  *     summary: Get saved orders
+ *     description: The drafts the user created or is a party to
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of all saved orders
+ *         description: List of saved orders
  */
-router.get('/saved-orders', authMiddleware, authenticateRole(['buyer', 'supplier']), orderController.getAllSavedOrders);
+router.get('/saved-orders', authMiddleware, requirePermission('order:create'), orderController.getAllSavedOrders);
 
 /**
  * @swagger
@@ -253,7 +419,7 @@ router.get('/saved-orders', authMiddleware, authenticateRole(['buyer', 'supplier
  *       404:
  *         description: Order not found
  */
-router.put('/update-orders/:id', authMiddleware, authenticateRole(['buyer', 'supplier ']), parseArrays, orderController.updateOrder);
+router.put('/update-orders/:id', authMiddleware, requirePermission('order:update'), parseArrays, orderController.updateOrder);
 
 /**
  * @swagger
@@ -273,7 +439,7 @@ router.put('/update-orders/:id', authMiddleware, authenticateRole(['buyer', 'sup
  *       404:
  *         description: Order not found
  */
-router.delete('/delete-orders/:id', authMiddleware, authenticateRole(['buyer', 'supplier']), orderController.deleteOrder);
+router.delete('/delete-orders/:id', authMiddleware, requirePermission('order:update'), orderController.deleteOrder);
 
 // Add these to your orderRouter.js
 
@@ -282,6 +448,7 @@ router.delete('/delete-orders/:id', authMiddleware, authenticateRole(['buyer', '
  * /orders/search:
  *   get:
  *     summary: Search and filter orders
+ *     description: Searches only the orders the user can see
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -298,7 +465,7 @@ router.delete('/delete-orders/:id', authMiddleware, authenticateRole(['buyer', '
  *         name: status
  *         schema:
  *           type: string
- *           enum: [not_matched, matched, document_phase, processing, completed]
+ *           enum: [pending_approval, not_matched, matched, document_phase, processing, completed, on_hold, cancelled, rejected]
  *       - in: query
  *         name: startDate
  *         schema:
@@ -311,7 +478,7 @@ router.delete('/delete-orders/:id', authMiddleware, authenticateRole(['buyer', '
  *           format: date
  *     responses:
  *       200:
- *         description: Orders matching criteria
+ *         description: Orders matching criteria, priced as in GET /single-orders/{id}
  */
 router.get('/orders/search', authMiddleware, orderController.searchOrders);
 
@@ -319,7 +486,7 @@ router.get('/orders/search', authMiddleware, orderController.searchOrders);
  * @swagger
  * /orders/{id}/price:
  *   patch:
- *     summary: Update order price
+ *     summary: Offer a new order price (same as POST /orders/{id}/proposals)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -334,21 +501,152 @@ router.get('/orders/search', authMiddleware, orderController.searchOrders);
  *       content:
  *         application/json:
  *           schema:
+ *             $ref: '#/components/schemas/PriceProposalInput'
+ *     responses:
+ *       201:
+ *         description: Offer submitted for the counterpart account manager
+ */
+router.patch('/orders/:id/price', authMiddleware, requirePermission('order:negotiate'), negotiationController.submitProposal);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceProposalInput:
+ *       type: object
+ *       required: [pricePerTonne]
+ *       properties:
+ *         pricePerTonne:
+ *           type: integer
+ *           example: 420
+ *         lineId:
+ *           type: string
+ *           description: Order line being priced; required when the order has several lines
+ *         message:
+ *           type: string
+ *           example: "Buyer can go to 420 if loading is this month"
+ */
+
+/**
+ * @swagger
+ * /orders/{id}/proposals:
+ *   get:
+ *     summary: List the price offers and counter-offers on an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versioned price proposals, oldest first
+ *       404:
+ *         description: Order not found, or not visible to the user
+ *   post:
+ *     summary: Post a price offer or counter-offer (Account Managers only)
+ *     description: Offers outside the order's priceRange are refused. Posting while an offer is pending supersedes it.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceProposalInput'
+ *     responses:
+ *       201:
+ *         description: Offer submitted
+ *       400:
+ *         description: Negotiation disabled, order already matched or price outside range
+ *       409:
+ *         description: Another offer is awaiting a response
+ */
+router.get('/orders/:id/proposals', authMiddleware, negotiationController.getProposals);
+router.post('/orders/:id/proposals', authMiddleware, requirePermission('order:negotiate'), negotiationController.submitProposal);
+
+/**
+ * @swagger
+ * /orders/{id}/proposals/{proposalId}/accept:
+ *   post:
+ *     summary: Accept a pending price offer (counterpart Account Manager only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer accepted and price applied to the order
+ *       400:
+ *         description: Offer is no longer pending
+ *       403:
+ *         description: Only the counterpart account manager can respond
+ */
+router.post('/orders/:id/proposals/:proposalId/accept', authMiddleware, requirePermission('order:negotiate'), negotiationController.acceptProposal);
+
+/**
+ * @swagger
+ * /orders/{id}/proposals/{proposalId}/reject:
+ *   post:
+ *     summary: Reject a pending price offer (counterpart Account Manager only)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: proposalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
  *             properties:
- *               pricePerTonne:
- *                 type: number
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Price updated
+ *         description: Offer rejected
+ *       400:
+ *         description: Offer is no longer pending
+ *       403:
+ *         description: Only the counterpart account manager can respond
  */
-router.patch('/orders/:id/price', authMiddleware, orderController.updateOrderPrice);
+router.post('/orders/:id/proposals/:proposalId/reject', authMiddleware, requirePermission('order:negotiate'), negotiationController.rejectProposal);
 
 /**
  * @swagger
  * /orders/analytics:
  *   get:
  *     summary: Get order analytics
+ *     description: Counts cover only the orders the user can see
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
@@ -368,4 +666,36 @@ router.patch('/orders/:id/price', authMiddleware, orderController.updateOrderPri
  *                   type: integer
  */
 router.get('/orders/analytics', authMiddleware, orderController.getOrderAnalytics);
+
+/**
+ * @swagger
+ * /orders/analytics/margins:
+ *   get:
+ *     summary: Get gross margin grouped by account manager, product grade and month
+ *     description: Each order counts towards both of its account managers. Covers only the orders the user can see; requires the order:view_margins permission.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Margin totals and groupings (grossMargin, marginPerTonne, marginPercentage)
+ *       403:
+ *         description: Account manager access required
+ */
+router.get('/orders/analytics/margins', authMiddleware, requirePermission('order:view_margins'), orderController.getMarginAnalytics);
 module.exports = router;
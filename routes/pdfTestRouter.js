@@ -4,6 +4,8 @@ const router = express.Router();
 const path = require("path");
 const fs = require("fs");
 const logoPath = path.join(__dirname, "../assets/revas-logo.png");
+const { DEFAULT_CLAUSES } = require("../config/defaultClauses");
+const { drawWrappedText } = require("../utils/pdfLayout");
 
 /**
  * @swagger
@@ -21,31 +23,6 @@ const logoPath = path.join(__dirname, "../assets/revas-logo.png");
  *               format: binary
  */
 
-// Helper function to wrap text
-function drawWrappedText(page, text, x, y, maxWidth, lineHeight, options) {
-  const words = text.split(" ");
-  let currentLine = "";
-  let currentY = y;
-
-  for (const word of words) {
-    const testLine = currentLine ? `${currentLine} ${word}` : word;
-    const testWidth = options.font.widthOfTextAtSize(testLine, options.size);
-
-    if (testWidth > maxWidth && currentLine) {
-      page.drawText(currentLine, { ...options, x, y: currentY });
-      currentY -= lineHeight;
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
-  }
-
-  if (currentLine) {
-    page.drawText(currentLine, { ...options, x, y: currentY });
-  }
-  return currentY; // Return final Y position
-}
-
 function getClauses(page, heading, fontBold, fontNormal, clauses) {
   page.drawText(heading, {
     x: 32,
@@ -522,50 +499,8 @@ router.get("/pdf-test", async (req, res) => {
     //==========================TERMS PAGE (1) ======================================
     // Terms Page 2 (unchanged)
     const heading = "Terms and Conditions";
-    // Clauses (exact text from original)
-    const clauses = [
-      {
-        title: "1. General Terms",
-        content:
-          "1.1. This purchase order constitutes a legally binding agreement under Nigeria law between the Buyer, Revas Plastic Exchange (trading as 'Revas'), and the Supplier.\n",
-      },
-      {
-        title: "2. Quality",
-        content:
-          "2.1.The material purchased must conform to the specifications outlined in this order and be of equal or superior quality to the materials depicted in photographs and/or previously inspected samples. \n" +
-          "2.2.The material must be free from any contaminants, except those specifically permitted as indicated herein.\n",
-      },
-      {
-        title: "3. Compliance with EN643 Grade",
-        content:
-          "3.1. This Clause 3 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper. \n" +
-          "3.2. The purchased materials must be compliant with the EN643 grade as mutually agreed upon and specified above.\n",
-      },
-      {
-        title: "4. Prohibited Materials",
-        content:
-          "4.1. This Clause 4 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper. \n" +
-          "4.2. The Supplier shall ensure that no materials falling within the scope of CEPI's revised EN643, which pose health, safety, or environmental hazards, are included. Such materials include but are not limited to medical waste, contaminated personal hygiene products, hazardous waste, organic waste (including foodstuffs), bitumen, toxic powders, and similar substances.\n",
-      },
-      {
-        title: "5. Moisture Content",
-        content:
-          "5.1. This Clause 5 is only applicable if the purchased material is Fibre based, including but not limited to board, newspaper, and sorted paper.  \n" +
-          "5.2. If the average moisture content of the purchased materials exceeds 12% at the time of unloading, the Buyer shall have the right to seek reimbursement. This shall be accomplished by deducting the weight of any moisture exceeding 12% from the payable tonnage. Additionally, the Buyer reserves the right to recover any reasonable costs incurred by the Buyer, their customers, partners, or subcontractors.\n",
-      },
-      {
-        title: "6. Inspection Rights",
-        content:
-          "6.1. The Buyer retains the right to inspect the materials at loading, or up to 72 hours prior to loading. This includes the ability to conduct moisture readings, capture photographic evidence of bales, perform gravimetric sampling, and break open bales for further examination. The Buyer may choose to delegate this task to a subcontractor.\n" +
-          "6.2. If the materials fail to meet the specified requirements, the loading process will be suspended, and all costs associated with the cancellation shall be borne by the Supplier.\n" +
-          "6.3. In the event that the materials fail to meet the specified requirements, the Buyer reserves the right to cancel or reschedule the loading. All costs related to this will be borne by the Supplier.\n",
-      },
-      {
-        title: "7. Warranty and Claims",
-        content:
-          "7.1. The Buyer reserves the right to initiate a claim against the materials at any time within 90 days following the purchase should they be deemed non-compliant with the agreed-upon specifications. This claim shall be provided in writing.\n",
-      },
-    ];
+    // Sample pages use the standard clause library (1-7, 8-12, 13-18)
+    const clauses = DEFAULT_CLAUSES.slice(0, 7);
 
     getClauses(page2, heading, helveticaBold, helvetica, clauses);
 
@@ -600,42 +535,7 @@ router.get("/pdf-test", async (req, res) => {
     //==========================TERMS PAGE (2) ======================================
     // Terms Page 2 (unchanged)
 
-    // Clauses (exact text from original)
-    const clauses3 = [
-      {
-        title: "8. Packing",
-        content:
-          "8.1. The Supplier must make all reasonable efforts to fully load the designated vehicle. The pricing is based on the minimum volumes specified in the agreement. If a shipment is under-loaded by more than 1000kg, the Buyer reserves the right to proportionately reduce the payment. For instance, if a container is under-loaded by 10% beyond the 1000kg buffer, the Buyer shall be entitled to reduce the price per tonne by 10%, in addition to only paying for the loaded weight.\n",
-      },
-      {
-        title: "9. Shipping",
-        content:
-          "9.1. Both parties shall mutually agree upon a collection schedule subsequent to the acceptance of this purchase order.\n" +
-          "9.2. If the Supplier needs to modify any aspect of the collection schedule, they must provide the Buyer with a minimum notice period of 48 hours. Any changes made thereafter may result in additional charges.\n" +
-          "9.3. The Supplier shall cooperate with the Buyer's designated transport partner and must not unduly delay the loading process. In the event that the transportation vehicle remains on-site for more than 2 hours beyond the scheduled or actual arrival time (whichever is later), the waiting charges shall be borne by the Supplier. The Supplier shall also be liable for any additional charges incurred due to vehicle damage during the loading process.\n" +
-          "9.4. The Supplier shall provide photographs of the loading in the format specified by the Buyer.\n"
-      },
-      {
-        title: "10. Termination for Non-Loading",
-        content:
-          "10.1. If the materials are not loaded before the specified cutoff date, this agreement shall be deemed terminated. In the event that the Supplier fails to make a good-faith effort to load the materials prior to the cutoff date, the Buyer reserves the right to charge the Supplier up to 25% of the total deal value as compensation. \n" +
-          "10.2. If no cut-off date is listed, this agreement will be considered void 90 days after signature, unless both parties agree in writing to extend it.\n"
-      },
-      {
-        title: "11. Licences",
-        content:
-          "11.1. Both parties warrant that they possess all necessary licences and legal authority required to carry out this transaction in compliance with applicable laws and regulations.\n" +
-          "11.2. The Buyer shall be responsible for providing a valid weighbridge calibration certificate prior to delivery.\n" +
-          "11.3. The Supplier shall be responsible for ensuring that all required legal documents specified by the Buyer travel with the materials. This includes but is not limited to the Annex VII.\n" +
-          "11.4. The Supplier shall be responsible for obtaining and maintaining any specific licences or permits required for the sale, delivery, or transportation of the materials.\n" +
-          "11.5. Should any licence or legal authority become invalid or revoked during the term of this agreement, both parties must promptly notify the other in writing.\n",
-      },
-      {
-        title: "12. Payment",
-        content:
-          "12.1. The price stated in this order does not include any sales taxes, including VAT. It is the Supplier's sole responsibility to ensure the accurate calculation and payment of all applicable taxes related to this transaction.\n",
-      },
-    ];
+    const clauses3 = DEFAULT_CLAUSES.slice(7, 12);
 
     getClauses(page3, heading, helveticaBold, helvetica, clauses3);
 
@@ -645,39 +545,7 @@ router.get("/pdf-test", async (req, res) => {
     Logo(page3, logoImage3);
 
     //==========================SIGNING PAGE (3) ======================================
-    const clauses4 = [
-      {
-        title: "13. Non-solicitation",
-        content:
-          "13.1. The supplier agrees that for a period of 12 months from the date of this agreement, they shall not attempt to directly contact, solicit, or engage in any form of business communication with any of the Buyer’s customers, agents, or representatives, where they have not had a previous business relationship with these entities.\n" +
-          "13.2. The Supplier further agrees that any inquiries, proposals, offers, or communication from the parties referenced in clause 13.1 shall be directed solely to the Buyer. The Supplier shall promptly notify the Buyer of any inquiries or attempts by the parties to contact them directly.\n",
-      },
-      {
-        title: "14. Further terms",
-        content:
-          "14.1. In addition to this Purchase Order, the terms on userevas.com also apply. In the event of any conflict or inconsistency between the terms of this Agreement and the Website Terms, the terms of this Agreement shall take precedence.\n",
-      },
-      {
-        title: "15. Entire Agreement",
-        content:
-          "15.1. This Purchase Order, along with any attachments or amendments duly signed by both parties, constitutes the entire agreement between the Buyer and the Supplier and supersedes any prior discussions, understandings, or agreements, whether written or oral, relating to the subject matter herein.\n",
-      },
-      {
-        title: "16. Governing Law and Jurisdiction",
-        content:
-          "16.1. This agreement shall be governed by and construed in accordance with the laws of Nigeria. Any disputes arising out of or in connection with this agreement shall be subject to the exclusive jurisdiction of the courts of Nigeria.\n",
-      },
-      {
-        title: "17. Severability",
-        content:
-          "17.1. If any provision of this agreement is determined to be invalid, illegal, or unenforceable, the remaining provisions shall remain in full force and effect to the extent permitted by law.\n",
-      },
-      {
-        title: "18. Waiver",
-        content:
-          "18.1. The failure of either party to enforce any provision of this agreement shall not be construed as a waiver of such provision or the right to enforce it in the future.",
-      },
-    ];
+    const clauses4 = DEFAULT_CLAUSES.slice(12);
 
         // Divider Line
         let divSize3 = 240
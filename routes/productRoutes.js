@@ -13,7 +13,7 @@ const {
 } = require("../controllers/productController");
 const {
   authMiddleware,
-  authenticateRole,
+  requirePermission,
 } = require("../middleware/authMiddleware");
 /* const multer = require("multer"); */
 const upload = require("../middleware/uploadMiddleware");
@@ -123,6 +123,10 @@ router.get(
  *                 type: number
  *                 format: float
  *                 example: 500.50
+ *               priceCurrency:
+ *                 type: string
+ *                 enum: [USD, NGN, EUR, GBP]
+ *                 default: USD
  *               location:
  *                 type: string
  *                 example: Lagos, Nigeria
@@ -282,6 +286,10 @@ router.get("/products/buyers", getProductsByBuyerCompany);
  *                 type: number
  *                 format: float
  *                 example: 500.50
+ *               priceCurrency:
+ *                 type: string
+ *                 enum: [USD, NGN, EUR, GBP]
+ *                 default: USD
  *               location:
  *                 type: string
  *                 example: Lagos, Nigeria
@@ -291,14 +299,14 @@ router.get("/products/buyers", getProductsByBuyerCompany);
  *       400:
  *         description: Bad request - Missing required fields or invalid input
  *       403:
- *         description: Access denied - Only account managers (buyers or suppliers) can create users
+ *         description: Access denied - Missing the client:manage or product:manage permission
  *       409:
  *         description: Conflict - User with this email already exists
  */
 router.post(
   "/create-user-product",
   authMiddleware,
-  authenticateRole(["buyer", "supplier"]),
+  requirePermission("client:manage", "product:manage"),
   parseArrays,
   createUserAndProduct
 );
@@ -324,7 +332,7 @@ router.post(
 router.get(
   "/products/all",
   authMiddleware,
-  authenticateRole(["buyer", "seller"]),
+  requirePermission("product:read"),
   getAllProducts
 );
 
@@ -356,7 +364,7 @@ router.get(
 router.get(
   "/products/:id",
   authMiddleware,
-  authenticateRole(["buyer", "seller"]),
+  requirePermission("product:read"),
   getProductById
 );
 
@@ -392,6 +400,10 @@ router.get(
  *                 type: integer
  *               price:
  *                 type: number
+ *               priceCurrency:
+ *                 type: string
+ *                 enum: [USD, NGN, EUR, GBP]
+ *                 default: USD
  *               location:
  *                 type: string
  *               image:
@@ -406,12 +418,15 @@ router.get(
  *               $ref: '#/components/schemas/Product'
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Access denied - Missing the product:manage permission
  *       404:
  *         description: Product not found
  */
 router.put(
   "/products/:id",
   authMiddleware,
+  requirePermission("product:manage"),
   upload.single("image"),
   parseArrays,
   updateProduct
@@ -441,7 +456,7 @@ router.put(
 router.delete(
   "/products/:id",
   authMiddleware,
-  authenticateRole(["buyer", "seller"]),
+  requirePermission("product:manage"),
   deleteProduct
 );
 
@@ -466,6 +481,9 @@ router.delete(
  *           type: integer
  *         price:
  *           type: number
+ *         priceCurrency:
+ *           type: string
+ *           example: NGN
  *         location:
  *           type: string
  *         imageUrl:
@@ -0,0 +1,302 @@
+const express = require("express");
+const {
+  createShipment,
+  getShipments,
+  updateShipment,
+  recordShipmentEvent,
+} = require("../controllers/shipmentController");
+const {
+  authMiddleware,
+  requirePermission,
+} = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipments
+ *   description: Loads of a processing order and the milestones they reach on the way to the buyer
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShipmentInput:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [sea, road, rail, air]
+ *         reference:
+ *           type: string
+ *           description: Booking or waybill number
+ *         carrier:
+ *           type: string
+ *         containerNumbers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [MSKU1234567]
+ *         vesselName:
+ *           type: string
+ *         voyageNumber:
+ *           type: string
+ *         truckNumber:
+ *           type: string
+ *         portOfLoading:
+ *           type: string
+ *         portOfDischarge:
+ *           type: string
+ *         etd:
+ *           type: string
+ *           format: date-time
+ *         eta:
+ *           type: string
+ *           format: date-time
+ *         tonnageLoaded:
+ *           type: number
+ *     Shipment:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ShipmentInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             orderId:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [planned, loaded, departed, arrived, delivered, cancelled]
+ *             deliveredAt:
+ *               type: string
+ *               format: date-time
+ *             events:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShipmentEvent'
+ *     ShipmentEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         milestone:
+ *           type: string
+ *           enum: [loaded, departed, arrived, delivered, cancelled]
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *         location:
+ *           type: string
+ *         note:
+ *           type: string
+ *         recordedBy:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /orders/{id}/shipments:
+ *   post:
+ *     summary: Add a shipment to an order
+ *     description: Account managers of the order only, while it is processing or on hold. The buyer, supplier and other account manager are notified.
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShipmentInput'
+ *     responses:
+ *       201:
+ *         description: Shipment created
+ *       400:
+ *         description: Invalid shipment details, or the order is not processing
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Order not found
+ *   get:
+ *     summary: Get an order's shipments
+ *     description: Shipments with their milestones, and the order's delivery progress against its capacity
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 orderStatus:
+ *                   type: string
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     shipments:
+ *                       type: integer
+ *                     delivered:
+ *                       type: integer
+ *                     capacity:
+ *                       type: number
+ *                     tonnageLoaded:
+ *                       type: number
+ *                     tonnageDelivered:
+ *                       type: number
+ *                     fullyDelivered:
+ *                       type: boolean
+ *                 shipments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shipment'
+ *       404:
+ *         description: Order not found, or not visible to the user
+ */
+router.post(
+  "/orders/:id/shipments",
+  authMiddleware,
+  requirePermission("shipment:manage"),
+  createShipment
+);
+router.get("/orders/:id/shipments", authMiddleware, getShipments);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments/{shipmentId}:
+ *   patch:
+ *     summary: Update a shipment's details
+ *     description: Corrects details such as the vessel, ETA or loaded tonnage until the shipment is delivered or cancelled. Status only changes through milestones.
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShipmentInput'
+ *     responses:
+ *       200:
+ *         description: Shipment updated
+ *       400:
+ *         description: Invalid details, or the shipment is delivered or cancelled
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Order or shipment not found
+ */
+router.patch(
+  "/orders/:id/shipments/:shipmentId",
+  authMiddleware,
+  requirePermission("shipment:manage"),
+  updateShipment
+);
+
+/**
+ * @swagger
+ * /orders/{id}/shipments/{shipmentId}/events:
+ *   post:
+ *     summary: Record a shipment milestone
+ *     description: >
+ *       Milestones run loaded, departed, arrived, delivered. A shipment may skip ahead but
+ *       never moves back, and can be cancelled until it is delivered. The buyer, supplier
+ *       and other account manager are notified. When every shipment that is not cancelled
+ *       is delivered and their loaded tonnage reaches the order's capacity, the order is
+ *       completed (provided its required attachments are uploaded).
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [milestone]
+ *             properties:
+ *               milestone:
+ *                 type: string
+ *                 enum: [loaded, departed, arrived, delivered, cancelled]
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               location:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               tonnageLoaded:
+ *                 type: number
+ *                 description: Only with the loaded milestone
+ *     responses:
+ *       201:
+ *         description: Milestone recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event:
+ *                   $ref: '#/components/schemas/ShipmentEvent'
+ *                 shipment:
+ *                   $ref: '#/components/schemas/Shipment'
+ *                 orderCompleted:
+ *                   type: boolean
+ *       400:
+ *         description: Unknown or out-of-order milestone, or the order is not processing
+ *       403:
+ *         description: Not an account manager of the order
+ *       404:
+ *         description: Order or shipment not found
+ */
+router.post(
+  "/orders/:id/shipments/:shipmentId/events",
+  authMiddleware,
+  requirePermission("shipment:manage"),
+  recordShipmentEvent
+);
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const app = require('./app');
 const sequelize = require('./config/database'); // Correct path
+const { ensureDefaultClauses } = require('./services/clauseService');
+const { ensureSystemRoles } = require('./services/permissionService');
+const { startJobs } = require('./services/jobRunner');
 const dotenv = require("dotenv");
 dotenv.config();
 
@@ -11,10 +14,13 @@ const PORT = process.env.PORT || 5000;
 
 sequelize
   .sync()
+  .then(() => ensureDefaultClauses())
+  .then(() => ensureSystemRoles())
   .then(() => {
     console.log('Database synced');
     app.listen(PORT, () => {
       console.log(`Server running on http://localhost:${PORT}`);
+      startJobs();
     });
   })
   .catch((error) => {
@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { OrderAttachment } = require("../models");
+const storage = require("./storage");
+
+const MB = 1024 * 1024;
+const PDF = ["application/pdf"];
+const IMAGES = ["image/jpeg", "image/png", "image/webp", "image/heic"];
+
+/**
+ * Attachment categories with the files each accepts
+ */
+const ATTACHMENT_CATEGORIES = {
+  bill_of_lading: {
+    label: "Bill of lading",
+    mimeTypes: [...PDF, ...IMAGES],
+    maxBytes: 10 * MB,
+  },
+  weighbridge_ticket: {
+    label: "Weighbridge ticket",
+    mimeTypes: [...PDF, ...IMAGES],
+    maxBytes: 10 * MB,
+  },
+  inspection_report: {
+    label: "Inspection report",
+    mimeTypes: PDF,
+    maxBytes: 20 * MB,
+  },
+  moisture_report: {
+    label: "Moisture report",
+    mimeTypes: PDF,
+    maxBytes: 20 * MB,
+  },
+  loading_photo: {
+    label: "Loading photo",
+    mimeTypes: IMAGES,
+    maxBytes: 15 * MB,
+  },
+  other: {
+    label: "Other",
+    mimeTypes: [...PDF, ...IMAGES],
+    maxBytes: 10 * MB,
+  },
+};
+
+// Largest file any category accepts, for the upload limit
+const MAX_ATTACHMENT_BYTES = Math.max(
+  ...Object.values(ATTACHMENT_CATEGORIES).map((rule) => rule.maxBytes)
+);
+
+// Files are collected while the order is being signed and fulfilled
+const ATTACHABLE_STATUSES = ["document_phase", "processing", "on_hold"];
+
+/**
+ * Check an uploaded file against its category's rules.
+ * Returns an error message, or null when the file is accepted.
+ */
+function checkAttachmentFile(category, file) {
+  const rule = ATTACHMENT_CATEGORIES[category];
+  if (!rule) {
+    return `category must be one of ${Object.keys(ATTACHMENT_CATEGORIES).join(
+      ", "
+    )}`;
+  }
+  if (!rule.mimeTypes.includes(file.mimetype)) {
+    return `${file.originalname}: ${
+      rule.label
+    } files must be ${rule.mimeTypes.join(", ")}`;
+  }
+  if (file.size > rule.maxBytes) {
+    return `${file.originalname}: ${rule.label} files are limited to ${
+      rule.maxBytes / MB
+    }MB`;
+  }
+  return null;
+}
+
+/**
+ * Validate the categories an account manager marks as required.
+ * Returns an error message, or null.
+ */
+function checkRequiredCategories(categories) {
+  if (!Array.isArray(categories)) {
+    return "categories must be an array";
+  }
+  const unknown = categories.filter(
+    (category) => !ATTACHMENT_CATEGORIES[category]
+  );
+  return unknown.length
+    ? `Unknown attachment categories: ${unknown.join(", ")}`
+    : null;
+}
+
+/**
+ * Required attachment categories the order has no file for yet
+ */
+async function getMissingAttachments(order, transaction) {
+  const required = order.requiredAttachments || [];
+  if (!required.length) return [];
+
+  const uploaded = await OrderAttachment.findAll({
+    where: { orderId: order.id, category: required },
+    attributes: ["category"],
+    group: ["category"],
+    transaction,
+  });
+  return required.filter(
+    (category) => !uploaded.some((row) => row.category === category)
+  );
+}
+
+/**
+ * Store checked files privately and record them as attachments of the
+ * order (and of a claim, when `claimId` is given). Files stored before a
+ * failure are deleted again.
+ */
+async function storeAttachments(
+  order,
+  files,
+  { category, description, uploadedById, claimId = null, transaction }
+) {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const name = file.originalname.replace(/[^\w.-]/g, "_");
+      const { key } = await storage.put(
+        `attachments/${order.id}/${uuidv4()}-${name}`,
+        file.buffer,
+        { contentType: file.mimetype, isPrivate: true }
+      );
+      stored.push({ key, file });
+    }
+
+    return await OrderAttachment.bulkCreate(
+      stored.map(({ key, file }) => ({
+        orderId: order.id,
+        claimId,
+        category,
+        fileRef: key,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+        description: description || null,
+        uploadedById,
+      })),
+      { transaction }
+    );
+  } catch (error) {
+    await Promise.all(
+      stored.map(({ key }) =>
+        storage.delete(key, { isPrivate: true }).catch(() => {})
+      )
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  ATTACHMENT_CATEGORIES,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHABLE_STATUSES,
+  checkAttachmentFile,
+  checkRequiredCategories,
+  getMissingAttachments,
+  storeAttachments,
+};
@@ -0,0 +1,85 @@
+const { Claim } = require("../models");
+const { summarizeOrderLines, getOrderLines } = require("./orderLineService");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Claim categories, with the attachment category their evidence is filed
+ * under unless the uploader picks another
+ */
+const CLAIM_CATEGORIES = {
+  moisture: { label: "Moisture", evidenceCategory: "moisture_report" },
+  contamination: {
+    label: "Contamination",
+    evidenceCategory: "inspection_report",
+  },
+  short_weight: {
+    label: "Short weight",
+    evidenceCategory: "weighbridge_ticket",
+  },
+};
+
+// Claims are raised once goods are moving or delivered
+const CLAIMABLE_STATUSES = ["processing", "completed"];
+
+const OPEN_CLAIM_STATUSES = ["open", "responded", "settlement_proposed"];
+
+/**
+ * A deduction amount from a request: positive, at most two decimals.
+ * Returns null when the value is not one.
+ */
+function parseDeduction(value) {
+  const amount = Number(value);
+  if (value === null || value === "" || !Number.isFinite(amount)) return null;
+  if (amount <= 0 || round2(amount) !== amount) return null;
+  return amount;
+}
+
+/**
+ * What can still be deducted from the order: its invoiced subtotal less
+ * the deductions of claims already settled
+ */
+function remainingDeductible(order) {
+  const { totals } = summarizeOrderLines(getOrderLines(order));
+  return round2(totals.amount - (Number(order.claimDeduction) || 0));
+}
+
+/**
+ * Recompute the order's total claim deduction from its settled claims
+ */
+async function refreshClaimDeduction(order, transaction) {
+  const total = await Claim.sum("agreedDeduction", {
+    where: { orderId: order.id, status: "settled" },
+    transaction,
+  });
+  await order.update(
+    { claimDeduction: round2(Number(total) || 0) },
+    { transaction }
+  );
+  return order.claimDeduction;
+}
+
+/**
+ * The account manager who approves a settlement proposed by `proposerId`.
+ * An order managed by one account manager on both sides needs no second
+ * approval.
+ */
+function settlementApproverId(order, proposerId) {
+  const { buyerAccountManagerId, supplierAccountManagerId } = order;
+  if (buyerAccountManagerId === supplierAccountManagerId) {
+    return buyerAccountManagerId;
+  }
+  return proposerId === buyerAccountManagerId
+    ? supplierAccountManagerId
+    : buyerAccountManagerId;
+}
+
+module.exports = {
+  CLAIM_CATEGORIES,
+  CLAIMABLE_STATUSES,
+  OPEN_CLAIM_STATUSES,
+  parseDeduction,
+  remainingDeductible,
+  refreshClaimDeduction,
+  settlementApproverId,
+};
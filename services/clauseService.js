@@ -0,0 +1,113 @@
+const { Op } = require("sequelize");
+const { ClauseTemplate } = require("../models");
+const {
+  DEFAULT_DOCUMENT_TYPES,
+  DEFAULT_CLAUSES,
+} = require("../config/defaultClauses");
+
+// Document types a clause can be printed on
+const CLAUSE_DOCUMENT_TYPES = ["sales_order", "purchase_order", "contract"];
+
+/**
+ * Seed version 1 of the standard clauses when the library is empty.
+ */
+async function ensureDefaultClauses() {
+  const count = await ClauseTemplate.count();
+  if (count > 0) return;
+
+  await ClauseTemplate.bulkCreate(
+    DEFAULT_CLAUSES.map((clause, index) => ({
+      ...clause,
+      version: 1,
+      documentTypes: DEFAULT_DOCUMENT_TYPES,
+      position: index + 1,
+      isCurrent: true,
+      createdBy: "system",
+    }))
+  );
+}
+
+/**
+ * Current clauses printed on a document type, in print order.
+ */
+async function getClauseSet(documentType) {
+  return ClauseTemplate.findAll({
+    where: {
+      isCurrent: true,
+      documentTypes: { [Op.contains]: [documentType] },
+    },
+    order: [
+      ["position", "ASC"],
+      ["key", "ASC"],
+    ],
+  });
+}
+
+/**
+ * What a document records about the clauses it was generated with.
+ */
+function clauseVersionsOf(clauses) {
+  return clauses.map(({ id, key, version }) => ({ id, key, version }));
+}
+
+/**
+ * The exact clause versions a document was generated with, in print order.
+ */
+async function getClausesByVersions(clauseVersions = []) {
+  const ids = clauseVersions.map((entry) => entry.id);
+  const clauses = await ClauseTemplate.findAll({
+    where: { id: { [Op.in]: ids } },
+  });
+  return ids
+    .map((id) => clauses.find((clause) => clause.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Validate clause fields. `partial` skips required checks (new versions
+ * inherit missing fields from the previous one).
+ */
+function validateClause(fields, { partial = false } = {}) {
+  const errors = [];
+  const required = partial ? [] : ["key", "title", "content", "documentTypes"];
+  required.forEach((field) => {
+    if (fields[field] === undefined || fields[field] === "") {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  if (fields.key !== undefined && !/^[a-z0-9_]+$/.test(fields.key)) {
+    errors.push("key may only contain lowercase letters, digits and _");
+  }
+  if (fields.documentTypes !== undefined) {
+    if (
+      !Array.isArray(fields.documentTypes) ||
+      fields.documentTypes.length === 0
+    ) {
+      errors.push("documentTypes must be a non-empty array");
+    } else {
+      const unknown = fields.documentTypes.filter(
+        (type) => !CLAUSE_DOCUMENT_TYPES.includes(type)
+      );
+      if (unknown.length) {
+        errors.push(`Unknown document types: ${unknown.join(", ")}`);
+      }
+    }
+  }
+  if (
+    fields.position !== undefined &&
+    !Number.isInteger(Number(fields.position))
+  ) {
+    errors.push("position must be a whole number");
+  }
+  return errors;
+}
+
+module.exports = {
+  CLAUSE_DOCUMENT_TYPES,
+  ensureDefaultClauses,
+  getClauseSet,
+  clauseVersionsOf,
+  getClausesByVersions,
+  validateClause,
+};
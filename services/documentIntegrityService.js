@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { PDFDocument, rgb } = require("pdf-lib");
+const { Document } = require("../models");
+const { PdfLayout } = require("../utils/pdfLayout");
+const { embedUnicodeFont } = require("../utils/pdfFonts");
+
+const sha256 = (bytes) =>
+  crypto.createHash("sha256").update(Buffer.from(bytes)).digest("hex");
+
+/**
+ * Add a PDF to a document's file history. `kind` is "generated",
+ * "signed" (after a party signed) or "certified" (with the certificate
+ * page). Returns the new history; the last entry is the current file.
+ */
+function addFileVersion(fileVersions, kind, bytes, details = {}) {
+  const versions = fileVersions || [];
+  return [
+    ...versions,
+    {
+      version: versions.length + 1,
+      kind,
+      sha256: sha256(bytes),
+      createdAt: new Date().toISOString(),
+      ...details,
+    },
+  ];
+}
+
+/**
+ * Document and file version a PDF hash belongs to, or null.
+ */
+async function findDocumentByHash(hash) {
+  const document = await Document.findOne({
+    where: { fileVersions: { [Op.contains]: [{ sha256: hash }] } },
+  });
+  if (!document) return null;
+
+  const fileVersion = document.fileVersions.find(
+    (entry) => entry.sha256 === hash
+  );
+  return { document, fileVersion };
+}
+
+const formatTime = (value) =>
+  value
+    ? `${new Date(value).toISOString().replace("T", " ").slice(0, 19)} UTC`
+    : "-";
+
+const PARTY_LABELS = { revas: "Revas", buyer: "Buyer", supplier: "Supplier" };
+
+/**
+ * Append the audit-trail certificate: who signed, when, from where, and
+ * the hash of every version of the file up to the signed one.
+ * `signingRequests` need their `user` loaded.
+ */
+async function appendCertificate(
+  pdfBytes,
+  { document, signingRequests, fileVersions }
+) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  // Signer names and emails can be any script
+  const regularFont = await embedUnicodeFont(pdfDoc);
+  const boldFont = await embedUnicodeFont(pdfDoc, "bold");
+  const monoFont = await embedUnicodeFont(pdfDoc, "mono");
+  const grey = rgb(0.3, 0.3, 0.3);
+
+  const layout = new PdfLayout(pdfDoc, {
+    font: regularFont,
+    footer: (page, { pageNumber, pageCount }) => {
+      page.drawText(
+        `Signature certificate ${pageNumber}/${pageCount} - ${document.id}`,
+        { x: 32, y: 20, size: 7, font: regularFont, color: grey }
+      );
+    },
+  });
+  layout.addPage();
+
+  layout.text({
+    text: "Signature Certificate",
+    font: boldFont,
+    size: 28,
+    lineHeight: 40,
+  });
+  layout.text({
+    text: `${document.type.replace("_", " ")} ${
+      document.invoiceNumber || ""
+    }`.trim(),
+    font: boldFont,
+    size: 12,
+  });
+  layout.text({ text: `Document ID: ${document.id}`, color: grey });
+  layout.text({ text: `Order ID: ${document.orderId}`, color: grey });
+  layout.divider();
+
+  layout.text({
+    text: "Signers",
+    font: boldFont,
+    size: 14,
+    lineHeight: 25,
+  });
+  const small = { size: 8, lineHeight: 11, color: grey };
+  layout.table({
+    columns: [
+      { header: "Signer", x: 32, width: 180 },
+      { header: "Signed", x: 222, width: 120 },
+      { header: "IP address", x: 352, width: 100 },
+      { header: "Method", x: 462, width: 116 },
+    ],
+    rows: signingRequests.map((request) => [
+      [
+        {
+          text: request.user
+            ? `${request.user.firstName} ${request.user.lastName}`
+            : request.userId,
+          font: boldFont,
+        },
+        { text: PARTY_LABELS[request.party] || request.party, ...small },
+        request.user?.email ? { text: request.user.email, ...small } : null,
+        request.userAgent ? { text: request.userAgent, ...small } : null,
+      ],
+      { text: formatTime(request.completedAt), size: 9 },
+      { text: request.ipAddress || "-", size: 9 },
+      {
+        text: request.signatureType
+          ? `${request.signatureType} signature`
+          : "external signing",
+        size: 9,
+      },
+    ]),
+    headerRun: { font: boldFont },
+    rowGap: 10,
+  });
+  layout.divider();
+
+  layout.text({
+    text: "Document hashes (SHA-256)",
+    font: boldFont,
+    size: 14,
+    lineHeight: 25,
+  });
+  fileVersions.forEach((entry) => {
+    layout.keepTogether(30, () => {
+      layout.text({
+        text: `Version ${entry.version} - ${entry.kind}${
+          entry.party ? ` (${PARTY_LABELS[entry.party] || entry.party})` : ""
+        }, ${formatTime(entry.createdAt)}`,
+        size: 9,
+        lineHeight: 13,
+      });
+      layout.text({ text: entry.sha256, font: monoFont, size: 8, wrap: false });
+    });
+  });
+
+  layout.moveDown(10);
+  layout.text({
+    text:
+      "The hash of this certified copy, including this page, is recorded by Revas. " +
+      "Any copy of the document can be checked against the recorded versions with POST /api/documents/verify.",
+    ...small,
+  });
+
+  layout.finalize();
+  return pdfDoc.save();
+}
+
+module.exports = {
+  sha256,
+  addFileVersion,
+  findDocumentByHash,
+  appendCertificate,
+};
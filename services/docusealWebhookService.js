@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const { WebhookEvent } = require("../models");
+const { webhookSecret, toleranceSeconds } = require("../config/docuseal");
+
+const HANDLED_EVENTS = [
+  "submission_completed",
+  "submission_expired",
+  "form_viewed",
+];
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Whether `signature` (hex, optionally "sha256=" prefixed) is the
+ * HMAC-SHA256 of the raw body under the webhook secret.
+ */
+function verifySignature(rawBody, signature, secret = webhookSecret) {
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("hex");
+  const given = String(signature)
+    .trim()
+    .toLowerCase()
+    .replace(/^sha256=/, "");
+
+  return (
+    given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+  );
+}
+
+/**
+ * Check an event's timestamp is within the tolerance.
+ * Returns an error message, or null when it is.
+ */
+function checkTimestamp(timestamp, now = Date.now()) {
+  const sentAt = new Date(timestamp);
+  if (!timestamp || Number.isNaN(sentAt.getTime())) {
+    return "Event timestamp is missing or invalid";
+  }
+  if (Math.abs(now - sentAt.getTime()) > toleranceSeconds * 1000) {
+    return "Event timestamp is outside the allowed window";
+  }
+  return null;
+}
+
+/**
+ * Record a delivery. Returns the WebhookEvent, or null when the same
+ * body was already received (a replay).
+ */
+async function recordDelivery(rawBody, event) {
+  const [delivery, created] = await WebhookEvent.findOrCreate({
+    where: { payloadHash: sha256(rawBody) },
+    defaults: {
+      provider: "docuseal",
+      eventType: String(event.event_type || "unknown"),
+      eventTimestamp: event.timestamp ? new Date(event.timestamp) : null,
+    },
+  });
+  return created ? delivery : null;
+}
+
+/**
+ * Submission an event is about. form_viewed carries a submitter, the
+ * submission events the submission itself.
+ */
+function submissionIdOf({ event_type: eventType, data = {} }) {
+  const id =
+    data.submission?.id ??
+    data.submission_id ??
+    (eventType === "form_viewed" ? null : data.id);
+  return id === null || id === undefined ? null : String(id);
+}
+
+/**
+ * Submitters of an event: the submission's list, or the single
+ * submitter of a form_viewed event.
+ */
+function submittersOf({ event_type: eventType, data = {} }) {
+  if (eventType === "form_viewed") return [data];
+  return data.submitters || data.submission?.submitters || [];
+}
+
+module.exports = {
+  HANDLED_EVENTS,
+  verifySignature,
+  checkTimestamp,
+  recordDelivery,
+  submissionIdOf,
+  submittersOf,
+};
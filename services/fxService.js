@@ -0,0 +1,107 @@
+const { Op } = require("sequelize");
+const { FxRate } = require("../models");
+
+const BASE_CURRENCY = "USD";
+const SUPPORTED_CURRENCIES = ["USD", "NGN", "EUR", "GBP"];
+
+// Order fields holding the currency of each price field
+const ORDER_CURRENCY_FIELDS = [
+  "priceCurrency",
+  "supplierCurrency",
+  "shippingCurrency",
+];
+
+/**
+ * Normalise a currency code, defaulting to USD.
+ * Returns null for unsupported codes.
+ */
+function normalizeCurrency(code) {
+  if (code === undefined || code === null || code === "") return BASE_CURRENCY;
+  const upper = String(code).trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(upper) ? upper : null;
+}
+
+/**
+ * Order currency fields sent in a request body, normalised.
+ * Fields that were not sent are left out; throws on unsupported codes.
+ */
+function parseOrderCurrencies(body) {
+  return ORDER_CURRENCY_FIELDS.reduce((currencies, field) => {
+    if (body[field] === undefined) return currencies;
+
+    const currency = normalizeCurrency(body[field]);
+    if (!currency) {
+      throw new Error(
+        `${field} must be one of ${SUPPORTED_CURRENCIES.join(", ")}`
+      );
+    }
+    currencies[field] = currency;
+    return currencies;
+  }, {});
+}
+
+/**
+ * Rates in force at a point in time, as { USD: 1, NGN: 1550, ... }.
+ */
+async function getRatesInForce(at = new Date()) {
+  const rows = await FxRate.findAll({
+    where: { effectiveFrom: { [Op.lte]: at } },
+    order: [["effectiveFrom", "DESC"]],
+  });
+
+  const rates = { [BASE_CURRENCY]: 1 };
+  rows.forEach((row) => {
+    if (rates[row.currency] === undefined) {
+      rates[row.currency] = Number(row.ratePerUsd);
+    }
+  });
+  return rates;
+}
+
+/**
+ * Snapshot of the rates in force, stored on orders when they are created.
+ */
+async function takeSnapshot(at = new Date()) {
+  return {
+    base: BASE_CURRENCY,
+    takenAt: at.toISOString(),
+    rates: await getRatesInForce(at),
+  };
+}
+
+/**
+ * Currencies from `currencies` that have no rate in the given rates.
+ */
+function missingRates(rates, currencies) {
+  return [...new Set(currencies)].filter(
+    (currency) => currency && rates[currency] === undefined
+  );
+}
+
+/**
+ * Convert an amount between currencies using a rates map
+ * (or an order's fxSnapshot). Throws when a rate is missing.
+ */
+function convert(amount, from, to, rates) {
+  const source = from || BASE_CURRENCY;
+  const target = to || BASE_CURRENCY;
+  if (source === target) return amount;
+
+  const table = rates && rates.rates ? rates.rates : rates || {};
+  if (table[source] === undefined || table[target] === undefined) {
+    throw new Error(`No FX rate available for ${source}/${target}`);
+  }
+  return (amount / table[source]) * table[target];
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  ORDER_CURRENCY_FIELDS,
+  normalizeCurrency,
+  parseOrderCurrencies,
+  getRatesInForce,
+  takeSnapshot,
+  missingRates,
+  convert,
+};
@@ -0,0 +1,56 @@
+const { vatRate, whtRate } = require("../config/invoicing");
+const { summarizeOrderLines, getOrderLines } = require("./orderLineService");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Due date `days` after the issue date.
+ */
+function dueDateFor(issueDate, days) {
+  const dueDate = new Date(issueDate);
+  dueDate.setDate(dueDate.getDate() + (Number(days) || 0));
+  return dueDate;
+}
+
+/**
+ * Invoice figures for an order, in the buyer's currency: line totals,
+ * less the deduction agreed on settled claims, with VAT added on the
+ * net amount and WHT withheld from it.
+ */
+function computeInvoice(
+  order,
+  { issueDate = new Date(), vat = vatRate, wht = whtRate } = {}
+) {
+  const { lines, totals } = summarizeOrderLines(getOrderLines(order));
+  const subtotal = round2(totals.amount);
+  const claimDeduction = round2(Number(order.claimDeduction) || 0);
+  const netAmount = round2(subtotal - claimDeduction);
+  const vatAmount = round2((netAmount * vat) / 100);
+  const whtAmount = round2((netAmount * wht) / 100);
+  const total = round2(netAmount + vatAmount);
+
+  return {
+    currency: order.priceCurrency || "USD",
+    issueDate,
+    paymentTermsDays: Number(order.paymentTerms) || 0,
+    dueDate: dueDateFor(issueDate, order.paymentTerms),
+    lines: lines.map((line) => ({
+      grade: line.grade,
+      tonnage: line.tonnage,
+      pricePerTonne: line.pricePerTonne,
+      lineTotal: line.lineTotal,
+    })),
+    tonnage: totals.tonnage,
+    subtotal,
+    claimDeduction,
+    netAmount,
+    vatRate: vat,
+    vatAmount,
+    whtRate: wht,
+    whtAmount,
+    total,
+    amountPayable: round2(total - whtAmount),
+  };
+}
+
+module.exports = { dueDateFor, computeInvoice };
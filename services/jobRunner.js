@@ -0,0 +1,145 @@
+const { Op } = require("sequelize");
+const { JobRun } = require("../models");
+const { enabled, tickSeconds, signing } = require("../config/jobs");
+const {
+  sendSigningReminders,
+  expireOverdueDocuments,
+  sendStalledSignatureDigest,
+} = require("./signingJobService");
+const { purgeEndedSessions } = require("./sessionService");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Background jobs. Each runs either `every` milliseconds or once a day
+ * from `dailyAtHourUtc`; `run(now)` returns counts kept on its JobRun.
+ */
+const JOBS = [
+  { name: "signing-reminders", every: HOUR_MS, run: sendSigningReminders },
+  { name: "signing-expiry", every: HOUR_MS, run: expireOverdueDocuments },
+  {
+    name: "signing-digest",
+    dailyAtHourUtc: signing.digestHourUtc,
+    run: sendStalledSignatureDigest,
+  },
+  { name: "session-cleanup", every: 24 * HOUR_MS, run: purgeEndedSessions },
+];
+
+/**
+ * Start of the period a job is due for: it is due when its last run
+ * started before this.
+ */
+function periodStart(job, now) {
+  if (job.every) return new Date(now.getTime() - job.every);
+
+  const today = new Date(now);
+  today.setUTCHours(job.dailyAtHourUtc, 0, 0, 0);
+  return today <= now ? today : new Date(today.getTime() - 24 * HOUR_MS);
+}
+
+/**
+ * Claim a due job for this instance. Only one instance's conditional
+ * update succeeds for a period.
+ */
+async function claim(job, now) {
+  await JobRun.findOrCreate({ where: { name: job.name } });
+  const [claimed] = await JobRun.update(
+    { lastStartedAt: now, lastStatus: "running" },
+    {
+      where: {
+        name: job.name,
+        [Op.or]: [
+          { lastStartedAt: null },
+          { lastStartedAt: { [Op.lt]: periodStart(job, now) } },
+        ],
+      },
+    }
+  );
+  return claimed > 0;
+}
+
+/**
+ * Run a job now and record the outcome. Returns its result.
+ */
+async function runJob(job, now = new Date()) {
+  try {
+    const result = await job.run(now);
+    await JobRun.update(
+      {
+        lastFinishedAt: new Date(),
+        lastStatus: "succeeded",
+        lastResult: result,
+      },
+      { where: { name: job.name } }
+    );
+    console.log(`Job ${job.name} finished:`, result);
+    return result;
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, {
+      error: error.message,
+      stack: error.stack,
+    });
+    await JobRun.update(
+      {
+        lastFinishedAt: new Date(),
+        lastStatus: "failed",
+        lastResult: { error: error.message },
+      },
+      { where: { name: job.name } }
+    ).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * Run every job that is due, one after the other
+ */
+async function runDueJobs(now = new Date()) {
+  for (const job of JOBS) {
+    try {
+      if (await claim(job, now)) {
+        await runJob(job, now);
+      }
+    } catch (error) {
+      console.error(`Could not claim job ${job.name}:`, error.message);
+    }
+  }
+}
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Check for due jobs now and every tickSeconds. A tick is skipped while
+ * the previous one is still running.
+ */
+function startJobs() {
+  if (!enabled) {
+    console.log("Background jobs disabled (JOBS_ENABLED=false)");
+    return;
+  }
+  if (timer) return;
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await runDueJobs();
+    } finally {
+      ticking = false;
+    }
+  };
+
+  timer = setInterval(tick, tickSeconds * 1000);
+  tick();
+  console.log(
+    `Background jobs started: ${JOBS.map((job) => job.name).join(", ")}`
+  );
+}
+
+function stopJobs() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { JOBS, runJob, runDueJobs, startJobs, stopJobs };
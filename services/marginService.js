@@ -0,0 +1,222 @@
+const { minMarginPercent, enforcement } = require("../config/margins");
+const { getOrderLines } = require("./orderLineService");
+const { BASE_CURRENCY, convert } = require("./fxService");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sameCurrency = {
+  revenue: (amount) => amount,
+  supplier: (amount) => amount,
+  shipping: (amount) => amount,
+};
+
+/**
+ * Converters bringing an order's buyer price, supplier price and shipping
+ * cost into one currency (the buyer's by default), at the rates
+ * snapshotted on the order.
+ */
+const orderConverter = (order, currency) => {
+  const target = currency || order.priceCurrency || BASE_CURRENCY;
+  const from = (source) => (amount) =>
+    convert(amount, source || BASE_CURRENCY, target, order.fxSnapshot);
+
+  return {
+    currency: target,
+    revenue: from(order.priceCurrency),
+    supplier: from(order.supplierCurrency),
+    shipping: from(order.shippingCurrency),
+  };
+};
+
+/**
+ * Margin figures from revenue, cost and tonnage.
+ */
+const marginFigures = ({ tonnage, revenue, cost }) => {
+  const grossMargin = round2(revenue - cost);
+  return {
+    tonnage,
+    revenue: round2(revenue),
+    cost: round2(cost),
+    grossMargin,
+    marginPerTonne: tonnage ? round2(grossMargin / tonnage) : 0,
+    marginPercentage: revenue ? round2((grossMargin / revenue) * 100) : 0,
+  };
+};
+
+/**
+ * Margin on one order line. Shipping cost is quoted per tonne, like the
+ * buyer and supplier prices, so each line carries its share of it.
+ * `converter` brings each amount into the margin currency.
+ */
+exports.computeLineMargin = (
+  line,
+  shippingCost = 0,
+  converter = sameCurrency
+) => {
+  const tonnage = Number(line.tonnage) || 0;
+  return marginFigures({
+    tonnage,
+    revenue: converter.revenue(tonnage * Number(line.pricePerTonne)),
+    cost:
+      converter.supplier(tonnage * Number(line.supplierPrice)) +
+      converter.shipping(tonnage * Number(shippingCost || 0)),
+  });
+};
+
+/**
+ * What Revas earns on an order: buyer revenue less supplier cost and
+ * shipping, over all of its lines, in `currency` (the buyer's currency
+ * by default). Deductions agreed on settled claims come off the revenue.
+ */
+exports.computeOrderMargin = (order, { currency } = {}) => {
+  const shippingCost = Number(order.shippingCost) || 0;
+  const converter = orderConverter(order, currency);
+  const totals = getOrderLines(order).reduce(
+    (sum, line) => {
+      const margin = exports.computeLineMargin(line, shippingCost, converter);
+      sum.tonnage += margin.tonnage;
+      sum.revenue += margin.revenue;
+      sum.cost += margin.cost;
+      return sum;
+    },
+    { tonnage: 0, revenue: 0, cost: 0 }
+  );
+  const claimDeduction = round2(
+    converter.revenue(Number(order.claimDeduction) || 0)
+  );
+  totals.revenue -= claimDeduction;
+
+  return {
+    ...marginFigures(totals),
+    claimDeduction,
+    currency: converter.currency,
+  };
+};
+
+/**
+ * Apply the configured minimum-margin rule.
+ * Returns null when the margin is acceptable, otherwise
+ * { blocked, message } depending on the enforcement mode.
+ */
+exports.checkMinimumMargin = (margin) => {
+  const belowMinimum =
+    margin.grossMargin < 0 || margin.marginPercentage < minMarginPercent;
+  if (!belowMinimum) return null;
+
+  return {
+    blocked: enforcement === "block",
+    message:
+      margin.grossMargin < 0
+        ? `Order has a negative margin of ${margin.grossMargin}`
+        : `Order margin of ${margin.marginPercentage}% is below the minimum of ${minMarginPercent}%`,
+  };
+};
+
+/**
+ * Group order margins by account manager, grade and month, in USD.
+ * Each order counts towards both of its account managers.
+ */
+exports.groupMargins = (orders) => {
+  const emptyGroup = (key, label) => ({
+    key,
+    label,
+    tonnage: 0,
+    revenue: 0,
+    cost: 0,
+    claimDeduction: 0,
+    orderIds: new Set(),
+  });
+  const groups = {
+    all: { all: emptyGroup("all", "All orders") },
+    byAccountManager: {},
+    byGrade: {},
+    byMonth: {},
+  };
+
+  const addTo = (bucket, key, label, margin, orderId) => {
+    bucket[key] = bucket[key] || emptyGroup(key, label);
+    bucket[key].tonnage += margin.tonnage;
+    bucket[key].revenue += margin.revenue;
+    bucket[key].cost += margin.cost;
+    bucket[key].claimDeduction += margin.claimDeduction || 0;
+    bucket[key].orderIds.add(orderId);
+  };
+
+  orders.forEach((order) => {
+    const shippingCost = Number(order.shippingCost) || 0;
+    const converter = orderConverter(order, BASE_CURRENCY);
+    const orderMargin = exports.computeOrderMargin(order, {
+      currency: BASE_CURRENCY,
+    });
+    const month = new Date(order.createdAt).toISOString().slice(0, 7);
+
+    addTo(groups.all, "all", "All orders", orderMargin, order.id);
+    addTo(groups.byMonth, month, month, orderMargin, order.id);
+
+    [order.buyerAccountManager, order.supplierAccountManager]
+      .filter(Boolean)
+      .forEach((manager) => {
+        addTo(
+          groups.byAccountManager,
+          manager.id,
+          `${manager.firstName} ${manager.lastName}`,
+          orderMargin,
+          order.id
+        );
+      });
+
+    // Claim deductions are shared between grades by tonnage
+    getOrderLines(order).forEach((line) => {
+      const lineMargin = exports.computeLineMargin(
+        line,
+        shippingCost,
+        converter
+      );
+      const claimDeduction = orderMargin.tonnage
+        ? (orderMargin.claimDeduction * lineMargin.tonnage) /
+          orderMargin.tonnage
+        : 0;
+      addTo(
+        groups.byGrade,
+        line.grade,
+        line.grade,
+        {
+          ...lineMargin,
+          revenue: lineMargin.revenue - claimDeduction,
+          claimDeduction,
+        },
+        order.id
+      );
+    });
+  });
+
+  const finalize = ({
+    key,
+    label,
+    tonnage,
+    revenue,
+    cost,
+    claimDeduction,
+    orderIds,
+  }) => ({
+    key,
+    label,
+    orderCount: orderIds.size,
+    ...marginFigures({ tonnage, revenue, cost }),
+    claimDeduction: round2(claimDeduction),
+  });
+
+  return {
+    currency: BASE_CURRENCY,
+    totals: finalize(groups.all.all),
+    byAccountManager: Object.values(groups.byAccountManager)
+      .map(finalize)
+      .sort((a, b) => b.grossMargin - a.grossMargin),
+    byGrade: Object.values(groups.byGrade)
+      .map(finalize)
+      .sort((a, b) => b.grossMargin - a.grossMargin),
+    byMonth: Object.values(groups.byMonth)
+      .map(finalize)
+      .sort((a, b) => a.key.localeCompare(b.key)),
+  };
+};
@@ -0,0 +1,241 @@
+const { Op, fn, col } = require("sequelize");
+const { Order, Product, User } = require("../models");
+const { getOrderLines } = require("./orderLineService");
+const { getRatesInForce, convert } = require("./fxService");
+const { distanceKm, sameCountry } = require("../utils/geo");
+
+// Relative weight of each criterion in the overall score
+const WEIGHTS = {
+  grade: 0.4,
+  capacity: 0.25,
+  price: 0.2,
+  distance: 0.15,
+};
+
+// Beyond this distance a supplier gets no distance score
+const MAX_DISTANCE_KM = 1000;
+
+// Statuses in which an order still holds a supplier's tonnage
+const COMMITTING_STATUSES = [
+  "pending_approval",
+  "matched",
+  "document_phase",
+  "processing",
+  "on_hold",
+];
+
+const normalizeGrade = (grade) =>
+  String(grade || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, " ")
+    .trim();
+
+const gradeTokens = (grade) => normalizeGrade(grade).split(" ").filter(Boolean);
+
+// Every token of one grade name appears, whole, in the other
+const containsTokens = (tokens, other) =>
+  tokens.every((token) => other.includes(token));
+
+/**
+ * Share of the requested grades that a product listing covers.
+ * A grade matches when all the words of one name appear in the other
+ * ("OCC" matches "EN643 1.05 OCC"); words are compared whole, so "PE"
+ * does not match "PET" or "HDPE".
+ */
+function gradeOverlap(requestedGrades, listedGrades) {
+  if (!requestedGrades.length) return 0;
+  const listed = listedGrades
+    .map(gradeTokens)
+    .filter((tokens) => tokens.length);
+
+  const covered = requestedGrades.filter((grade) => {
+    const wanted = gradeTokens(grade);
+    if (!wanted.length) return false;
+    return listed.some(
+      (item) => containsTokens(wanted, item) || containsTokens(item, wanted)
+    );
+  });
+
+  return covered.length / requestedGrades.length;
+}
+
+/**
+ * Tonnage each supplier already has committed to open orders.
+ */
+async function getCommittedTonnage(supplierIds, excludeOrderId) {
+  if (!supplierIds.length) return {};
+
+  const rows = await Order.findAll({
+    attributes: ["supplierId", [fn("SUM", col("capacity")), "committed"]],
+    where: {
+      supplierId: { [Op.in]: supplierIds },
+      status: { [Op.in]: COMMITTING_STATUSES },
+      savedStatus: "confirmed",
+      id: { [Op.ne]: excludeOrderId },
+    },
+    group: ["supplierId"],
+    raw: true,
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.supplierId] = Number(row.committed) || 0;
+    return acc;
+  }, {});
+}
+
+/**
+ * The buyer's request as the matcher sees it. Any of grades, tonnage,
+ * location or targetPrice can be overridden to explore alternatives.
+ */
+function buildRequest(order, overrides = {}) {
+  const lines = getOrderLines(order);
+  const request = {
+    grades: [...new Set(lines.map((line) => line.grade).filter(Boolean))],
+    tonnage: lines.reduce((sum, line) => sum + (Number(line.tonnage) || 0), 0),
+    location: order.buyerLocation,
+    targetPrice: Number(order.pricePerTonne) || 0,
+    currency: order.priceCurrency || "USD",
+  };
+
+  if (overrides.grades && overrides.grades.length) {
+    request.grades = overrides.grades;
+  }
+  if (Number(overrides.tonnage) > 0) {
+    request.tonnage = Number(overrides.tonnage);
+  }
+  if (overrides.location) request.location = overrides.location;
+  if (Number(overrides.targetPrice) > 0) {
+    request.targetPrice = Number(overrides.targetPrice);
+  }
+  return request;
+}
+
+/**
+ * A listing's price in the order's currency at today's rates,
+ * or null when no rate is available.
+ */
+function listingPrice(product, currency, rates) {
+  try {
+    return convert(product.price, product.priceCurrency, currency, rates);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Rank supplier product listings for an order by grade overlap,
+ * remaining capacity, price spread and distance to the buyer.
+ * Listing prices are compared in the order's currency.
+ */
+async function suggestSuppliers(order, { limit = 5, overrides } = {}) {
+  const request = buildRequest(order, overrides);
+
+  const products = await Product.findAll({
+    include: [
+      {
+        model: User,
+        where: { clientType: "Supplier", status: "approved" },
+        attributes: ["id", "firstName", "lastName", "email"],
+      },
+    ],
+  });
+
+  const committed = await getCommittedTonnage(
+    products.map((product) => product.userId),
+    order.id
+  );
+  const rates = await getRatesInForce();
+
+  const candidates = products
+    .map((product) => {
+      const overlap = gradeOverlap(request.grades, product.product || []);
+      const remainingCapacity = Math.max(
+        0,
+        product.capacity - (committed[product.userId] || 0)
+      );
+      const price = listingPrice(product, request.currency, rates);
+      const spread = price === null ? null : request.targetPrice - price;
+      const distance = distanceKm(request.location, product.location);
+
+      return {
+        product,
+        overlap,
+        remainingCapacity,
+        spread,
+        distance,
+      };
+    })
+    // A supplier must list at least one requested grade and have stock left
+    .filter(
+      (candidate) => candidate.overlap > 0 && candidate.remainingCapacity > 0
+    );
+
+  const bestSpread = Math.max(
+    0,
+    ...candidates.map((candidate) => candidate.spread || 0)
+  );
+
+  const ranked = candidates.map(
+    ({ product, overlap, remainingCapacity, spread, distance }) => {
+      const scores = {
+        grade: overlap,
+        capacity: request.tonnage
+          ? Math.min(1, remainingCapacity / request.tonnage)
+          : 1,
+        price: spread > 0 && bestSpread > 0 ? spread / bestSpread : 0,
+        distance:
+          distance !== null
+            ? Math.max(0, 1 - distance / MAX_DISTANCE_KM)
+            : sameCountry(request.location, product.location)
+            ? 0.5
+            : 0,
+      };
+
+      const score = Object.keys(WEIGHTS).reduce(
+        (sum, key) => sum + WEIGHTS[key] * scores[key],
+        0
+      );
+
+      return {
+        productId: product.id,
+        supplierId: product.userId,
+        companyName: product.companyName,
+        location: product.location,
+        grades: product.product,
+        price: product.price,
+        priceCurrency: product.priceCurrency,
+        capacity: product.capacity,
+        remainingCapacity,
+        priceSpread: spread === null ? null : Math.round(spread * 100) / 100,
+        distanceKm: distance,
+        isCurrentSupplier: product.userId === order.supplierId,
+        supplier: product.User
+          ? {
+              id: product.User.id,
+              name: `${product.User.firstName} ${product.User.lastName}`,
+              email: product.User.email,
+            }
+          : null,
+        score: Math.round(score * 1000) / 1000,
+        scores: Object.fromEntries(
+          Object.entries(scores).map(([key, value]) => [
+            key,
+            Math.round(value * 1000) / 1000,
+          ])
+        ),
+      };
+    }
+  );
+
+  return {
+    request,
+    suggestions: ranked.sort((a, b) => b.score - a.score).slice(0, limit),
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  gradeOverlap,
+  buildRequest,
+  suggestSuppliers,
+};
@@ -0,0 +1,87 @@
+const { PriceProposal, OrderLine } = require("../models");
+const { orderFieldsFromLines } = require("./orderLineService");
+
+// Prices can only be negotiated before the order is matched
+const NEGOTIABLE_STATUSES = ["pending_approval", "not_matched"];
+
+/**
+ * The pending offer on an order, if any.
+ */
+exports.getOpenProposal = (orderId, transaction) =>
+  PriceProposal.findOne({
+    where: { orderId, status: "pending" },
+    transaction,
+  });
+
+/**
+ * An order's negotiation is open while an offer awaits a response.
+ */
+exports.hasOpenNegotiation = async (orderId, transaction) =>
+  !!(await exports.getOpenProposal(orderId, transaction));
+
+/**
+ * The other account manager on the order, or null if the user is not
+ * one of the order's account managers.
+ */
+exports.getCounterpartManagerId = (order, userId) => {
+  if (userId === order.buyerAccountManagerId) {
+    return order.supplierAccountManagerId;
+  }
+  if (userId === order.supplierAccountManagerId) {
+    return order.buyerAccountManagerId;
+  }
+  return null;
+};
+
+/**
+ * Check an offer against the order's priceRange, which is the allowed
+ * deviation either side of the price in force when negotiation opened.
+ * Returns an error message, or null when the offer is acceptable.
+ */
+exports.checkPriceRange = (order, basePrice, price) => {
+  if (order.priceRange === null || order.priceRange === undefined) {
+    return null;
+  }
+
+  const min = basePrice - order.priceRange;
+  const max = basePrice + order.priceRange;
+  if (price < min || price > max) {
+    return `Offer of ${price} per tonne is outside the allowed range (${min} - ${max})`;
+  }
+  return null;
+};
+
+/**
+ * Apply an accepted offer to the order, or to the line it targets.
+ */
+exports.applyAcceptedProposal = async (order, proposal, transaction) => {
+  const lines = await OrderLine.findAll({
+    where: { orderId: order.id },
+    order: [["position", "ASC"]],
+    transaction,
+  });
+
+  const target = proposal.orderLineId
+    ? lines.find((line) => line.id === proposal.orderLineId)
+    : lines.length === 1
+    ? lines[0]
+    : null;
+
+  if (!target) {
+    return order.update(
+      { pricePerTonne: proposal.pricePerTonne },
+      { transaction }
+    );
+  }
+
+  await target.update(
+    { pricePerTonne: proposal.pricePerTonne },
+    { transaction }
+  );
+  return order.update(
+    orderFieldsFromLines(lines.map((line) => line.get({ plain: true }))),
+    { transaction }
+  );
+};
+
+exports.NEGOTIABLE_STATUSES = NEGOTIABLE_STATUSES;
@@ -0,0 +1,151 @@
+const { Op } = require("sequelize");
+const { NumberSequence, IssuedNumber, Document, Order } = require("../models");
+
+const keyOf = ({ prefix, period, entity }) => ({
+  prefix,
+  period,
+  entity: entity || "",
+});
+
+/**
+ * Highest value of a series issued before it was tracked in
+ * NumberSequence, from the numbers already on orders and documents.
+ */
+async function legacyLastValue(series, transaction) {
+  // The number with its counter stripped, e.g. "SO-0925-BUY-"
+  const base = series.format(0).replace(/\d+$/, "");
+  const where = { invoiceNumber: { [Op.like]: `${base}%` } };
+
+  const [orders, documents] = await Promise.all([
+    Order.findAll({ attributes: ["invoiceNumber"], where, transaction }),
+    Document.findAll({ attributes: ["invoiceNumber"], where, transaction }),
+  ]);
+
+  return [...orders, ...documents].reduce((max, record) => {
+    const value = parseInt(record.invoiceNumber.slice(base.length), 10);
+    return Number.isNaN(value) ? max : Math.max(max, value);
+  }, 0);
+}
+
+/**
+ * Issue the next number of a series ({ prefix, period, entity, format }).
+ * Must run inside the transaction that stores the numbered document: the
+ * sequence row stays locked until it commits, and a rollback hands the
+ * value back, so the series never skips a number.
+ * Returns the IssuedNumber record.
+ */
+async function issueNumber(
+  series,
+  { documentType = null, orderId = null, issuedById = null, transaction } = {}
+) {
+  if (!transaction) {
+    throw new Error("Document numbers must be issued inside a transaction");
+  }
+  const where = keyOf(series);
+
+  let sequence = await NumberSequence.findOne({
+    where,
+    lock: transaction.LOCK.UPDATE,
+    transaction,
+  });
+  if (!sequence) {
+    const startValue = await legacyLastValue(series, transaction);
+    await NumberSequence.findOrCreate({
+      where,
+      defaults: { startValue, lastValue: startValue },
+      transaction,
+    });
+    sequence = await NumberSequence.findOne({
+      where,
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+  }
+
+  const value = sequence.lastValue + 1;
+  await sequence.update({ lastValue: value }, { transaction });
+
+  return IssuedNumber.create(
+    {
+      sequenceId: sequence.id,
+      number: series.format(value),
+      value,
+      documentType,
+      orderId,
+      issuedById,
+    },
+    { transaction }
+  );
+}
+
+/**
+ * Record which document carries an issued number.
+ */
+async function linkDocument(number, documentId, { transaction } = {}) {
+  await IssuedNumber.update({ documentId }, { where: { number }, transaction });
+}
+
+/**
+ * Void an issued number. It stays in the audit and is never reused.
+ */
+async function voidNumber(number, { reason, voidedBy, transaction } = {}) {
+  const issued = await IssuedNumber.findOne({
+    where: { number },
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+    transaction,
+  });
+  if (!issued) {
+    throw new Error(`Number ${number} was never issued`);
+  }
+  if (issued.status === "voided") return issued;
+
+  return issued.update(
+    {
+      status: "voided",
+      voidedAt: new Date(),
+      voidedBy: voidedBy || null,
+      voidReason: reason,
+    },
+    { transaction }
+  );
+}
+
+/**
+ * Every value of a sequence with what happened to it. `gaps` lists the
+ * values between the start and the last issued value that have no record;
+ * it stays empty as long as numbers only come from issueNumber.
+ */
+async function getSequenceAudit(sequenceId) {
+  const sequence = await NumberSequence.findByPk(sequenceId);
+  if (!sequence) return null;
+
+  const numbers = await IssuedNumber.findAll({
+    where: { sequenceId },
+    order: [["value", "ASC"]],
+  });
+
+  const recorded = new Set(numbers.map((issued) => issued.value));
+  const gaps = [];
+  for (
+    let value = sequence.startValue + 1;
+    value <= sequence.lastValue;
+    value += 1
+  ) {
+    if (!recorded.has(value)) gaps.push(value);
+  }
+
+  return {
+    sequence,
+    issuedCount: numbers.filter((issued) => issued.status === "issued").length,
+    voidedCount: numbers.filter((issued) => issued.status === "voided").length,
+    gaps,
+    numbers,
+  };
+}
+
+module.exports = {
+  issueNumber,
+  linkDocument,
+  voidNumber,
+  getSequenceAudit,
+};
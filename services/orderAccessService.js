@@ -0,0 +1,114 @@
+const { Op } = require("sequelize");
+const { Order } = require("../models");
+const { hasPermission } = require("./permissionService");
+
+// The principals an order belongs to: its buyer and supplier, their account
+// managers, and whoever created it (the only one on a fresh draft)
+const ORDER_PARTY_FIELDS = [
+  "buyerId",
+  "supplierId",
+  "buyerAccountManagerId",
+  "supplierAccountManagerId",
+  "createdById",
+];
+
+const isOrderParty = (order, user) =>
+  !!user?.id && ORDER_PARTY_FIELDS.some((field) => order[field] === user.id);
+
+/**
+ * Whether the user may see the order at all: a party to it, or someone
+ * whose role grants order:read_all (admins). Callers answer 404 when not,
+ * so the order's existence does not leak.
+ */
+async function canSeeOrder(user, order) {
+  if (!user || !order) return false;
+  return (
+    isOrderParty(order, user) || (await hasPermission(user, "order:read_all"))
+  );
+}
+
+/**
+ * The order by id when the user can see it, otherwise null
+ */
+async function findVisibleOrder(user, orderId, options = {}) {
+  const order = await Order.findByPk(orderId, options);
+  return (await canSeeOrder(user, order)) ? order : null;
+}
+
+/**
+ * Where clause limiting a query to the orders the user can see, or null
+ * when they can see every order. `association` names the order include
+ * when the query is on another model (e.g. "order" for documents).
+ */
+async function visibleOrdersWhere(user, association) {
+  if (await hasPermission(user, "order:read_all")) return null;
+
+  const column = (field) =>
+    association ? `$${association}.${field}$` : field;
+  if (!user?.id) return { [column("id")]: null };
+  return {
+    [Op.or]: ORDER_PARTY_FIELDS.map((field) => ({ [column(field)]: user.id })),
+  };
+}
+
+/**
+ * `where` narrowed to the orders the user can see
+ */
+async function scopeToVisibleOrders(user, where = {}, association) {
+  const visible = await visibleOrdersWhere(user, association);
+  return visible ? { [Op.and]: [where, visible] } : where;
+}
+
+// Prices of each side of an order, on the order, its lines and its totals
+const SIDE_PRICE_FIELDS = {
+  buyer: {
+    order: ["pricePerTonne"],
+    line: ["pricePerTonne", "lineTotal"],
+    totals: ["amount"],
+  },
+  supplier: {
+    order: ["supplierPrice"],
+    line: ["supplierPrice", "supplierLineTotal"],
+    totals: ["supplierAmount"],
+  },
+};
+
+const omit = (record, fields) => {
+  const copy = { ...record };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+/**
+ * A plain order (with its lines and totals when summarised) as the user may
+ * see it. Without order:view_margins a party only sees its own side's
+ * prices: both together give away the margin.
+ */
+async function withoutCounterpartyPricing(user, order) {
+  if (await hasPermission(user, "order:view_margins")) return order;
+
+  const isSide = (side) =>
+    !!user?.id &&
+    [order[`${side}Id`], order[`${side}AccountManagerId`]].includes(user.id);
+  const hidden = ["buyer", "supplier"]
+    .filter((side) => !isSide(side))
+    .map((side) => SIDE_PRICE_FIELDS[side]);
+  const fields = (part) => hidden.flatMap((side) => side[part]);
+
+  const visible = omit(order, [...fields("order"), "marginFlagged"]);
+  if (Array.isArray(order.lines)) {
+    visible.lines = order.lines.map((line) => omit(line, fields("line")));
+  }
+  if (order.totals) visible.totals = omit(order.totals, fields("totals"));
+  return visible;
+}
+
+module.exports = {
+  ORDER_PARTY_FIELDS,
+  isOrderParty,
+  canSeeOrder,
+  findVisibleOrder,
+  visibleOrdersWhere,
+  scopeToVisibleOrders,
+  withoutCounterpartyPricing,
+};
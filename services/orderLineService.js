@@ -0,0 +1,142 @@
+const { OrderLine } = require("../models");
+
+const toPlain = (record) =>
+  record && typeof record.get === "function" ? record.get({ plain: true }) : record;
+
+/**
+ * Read the line items from an order request body.
+ * `lines` may arrive as an array or a JSON string (multipart forms).
+ * Returns null when the request does not carry any lines.
+ */
+exports.parseOrderLines = (body) => {
+  let { lines } = body;
+  if (lines === undefined || lines === null || lines === "") return null;
+
+  if (typeof lines === "string") {
+    try {
+      lines = JSON.parse(lines);
+    } catch (e) {
+      throw new Error("Invalid lines format: expected a JSON array");
+    }
+  }
+
+  if (!Array.isArray(lines)) {
+    throw new Error("Invalid lines format: expected an array");
+  }
+
+  return lines.map((line, index) => ({
+    grade: typeof line.grade === "string" ? line.grade.trim() : line.grade,
+    tonnage: Number(line.tonnage),
+    pricePerTonne: Number(line.pricePerTonne),
+    supplierPrice: Number(line.supplierPrice),
+    moistureTolerance:
+      line.moistureTolerance === undefined || line.moistureTolerance === null
+        ? null
+        : Number(line.moistureTolerance),
+    position: index,
+  }));
+};
+
+/**
+ * Validate parsed line items, returning a list of error messages.
+ */
+exports.validateOrderLines = (lines) => {
+  const errors = [];
+  if (!lines.length) {
+    errors.push("At least one order line is required");
+  }
+
+  lines.forEach((line, index) => {
+    const label = `Line ${index + 1}`;
+    if (!line.grade) errors.push(`${label}: grade is required`);
+    // Stored as INTEGER columns, like the order's capacity and prices
+    ["tonnage", "pricePerTonne", "supplierPrice"].forEach((field) => {
+      if (!Number.isInteger(line[field]) || line[field] <= 0) {
+        errors.push(`${label}: ${field} must be a positive whole number`);
+      }
+    });
+    if (
+      line.moistureTolerance !== null &&
+      (!Number.isFinite(line.moistureTolerance) ||
+        line.moistureTolerance < 0 ||
+        line.moistureTolerance > 100)
+    ) {
+      errors.push(`${label}: moistureTolerance must be between 0 and 100`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Line items for an order. Orders created before line items existed
+ * are presented as a single line built from their flat fields.
+ */
+exports.getOrderLines = (order) => {
+  const plain = toPlain(order);
+  if (plain.lines && plain.lines.length) {
+    return plain.lines
+      .map(toPlain)
+      .sort((a, b) => (a.position || 0) - (b.position || 0));
+  }
+
+  return [
+    {
+      grade: Array.isArray(plain.product)
+        ? plain.product.join(", ")
+        : plain.product,
+      tonnage: Number(plain.capacity),
+      pricePerTonne: Number(plain.pricePerTonne),
+      supplierPrice: Number(plain.supplierPrice),
+      moistureTolerance: null,
+      position: 0,
+    },
+  ];
+};
+
+/**
+ * Per-line amounts and order totals.
+ */
+exports.summarizeOrderLines = (lines) => {
+  const totals = { tonnage: 0, amount: 0, supplierAmount: 0 };
+
+  const summarized = lines.map((line) => {
+    const lineTotal = line.tonnage * line.pricePerTonne;
+    const supplierLineTotal = line.tonnage * line.supplierPrice;
+    totals.tonnage += line.tonnage;
+    totals.amount += lineTotal;
+    totals.supplierAmount += supplierLineTotal;
+    return { ...line, lineTotal, supplierLineTotal };
+  });
+
+  return { lines: summarized, totals };
+};
+
+/**
+ * Order-level fields kept in sync with the lines so that existing
+ * filters (product, capacity, price) keep working.
+ */
+exports.orderFieldsFromLines = (lines) => {
+  const { totals } = exports.summarizeOrderLines(lines);
+  return {
+    product: [...new Set(lines.map((line) => line.grade))],
+    capacity: totals.tonnage,
+    pricePerTonne: totals.tonnage
+      ? Math.round(totals.amount / totals.tonnage)
+      : 0,
+    supplierPrice: totals.tonnage
+      ? Math.round(totals.supplierAmount / totals.tonnage)
+      : 0,
+  };
+};
+
+/**
+ * Replace all line items of an order.
+ */
+exports.replaceOrderLines = async (orderId, lines, transaction) => {
+  await OrderLine.destroy({ where: { orderId }, transaction });
+  return OrderLine.bulkCreate(
+    lines.map((line) => ({ ...line, orderId })),
+    { transaction }
+  );
+};
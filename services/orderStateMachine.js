@@ -0,0 +1,211 @@
+const { OrderStatusHistory } = require("../models");
+const { hasOpenNegotiation } = require("./negotiationService");
+const {
+  ATTACHMENT_CATEGORIES,
+  getMissingAttachments,
+} = require("./attachmentService");
+
+const ORDER_STATUSES = [
+  "pending_approval",
+  "not_matched",
+  "matched",
+  "document_phase",
+  "processing",
+  "completed",
+  "on_hold",
+  "cancelled",
+  "rejected",
+];
+
+const TERMINAL_STATUSES = ["completed", "cancelled", "rejected"];
+
+/**
+ * Allowed transitions per status.
+ * - `system`: only reachable through its own workflow (approval, document
+ *   generation...), never through a manual status update.
+ * - `requiresReason`: the caller must explain the move (rollbacks, cancels).
+ * - `guard`: extra check returning an error message, or null when allowed.
+ */
+const TRANSITIONS = {
+  pending_approval: {
+    matched: {
+      system: "Your order is awaiting approval",
+      guard: async ({ order, transaction }) =>
+        (await hasOpenNegotiation(order.id, transaction))
+          ? "Price negotiation is still open: accept or reject the pending offer first"
+          : null,
+    },
+    not_matched: { requiresReason: true },
+    rejected: {
+      requiresReason: true,
+      guard: ({ order, actorId }) =>
+        order.createdById === actorId
+          ? "You cannot reject your own created orders"
+          : null,
+    },
+    on_hold: { requiresReason: true },
+    cancelled: { requiresReason: true },
+  },
+  not_matched: {
+    pending_approval: {},
+    cancelled: { requiresReason: true },
+  },
+  matched: {
+    document_phase: { system: "Order documents has not been generated" },
+    not_matched: { requiresReason: true },
+    on_hold: { requiresReason: true },
+    cancelled: { requiresReason: true },
+  },
+  document_phase: {
+    processing: {},
+    matched: { requiresReason: true }, // e.g. a document was generated wrong
+    on_hold: { requiresReason: true },
+    cancelled: { requiresReason: true },
+  },
+  processing: {
+    completed: {
+      guard: async ({ order, transaction }) => {
+        const missing = await getMissingAttachments(order, transaction);
+        return missing.length
+          ? `Required attachments are missing: ${missing
+              .map((category) => ATTACHMENT_CATEGORIES[category].label)
+              .join(", ")}`
+          : null;
+      },
+    },
+    document_phase: { requiresReason: true },
+    on_hold: { requiresReason: true },
+    cancelled: { requiresReason: true },
+  },
+  // on_hold can only resume to the status it was held from (see below)
+  on_hold: {
+    cancelled: { requiresReason: true },
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {},
+};
+
+/**
+ * Status an on-hold order was held from, taken from its history.
+ */
+async function getHeldFromStatus(orderId, transaction) {
+  const entry = await OrderStatusHistory.findOne({
+    where: { orderId, toStatus: "on_hold" },
+    order: [["changedAt", "DESC"]],
+    transaction,
+  });
+  return entry ? entry.fromStatus : null;
+}
+
+/**
+ * Statuses an order can move to from its current status.
+ */
+async function getAvailableTransitions(order, { system = false } = {}) {
+  const targets = Object.entries(TRANSITIONS[order.status] || {})
+    .filter(([, rule]) => system || !rule.system)
+    .map(([status]) => status);
+
+  if (order.status === "on_hold") {
+    const heldFrom = await getHeldFromStatus(order.id);
+    if (heldFrom) targets.unshift(heldFrom);
+  }
+
+  return targets;
+}
+
+/**
+ * Check a transition. Returns an error message, or null when allowed.
+ * Pass `system: true` when the move comes from its own workflow
+ * (approval, document generation, signing).
+ */
+async function checkTransition(
+  order,
+  toStatus,
+  { actorId, reason, system = false, transaction } = {}
+) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    return `Unknown order status: ${toStatus}`;
+  }
+
+  const fromStatus = order.status;
+  let rule = (TRANSITIONS[fromStatus] || {})[toStatus];
+
+  if (!rule && fromStatus === "on_hold") {
+    const heldFrom = await getHeldFromStatus(order.id, transaction);
+    if (heldFrom === toStatus) rule = {};
+  }
+
+  if (!rule) {
+    return `Invalid status transition from ${fromStatus} to ${toStatus}`;
+  }
+  if (rule.system && !system) {
+    return rule.system;
+  }
+  if (rule.requiresReason && !(reason && String(reason).trim())) {
+    return `A reason is required to move an order from ${fromStatus} to ${toStatus}`;
+  }
+  if (rule.guard) {
+    return rule.guard({ order, actorId, reason, transaction });
+  }
+  return null;
+}
+
+/**
+ * Move an order to a new status and record it in OrderStatusHistory.
+ * `changes` are extra order fields saved with the status.
+ */
+async function transitionOrder(
+  order,
+  toStatus,
+  {
+    actorId = null,
+    reason = null,
+    metadata = null,
+    changes = {},
+    system = false,
+    transaction,
+  } = {}
+) {
+  const error = await checkTransition(order, toStatus, {
+    actorId,
+    reason,
+    system,
+    transaction,
+  });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const fromStatus = order.status;
+  await order.update({ ...changes, status: toStatus }, { transaction });
+
+  return OrderStatusHistory.create(
+    { orderId: order.id, fromStatus, toStatus, actorId, reason, metadata },
+    { transaction }
+  );
+}
+
+/**
+ * Record the initial status of a newly created order.
+ */
+async function recordInitialStatus(order, { actorId = null, transaction } = {}) {
+  return OrderStatusHistory.create(
+    {
+      orderId: order.id,
+      fromStatus: null,
+      toStatus: order.status,
+      actorId,
+    },
+    { transaction }
+  );
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  getAvailableTransitions,
+  checkTransition,
+  transitionOrder,
+  recordInitialStatus,
+};
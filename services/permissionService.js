@@ -0,0 +1,127 @@
+const { Role, RolePermission, User } = require("../models");
+const {
+  ADMIN_ROLE,
+  PERMISSIONS,
+  SYSTEM_ROLES,
+} = require("../config/permissions");
+
+// Roles and their permissions change rarely; they are cached for a minute
+// and the cache is dropped whenever an admin edits them
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  const roles = await Role.findAll({
+    include: [{ model: RolePermission, as: "permissions" }],
+  });
+  const byId = new Map();
+  const byName = new Map();
+  roles.forEach((role) => {
+    const entry = {
+      id: role.id,
+      name: role.name,
+      permissions: new Set(
+        role.permissions
+          .filter((grant) => grant.granted)
+          .map((grant) => grant.permission)
+      ),
+    };
+    byId.set(role.id, entry);
+    byName.set(role.name, entry);
+  });
+
+  cache = { loadedAt: Date.now(), byId, byName };
+  return cache;
+}
+
+function clearPermissionCache() {
+  cache = null;
+}
+
+/**
+ * System role matching an account: buyer/supplier clients, then admins and
+ * account managers (role Super Admin, buyer or supplier, no clientType).
+ * Clients come first as their role is free text chosen at sign-up.
+ */
+function defaultRoleName(user) {
+  if (user.clientType === "Buyer") return "buyer_client";
+  if (user.clientType === "Supplier") return "supplier_client";
+  if (user.role === ADMIN_ROLE) return "super_admin";
+  if (user.role === "buyer") return "buyer_account_manager";
+  if (user.role === "supplier") return "supplier_account_manager";
+  return null;
+}
+
+/**
+ * The role of an authenticated user (req.user): the one assigned to them,
+ * or the system role of their account type. Null when neither exists.
+ */
+async function getRoleFor(user) {
+  const roles = await loadRoles();
+  if (user.id) {
+    const record = await User.findByPk(user.id, {
+      attributes: ["id", "roleId"],
+    });
+    if (record && record.roleId && roles.byId.has(record.roleId)) {
+      return roles.byId.get(record.roleId);
+    }
+  }
+  return roles.byName.get(defaultRoleName(user)) || null;
+}
+
+async function getPermissions(user) {
+  const role = user ? await getRoleFor(user) : null;
+  return role ? role.permissions : new Set();
+}
+
+async function hasPermission(user, permission) {
+  return (await getPermissions(user)).has(permission);
+}
+
+/**
+ * Permission keys that are not in the registry
+ */
+function unknownPermissions(permissions) {
+  return permissions.filter((permission) => !PERMISSIONS[permission]);
+}
+
+/**
+ * Create the system roles and grant their default permissions. Defaults
+ * an admin revoked stay revoked; permissions added to the registry since
+ * the last start are granted.
+ */
+async function ensureSystemRoles() {
+  for (const [name, { description, permissions }] of Object.entries(
+    SYSTEM_ROLES
+  )) {
+    const [role] = await Role.findOrCreate({
+      where: { name },
+      defaults: { description, isSystem: true },
+    });
+    const existing = await RolePermission.findAll({
+      where: { roleId: role.id },
+      attributes: ["permission"],
+    });
+    const missing = permissions.filter(
+      (permission) => !existing.some((grant) => grant.permission === permission)
+    );
+    if (missing.length) {
+      await RolePermission.bulkCreate(
+        missing.map((permission) => ({ roleId: role.id, permission }))
+      );
+    }
+  }
+  clearPermissionCache();
+}
+
+module.exports = {
+  defaultRoleName,
+  getRoleFor,
+  getPermissions,
+  hasPermission,
+  unknownPermissions,
+  clearPermissionCache,
+  ensureSystemRoles,
+};
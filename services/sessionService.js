@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const { Session, User } = require("../models");
+const sequelize = require("../config/database");
+const {
+  accessTokenTtl,
+  refreshTokenDays,
+  sessionRetentionDays,
+} = require("../config/auth");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const refreshExpiry = (now) =>
+  new Date(now.getTime() + refreshTokenDays * DAY_MS);
+
+const tokensFor = (user, session, refreshToken) => ({
+  token: jwt.sign(
+    {
+      id: user.id,
+      role: user.role,
+      clientType: user.clientType || null,
+      sid: session.id,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl }
+  ),
+  refreshToken,
+  expiresIn: accessTokenTtl,
+});
+
+/**
+ * Open a session for a user who just authenticated. Returns the access
+ * token (as `token`, like logins always did) and the refresh token.
+ */
+async function startSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(new Date()),
+    userAgent: req?.get("user-agent")?.slice(0, 255) || null,
+    ipAddress: req?.ip || null,
+  });
+  return tokensFor(user, session, refreshToken);
+}
+
+/**
+ * Swap a refresh token for a new pair. Presenting the token a session
+ * already swapped means it was copied, so that session is revoked and
+ * neither holder can go on. Returns `{ error }` when refused.
+ */
+async function refreshSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const session = await Session.findOne({
+      where: { refreshTokenHash: hash },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!session) {
+      const replayed = await Session.findOne({
+        where: { previousTokenHash: hash, revokedAt: null },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (replayed) {
+        await replayed.update(
+          { revokedAt: now, revokedReason: "token_reuse" },
+          { transaction }
+        );
+      }
+      await transaction.commit();
+      return { error: "Invalid refresh token" };
+    }
+
+    if (session.revokedAt || session.expiresAt <= now) {
+      await transaction.rollback();
+      return { error: "Session has ended" };
+    }
+
+    const user = await User.findByPk(session.userId, {
+      attributes: ["id", "role", "clientType", "suspendedAt"],
+      transaction,
+    });
+    if (!user || user.suspendedAt) {
+      await transaction.rollback();
+      return { error: "Account unavailable" };
+    }
+
+    const next = newRefreshToken();
+    await session.update(
+      {
+        previousTokenHash: hash,
+        refreshTokenHash: hashToken(next),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now),
+      },
+      { transaction }
+    );
+    await transaction.commit();
+    return tokensFor(user, session, next);
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * End one session. Access tokens issued for it stop working at once.
+ */
+async function revokeSession(sessionId, reason) {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+  return revoked;
+}
+
+/**
+ * End every open session of a user. Returns how many were open.
+ */
+async function revokeUserSessions(userId, reason, options = {}) {
+  const [revoked] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null }, transaction: options.transaction }
+  );
+  return revoked;
+}
+
+/**
+ * Job: delete sessions that ended more than sessionRetentionDays ago.
+ */
+async function purgeEndedSessions(now = new Date()) {
+  const before = new Date(now.getTime() - sessionRetentionDays * DAY_MS);
+  const deleted = await Session.destroy({
+    where: {
+      [Op.or]: [
+        { revokedAt: { [Op.lt]: before } },
+        { expiresAt: { [Op.lt]: before } },
+      ],
+    },
+  });
+  return { deleted };
+}
+
+module.exports = {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  purgeEndedSessions,
+};
@@ -0,0 +1,141 @@
+const sequelize = require("../config/database");
+const { Order, Shipment, Notification } = require("../models");
+const { checkTransition, transitionOrder } = require("./orderStateMachine");
+
+// Milestones in the order they happen. A shipment may skip ahead (a truck
+// delivered the same day it left) but never moves back.
+const MILESTONES = ["loaded", "departed", "arrived", "delivered"];
+
+// Shipments are planned and tracked once the order is signed
+const SHIPPABLE_STATUSES = ["processing", "on_hold"];
+
+/**
+ * Check a milestone for a shipment. Returns an error message, or null
+ * when the shipment can record it. `cancelled` is accepted until delivery.
+ */
+function checkMilestone(shipment, milestone) {
+  if (![...MILESTONES, "cancelled"].includes(milestone)) {
+    return `milestone must be one of ${MILESTONES.join(", ")}, cancelled`;
+  }
+  if (shipment.status === "cancelled") {
+    return "Shipment is cancelled";
+  }
+  if (milestone === "cancelled") {
+    return shipment.status === "delivered"
+      ? "Delivered shipments cannot be cancelled"
+      : null;
+  }
+  if (MILESTONES.indexOf(milestone) <= MILESTONES.indexOf(shipment.status)) {
+    return `Shipment is already ${shipment.status}`;
+  }
+  return null;
+}
+
+/**
+ * Delivery progress of an order's shipments. Cancelled shipments do not
+ * count towards either total.
+ */
+function summarizeShipments(order, shipments) {
+  const active = shipments.filter(
+    (shipment) => shipment.status !== "cancelled"
+  );
+  const tonnageLoaded = active.reduce(
+    (total, shipment) => total + (shipment.tonnageLoaded || 0),
+    0
+  );
+  const tonnageDelivered = active
+    .filter((shipment) => shipment.status === "delivered")
+    .reduce((total, shipment) => total + (shipment.tonnageLoaded || 0), 0);
+
+  return {
+    shipments: active.length,
+    delivered: active.filter((shipment) => shipment.status === "delivered")
+      .length,
+    capacity: order.capacity,
+    tonnageLoaded,
+    tonnageDelivered,
+    fullyDelivered:
+      active.length > 0 &&
+      active.every((shipment) => shipment.status === "delivered") &&
+      tonnageLoaded >= order.capacity,
+  };
+}
+
+/**
+ * Complete a processing order once every shipment is delivered and the
+ * loaded tonnage covers its capacity. The completion guards (required
+ * attachments) still apply. Returns true when the order was completed.
+ */
+async function tryAutoComplete(orderId, actorId) {
+  const transaction = await sequelize.transaction();
+  try {
+    const order = await Order.findByPk(orderId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!order || order.status !== "processing") {
+      await transaction.rollback();
+      return false;
+    }
+
+    const shipments = await Shipment.findAll({
+      where: { orderId },
+      transaction,
+    });
+    const summary = summarizeShipments(order, shipments);
+    const transitionError =
+      !summary.fullyDelivered ||
+      (await checkTransition(order, "completed", {
+        actorId,
+        system: true,
+        transaction,
+      }));
+    if (transitionError) {
+      await transaction.rollback();
+      return false;
+    }
+
+    await transitionOrder(order, "completed", {
+      actorId,
+      system: true,
+      reason: "All shipments delivered",
+      metadata: {
+        tonnageLoaded: summary.tonnageLoaded,
+        capacity: summary.capacity,
+      },
+      transaction,
+    });
+
+    await Notification.bulkCreate(
+      [
+        order.buyerId,
+        order.supplierId,
+        order.buyerAccountManagerId,
+        order.supplierAccountManagerId,
+      ]
+        .filter(Boolean)
+        .map((userId) => ({
+          userId,
+          orderId: order.id,
+          message: `All shipments delivered (${summary.tonnageLoaded}t) - order is now completed`,
+          type: "order_completed",
+          triggeredById: actorId,
+        })),
+      { transaction }
+    );
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    throw error;
+  }
+}
+
+module.exports = {
+  MILESTONES,
+  SHIPPABLE_STATUSES,
+  checkMilestone,
+  summarizeShipments,
+  tryAutoComplete,
+};
@@ -0,0 +1,119 @@
+const { PDFDocument, rgb } = require("pdf-lib");
+const { embedUnicodeFont } = require("../utils/pdfFonts");
+
+const SIGNATURE_TYPES = ["drawn", "typed"];
+
+// Drawn signatures come from a signature pad as PNG or JPEG data URLs
+const MAX_IMAGE_BYTES = 500 * 1024;
+const MAX_TYPED_LENGTH = 100;
+const DATA_URL_PATTERN = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/;
+
+// Space under the signature for the "signed electronically" caption
+const CAPTION_HEIGHT = 9;
+
+/**
+ * Validate a signature from the request body:
+ * { signatureType: "drawn", signature: "data:image/png;base64,..." }
+ * or { signatureType: "typed", signature: "Ada Obi" }.
+ * Throws on invalid input.
+ */
+function parseSignature({ signatureType, signature } = {}) {
+  if (!SIGNATURE_TYPES.includes(signatureType)) {
+    throw new Error(
+      `signatureType must be one of ${SIGNATURE_TYPES.join(", ")}`
+    );
+  }
+  if (typeof signature !== "string" || !signature.trim()) {
+    throw new Error("signature is required");
+  }
+
+  if (signatureType === "typed") {
+    const text = signature.trim();
+    if (text.length > MAX_TYPED_LENGTH) {
+      throw new Error(
+        `Typed signatures are limited to ${MAX_TYPED_LENGTH} characters`
+      );
+    }
+    return { type: "typed", data: text };
+  }
+
+  const match = signature.trim().match(DATA_URL_PATTERN);
+  if (!match) {
+    throw new Error("Drawn signatures must be a PNG or JPEG data URL");
+  }
+  const bytes = Buffer.from(match[2], "base64");
+  if (!bytes.length || bytes.length > MAX_IMAGE_BYTES) {
+    throw new Error(
+      `Drawn signatures must be under ${MAX_IMAGE_BYTES / 1024}KB`
+    );
+  }
+
+  return {
+    type: "drawn",
+    data: signature.trim(),
+    image: { format: match[1] === "png" ? "png" : "jpg", bytes },
+  };
+}
+
+/**
+ * Stamp a parsed signature into a field ({ page, x, y, width, height })
+ * of a PDF, with a caption naming the signer and the time of signing.
+ * Returns the new PDF bytes.
+ */
+async function stampSignature(pdfBytes, field, signature, meta) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const page = pdfDoc.getPages()[field.page];
+  if (!page) {
+    throw new Error("Signature field is outside the document");
+  }
+
+  const box = {
+    x: field.x,
+    y: field.y + CAPTION_HEIGHT,
+    width: field.width,
+    height: field.height - CAPTION_HEIGHT,
+  };
+
+  if (signature.type === "drawn") {
+    const image =
+      signature.image.format === "png"
+        ? await pdfDoc.embedPng(signature.image.bytes)
+        : await pdfDoc.embedJpg(signature.image.bytes);
+    const { width, height } = image.scaleToFit(box.width, box.height);
+    page.drawImage(image, {
+      x: box.x,
+      y: box.y + (box.height - height) / 2,
+      width,
+      height,
+    });
+  } else {
+    const font = await embedUnicodeFont(pdfDoc, "oblique");
+    const size = Math.min(
+      22,
+      box.height * 0.8,
+      box.width / font.widthOfTextAtSize(signature.data, 1)
+    );
+    page.drawText(signature.data, {
+      x: box.x,
+      y: box.y + (box.height - size) / 2 + size * 0.2,
+      size,
+      font,
+      color: rgb(0.05, 0.1, 0.4),
+    });
+  }
+
+  const captionFont = await embedUnicodeFont(pdfDoc);
+  const signedAt = meta.signedAt.toISOString().replace("T", " ").slice(0, 16);
+  const caption = `Signed electronically by ${meta.signerName}, ${signedAt} UTC`;
+  page.drawText(caption, {
+    x: field.x,
+    y: field.y + 1,
+    size: Math.min(6, field.width / captionFont.widthOfTextAtSize(caption, 1)),
+    font: captionFont,
+    color: rgb(0.3, 0.3, 0.3),
+  });
+
+  return pdfDoc.save();
+}
+
+module.exports = { SIGNATURE_TYPES, parseSignature, stampSignature };
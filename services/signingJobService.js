@@ -0,0 +1,273 @@
+const { Op } = require("sequelize");
+const {
+  Document,
+  Order,
+  SigningRequest,
+  User,
+  Notification,
+} = require("../models");
+const sequelize = require("../config/database");
+const { signing } = require("../config/jobs");
+const { sendEmail, templates } = require("../utils/emailService");
+const { transitionOrder } = require("./orderStateMachine");
+
+// Documents still waiting for someone's signature
+const SIGNABLE_STATUSES = ["pending_signatures", "partially_signed"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBefore = (now, days) => new Date(now.getTime() - days * DAY_MS);
+
+const expiresAtOf = (document) =>
+  new Date(
+    new Date(document.createdAt).getTime() + signing.expireAfterDays * DAY_MS
+  );
+
+const labelOf = (document) => document.type.replace("_", " ");
+
+const nameOf = (user) => (user ? `${user.firstName} ${user.lastName}` : null);
+
+/**
+ * Pending signing requests older than the reminder threshold, on current
+ * documents still being signed, with their signer and document loaded
+ */
+function findStalledRequests(now, where = {}) {
+  return SigningRequest.findAll({
+    where: {
+      status: "pending",
+      initiatedAt: { [Op.lte]: daysBefore(now, signing.reminderAfterDays) },
+      ...where,
+    },
+    include: [
+      {
+        model: User,
+        as: "user",
+        attributes: ["id", "email", "firstName", "lastName"],
+      },
+      {
+        model: Document,
+        as: "document",
+        required: true,
+        where: { status: SIGNABLE_STATUSES, supersededById: null },
+        include: [{ model: Order, as: "order" }],
+      },
+    ],
+    order: [["initiatedAt", "ASC"]],
+  });
+}
+
+/**
+ * Remind signers who have not signed, by notification and email, at most
+ * once per reminder interval
+ */
+async function sendSigningReminders(now = new Date()) {
+  const requests = await findStalledRequests(now, {
+    [Op.or]: [
+      { lastReminderAt: null },
+      {
+        lastReminderAt: {
+          [Op.lte]: daysBefore(now, signing.reminderIntervalDays),
+        },
+      },
+    ],
+  });
+
+  for (const request of requests) {
+    const { document, user } = request;
+    const expiresAt = expiresAtOf(document);
+    const label = labelOf(document);
+
+    await Notification.create({
+      userId: request.userId,
+      orderId: document.orderId,
+      message: `Reminder: ${label} ${document.invoiceNumber} is waiting for your signature`,
+      type: "signature_reminder",
+      metadata: {
+        documentId: document.id,
+        docType: document.type,
+        signingRequestId: request.id,
+        expiresAt,
+      },
+    });
+    if (user?.email) {
+      const email = templates.signatureReminder(user, {
+        label,
+        number: document.invoiceNumber,
+        expiresAt,
+      });
+      await sendEmail(user.email, email.subject, email.text);
+    }
+
+    await request.update({
+      lastReminderAt: now,
+      reminderCount: request.reminderCount + 1,
+    });
+  }
+
+  return { reminded: requests.length };
+}
+
+/**
+ * Expire one document past its deadline: its pending signatures expire
+ * and an order in document_phase goes back to matched. Returns whether
+ * the order was rolled back, or null when the document no longer needed
+ * expiring.
+ */
+async function expireDocument(documentId, now) {
+  let transaction;
+  try {
+    transaction = await sequelize.transaction();
+    const document = await Document.findByPk(documentId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    // Signed or regenerated since it was selected
+    if (
+      !document ||
+      !SIGNABLE_STATUSES.includes(document.status) ||
+      document.supersededById
+    ) {
+      await transaction.rollback();
+      return null;
+    }
+
+    await SigningRequest.update(
+      { status: "expired" },
+      { where: { documentId, status: "pending" }, transaction }
+    );
+    await document.update({ status: "expired" }, { transaction });
+
+    const order = await Order.findByPk(document.orderId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    const rolledBack = order?.status === "document_phase";
+    if (rolledBack) {
+      await transitionOrder(order, "matched", {
+        system: true,
+        reason: `Signing deadline passed: ${labelOf(document)} ${
+          document.invoiceNumber
+        } expired`,
+        metadata: { documentId, expiredAt: now },
+        transaction,
+      });
+    }
+    await transaction.commit();
+
+    const signers = await SigningRequest.findAll({
+      where: { documentId },
+      attributes: ["userId"],
+    });
+    const recipients = new Set([
+      ...signers.map((signer) => signer.userId),
+      order?.buyerAccountManagerId,
+      order?.supplierAccountManagerId,
+    ]);
+    recipients.delete(null);
+    recipients.delete(undefined);
+    await Notification.bulkCreate(
+      [...recipients].map((userId) => ({
+        userId,
+        orderId: document.orderId,
+        message: `${labelOf(document)} ${
+          document.invoiceNumber
+        } expired before everyone signed${
+          rolledBack ? " - the order is back to matched" : ""
+        }`,
+        type: "document_expired",
+        metadata: { documentId, docType: document.type },
+      }))
+    );
+
+    return rolledBack;
+  } catch (error) {
+    if (transaction && !transaction.finished) await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Expire documents not fully signed within the signing deadline
+ */
+async function expireOverdueDocuments(now = new Date()) {
+  const documents = await Document.findAll({
+    where: {
+      status: SIGNABLE_STATUSES,
+      supersededById: null,
+      createdAt: { [Op.lte]: daysBefore(now, signing.expireAfterDays) },
+    },
+    attributes: ["id"],
+  });
+
+  let expired = 0;
+  let ordersRolledBack = 0;
+  for (const { id } of documents) {
+    const rolledBack = await expireDocument(id, now);
+    if (rolledBack === null) continue;
+    expired += 1;
+    if (rolledBack) ordersRolledBack += 1;
+  }
+
+  return { expired, ordersRolledBack };
+}
+
+/**
+ * Send each account manager the stalled signatures on the documents of
+ * their side of an order
+ */
+async function sendStalledSignatureDigest(now = new Date()) {
+  const requests = await findStalledRequests(now);
+
+  const byManager = new Map();
+  for (const request of requests) {
+    const { document } = request;
+    const managerId =
+      document.type === "purchase_order"
+        ? document.order?.supplierAccountManagerId
+        : document.order?.buyerAccountManagerId;
+    if (!managerId) continue;
+
+    if (!byManager.has(managerId)) byManager.set(managerId, []);
+    byManager.get(managerId).push({
+      documentId: document.id,
+      orderId: document.orderId,
+      label: labelOf(document),
+      number: document.invoiceNumber,
+      party: request.party,
+      signerName: nameOf(request.user) || request.userId,
+      waitingDays: Math.floor(
+        (now.getTime() - new Date(request.initiatedAt).getTime()) / DAY_MS
+      ),
+      expiresAt: expiresAtOf(document),
+    });
+  }
+
+  const managers = await User.findAll({
+    where: { id: [...byManager.keys()] },
+    attributes: ["id", "email", "firstName", "lastName"],
+  });
+  for (const manager of managers) {
+    const items = byManager.get(manager.id);
+    await Notification.create({
+      userId: manager.id,
+      message: `${items.length} signature${
+        items.length === 1 ? " is" : "s are"
+      } waiting on your orders`,
+      type: "signing_digest",
+      metadata: { items },
+    });
+    if (manager.email) {
+      const email = templates.stalledSignaturesDigest(manager, items);
+      await sendEmail(manager.email, email.subject, email.text);
+    }
+  }
+
+  return { managers: managers.length, stalled: requests.length };
+}
+
+module.exports = {
+  SIGNABLE_STATUSES,
+  sendSigningReminders,
+  expireOverdueDocuments,
+  sendStalledSignatureDigest,
+};
@@ -0,0 +1,56 @@
+const axios = require("axios");
+const cloudinary = require("../../config/cloudinary");
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|svg)$/i;
+
+// Images are Cloudinary image assets, whose public id has no extension;
+// everything else (PDFs) is stored raw under the full key
+const assetOf = (key, isPrivate) =>
+  IMAGE_EXTENSIONS.test(key)
+    ? {
+        publicId: key.replace(IMAGE_EXTENSIONS, ""),
+        resource_type: "image",
+        type: isPrivate ? "private" : "upload",
+      }
+    : {
+        publicId: key,
+        resource_type: "raw",
+        type: isPrivate ? "private" : "upload",
+      };
+
+async function put(key, buffer, { isPrivate = false } = {}) {
+  const { publicId, ...options } = assetOf(key, isPrivate);
+  const result = await new Promise((resolve, reject) => {
+    cloudinary.uploader
+      .upload_stream(
+        { ...options, public_id: publicId, invalidate: true, overwrite: true },
+        (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+      )
+      .end(buffer);
+  });
+  return { key, url: isPrivate ? null : result.secure_url };
+}
+
+async function getSignedUrl(key, { expiresIn = 3600, isPrivate = false } = {}) {
+  const { publicId, ...options } = assetOf(key, isPrivate);
+  return cloudinary.url(publicId, {
+    ...options,
+    secure: true,
+    sign_url: true,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+  });
+}
+
+async function getStream(key, options = {}) {
+  const response = await axios.get(await getSignedUrl(key, options), {
+    responseType: "stream",
+  });
+  return response.data;
+}
+
+async function remove(key, { isPrivate = false } = {}) {
+  const { publicId, ...options } = assetOf(key, isPrivate);
+  await cloudinary.uploader.destroy(publicId, { ...options, invalidate: true });
+}
+
+module.exports = { put, getStream, getSignedUrl, delete: remove };
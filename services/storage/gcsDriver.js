@@ -0,0 +1,43 @@
+const { Storage } = require("@google-cloud/storage");
+const { gcs: config } = require("../../config/storage");
+
+if (!config.bucket) {
+  throw new Error("GCS_BUCKET must be set to use the gcs storage driver");
+}
+
+const bucket = new Storage().bucket(config.bucket);
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+const publicUrlOf = (key) =>
+  `${
+    config.publicUrl || `https://storage.googleapis.com/${config.bucket}`
+  }/${encodeKey(key)}`;
+
+async function put(key, buffer, { contentType, isPrivate = false } = {}) {
+  await bucket.file(key).save(buffer, {
+    contentType,
+    resumable: false,
+    predefinedAcl: isPrivate ? "private" : "publicRead",
+  });
+  return { key, url: isPrivate ? null : publicUrlOf(key) };
+}
+
+async function getStream(key) {
+  return bucket.file(key).createReadStream();
+}
+
+async function getSignedUrl(key, { expiresIn = 3600 } = {}) {
+  const [url] = await bucket.file(key).getSignedUrl({
+    version: "v4",
+    action: "read",
+    expires: Date.now() + expiresIn * 1000,
+  });
+  return url;
+}
+
+async function remove(key) {
+  await bucket.file(key).delete({ ignoreNotFound: true });
+}
+
+module.exports = { put, getStream, getSignedUrl, delete: remove };
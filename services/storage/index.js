@@ -0,0 +1,34 @@
+const config = require("../../config/storage");
+
+// Every driver implements the same interface. Keys are slash-separated
+// paths such as "products/123-tank.png" or "signed_docs/<id>.pdf";
+// `isPrivate` must be passed the same way for every call on a file.
+//
+//   put(key, buffer, { contentType, isPrivate })  -> { key, url }
+//     `url` is the permanent public URL, or null for private files
+//   getStream(key, { isPrivate })                -> Promise<Readable>
+//   getSignedUrl(key, { expiresIn, isPrivate })  -> Promise<string>
+//     `expiresIn` in seconds (default 3600)
+//   delete(key, { isPrivate })                   -> Promise
+//
+// The local driver also exposes `router`, which the app mounts at
+// `mountPath` to serve its files.
+const DRIVERS = {
+  cloudinary: "./cloudinaryDriver",
+  s3: "./s3Driver",
+  gcs: "./gcsDriver",
+  local: "./localDriver",
+};
+
+if (!DRIVERS[config.driver]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${config.driver}", expected one of ${Object.keys(
+      DRIVERS
+    ).join(", ")}`
+  );
+}
+
+// Only the selected driver's SDK is loaded
+const storage = require(DRIVERS[config.driver]);
+
+module.exports = storage;
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { local: config } = require("../../config/storage");
+
+const root = path.resolve(config.root);
+const dirs = {
+  public: path.join(root, "public"),
+  private: path.join(root, "private"),
+};
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * Path of a key on disk. Throws on keys that would leave the storage
+ * directory.
+ */
+function filePath(key, isPrivate) {
+  const dir = isPrivate ? dirs.private : dirs.public;
+  const resolved = path.resolve(dir, key);
+  if (!key || !resolved.startsWith(dir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return resolved;
+}
+
+const signatureOf = (key, expires) => {
+  if (!config.signingSecret) {
+    throw new Error(
+      "STORAGE_SIGNING_SECRET (or JWT_SECRET) must be set to sign file URLs"
+    );
+  }
+  return crypto
+    .createHmac("sha256", config.signingSecret)
+    .update(`${key}:${expires}`)
+    .digest("hex");
+};
+
+async function put(key, buffer, { isPrivate = false } = {}) {
+  const target = filePath(key, isPrivate);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.writeFile(target, buffer);
+  return {
+    key,
+    url: isPrivate ? null : `${config.baseUrl}/public/${encodeKey(key)}`,
+  };
+}
+
+async function getStream(key, { isPrivate = false } = {}) {
+  const target = filePath(key, isPrivate);
+  await fs.promises.access(target);
+  return fs.createReadStream(target);
+}
+
+async function getSignedUrl(key, { expiresIn = 3600, isPrivate = false } = {}) {
+  filePath(key, isPrivate);
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = isPrivate
+    ? `?expires=${expires}&signature=${signatureOf(key, expires)}`
+    : "";
+  return `${config.baseUrl}/${isPrivate ? "private" : "public"}/${encodeKey(
+    key
+  )}${query}`;
+}
+
+async function remove(key, { isPrivate = false } = {}) {
+  await fs.promises.rm(filePath(key, isPrivate), { force: true });
+}
+
+// Serves public files as they are and private ones on a valid, unexpired
+// signature from getSignedUrl
+const router = express.Router();
+
+router.use((req, res, next) => {
+  // Product images are shown on other origins
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
+  next();
+});
+
+router.use(
+  "/public",
+  express.static(dirs.public, { index: false, dotfiles: "deny" })
+);
+
+router.get(/^\/private\/(.+)$/, async (req, res) => {
+  const key = req.params[0];
+  const expires = parseInt(req.query.expires, 10);
+  const signature = String(req.query.signature || "");
+
+  if (Number.isNaN(expires) || expires * 1000 < Date.now()) {
+    return res.status(403).json({ error: "Invalid or expired file link" });
+  }
+  const expected = signatureOf(key, expires);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return res.status(403).json({ error: "Invalid or expired file link" });
+  }
+
+  try {
+    const stream = await getStream(key, { isPrivate: true });
+    res.type(path.extname(key) || "application/octet-stream");
+    stream.pipe(res);
+  } catch (error) {
+    res.status(404).json({ error: "File not found" });
+  }
+});
+
+module.exports = {
+  put,
+  getStream,
+  getSignedUrl,
+  delete: remove,
+  router,
+  mountPath: "/files",
+};
@@ -0,0 +1,47 @@
+const AWS = require("aws-sdk");
+const { s3: config } = require("../../config/storage");
+
+if (!config.bucket) {
+  throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+}
+
+const s3 = new AWS.S3({ region: config.region });
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+const publicUrlOf = (key) =>
+  `${
+    config.publicUrl ||
+    `https://${config.bucket}.s3.${config.region}.amazonaws.com`
+  }/${encodeKey(key)}`;
+
+async function put(key, buffer, { contentType, isPrivate = false } = {}) {
+  await s3
+    .putObject({
+      Bucket: config.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      ACL: isPrivate ? "private" : "public-read",
+    })
+    .promise();
+  return { key, url: isPrivate ? null : publicUrlOf(key) };
+}
+
+async function getStream(key) {
+  return s3.getObject({ Bucket: config.bucket, Key: key }).createReadStream();
+}
+
+async function getSignedUrl(key, { expiresIn = 3600 } = {}) {
+  return s3.getSignedUrlPromise("getObject", {
+    Bucket: config.bucket,
+    Key: key,
+    Expires: expiresIn,
+  });
+}
+
+async function remove(key) {
+  await s3.deleteObject({ Bucket: config.bucket, Key: key }).promise();
+}
+
+module.exports = { put, getStream, getSignedUrl, delete: remove };
@@ -67,6 +67,45 @@ Thank you!`,
     subject: "Account Rejected",
     text: `Dear ${user.firstName},\n\nYour account has been rejected for the following reason:\n\n${reason}\n\nPlease contact support if you have questions.`,
   }),
+  signatureReminder: (user, { label, number, expiresAt }) => ({
+    subject: `Reminder: ${label} ${number} is waiting for your signature`,
+    text: `Dear ${
+      user.firstName
+    },\n\nThe ${label} ${number} is still waiting for your signature. Please log in to the Revas platform to review and sign it before ${expiresAt.toUTCString()}, when it expires.\n\nThank you!`,
+  }),
+
+  stalledSignaturesDigest: (manager, items) => ({
+    subject: `${items.length} signature${
+      items.length === 1 ? " is" : "s are"
+    } waiting on your orders`,
+    text: `Hello ${
+      manager.firstName
+    },\n\nThese signatures have been waiting for a while:\n\n${items
+      .map(
+        (item) =>
+          `- ${item.label} ${item.number}: ${item.signerName} (${
+            item.party
+          }), waiting ${
+            item.waitingDays
+          } days, expires ${item.expiresAt.toUTCString()}`
+      )
+      .join(
+        "\n"
+      )}\n\nDocuments expire at their deadline and the order goes back to matched.\n\nThe Revas Team`,
+  }),
+
+  accountManagerCreated: (user, password) => ({
+    subject: "Your Revas Account Manager Account",
+    text: `Dear ${user.firstName},\n\nAn account manager account has been created for you on the Revas platform.\n\nEmail: ${user.email}\nTemporary password: ${password}\n\nPlease login and change your password.\n\nThe Revas Team`,
+  }),
+
+  accountSuspended: (user, reason) => ({
+    subject: "Account Suspended",
+    text: `Dear ${user.firstName},\n\nYour Revas account has been suspended${
+      reason ? ` for the following reason:\n\n${reason}` : "."
+    }\n\nPlease contact support if you have questions.`,
+  }),
+
   forgotPasswordMail: (code, resetUrl) => ({
     subject: "Password Reset",
     text: `You are receiving this because you (or someone else) have requested a password reset for your account.\n\n
@@ -0,0 +1,82 @@
+// Approximate coordinates of the trading hubs we see in buyer and supplier
+// locations. Locations are free text ("Lagos, Nigeria"), so lookups match
+// on any comma-separated part.
+const KNOWN_LOCATIONS = {
+  lagos: [6.5244, 3.3792],
+  apapa: [6.4474, 3.3617],
+  ikeja: [6.6018, 3.3515],
+  "tin can": [6.4399, 3.3415],
+  ibadan: [7.3775, 3.947],
+  abeokuta: [7.1475, 3.3619],
+  ogun: [6.998, 3.4737],
+  abuja: [9.0765, 7.3986],
+  kano: [12.0022, 8.592],
+  kaduna: [10.5105, 7.4165],
+  jos: [9.8965, 8.8583],
+  ilorin: [8.4966, 4.5421],
+  "port harcourt": [4.8156, 7.0498],
+  onne: [4.7238, 7.1517],
+  warri: [5.5167, 5.75],
+  "benin city": [6.335, 5.6037],
+  benin: [6.335, 5.6037],
+  enugu: [6.4584, 7.5464],
+  onitsha: [6.1498, 6.7857],
+  aba: [5.1066, 7.3667],
+  owerri: [5.4836, 7.0333],
+  calabar: [4.9757, 8.3417],
+  uyo: [5.0377, 7.9128],
+  accra: [5.6037, -0.187],
+  tema: [5.6698, -0.0166],
+  cotonou: [6.3703, 2.3912],
+  lome: [6.1725, 1.2314],
+};
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z\s,]/g, "")
+    .trim();
+
+/**
+ * Coordinates for a free-text location, or null when unknown.
+ */
+function lookupLocation(location) {
+  const parts = normalize(location)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  for (const part of parts) {
+    if (KNOWN_LOCATIONS[part]) return KNOWN_LOCATIONS[part];
+  }
+  return null;
+}
+
+/**
+ * Great-circle distance in kilometres between two free-text locations,
+ * or null when either location is unknown.
+ */
+function distanceKm(from, to) {
+  const a = lookupLocation(from);
+  const b = lookupLocation(to);
+  if (!a || !b) return null;
+
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+
+  return Math.round(6371 * 2 * Math.asin(Math.sqrt(h)));
+}
+
+/**
+ * Whether two free-text locations share a country (their last part).
+ */
+function sameCountry(from, to) {
+  const country = (location) => normalize(location).split(",").pop().trim();
+  return !!country(from) && country(from) === country(to);
+}
+
+module.exports = { lookupLocation, distanceKm, sameCountry };
@@ -1,32 +1,59 @@
-const { Op } = require("sequelize");
-const { Order } = require("../models");
+const { issueNumber } = require("../services/numberSequenceService");
+
+/**
+ * Number series for a document type:
+ * - sales/purchase orders: SO-0925-BUY-001, per month and counterparty
+ * - invoices: INV-2025-0001, per year
+ */
+function seriesFor(order, docType, now = new Date()) {
+  if (docType === "invoice") {
+    const year = String(now.getFullYear());
+    return {
+      prefix: "INV",
+      period: year,
+      entity: "",
+      format: (value) => `INV-${year}-${String(value).padStart(4, "0")}`,
+    };
+  }
 
-async function generateInvoiceNumber(order, docType) {
-  const now = new Date();
   const month = String(now.getMonth() + 1).padStart(2, "0"); // e.g., "09"
   const year = String(now.getFullYear()).slice(-2); // e.g., "24"
 
   // Determine prefix based on document type
   const prefix = docType === "purchase_order" ? "PO" : "SO";
-  const name = docType === "purchase_order" ? order.supplierName : order.buyerName;
+  const name =
+    docType === "purchase_order" ? order.supplierName : order.buyerName;
   const entityPrefix = name.slice(0, 3).toUpperCase(); // "SUP" or "BUY"
 
-  // Fetch latest order for sequential numbering
-  const latestOrder = await Order.findOne({
-    where: { 
-      invoiceNumber: { [Op.like]: `${prefix}-${month}${year}-${entityPrefix}-%` } 
-    },
-    order: [["createdAt", "DESC"]],
-  });
-
-  // Generate sequential number (001, 002...)
-  let sequentialNumber = "001";
-  if (latestOrder) {
-    const lastNumber = parseInt(latestOrder.invoiceNumber.split("-").pop(), 10);
-    sequentialNumber = String(lastNumber + 1).padStart(3, "0");
-  }
+  return {
+    prefix,
+    period: `${month}${year}`,
+    entity: entityPrefix,
+    format: (value) =>
+      `${prefix}-${month}${year}-${entityPrefix}-${String(value).padStart(
+        3,
+        "0"
+      )}`,
+  };
+}
 
-  return `${prefix}-${month}${year}-${entityPrefix}-${sequentialNumber}`;
+/**
+ * Issue the next number for a document. Call it inside the transaction
+ * that creates the document so a failed generation does not use up a
+ * number.
+ */
+async function generateInvoiceNumber(
+  order,
+  docType,
+  { transaction, issuedById } = {}
+) {
+  const issued = await issueNumber(seriesFor(order, docType), {
+    documentType: docType,
+    orderId: order.id,
+    issuedById,
+    transaction,
+  });
+  return issued.number;
 }
 
-module.exports = { generateInvoiceNumber };
\ No newline at end of file
+module.exports = { generateInvoiceNumber, seriesFor };
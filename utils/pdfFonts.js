@@ -0,0 +1,31 @@
+const fs = require("fs");
+const fontkit = require("@pdf-lib/fontkit");
+
+// The standard PDF fonts only encode WinAnsi (Latin-1), so a name such as
+// "Adébáyọ̀ Ṣọlá" cannot be drawn with them. Text that comes from users goes
+// through these DejaVu faces instead, which cover extended Latin and
+// combining accents.
+const FONT_FILES = {
+  regular: "DejaVuSans.ttf",
+  bold: "DejaVuSans-Bold.ttf",
+  oblique: "DejaVuSans-Oblique.ttf",
+  mono: "DejaVuSansMono.ttf",
+};
+
+const fontBytes = {};
+
+/**
+ * Embed a Unicode font (regular, bold, oblique or mono) into a PDF.
+ * Only the glyphs drawn end up in the file.
+ */
+async function embedUnicodeFont(pdfDoc, style = "regular") {
+  if (!fontBytes[style]) {
+    fontBytes[style] = fs.readFileSync(
+      require.resolve(`dejavu-fonts-ttf/ttf/${FONT_FILES[style]}`)
+    );
+  }
+  pdfDoc.registerFontkit(fontkit);
+  return pdfDoc.embedFont(fontBytes[style], { subset: true });
+}
+
+module.exports = { embedUnicodeFont };
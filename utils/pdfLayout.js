@@ -0,0 +1,309 @@
+const { rgb } = require("pdf-lib");
+
+const PAGE_SIZE = [612, 792];
+const DEFAULT_MARGINS = { top: 40, bottom: 50, left: 32, right: 34 };
+
+// Distance from the top of a line to its baseline, as a share of font size
+const ASCENT = 0.8;
+
+/**
+ * Split text into lines no wider than maxWidth.
+ */
+function wrapText(text, font, size, maxWidth) {
+  const words = String(text).split(" ");
+  const lines = [];
+  let currentLine = "";
+
+  for (const word of words) {
+    const testLine = currentLine ? `${currentLine} ${word}` : word;
+    const testWidth = font.widthOfTextAtSize(testLine, size);
+
+    if (testWidth > maxWidth && currentLine) {
+      lines.push(currentLine);
+      currentLine = word;
+    } else {
+      currentLine = testLine;
+    }
+  }
+
+  if (currentLine) {
+    lines.push(currentLine);
+  }
+  return lines;
+}
+
+/**
+ * Draw wrapped text with its first baseline at y.
+ * Returns the baseline of the last line drawn.
+ */
+function drawWrappedText(page, text, x, y, maxWidth, lineHeight, options) {
+  const lines = wrapText(text, options.font, options.size, maxWidth);
+  lines.forEach((line, i) => {
+    page.drawText(line, { ...options, x, y: y - i * lineHeight });
+  });
+  return lines.length ? y - (lines.length - 1) * lineHeight : y;
+}
+
+/**
+ * Flowing layout over a PDF document. Content is placed top-down from a
+ * cursor (`y`, the top of the next line); pages are added when content
+ * does not fit, and headers/footers with page numbers are drawn once the
+ * page count is known (`finalize`).
+ *
+ * Text runs are { text, font, size, color, lineHeight, wrap }; any field
+ * but `text` falls back to the layout defaults. `wrap: false` keeps a run
+ * on one line (amounts).
+ */
+class PdfLayout {
+  constructor(
+    pdfDoc,
+    {
+      font,
+      pageSize = PAGE_SIZE,
+      margins = {},
+      fontSize = 10,
+      lineHeight = 15,
+      header,
+      footer,
+    } = {}
+  ) {
+    this.pdfDoc = pdfDoc;
+    this.pageSize = pageSize;
+    this.margins = { ...DEFAULT_MARGINS, ...margins };
+    this.defaults = { font, size: fontSize, lineHeight, color: rgb(0, 0, 0) };
+    this.header = header;
+    this.footer = footer;
+    this.pages = [];
+    this.page = null;
+    this.y = 0;
+  }
+
+  get top() {
+    return this.pageSize[1] - this.margins.top;
+  }
+
+  get contentWidth() {
+    return this.pageSize[0] - this.margins.left - this.margins.right;
+  }
+
+  get remaining() {
+    return this.y - this.margins.bottom;
+  }
+
+  get atPageTop() {
+    return this.y === this.top;
+  }
+
+  addPage() {
+    this.page = this.pdfDoc.addPage(this.pageSize);
+    this.pages.push(this.page);
+    this.y = this.top;
+    return this.page;
+  }
+
+  /**
+   * Start a new page unless `height` still fits on the current one.
+   * A fresh page is never skipped, so oversized blocks cannot loop.
+   */
+  ensureSpace(height) {
+    if (!this.page || (height > this.remaining && !this.atPageTop)) {
+      this.addPage();
+    }
+    return this.page;
+  }
+
+  moveDown(amount) {
+    this.y -= amount;
+  }
+
+  run(run) {
+    const merged = { ...this.defaults, ...run };
+    if (!run.lineHeight && run.size) {
+      merged.lineHeight = Math.round(run.size * 1.5);
+    }
+    return merged;
+  }
+
+  lines(run, width) {
+    const { text, font, size, wrap } = this.run(run);
+    if (text === null || text === undefined || text === "") return [];
+    return wrap === false ? [String(text)] : wrapText(text, font, size, width);
+  }
+
+  /**
+   * Height of text runs stacked in a column of the given width.
+   */
+  measure(runs, width = this.contentWidth) {
+    return [].concat(runs).reduce((height, run) => {
+      if (!run) return height;
+      const { lineHeight } = this.run(run);
+      return height + this.lines(run, width).length * lineHeight;
+    }, 0);
+  }
+
+  /**
+   * Flow a text run across the page width (or `x`/`width`), breaking to
+   * new pages line by line. `keepTogether` moves the whole run to the
+   * next page instead of splitting it.
+   */
+  text(run, { x = this.margins.left, width, keepTogether = false } = {}) {
+    const options = this.run(run);
+    const columnWidth = width || this.contentWidth - (x - this.margins.left);
+    const lines = this.lines(run, columnWidth);
+
+    if (keepTogether) {
+      this.ensureSpace(lines.length * options.lineHeight);
+    }
+
+    lines.forEach((line) => {
+      this.ensureSpace(options.lineHeight);
+      this.page.drawText(line, {
+        x,
+        y: this.y - options.size * ASCENT,
+        size: options.size,
+        font: options.font,
+        color: options.color,
+      });
+      this.y -= options.lineHeight;
+    });
+  }
+
+  /**
+   * Draw side-by-side columns ([{ x, width, runs }]) as one block that is
+   * never split; the cursor moves below the tallest column.
+   */
+  columns(columns, { gap = 0 } = {}) {
+    const height = Math.max(
+      ...columns.map((column) => this.measure(column.runs, column.width))
+    );
+    this.ensureSpace(height);
+
+    const top = this.y;
+    columns.forEach((column) => {
+      let y = top;
+      [].concat(column.runs).forEach((run) => {
+        if (!run) return;
+        const options = this.run(run);
+        this.lines(run, column.width).forEach((line) => {
+          this.page.drawText(line, {
+            x: column.x,
+            y: y - options.size * ASCENT,
+            size: options.size,
+            font: options.font,
+            color: options.color,
+          });
+          y -= options.lineHeight;
+        });
+      });
+    });
+
+    this.y = top - height - gap;
+    return height;
+  }
+
+  divider({ gap = 10, color = rgb(0.5, 0.5, 0.5), thickness = 0.5 } = {}) {
+    this.ensureSpace(gap * 2);
+    this.y -= gap;
+    this.page.drawLine({
+      start: { x: this.margins.left, y: this.y },
+      end: { x: this.pageSize[0] - this.margins.right, y: this.y },
+      thickness,
+      color,
+    });
+    this.y -= gap;
+  }
+
+  /**
+   * Draw a table. Rows are never split across pages, the header row is
+   * repeated on every page the table spans and never left alone at the
+   * bottom of a page, and `keepWithLast` reserves room after the last row
+   * so it moves to the next page together with whatever follows (totals).
+   *
+   * columns: [{ header, x, width }]
+   * rows: [[cell, ...]] where a cell is a string or a list of text runs
+   */
+  table({ columns, rows, headerRun = {}, rowGap = 5, keepWithLast = 0 }) {
+    const toColumns = (cells) =>
+      columns.map((column, i) => ({
+        x: column.x,
+        width: column.width,
+        runs: []
+          .concat(cells[i])
+          .map((cell) =>
+            typeof cell === "string" || typeof cell === "number"
+              ? { text: String(cell) }
+              : cell
+          ),
+      }));
+    const rowHeight = (cells) =>
+      Math.max(
+        ...toColumns(cells).map((column) =>
+          this.measure(column.runs, column.width)
+        )
+      );
+
+    const headerCells = columns.map((column) => ({
+      ...headerRun,
+      text: column.header,
+    }));
+    const headerHeight = rowHeight(headerCells) + rowGap;
+    const drawHeader = () =>
+      this.columns(toColumns(headerCells), { gap: rowGap });
+    const neededFor = (index) =>
+      rowHeight(rows[index]) + (index === rows.length - 1 ? keepWithLast : 0);
+
+    // The header always goes with at least the first row
+    this.ensureSpace(headerHeight + (rows.length ? neededFor(0) : 0));
+    drawHeader();
+
+    let rowsOnPage = 0;
+    rows.forEach((cells, index) => {
+      if (rowsOnPage > 0 && neededFor(index) > this.remaining) {
+        this.addPage();
+        drawHeader();
+        rowsOnPage = 0;
+      }
+      this.columns(toColumns(cells), { gap: rowGap });
+      rowsOnPage += 1;
+    });
+  }
+
+  /**
+   * Rectangle of `height` starting at the cursor on the current page, as
+   * { page, x, y, width, height } with `page` a zero-based index and `y`
+   * the bottom edge. Used to remember where something is drawn later
+   * (signatures); the cursor does not move.
+   */
+  field({ x = this.margins.left, width = this.contentWidth, height }) {
+    this.ensureSpace(height);
+    return {
+      page: this.pages.indexOf(this.page),
+      x,
+      y: this.y - height,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Run `draw` on the next page if `height` does not fit on this one.
+   */
+  keepTogether(height, draw) {
+    this.ensureSpace(height);
+    return draw();
+  }
+
+  /**
+   * Draw headers and footers now that the page count is known.
+   */
+  finalize() {
+    const pageCount = this.pages.length;
+    this.pages.forEach((page, index) => {
+      const context = { pageNumber: index + 1, pageCount, layout: this };
+      if (this.header) this.header(page, context);
+      if (this.footer) this.footer(page, context);
+    });
+  }
+}
+
+module.exports = { PAGE_SIZE, wrapText, drawWrappedText, PdfLayout };